@@ -0,0 +1,469 @@
+/**
+ * Anvil Loader
+ * Parses Minecraft Anvil region files (.mca) into the block objects used by WorldLoader
+ *
+ * Region layout: a 4KiB table of chunk locations, a 4KiB table of timestamps, then
+ * chunk payloads in 4KiB sectors. Each payload is a length, a compression byte and
+ * a compressed NBT compound describing one 16x16 column of paletted sections.
+ * Worlds saved before 1.13 store numeric block IDs and data values instead, which
+ * are translated with the legacy block table.
+ *
+ * Blocks also get their biome (a name from 1.18 on, a numeric ID before), which
+ * biomeColors.js turns into grass, foliage and water tints.
+ *
+ * r.0.0.mca is a small region with one chunk of each kind, written by makeRegionFixture.js.
+ */
+
+import { decompress, parseNbt } from './nbtReader.js';
+import { mapBlockState, cloneBlockState, buildBlockStats } from './blockStateMapper.js';
+import { translateLegacyBlock } from './legacyBlockData.js';
+
+const SECTOR_SIZE = 4096;
+const CHUNKS_PER_REGION = 1024;
+
+// Chunk payload compression types
+const COMPRESSION_GZIP = 1;
+const COMPRESSION_ZLIB = 2;
+const COMPRESSION_NONE = 3;
+const COMPRESSION_EXTERNAL = 0x80;
+
+// 20w17a (1.16) stopped packing palette indices across long boundaries
+const DATA_VERSION_NO_SPANNING = 2529;
+
+// Statuses of fully generated chunks; 1.13 saved them as postprocessed or fullchunk
+const COMPLETE_STATUSES = new Set(['full', 'postprocessed', 'fullchunk']);
+
+/**
+ * List the chunks stored in a region file
+ * @param {Uint8Array} bytes - The region file contents
+ * @returns {Array} - Entries of { localX, localZ, offset, sectors }
+ */
+export function readRegionHeader(bytes) {
+    if (bytes.length < SECTOR_SIZE * 2) {
+        throw new Error(`Region file too small: ${bytes.length} bytes`);
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+
+    for (let i = 0; i < CHUNKS_PER_REGION; i++) {
+        const location = view.getUint32(i * 4);
+        const offset = location >>> 8;
+        const sectors = location & 0xFF;
+
+        if (offset === 0 || sectors === 0) continue;
+
+        chunks.push({
+            localX: i & 31,
+            localZ: i >> 5,
+            offset: offset * SECTOR_SIZE,
+            sectors
+        });
+    }
+
+    return chunks;
+}
+
+/**
+ * Parse a region file into blocks
+ * @param {ArrayBuffer|Uint8Array} buffer - The region file contents
+ * @param {Object} options - Parse options
+ * @param {Object} options.centerChunk - Chunk {x, z} to load around (defaults to the middle of the stored chunks)
+ * @param {number} options.chunkRange - Chunks to load in each direction around the center (defaults to 1)
+ * @param {number} options.minY - Lowest Y level to include
+ * @param {number} options.maxY - Highest Y level to include
+ * @returns {Promise<Object>} - The world data in the { blocks, stats } shape
+ */
+export async function parseRegionFile(buffer, options = {}) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const entries = readRegionHeader(bytes);
+
+    if (entries.length === 0) {
+        throw new Error('Region file contains no chunks');
+    }
+
+    // Region files only know chunk positions modulo 32, so select chunks by local position
+    const center = options.centerChunk
+        ? { x: options.centerChunk.x & 31, z: options.centerChunk.z & 31 }
+        : getMiddleChunk(entries);
+    const chunkRange = options.chunkRange ?? 1;
+    const selected = entries.filter(entry =>
+        Math.abs(entry.localX - center.x) <= chunkRange &&
+        Math.abs(entry.localZ - center.z) <= chunkRange
+    );
+
+    console.log(`🗺️ Region has ${entries.length} chunks, loading ${selected.length} around local chunk (${center.x}, ${center.z})`);
+
+    const blocks = [];
+    let centerChunk = null;
+
+    for (const entry of selected) {
+        if (entry.offset + 5 > bytes.length) {
+            console.warn(`Chunk (${entry.localX}, ${entry.localZ}) points past the end of the file, skipping`);
+            continue;
+        }
+
+        const length = view.getUint32(entry.offset);
+        const compression = view.getUint8(entry.offset + 4);
+        const payload = bytes.subarray(entry.offset + 5, entry.offset + 4 + length);
+
+        let nbtBytes;
+        try {
+            nbtBytes = await decompressChunk(payload, compression);
+        } catch (error) {
+            console.warn(`Failed to decompress chunk (${entry.localX}, ${entry.localZ}):`, error.message);
+            continue;
+        }
+
+        if (!nbtBytes) continue;
+
+        let chunk;
+        try {
+            ({ value: chunk } = parseNbt(nbtBytes));
+        } catch (error) {
+            console.warn(`Failed to parse chunk (${entry.localX}, ${entry.localZ}):`, error.message);
+            continue;
+        }
+
+        const position = readChunkBlocks(chunk, blocks, options);
+
+        if (position && entry.localX === center.x && entry.localZ === center.z) {
+            centerChunk = position;
+        }
+    }
+
+    const stats = buildBlockStats(blocks, {
+        chunk_range: chunkRange,
+        center_chunk: centerChunk || undefined,
+        source: 'anvil'
+    });
+
+    console.log(`✅ Parsed ${blocks.length} blocks from ${stats.loaded_chunks.length} chunks`);
+    return { blocks, stats };
+}
+
+/**
+ * Pick the stored chunk closest to the middle of the stored area
+ * @param {Array} entries - Region header entries
+ * @returns {Object} - Local chunk {x, z}
+ */
+function getMiddleChunk(entries) {
+    const avgX = entries.reduce((sum, e) => sum + e.localX, 0) / entries.length;
+    const avgZ = entries.reduce((sum, e) => sum + e.localZ, 0) / entries.length;
+
+    let best = entries[0];
+    let bestDistance = Infinity;
+    for (const entry of entries) {
+        const distance = (entry.localX - avgX) ** 2 + (entry.localZ - avgZ) ** 2;
+        if (distance < bestDistance) {
+            best = entry;
+            bestDistance = distance;
+        }
+    }
+
+    return { x: best.localX, z: best.localZ };
+}
+
+/**
+ * Decompress a chunk payload
+ * @param {Uint8Array} payload - The compressed chunk data
+ * @param {number} compression - The compression type byte
+ * @returns {Promise<Uint8Array|null>} - The NBT bytes, or null for unsupported payloads
+ */
+async function decompressChunk(payload, compression) {
+    if (compression & COMPRESSION_EXTERNAL) {
+        console.warn('Chunk is stored in an external .mcc file, skipping');
+        return null;
+    }
+
+    switch (compression) {
+        case COMPRESSION_GZIP:
+            return decompress(payload, 'gzip');
+        case COMPRESSION_ZLIB:
+            return decompress(payload, 'deflate');
+        case COMPRESSION_NONE:
+            return payload;
+        default:
+            console.warn(`Unsupported chunk compression type ${compression}, skipping`);
+            return null;
+    }
+}
+
+/**
+ * Append the blocks of one chunk to a list
+ * @param {Object} chunk - The chunk NBT compound
+ * @param {Array} blocks - The list to append to
+ * @param {Object} options - Parse options (minY/maxY)
+ * @returns {Object|null} - The chunk position {x, z}, or null if the chunk was skipped
+ */
+function readChunkBlocks(chunk, blocks, options) {
+    // 1.18+ stores everything at the root, older versions under "Level"
+    const level = chunk.sections ? chunk : (chunk.Level || chunk);
+    const sections = level.sections || level.Sections || [];
+    const status = stripStatus(level.Status);
+    const chunkX = level.xPos;
+    const chunkZ = level.zPos;
+    const dataVersion = chunk.DataVersion || 0;
+
+    // Before 1.18 biomes are stored per chunk, from then on per section
+    const chunkBiomes = level.Biomes && level.Biomes.length > 0 ? level.Biomes : null;
+
+    if (status && !COMPLETE_STATUSES.has(status)) {
+        // Proto-chunks at the edge of generated terrain are missing features and lighting
+        return null;
+    }
+
+    for (const section of sections) {
+        const blockStates = section.block_states;
+        const palette = blockStates ? blockStates.palette : section.Palette;
+        const data = blockStates ? blockStates.data : section.BlockStates;
+
+        if (!palette) {
+            if (section.Blocks) {
+                readLegacySection(section, chunkX, chunkZ, blocks, options, chunkBiomes);
+            }
+            continue;
+        }
+
+        const sectionY = section.Y * 16;
+        if (options.minY !== undefined && sectionY + 15 < options.minY) continue;
+        if (options.maxY !== undefined && sectionY > options.maxY) continue;
+
+        const mapped = palette.map(entry => mapBlockState(entry.Name, entry.Properties || {}));
+        if (mapped.every(block => block === null)) continue;
+
+        const indices = unpackPaletteIndices(data, palette.length, dataVersion < DATA_VERSION_NO_SPANNING && !blockStates);
+        const sectionBiomes = readSectionBiomes(section);
+
+        for (let i = 0; i < 4096; i++) {
+            const state = mapped[indices ? indices[i] : 0];
+            if (!state) continue;
+
+            const y = sectionY + (i >> 8);
+            if (options.minY !== undefined && y < options.minY) continue;
+            if (options.maxY !== undefined && y > options.maxY) continue;
+
+            const block = {
+                ...cloneBlockState(state),
+                x: chunkX * 16 + (i & 15),
+                y,
+                z: chunkZ * 16 + ((i >> 4) & 15),
+                chunk_x: chunkX,
+                chunk_z: chunkZ
+            };
+
+            const biome = sectionBiomes ? sectionBiomes(i) : getChunkBiome(chunkBiomes, i & 15, y, (i >> 4) & 15);
+            if (biome !== undefined) block.biome = biome;
+
+            blocks.push(block);
+        }
+    }
+
+    return { x: chunkX, z: chunkZ };
+}
+
+/**
+ * Append the blocks of a pre-1.13 section, stored as numeric IDs ("Blocks", extended
+ * by the optional "Add" nibbles) and 4-bit data values ("Data")
+ * @param {Object} section - The section NBT compound
+ * @param {number} chunkX - The chunk X
+ * @param {number} chunkZ - The chunk Z
+ * @param {Array} blocks - The list to append to
+ * @param {Object} options - Parse options (minY/maxY)
+ * @param {Int8Array|Int32Array|null} chunkBiomes - The chunk's biome IDs, if it has them
+ */
+function readLegacySection(section, chunkX, chunkZ, blocks, options, chunkBiomes) {
+    const sectionY = section.Y * 16;
+    if (options.minY !== undefined && sectionY + 15 < options.minY) return;
+    if (options.maxY !== undefined && sectionY > options.maxY) return;
+
+    // Translations by (id << 4 | data), most sections only use a handful
+    const mapped = new Map();
+
+    for (let i = 0; i < 4096; i++) {
+        let id = section.Blocks[i] & 0xFF;
+        if (section.Add) id |= getNibble(section.Add, i) << 8;
+        if (id === 0) continue;
+
+        const data = section.Data ? getNibble(section.Data, i) : 0;
+        const key = (id << 4) | data;
+
+        if (!mapped.has(key)) {
+            const legacy = translateLegacyBlock(id, data);
+            if (!legacy) {
+                console.warn(`Unknown legacy block ID ${id}:${data} in chunk (${chunkX}, ${chunkZ})`);
+            }
+            mapped.set(key, legacy ? mapBlockState(legacy.name, legacy.properties) : null);
+        }
+
+        const state = mapped.get(key);
+        if (!state) continue;
+
+        const y = sectionY + (i >> 8);
+        if (options.minY !== undefined && y < options.minY) continue;
+        if (options.maxY !== undefined && y > options.maxY) continue;
+
+        const block = {
+            ...cloneBlockState(state),
+            x: chunkX * 16 + (i & 15),
+            y,
+            z: chunkZ * 16 + ((i >> 4) & 15),
+            chunk_x: chunkX,
+            chunk_z: chunkZ,
+            legacyId: id
+        };
+
+        const biome = getChunkBiome(chunkBiomes, i & 15, y, (i >> 4) & 15);
+        if (biome !== undefined) block.biome = biome;
+
+        blocks.push(block);
+    }
+}
+
+/**
+ * Look up a block's biome ID in a pre-1.18 chunk: 256 IDs, one per column, before 1.15
+ * and 1024 IDs, one per 4x4x4 cell, after
+ * @param {Int8Array|Int32Array|null} biomes - The chunk's "Biomes" array
+ * @param {number} x - The block X within the chunk
+ * @param {number} y - The block Y
+ * @param {number} z - The block Z within the chunk
+ * @returns {number|undefined} - The biome ID, or undefined if the chunk has none
+ */
+function getChunkBiome(biomes, x, y, z) {
+    if (!biomes) return undefined;
+
+    if (biomes.length === 256) {
+        // Byte arrays hold unsigned IDs
+        return biomes[(z << 4) | x] & 0xFF;
+    }
+
+    if (biomes.length === 1024) {
+        const cellY = Math.min(Math.max(y >> 2, 0), 63);
+        return biomes[(cellY << 4) | ((z >> 2) << 2) | (x >> 2)];
+    }
+
+    return undefined;
+}
+
+/**
+ * Read the biomes of a 1.18+ section: a palette of names for each 4x4x4 cell
+ * @param {Object} section - The section NBT compound
+ * @returns {Function|null} - (block index within the section) => biome name, or null if the section has none
+ */
+function readSectionBiomes(section) {
+    const palette = section.biomes?.palette;
+    if (!palette || palette.length === 0) return null;
+
+    if (palette.length === 1 || !section.biomes.data) {
+        return () => palette[0];
+    }
+
+    // Biome indices are never padded to 4 bits like block states
+    const bits = Math.ceil(Math.log2(palette.length));
+    const cells = unpackLongArray(section.biomes.data, bits, 64, false, palette.length - 1);
+
+    return i => {
+        const x = i & 15;
+        const z = (i >> 4) & 15;
+        const y = i >> 8;
+        return palette[cells[((y >> 2) << 4) | ((z >> 2) << 2) | (x >> 2)]];
+    };
+}
+
+/**
+ * Read a 4-bit value from a nibble array (low nibble first)
+ * @param {Int8Array} array - The nibble array
+ * @param {number} index - The value index
+ * @returns {number} - The value (0-15)
+ */
+function getNibble(array, index) {
+    return (array[index >> 1] >> ((index & 1) * 4)) & 0xF;
+}
+
+/**
+ * Normalise a chunk status such as 'minecraft:full' or 'full'
+ * @param {string} status - The raw status
+ * @returns {string|null} - The bare status
+ */
+function stripStatus(status) {
+    if (typeof status !== 'string') return null;
+    return status.replace(/^minecraft:/, '');
+}
+
+/**
+ * Unpack the palette indices of a 16x16x16 section
+ * @param {BigInt64Array} data - The packed indices (absent when the palette has one entry)
+ * @param {number} paletteSize - The number of palette entries
+ * @param {boolean} spanning - Whether indices may cross long boundaries (pre-1.16)
+ * @returns {Uint16Array|null} - 4096 indices in YZX order, or null if every cell is palette entry 0
+ */
+export function unpackPaletteIndices(data, paletteSize, spanning) {
+    if (!data || data.length === 0 || paletteSize <= 1) {
+        return null;
+    }
+
+    const bits = Math.max(4, Math.ceil(Math.log2(paletteSize)));
+    return unpackLongArray(data, bits, 4096, spanning, paletteSize - 1);
+}
+
+/**
+ * Unpack fixed-width values from a long array
+ * @param {BigInt64Array} data - The packed values
+ * @param {number} bits - Bits per value
+ * @param {number} count - Number of values to read
+ * @param {boolean} spanning - Whether values may cross long boundaries
+ * @param {number} maxValue - Values above this are clamped (guards against corrupt data)
+ * @returns {Uint16Array} - The unpacked values
+ */
+export function unpackLongArray(data, bits, count, spanning, maxValue = 0xFFFF) {
+    const mask = (1 << bits) - 1;
+    const values = new Uint16Array(count);
+
+    // Split the longs into 32-bit halves so the hot loop avoids BigInt arithmetic
+    const lo = new Uint32Array(data.length + 1);
+    const hi = new Uint32Array(data.length + 1);
+    for (let i = 0; i < data.length; i++) {
+        const value = BigInt.asUintN(64, data[i]);
+        lo[i] = Number(value & 0xFFFFFFFFn);
+        hi[i] = Number(value >> 32n);
+    }
+
+    const valuesPerLong = Math.floor(64 / bits);
+
+    for (let i = 0; i < count; i++) {
+        let longIndex;
+        let bitOffset;
+
+        if (spanning) {
+            const bitIndex = i * bits;
+            longIndex = Math.floor(bitIndex / 64);
+            bitOffset = bitIndex % 64;
+
+            if (bitOffset + bits > 64) {
+                // The value continues into the low bits of the next long
+                const lowBits = 64 - bitOffset;
+                const low = hi[longIndex] >>> (bitOffset - 32);
+                const high = lo[longIndex + 1] & ((1 << (bits - lowBits)) - 1);
+                values[i] = Math.min((low | (high << lowBits)) & mask, maxValue);
+                continue;
+            }
+        } else {
+            longIndex = Math.floor(i / valuesPerLong);
+            bitOffset = (i % valuesPerLong) * bits;
+        }
+
+        let value;
+        if (bitOffset + bits <= 32) {
+            value = lo[longIndex] >>> bitOffset;
+        } else if (bitOffset >= 32) {
+            value = hi[longIndex] >>> (bitOffset - 32);
+        } else {
+            value = (lo[longIndex] >>> bitOffset) | (hi[longIndex] << (32 - bitOffset));
+        }
+
+        values[i] = Math.min(value & mask, maxValue);
+    }
+
+    return values;
+}
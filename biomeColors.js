@@ -0,0 +1,296 @@
+/**
+ * Biome Colors
+ * Works out the biome tint of grass, foliage and water blocks the way vanilla does:
+ * a block's biome (or its temperature and downfall) picks a pixel of the grass or
+ * foliage colormap, and water takes its biome's water color. Blocks name their biome
+ * with a `biome` field (a name or a pre-1.18 numeric ID) or carry `temperature` and
+ * `downfall` themselves; world data can also map columns to biomes (see assignColumnBiomes).
+ * Runs in the world worker, so it must not depend on three.js or the DOM
+ */
+
+import { BLOCK_PROPERTIES } from './blockData.js';
+import { stripNamespace } from './blockStateMapper.js';
+
+// The colormaps, written by makeColormaps.js; the ones from a Minecraft client jar or
+// resource pack can replace them. Water has none, it takes its biome's water color
+export const COLORMAP_PATHS = {
+    grass: 'textures/colormap/grass.png',
+    foliage: 'textures/colormap/foliage.png'
+};
+
+const DEFAULT_WATER_COLOR = 0x3F76E4;
+const SWAMP_COLOR = 0x6A7039;
+
+// Climate of each biome: [temperature, downfall, water color, overrides]
+// Overrides replace the colormap for biomes with fixed colors
+const BIOME_CLIMATES = {
+    plains: [0.8, 0.4],
+    sunflower_plains: [0.8, 0.4],
+    snowy_plains: [0.0, 0.5],
+    ice_spikes: [0.0, 0.5],
+    desert: [2.0, 0.0],
+    swamp: [0.8, 0.9, 0x617B64, { grass: SWAMP_COLOR, foliage: SWAMP_COLOR }],
+    mangrove_swamp: [0.8, 0.9, 0x3A7A6A, { grass: SWAMP_COLOR, foliage: 0x8DB127 }],
+    forest: [0.7, 0.8],
+    flower_forest: [0.7, 0.8],
+    birch_forest: [0.6, 0.6],
+    old_growth_birch_forest: [0.6, 0.6],
+    dark_forest: [0.7, 0.8, DEFAULT_WATER_COLOR, { darkForest: true }],
+    pale_garden: [0.7, 0.8, 0x76889D, { grass: 0x778272, foliage: 0x878D76 }],
+    taiga: [0.25, 0.8],
+    old_growth_pine_taiga: [0.3, 0.8],
+    old_growth_spruce_taiga: [0.25, 0.8],
+    snowy_taiga: [-0.5, 0.4, 0x3D57D6],
+    savanna: [2.0, 0.0],
+    savanna_plateau: [2.0, 0.0],
+    windswept_savanna: [2.0, 0.0],
+    windswept_hills: [0.2, 0.3],
+    windswept_gravelly_hills: [0.2, 0.3],
+    windswept_forest: [0.2, 0.3],
+    jungle: [0.95, 0.9],
+    sparse_jungle: [0.95, 0.8],
+    bamboo_jungle: [0.95, 0.9],
+    badlands: [2.0, 0.0, DEFAULT_WATER_COLOR, { grass: 0x90814D, foliage: 0x9E814D }],
+    eroded_badlands: [2.0, 0.0, DEFAULT_WATER_COLOR, { grass: 0x90814D, foliage: 0x9E814D }],
+    wooded_badlands: [2.0, 0.0, DEFAULT_WATER_COLOR, { grass: 0x90814D, foliage: 0x9E814D }],
+    meadow: [0.5, 0.8, 0x0E4ECF],
+    cherry_grove: [0.5, 0.8, 0x5DB7EF, { grass: 0xB6DB61, foliage: 0xB6DB61 }],
+    grove: [-0.2, 0.8],
+    snowy_slopes: [-0.3, 0.9],
+    frozen_peaks: [-0.7, 0.9],
+    jagged_peaks: [-0.7, 0.9],
+    stony_peaks: [1.0, 0.3],
+    river: [0.5, 0.5],
+    frozen_river: [0.0, 0.5, 0x3938C9],
+    beach: [0.8, 0.4],
+    snowy_beach: [0.05, 0.3, 0x3D57D6],
+    stony_shore: [0.2, 0.3],
+    ocean: [0.5, 0.5],
+    deep_ocean: [0.5, 0.5],
+    warm_ocean: [0.5, 0.5, 0x43D5EE],
+    lukewarm_ocean: [0.5, 0.5, 0x45ADF2],
+    deep_lukewarm_ocean: [0.5, 0.5, 0x45ADF2],
+    cold_ocean: [0.5, 0.5, 0x3D57D6],
+    deep_cold_ocean: [0.5, 0.5, 0x3D57D6],
+    frozen_ocean: [0.0, 0.5, 0x3938C9],
+    deep_frozen_ocean: [0.5, 0.5, 0x3938C9],
+    mushroom_fields: [0.9, 1.0],
+    dripstone_caves: [0.8, 0.4],
+    lush_caves: [0.5, 0.5],
+    deep_dark: [0.8, 0.4],
+    nether_wastes: [2.0, 0.0],
+    soul_sand_valley: [2.0, 0.0],
+    crimson_forest: [2.0, 0.0],
+    warped_forest: [2.0, 0.0],
+    basalt_deltas: [2.0, 0.0],
+    the_end: [0.5, 0.5],
+    the_void: [0.5, 0.5]
+};
+
+// Biome names from before the 1.18 rename
+const BIOME_ALIASES = {
+    snowy_tundra: 'snowy_plains',
+    snowy_mountains: 'snowy_plains',
+    mountains: 'windswept_hills',
+    mountain_edge: 'windswept_hills',
+    wooded_hills: 'forest',
+    taiga_hills: 'taiga',
+    taiga_mountains: 'taiga',
+    jungle_hills: 'jungle',
+    modified_jungle: 'jungle',
+    jungle_edge: 'sparse_jungle',
+    modified_jungle_edge: 'sparse_jungle',
+    bamboo_jungle_hills: 'bamboo_jungle',
+    stone_shore: 'stony_shore',
+    birch_forest_hills: 'birch_forest',
+    tall_birch_forest: 'old_growth_birch_forest',
+    tall_birch_hills: 'old_growth_birch_forest',
+    dark_forest_hills: 'dark_forest',
+    snowy_taiga_hills: 'snowy_taiga',
+    snowy_taiga_mountains: 'snowy_taiga',
+    giant_tree_taiga: 'old_growth_pine_taiga',
+    giant_tree_taiga_hills: 'old_growth_pine_taiga',
+    giant_spruce_taiga: 'old_growth_spruce_taiga',
+    giant_spruce_taiga_hills: 'old_growth_spruce_taiga',
+    wooded_mountains: 'windswept_forest',
+    gravelly_mountains: 'windswept_gravelly_hills',
+    modified_gravelly_mountains: 'windswept_gravelly_hills',
+    shattered_savanna: 'windswept_savanna',
+    shattered_savanna_plateau: 'windswept_savanna',
+    badlands_plateau: 'badlands',
+    modified_badlands_plateau: 'badlands',
+    wooded_badlands_plateau: 'wooded_badlands',
+    modified_wooded_badlands_plateau: 'wooded_badlands',
+    desert_hills: 'desert',
+    desert_lakes: 'desert',
+    swamp_hills: 'swamp',
+    mushroom_field_shore: 'mushroom_fields',
+    nether: 'nether_wastes',
+    small_end_islands: 'the_end',
+    end_midlands: 'the_end',
+    end_highlands: 'the_end',
+    end_barrens: 'the_end'
+};
+
+// Numeric biome IDs stored by worlds saved before 1.18
+const LEGACY_BIOME_IDS = {
+    0: 'ocean', 1: 'plains', 2: 'desert', 3: 'windswept_hills', 4: 'forest', 5: 'taiga',
+    6: 'swamp', 7: 'river', 8: 'nether_wastes', 9: 'the_end', 10: 'frozen_ocean',
+    11: 'frozen_river', 12: 'snowy_plains', 13: 'snowy_plains', 14: 'mushroom_fields',
+    15: 'mushroom_fields', 16: 'beach', 17: 'desert', 18: 'forest', 19: 'taiga',
+    20: 'windswept_hills', 21: 'jungle', 22: 'jungle', 23: 'sparse_jungle', 24: 'deep_ocean',
+    25: 'stony_shore', 26: 'snowy_beach', 27: 'birch_forest', 28: 'birch_forest',
+    29: 'dark_forest', 30: 'snowy_taiga', 31: 'snowy_taiga', 32: 'old_growth_pine_taiga',
+    33: 'old_growth_pine_taiga', 34: 'windswept_forest', 35: 'savanna', 36: 'savanna_plateau',
+    37: 'badlands', 38: 'wooded_badlands', 39: 'badlands', 40: 'the_end', 41: 'the_end',
+    42: 'the_end', 43: 'the_end', 44: 'warm_ocean', 45: 'lukewarm_ocean', 46: 'cold_ocean',
+    47: 'warm_ocean', 48: 'deep_lukewarm_ocean', 49: 'deep_cold_ocean', 50: 'deep_frozen_ocean',
+    127: 'the_void', 129: 'sunflower_plains', 130: 'desert', 131: 'windswept_gravelly_hills',
+    132: 'flower_forest', 133: 'taiga', 134: 'swamp', 140: 'ice_spikes', 149: 'jungle',
+    151: 'sparse_jungle', 155: 'old_growth_birch_forest', 156: 'old_growth_birch_forest',
+    157: 'dark_forest', 158: 'snowy_taiga', 160: 'old_growth_spruce_taiga',
+    161: 'old_growth_spruce_taiga', 162: 'windswept_gravelly_hills', 163: 'windswept_savanna',
+    164: 'windswept_savanna', 165: 'badlands', 166: 'wooded_badlands', 167: 'badlands',
+    168: 'bamboo_jungle', 169: 'bamboo_jungle', 170: 'soul_sand_valley', 171: 'crimson_forest',
+    172: 'warped_forest', 173: 'basalt_deltas'
+};
+
+// Blocks tinted by the grass colormap
+const GRASS_TINTED = new Set([
+    'grass_block', 'grass', 'tallgrass', 'plant', 'fern', 'large_fern',
+    'double_plant_grass', 'double_plant_grass_top', 'double_plant_grass_bottom',
+    'double_plant_fern', 'double_plant_fern_top', 'double_plant_fern_bottom'
+]);
+
+// Leaves that keep their own color in every biome
+const UNTINTED_LEAVES = new Set(['cherry_leaves', 'azalea_leaves', 'flowering_azalea_leaves']);
+
+/**
+ * Get which colormap tints a block
+ * @param {string} name - The block name
+ * @returns {string|null} - 'grass', 'foliage', 'water', or null for blocks without a biome tint
+ */
+export function getTintType(name) {
+    if (GRASS_TINTED.has(name)) return 'grass';
+    if ((name === 'leaves' || name.endsWith('_leaves')) && !UNTINTED_LEAVES.has(name)) return 'foliage';
+    if (name === 'vine') return 'foliage';
+    if (name === 'water' || name === 'flowing_water') return 'water';
+    return null;
+}
+
+/**
+ * Look up a biome's climate
+ * @param {string|number} biome - A biome name (with or without namespace) or pre-1.18 numeric ID
+ * @returns {Object|null} - { name, temperature, downfall, waterColor, overrides }, or null if unknown
+ */
+export function getBiomeClimate(biome) {
+    let name = typeof biome === 'number' ? LEGACY_BIOME_IDS[biome] : stripNamespace(String(biome));
+    if (!name) return null;
+
+    name = BIOME_ALIASES[name] || name;
+    const climate = BIOME_CLIMATES[name];
+    if (!climate) return null;
+
+    const [temperature, downfall, waterColor = DEFAULT_WATER_COLOR, overrides = {}] = climate;
+    return { name, temperature, downfall, waterColor, overrides };
+}
+
+/**
+ * Get the climate a block is in, from its own temperature and downfall or its biome
+ * @param {Object} block - The block
+ * @returns {Object|null} - The climate (see getBiomeClimate), or null if the block has none
+ */
+export function getBlockClimate(block) {
+    if (typeof block.temperature === 'number' && typeof block.downfall === 'number') {
+        return {
+            name: null,
+            temperature: block.temperature,
+            downfall: block.downfall,
+            waterColor: DEFAULT_WATER_COLOR,
+            overrides: {}
+        };
+    }
+
+    if (block.biome === undefined || block.biome === null) return null;
+    return getBiomeClimate(block.biome);
+}
+
+/**
+ * Sample a colormap the way vanilla does: temperature runs right to left, and
+ * downfall (scaled by temperature) bottom to top
+ * @param {Object} colormap - { width, height, data } with RGBA pixels, usually 256x256
+ * @param {number} temperature - The biome temperature
+ * @param {number} downfall - The biome downfall
+ * @returns {number} - The color as 0xRRGGBB
+ */
+export function sampleColormap(colormap, temperature, downfall) {
+    const t = Math.min(Math.max(temperature, 0), 1);
+    const d = Math.min(Math.max(downfall, 0), 1) * t;
+
+    const x = Math.min(Math.floor((1 - t) * (colormap.width - 1)), colormap.width - 1);
+    const y = Math.min(Math.floor((1 - d) * (colormap.height - 1)), colormap.height - 1);
+    const i = (y * colormap.width + x) * 4;
+
+    return (colormap.data[i] << 16) | (colormap.data[i + 1] << 8) | colormap.data[i + 2];
+}
+
+/**
+ * Get the tint of a block in its biome
+ * @param {Object} block - The block, with a block state
+ * @param {Object} colormaps - The loaded { grass, foliage } colormaps (either may be missing)
+ * @returns {number|undefined} - The tint as 0xRRGGBB, or undefined for blocks without a biome tint
+ */
+export function getBlockTint(block, colormaps = {}) {
+    const name = block.state ? block.state.name : block.type;
+    // Waterlogged blocks (slabs) take the tint of their water
+    const tintType = getTintType(name) ?? (block.state?.is('waterlogged') ? 'water' : null);
+    if (!tintType) return undefined;
+
+    // Without a biome (or without the colormap) keep the block's usual tint
+    const defaultTint = BLOCK_PROPERTIES[name]?.tintColor ??
+        (tintType === 'water' ? DEFAULT_WATER_COLOR : 0x4CAF50);
+
+    const climate = getBlockClimate(block);
+    if (!climate) return defaultTint;
+
+    if (tintType === 'water') {
+        return climate.waterColor;
+    }
+
+    if (climate.overrides[tintType] !== undefined) {
+        return climate.overrides[tintType];
+    }
+
+    const colormap = colormaps[tintType];
+    if (!colormap) return defaultTint;
+
+    const color = sampleColormap(colormap, climate.temperature, climate.downfall);
+
+    // Dark forests darken the grass colormap color
+    if (tintType === 'grass' && climate.overrides.darkForest) {
+        return ((color & 0xFEFEFE) + 0x28340A) >> 1;
+    }
+
+    return color;
+}
+
+/**
+ * Give blocks the biome of their column where they don't name their own
+ * @param {Array} blocks - The raw blocks
+ * @param {Object} biomes - Biomes by "x,z" column, each a biome name or ID, or { temperature, downfall }
+ */
+export function assignColumnBiomes(blocks, biomes) {
+    for (const block of blocks) {
+        if (block.biome !== undefined || block.temperature !== undefined) continue;
+
+        const biome = biomes[`${block.x},${block.z}`];
+        if (biome === undefined) continue;
+
+        if (typeof biome === 'object' && biome !== null) {
+            block.temperature = biome.temperature;
+            block.downfall = biome.downfall;
+        } else {
+            block.biome = biome;
+        }
+    }
+}
@@ -271,7 +271,20 @@ export const SPECIAL_TEXTURE_MAPPINGS = {
     'brick': { default: 'brick.png' },
     'brick_block': { default: 'brick.png' }, // Alternative name for brick
     'stone_bricks': { default: 'stonebrick.png' },
-    
+    'bricks': { default: 'brick.png' },
+    'mossy_stone_bricks': { default: 'stonebrick_mossy.png' },
+    'smooth_stone': { default: 'stone_slab_top.png' },
+    'nether_bricks': { default: 'nether_brick.png' },
+    'red_nether_bricks': { default: 'red_nether_brick.png' },
+    'end_stone_bricks': { default: 'end_bricks.png' },
+    'prismarine': { default: 'prismarine_rough.png' },
+    'polished_blackstone_bricks': { default: 'polished_blackstone_bricks.png' },
+    'blackstone': {
+        top: 'blackstone_top.png',
+        bottom: 'blackstone_top.png',
+        side: 'blackstone.png'
+    },
+
     // Full block mappings
     'smooth_quartz': { default: 'quartz_block_bottom.png' },
     'cobbled_deepslate': { default: 'deepslate_cobbled.png' },
@@ -408,10 +421,28 @@ export const SPECIAL_TEXTURE_MAPPINGS = {
     'smooth_sandstone': { default: 'sandstone_smooth.png' },
     'chiseled_red_sandstone': { default: 'red_sandstone_carved.png' },
     'smooth_red_sandstone': { default: 'red_sandstone_smooth.png' },
-    
+    'cut_sandstone': {
+        top: 'sandstone_top.png',
+        bottom: 'sandstone_top.png',
+        side: 'sandstone_smooth.png'
+    },
+    'cut_red_sandstone': {
+        top: 'red_sandstone_top.png',
+        bottom: 'red_sandstone_top.png',
+        side: 'red_sandstone_smooth.png'
+    },
+
     // Water
-    'water': { default: 'water_still.png' },
-    'flowing_water': { default: 'water_flow.png' },
+    // The grey textures take the biome water tint, like vanilla
+    'water': { default: 'water_still_grey.png' },
+    'flowing_water': { default: 'water_flow_grey.png' },
+    
+    // Lava and fire (animated strips, see textureAnimation.js)
+    'lava': { default: 'lava_still.png' },
+    'flowing_lava': { default: 'lava_flow.png' },
+    'magma_block': { default: 'magma.png' },
+    'fire': { default: 'fire_0.png' },
+    'soul_fire': { default: 'soul_fire_0.png' },
     
     // Dropper and dispenser
     'dropper': { 
@@ -612,6 +643,11 @@ export const SPECIAL_TEXTURE_MAPPINGS = {
         bottom: 'stone_slab_top.png',
         side: 'stone_slab_side.png'
     },
+    'smooth_stone_slab': {
+        top: 'stone_slab_top.png',
+        bottom: 'stone_slab_top.png',
+        side: 'stone_slab_side.png'
+    },
     'sandstone_slab': { 
         top: 'sandstone_top.png',
         bottom: 'sandstone_bottom.png',
@@ -875,6 +911,44 @@ export const SPECIAL_TEXTURE_MAPPINGS = {
     }
 };
 
+// The full block each slab, stair and wall family is cut from, by family name (the block
+// name without waxed_ and _slab/_stairs/_wall), where it isn't the family name itself
+export const BASE_BLOCK_TYPES = {
+    // Wood
+    'oak': 'oak_planks',
+    'spruce': 'spruce_planks',
+    'birch': 'birch_planks',
+    'jungle': 'jungle_planks',
+    'acacia': 'acacia_planks',
+    'dark_oak': 'dark_oak_planks',
+    'mangrove': 'mangrove_planks',
+    'cherry': 'cherry_planks',
+    'pale_oak': 'pale_oak_planks',
+    'bamboo': 'bamboo_planks',
+    'crimson': 'crimson_planks',
+    'warped': 'warped_planks',
+    'petrified_oak': 'oak_planks',
+    
+    // Bricks and tiles
+    'brick': 'bricks',
+    'stone_brick': 'stone_bricks',
+    'mossy_stone_brick': 'mossy_stone_bricks',
+    'mud_brick': 'mud_bricks',
+    'nether_brick': 'nether_bricks',
+    'red_nether_brick': 'red_nether_bricks',
+    'end_stone_brick': 'end_stone_bricks',
+    'prismarine_brick': 'prismarine_bricks',
+    'deepslate_brick': 'deepslate_bricks',
+    'deepslate_tile': 'deepslate_tiles',
+    'polished_blackstone_brick': 'polished_blackstone_bricks',
+    'tuff_brick': 'tuff_bricks',
+    'resin_brick': 'resin_bricks',
+    
+    // Blocks named differently from their family
+    'quartz': 'quartz_block',
+    'purpur': 'purpur_block'
+};
+
 // Common block categories for fallback textures
 export const BLOCK_CATEGORIES_FALLBACKS = {
     'stone': ['stone', 'cobblestone', 'andesite', 'diorite', 'granite', 'basalt', 'tuff', 'deepslate', 'calcite'],
@@ -16,6 +16,8 @@ import {
 import { createSlabBlock, isSlabBlock } from './slabFactory.js';
 import { createStairBlock, isStairBlock } from './stairFactory.js';
 import { createGrindstoneBlock, isGrindstoneBlock } from './grindstoneFactory.js';
+import { createModelBlock } from './blockModelLoader.js';
+import { getWallSide } from './neighborResolver.js';
 
 // Cache for block geometries
 const geometryCache = new Map();
@@ -23,12 +25,19 @@ const geometryCache = new Map();
 /**
  * Create a block mesh
  * @param {string} blockType - The type of block
- * @param {Object} options - Additional options for block creation
+ * @param {Object} options - Additional options for block creation; options.state (a BlockState)
+ * picks the variant of blocks built from model files
  * @returns {Promise<THREE.Mesh>} - Promise that resolves to the block mesh
  */
 export async function createBlock(blockType, options = {}) {
     console.log('🎭 createBlock called:', { blockType, options });
     try {
+        // Blocks with model files are built from them rather than by the factories below
+        const modelBlock = await createModelBlock(blockType, options.state);
+        if (modelBlock) {
+            return modelBlock;
+        }
+        
         // Check for chain blocks first
         if (isChainBlock(blockType)) {
             return createChainBlock(blockType, options);
@@ -82,13 +91,18 @@ export async function createBlock(blockType, options = {}) {
         
         // Check if this is a slab block
         if (isSlabBlock(blockType)) {
-            return createSlabBlock(blockType, options.isUpperSlab || false);
+            return createSlabBlock(blockType, {
+                type: options.slabType || 'bottom',
+                waterlogged: options.waterlogged || false
+            });
         }
         
         // Check if this is a stair block
         if (isStairBlock(blockType)) {
             return createStairBlock(blockType, {
-                facing: options.facing || 'east'
+                facing: options.facing || 'east',
+                half: options.half || 'bottom',
+                shape: options.shape || 'straight'
             });
         }
         
@@ -153,7 +167,7 @@ export async function createBlock(blockType, options = {}) {
                     transparent: properties.transparent || false,
                     alphaTest: properties.alphaCutoff || 0.0,
                     opacity: properties.opacity || 1.0,
-                    color: properties.color || 0xffffff,
+                    color: properties.color || properties.tintColor || 0xffffff,
                     roughness: 1.0,
                     metalness: 0.0
                 });
@@ -472,6 +486,9 @@ function getBlockGeometry() {
     // Ensure normals are computed
     geometry.computeVertexNormals();
     
+    // Lets the chunk mesher recognize plain cubes (see chunkMesher.js)
+    geometry.userData.fullCube = true;
+    
     // Cache the geometry
     geometryCache.set('block', geometry);
     
@@ -506,9 +523,49 @@ function isFenceBlock(blockType) {
 }
 
 /**
- * Create a wall block with posts and connections
+ * Create one box of a wall, textured by its position in the block like Minecraft's
+ * default face UVs, so the texture isn't squeezed onto the narrow faces
+ * @param {Array<number>} from - Minimum corner in 16ths of a block (0 to 16)
+ * @param {Array<number>} to - Maximum corner in 16ths of a block
+ * @param {THREE.Material} material - The wall material
+ * @returns {THREE.Mesh} - The box, positioned within the block
+ */
+function createWallPart(from, to, material) {
+    const geometry = new THREE.BoxGeometry(
+        (to[0] - from[0]) / 16,
+        (to[1] - from[1]) / 16,
+        (to[2] - from[2]) / 16
+    );
+    geometry.translate(
+        (from[0] + to[0]) / 32 - 0.5,
+        (from[1] + to[1]) / 32 - 0.5,
+        (from[2] + to[2]) / 32 - 0.5
+    );
+    
+    const positions = geometry.attributes.position;
+    const normals = geometry.attributes.normal;
+    const uvs = geometry.attributes.uv;
+    for (let i = 0; i < positions.count; i++) {
+        const x = positions.getX(i) + 0.5;
+        const y = positions.getY(i) + 0.5;
+        const z = positions.getZ(i) + 0.5;
+        if (Math.abs(normals.getY(i)) > 0.5) {
+            uvs.setXY(i, x, 1 - z);
+        } else if (Math.abs(normals.getX(i)) > 0.5) {
+            uvs.setXY(i, normals.getX(i) > 0 ? 1 - z : z, y);
+        } else {
+            uvs.setXY(i, normals.getZ(i) > 0 ? x : 1 - x, y);
+        }
+    }
+    
+    return new THREE.Mesh(geometry, material);
+}
+
+/**
+ * Create a wall block with its post and sides
  * @param {string} blockType - The type of wall
- * @param {Object} connections - Connection states (north, east, south, west, up)
+ * @param {Object} connections - The wall state: north/east/south/west ('none', 'low' or
+ * 'tall', see getWallSide) and up ('true' for the raised post)
  * @returns {Promise<THREE.Group>} - Promise that resolves to the wall mesh
  */
 async function createWallBlock(blockType, connections = {}) {
@@ -529,37 +586,26 @@ async function createWallBlock(blockType, connections = {}) {
         const group = new THREE.Group();
         group.name = blockType;
         
-        // Create the center post (always present) - thicker than fence posts
-        const postGeometry = new THREE.BoxGeometry(0.5, 1, 0.5);
-        const post = new THREE.Mesh(postGeometry, material);
-        post.position.set(0, 0, 0);
-        group.add(post);
-        
-        // Remove extended post logic - walls are only 1 block tall
-        // No need to check for connections.up anymore
+        // The post, 8 wide and a full block tall; walls without state keep theirs
+        if (connections.up !== 'false') {
+            group.add(createWallPart([4, 0, 4], [12, 16, 12], material));
+        }
         
-        // Add connections in each direction
-        const directions = [
-            { name: 'north', x: 0, z: -0.375 },
-            { name: 'east', x: 0.375, z: 0 },
-            { name: 'south', x: 0, z: 0.375 },
-            { name: 'west', x: -0.375, z: 0 }
-        ];
+        // Sides run from the edge to the middle, 6 wide: low ones 14 high, tall ones
+        // the full block. Opposite sides meet in the middle when there is no post
+        const sides = {
+            north: { from: [5, 0, 0], to: [11, 0, 8] },
+            east: { from: [8, 0, 5], to: [16, 0, 11] },
+            south: { from: [5, 0, 8], to: [11, 0, 16] },
+            west: { from: [0, 0, 5], to: [8, 0, 11] }
+        };
         
-        for (const dir of directions) {
-            if (connections[dir.name] === 'true') {
-                // Create connection wall segment - thicker than fence rails
-                // Reduced height from 0.75 to 0.6 to make it visually one block tall
-                const wallGeometry = new THREE.BoxGeometry(
-                    dir.name === 'east' || dir.name === 'west' ? 0.5 : 0.3, 
-                    0.6, 
-                    dir.name === 'north' || dir.name === 'south' ? 0.5 : 0.3
-                );
-                const wallSegment = new THREE.Mesh(wallGeometry, material);
-                // Adjusted y position to center the segment within the block height
-                wallSegment.position.set(dir.x, 0.05, dir.z);
-                group.add(wallSegment);
-            }
+        for (const [direction, { from, to }] of Object.entries(sides)) {
+            const side = getWallSide(connections[direction]);
+            if (side === 'none') continue;
+            
+            const height = side === 'tall' ? 16 : 14;
+            group.add(createWallPart(from, [to[0], height, to[2]], material));
         }
         
         // Enable shadows for all parts
@@ -1012,29 +1058,7 @@ async function createLanternBlock(blockType, hanging = false) {
             }
         });
         
-        // Add a point light
-        const light = new THREE.PointLight(0xffd700, 10, 40); // Much higher intensity, longer range
-        light.position.set(0, 0, 0); // center of lantern
-        light.castShadow = true;
-        light.decay = 1; // slower light falloff for better range
-        light.userData.baseIntensity = 10; // Store base intensity for flickering
-        
-        // Configure shadow properties
-        light.shadow.mapSize.width = 1024; // increased shadow map resolution
-        light.shadow.mapSize.height = 1024;
-        light.shadow.camera.near = 0.1;
-        light.shadow.camera.far = 40;
-        light.shadow.bias = -0.001; // reduce shadow acne
-        
-        // Add a subtle glow effect with a second light
-        const glowLight = new THREE.PointLight(0xff9900, 5, 15);
-        glowLight.position.set(0, 0, 0);
-        glowLight.decay = 0.5; // much slower falloff for the glow
-        glowLight.userData.baseIntensity = 5; // Store base intensity for flickering
-        group.add(glowLight);
-        
-        group.add(light);
-        
+        // The lantern's light is baked in by the light engine (see lightEngine.js)
         return group;
     } catch (error) {
         console.error(`Error creating lantern ${blockType}:`, error);
@@ -0,0 +1,378 @@
+/**
+ * Block Model Loader
+ * Builds blocks from Minecraft-style model files instead of a hand-written factory.
+ * A block type listed in blockstates/index.json has a blockstates/<block>.json file
+ * (other types aren't requested), so adding a block means dropping in its blockstate
+ * and model files and adding its type to the index. Full cubes are better left to the
+ * cube path, which culls and merges their faces. A block picks its models from the file's
+ * variants (or multipart cases) for its state, and each model in models/ is read with
+ * its parent chain: textures are inherited and resolved through "#name" references,
+ * and the elements become boxes with per-face UVs, face rotation and element rotation.
+ * Every model of a state is merged into one mesh, with one material per texture.
+ * models/block/ ships the common parents (cube, cube_all, cube_column, cube_bottom_top)
+ * and texture locations like block/stone load textures/blocks/stone.png
+ *
+ * Not supported: uvlock, cullface (templates are drawn whole) and weighted random
+ * variants (the first one is used)
+ */
+
+import * as THREE from 'three';
+import { BLOCK_PROPERTIES } from './blockData.js';
+import { BlockState } from './blockState.js';
+import { loadTexture } from './textureManager.js';
+import { createUniformMaterial, createFallbackMaterial } from './materialFactory.js';
+
+const BLOCKSTATES_PATH = 'blockstates';
+const MODELS_PATH = 'models';
+
+// Parents that have no file; their children bring their own elements
+const BUILTIN_PARENT = /^builtin\//;
+
+// Corners of each face as [x, y, z] picks from the element's from (0) and to (1) in the
+// order top left, bottom left, bottom right, top right as seen from outside, which is
+// the order the face's UV corners go in
+const FACE_CORNERS = {
+    down: [[0, 0, 1], [0, 0, 0], [1, 0, 0], [1, 0, 1]],
+    up: [[0, 1, 0], [0, 1, 1], [1, 1, 1], [1, 1, 0]],
+    north: [[1, 1, 0], [1, 0, 0], [0, 0, 0], [0, 1, 0]],
+    south: [[0, 1, 1], [0, 0, 1], [1, 0, 1], [1, 1, 1]],
+    west: [[0, 1, 0], [0, 0, 0], [0, 0, 1], [0, 1, 1]],
+    east: [[1, 1, 1], [1, 0, 1], [1, 0, 0], [1, 1, 0]]
+};
+
+const AXES = {
+    x: new THREE.Vector3(1, 0, 0),
+    y: new THREE.Vector3(0, 1, 0),
+    z: new THREE.Vector3(0, 0, 1)
+};
+
+// Parsed files by path, as promises resolving to the JSON or null if there is no file
+const jsonCache = new Map();
+
+// Blockstate definitions of the block types looked up so far, null for types without one
+const blockStates = new Map();
+
+// The block types with a blockstate file, as a promise resolving to a Set
+let blockStateIndex = null;
+
+/**
+ * Strip the namespace from a resource location, e.g. minecraft:block/stone
+ * @param {string} location - The resource location
+ * @returns {string} - The path part
+ */
+function getResourcePath(location) {
+    return location.includes(':') ? location.split(':')[1] : location;
+}
+
+/**
+ * Load a JSON file once
+ * @param {string} path - Path to the file
+ * @returns {Promise<Object|null>} - The parsed file, or null if it doesn't exist
+ */
+function loadJson(path) {
+    if (!jsonCache.has(path)) {
+        jsonCache.set(path, fetch(path)
+            .then(response => response.ok ? response.json() : null)
+            .catch(error => {
+                console.warn(`Could not read ${path}:`, error);
+                return null;
+            }));
+    }
+    return jsonCache.get(path);
+}
+
+/**
+ * Load the list of block types that have a blockstate file
+ * @returns {Promise<Set>} - The block types (empty if there is no index)
+ */
+function loadBlockStateIndex() {
+    if (!blockStateIndex) {
+        blockStateIndex = loadJson(`${BLOCKSTATES_PATH}/index.json`)
+            .then(index => new Set(Array.isArray(index) ? index : []));
+    }
+    return blockStateIndex;
+}
+
+/**
+ * Load the blockstate definition of a block type
+ * @param {string} blockType - The block type
+ * @returns {Promise<Object|null>} - The definition, or null if the type has no model files
+ */
+async function loadBlockStateDefinition(blockType) {
+    if (!blockStates.has(blockType)) {
+        const index = await loadBlockStateIndex();
+        const definition = index.has(blockType) ? await loadJson(`${BLOCKSTATES_PATH}/${blockType}.json`) : null;
+        blockStates.set(blockType, definition?.variants || definition?.multipart ? definition : null);
+    }
+    return blockStates.get(blockType);
+}
+
+/**
+ * Check if a block type is built from model files
+ * @param {string} blockType - The block type
+ * @returns {Promise<boolean>} - True if it has a blockstate file
+ */
+export async function hasBlockModel(blockType) {
+    return (await loadBlockStateDefinition(blockType)) !== null;
+}
+
+/**
+ * Load a model with everything it inherits from its parents: the child's textures add to
+ * and override the parent's, and the child's elements replace the parent's
+ * @param {string} location - The model's resource location, e.g. block/oak_stairs
+ * @param {Set} visited - Models already on the chain, to stop parent loops
+ * @returns {Promise<Object>} - The model as { textures, elements }
+ */
+async function loadModel(location, visited = new Set()) {
+    const path = getResourcePath(location);
+    if (BUILTIN_PARENT.test(path) || visited.has(path)) {
+        return { textures: {}, elements: [] };
+    }
+    visited.add(path);
+
+    const model = await loadJson(`${MODELS_PATH}/${path}.json`);
+    if (!model) {
+        console.warn(`Missing block model ${path}`);
+        return { textures: {}, elements: [] };
+    }
+
+    const parent = model.parent ? await loadModel(model.parent, visited) : { textures: {}, elements: [] };
+    return {
+        textures: { ...parent.textures, ...model.textures },
+        elements: model.elements ?? parent.elements
+    };
+}
+
+/**
+ * Follow a face's "#name" texture reference through the model's texture variables
+ * @param {Object} textures - The model's texture variables
+ * @param {string} reference - The face's texture, e.g. "#side"
+ * @returns {string|null} - The texture's resource location, or null if it isn't defined
+ */
+function resolveTexture(textures, reference) {
+    let value = reference;
+    for (let depth = 0; value?.startsWith('#') && depth < 16; depth++) {
+        value = textures[value.slice(1)];
+    }
+    return value && !value.startsWith('#') ? value : null;
+}
+
+/**
+ * Check if a block state matches a multipart "when" condition; values can list
+ * alternatives ("low|tall") and conditions can be combined with OR and AND
+ * @param {Object} condition - The condition
+ * @param {BlockState} state - The block state
+ * @returns {boolean} - True if the state matches
+ */
+function matchesCondition(condition, state) {
+    if (condition.OR) return condition.OR.some(part => matchesCondition(part, state));
+    if (condition.AND) return condition.AND.every(part => matchesCondition(part, state));
+
+    return Object.entries(condition).every(([key, value]) =>
+        String(value).split('|').includes(state.get(key, '')));
+}
+
+/**
+ * Pick the models of a block state from its blockstate definition
+ * @param {Object} definition - The blockstate definition
+ * @param {BlockState} state - The block state
+ * @returns {Array} - The models as { model, x, y }
+ */
+function getStateModels(definition, state) {
+    const first = apply => Array.isArray(apply) ? apply[0] : apply;
+
+    if (definition.multipart) {
+        return definition.multipart
+            .filter(part => !part.when || matchesCondition(part.when, state))
+            .map(part => first(part.apply));
+    }
+
+    // Variant keys list some of the state's properties ("facing=east,half=bottom"),
+    // or none ("") for blocks with a single model
+    for (const [key, apply] of Object.entries(definition.variants)) {
+        const matches = key === '' || key.split(',').every(pair => {
+            const [name, value] = pair.split('=');
+            return state.get(name, '') === value;
+        });
+        if (matches) return [first(apply)];
+    }
+
+    // States missing a property the variants name still get a model
+    const variants = Object.values(definition.variants);
+    return variants.length > 0 ? [first(variants[0])] : [];
+}
+
+/**
+ * Load the material of a texture, the first time a block uses it
+ * @param {string} location - The texture's resource location, e.g. block/stone
+ * @param {Object} properties - The block's properties (transparency, alpha cutoff)
+ * @param {number|undefined} tint - Default tint of faces with a tintindex
+ * @returns {Promise<THREE.Material>} - The material
+ */
+async function loadFaceMaterial(location, properties, tint) {
+    // Textures live in textures/blocks/, models name them block/<name>
+    const path = `textures/${getResourcePath(location).replace(/^block\//, 'blocks/')}`;
+
+    let texture = null;
+    for (const extension of ['png', 'tga']) {
+        texture = await loadTexture(`${path}.${extension}`).catch(() => null);
+        if (texture) break;
+    }
+    if (!texture) {
+        console.warn(`Missing model texture ${location}`);
+        return createFallbackMaterial();
+    }
+
+    const material = createUniformMaterial(texture, { ...properties, color: tint });
+    material.name = getResourcePath(location);
+    return material;
+}
+
+/**
+ * Build the mesh of a block state from its models
+ * @param {string} blockType - The block type
+ * @param {BlockState} state - The block state (defaults to the type's default state)
+ * @returns {Promise<THREE.Mesh|null>} - The mesh, or null if the type has no model files
+ * or its state has no models
+ */
+export async function createModelBlock(blockType, state = new BlockState(blockType)) {
+    const definition = await loadBlockStateDefinition(blockType);
+    if (!definition) return null;
+
+    const applied = getStateModels(definition, state).filter(apply => apply?.model);
+    if (applied.length === 0) {
+        console.warn(`No block model for ${state.toString()}`);
+        return null;
+    }
+
+    const properties = BLOCK_PROPERTIES[blockType] || {};
+    const facesByMaterial = new Map(); // "texture|tinted" -> { location, tinted, faces }
+
+    const elementMatrix = new THREE.Matrix4();
+    const stateMatrix = new THREE.Matrix4();
+    const step = new THREE.Matrix4();
+
+    for (const apply of applied) {
+        const model = await loadModel(apply.model);
+
+        // The variant turns the whole model around the block's center, x first, both
+        // clockwise seen from the positive axis
+        stateMatrix.makeRotationY(-THREE.MathUtils.degToRad(apply.y ?? 0))
+            .multiply(step.makeRotationX(-THREE.MathUtils.degToRad(apply.x ?? 0)));
+
+        for (const element of model.elements) {
+            const from = element.from.map(value => value / 16 - 0.5);
+            const to = element.to.map(value => value / 16 - 0.5);
+
+            // Element rotation about its origin, optionally scaled back out to the block
+            elementMatrix.identity();
+            const rotation = element.rotation;
+            if (rotation?.angle && AXES[rotation.axis]) {
+                const origin = new THREE.Vector3().fromArray((rotation.origin ?? [8, 8, 8]).map(value => value / 16 - 0.5));
+                const angle = THREE.MathUtils.degToRad(rotation.angle);
+                elementMatrix.makeTranslation(origin.x, origin.y, origin.z);
+                if (rotation.rescale) {
+                    const scale = 1 / Math.cos(angle);
+                    const scales = ['x', 'y', 'z'].map(axis => axis === rotation.axis ? 1 : scale);
+                    elementMatrix.multiply(step.makeScale(...scales));
+                }
+                elementMatrix.multiply(step.makeRotationAxis(AXES[rotation.axis], angle))
+                    .multiply(step.makeTranslation(-origin.x, -origin.y, -origin.z));
+            }
+            elementMatrix.premultiply(stateMatrix);
+
+            for (const [faceName, face] of Object.entries(element.faces ?? {})) {
+                const corners = FACE_CORNERS[faceName];
+                const location = corners ? resolveTexture(model.textures, face.texture) : null;
+                if (!location) continue;
+
+                const vertices = corners.map(([cx, cy, cz]) => new THREE.Vector3(
+                    cx ? to[0] : from[0],
+                    cy ? to[1] : from[1],
+                    cz ? to[2] : from[2]
+                ).applyMatrix4(elementMatrix));
+
+                const tinted = face.tintindex !== undefined && properties.tintColor !== undefined;
+                const key = `${location}|${tinted}`;
+                if (!facesByMaterial.has(key)) {
+                    facesByMaterial.set(key, { location, tinted, faces: [] });
+                }
+                facesByMaterial.get(key).faces.push({
+                    vertices,
+                    uv: face.uv ?? getDefaultUV(faceName, element.from, element.to),
+                    rotation: face.rotation ?? 0
+                });
+            }
+        }
+    }
+
+    if (facesByMaterial.size === 0) return null;
+
+    const positions = [];
+    const normals = [];
+    const uvs = [];
+    const indices = [];
+    const geometry = new THREE.BufferGeometry();
+    const materials = [];
+    const edge1 = new THREE.Vector3();
+    const edge2 = new THREE.Vector3();
+
+    for (const { location, tinted, faces } of facesByMaterial.values()) {
+        const start = indices.length;
+
+        for (const face of faces) {
+            const [v0, v1, , v3] = face.vertices;
+            const normal = new THREE.Vector3().crossVectors(edge1.subVectors(v1, v0), edge2.subVectors(v3, v0)).normalize();
+
+            // UV corners in face vertex order; rotation turns the texture clockwise
+            const [u1, v1Pixel, u2, v2Pixel] = face.uv;
+            const uvCorners = [[u1, v1Pixel], [u1, v2Pixel], [u2, v2Pixel], [u2, v1Pixel]];
+            const turn = Math.round(face.rotation / 90) & 3;
+
+            const base = positions.length / 3;
+            face.vertices.forEach((vertex, i) => {
+                const [u, v] = uvCorners[(i + turn) % 4];
+                positions.push(vertex.x, vertex.y, vertex.z);
+                normals.push(normal.x, normal.y, normal.z);
+                uvs.push(u / 16, 1 - v / 16);
+            });
+            indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+        }
+
+        geometry.addGroup(start, indices.length - start, materials.length);
+        materials.push(await loadFaceMaterial(location, properties, tinted ? properties.tintColor : undefined));
+    }
+
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    geometry.setIndex(indices);
+    geometry.computeBoundingSphere();
+
+    const mesh = new THREE.Mesh(geometry, materials.length === 1 ? materials[0] : materials);
+    mesh.name = blockType;
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+
+    console.log(`🧱 Built ${state.toString()} from ${applied.length} block model(s)`);
+    return mesh;
+}
+
+/**
+ * Get the UVs a face takes from its element's position when the model gives none, in
+ * pixels as [u1, v1, u2, v2] like the model's own
+ * @param {string} faceName - The face
+ * @param {Array} from - The element's lowest corner, in pixels
+ * @param {Array} to - The element's highest corner, in pixels
+ * @returns {Array} - The UVs
+ */
+function getDefaultUV(faceName, from, to) {
+    switch (faceName) {
+        case 'down': return [from[0], 16 - to[2], to[0], 16 - from[2]];
+        case 'up': return [from[0], from[2], to[0], to[2]];
+        case 'north': return [16 - to[0], 16 - to[1], 16 - from[0], 16 - from[1]];
+        case 'south': return [from[0], 16 - to[1], to[0], 16 - from[1]];
+        case 'west': return [from[2], 16 - to[1], to[2], 16 - from[1]];
+        default: return [16 - to[2], 16 - to[1], 16 - from[2], 16 - from[1]];
+    }
+}
@@ -0,0 +1,218 @@
+/**
+ * Block State
+ * The normalized block state used across the loader, main.js and the factories.
+ * A state is a block name plus string properties, printed and parsed like
+ * Minecraft's own notation: spruce_stairs[facing=east,half=top,shape=straight]
+ */
+
+import { stripNamespace, parseBlockStateString, COLORS, CONNECTION_KEYS } from './blockStateMapper.js';
+
+// Generic block names the server sends with a separate color field
+const COLORED_BASE_TYPES = new Set(['concrete', 'concrete_powder', 'wool']);
+
+export class BlockState {
+    /**
+     * @param {string} name - The block name, with or without namespace
+     * @param {Object} properties - The block state properties; values are stored as strings
+     */
+    constructor(name, properties = {}) {
+        this.name = stripNamespace(name);
+
+        const sorted = {};
+        Object.keys(properties).sort().forEach(key => {
+            const value = properties[key];
+            if (value !== undefined && value !== null) {
+                sorted[key] = String(value);
+            }
+        });
+        this.properties = Object.freeze(sorted);
+
+        const pairs = Object.entries(this.properties).map(([key, value]) => `${key}=${value}`);
+        this.key = pairs.length > 0 ? `${this.name}[${pairs.join(',')}]` : this.name;
+
+        Object.freeze(this);
+    }
+
+    /**
+     * Parse a state string such as 'minecraft:oak_slab[type=top]'
+     * @param {string} state - The state string
+     * @returns {BlockState} - The parsed state
+     */
+    static parse(state) {
+        const { name, properties } = parseBlockStateString(state);
+        return new BlockState(name, properties);
+    }
+
+    /**
+     * Build the state of a block object from the fields the loaders and server produce
+     * (stairData, trapdoorState, connections, isUpperSlab, hanging, color, properties)
+     * @param {Object} block - The block object
+     * @returns {BlockState} - The normalized state
+     */
+    static fromBlock(block) {
+        let name = block.type;
+        const properties = {};
+
+        // Raw properties (e.g. from region files and schematics) come first, the
+        // specific fields below win if both are present
+        if (block.properties && typeof block.properties === 'object') {
+            Object.assign(properties, block.properties);
+        }
+
+        if (isStairs(name)) {
+            const stairData = block.stairData || {};
+            properties.facing = stairData.facing || properties.facing || 'east';
+            properties.half = stairData.half || properties.half || 'bottom';
+            properties.shape = stairData.shape || properties.shape || 'straight';
+        }
+
+        // A raw slab type wins since isUpperSlab can't express double slabs
+        if (isSlab(name) && !properties.type) {
+            const isUpperSlab = block.isUpperSlab ?? block.extra_data?.isUpperSlab;
+            properties.type = isUpperSlab === true ? 'top' : 'bottom';
+        }
+
+        if (isTrapdoor(name)) {
+            const trapdoorState = block.trapdoorState || {};
+            properties.facing = trapdoorState.facing || properties.facing || 'north';
+            properties.half = trapdoorState.half || properties.half || 'bottom';
+            const open = trapdoorState.open ?? properties.open ?? false;
+            properties.open = open === true || open === 'true' ? 'true' : 'false';
+        }
+
+        if (block.connections) {
+            CONNECTION_KEYS.forEach(key => {
+                if (block.connections[key] !== undefined) {
+                    properties[key] = String(block.connections[key]);
+                }
+            });
+        }
+
+        if (block.hanging !== undefined) {
+            properties.hanging = block.hanging ? 'true' : 'false';
+        }
+
+        // Color is part of the name in Minecraft; fold it in for generic names
+        if (block.color && COLORED_BASE_TYPES.has(name)) {
+            name = `${block.color}_${name}`;
+        }
+
+        return new BlockState(name, properties);
+    }
+
+    /**
+     * Get a property value
+     * @param {string} key - The property name
+     * @param {string} fallback - Returned when the property is not set
+     * @returns {string} - The property value
+     */
+    get(key, fallback = undefined) {
+        return key in this.properties ? this.properties[key] : fallback;
+    }
+
+    /**
+     * Check if a boolean property is 'true'
+     * @param {string} key - The property name
+     * @returns {boolean} - True if the property is 'true'
+     */
+    is(key) {
+        return this.properties[key] === 'true';
+    }
+
+    /**
+     * Create a copy with some properties changed (null or undefined removes a property)
+     * @param {Object} changes - The properties to change
+     * @returns {BlockState} - The new state
+     */
+    with(changes) {
+        return new BlockState(this.name, { ...this.properties, ...changes });
+    }
+
+    /**
+     * Create a copy with a different block name
+     * @param {string} name - The new block name
+     * @returns {BlockState} - The new state
+     */
+    withName(name) {
+        return name === this.name ? this : new BlockState(name, this.properties);
+    }
+
+    /**
+     * Get the color encoded in the block name, e.g. 'gray' for gray_concrete
+     * @returns {string|null} - The color, or null for uncolored blocks
+     */
+    getColor() {
+        // Longest match first so light_gray isn't read as gray
+        const color = COLORS
+            .filter(c => this.name.startsWith(`${c}_`))
+            .sort((a, b) => b.length - a.length)[0];
+        return color || null;
+    }
+
+    /**
+     * Get the options object the block factories take for this state
+     * @returns {Object} - The factory options
+     */
+    toBlockOptions() {
+        const options = {};
+
+        if (isStairs(this.name)) {
+            options.facing = this.get('facing');
+            options.half = this.get('half');
+            options.shape = this.get('shape');
+        }
+
+        if (isSlab(this.name)) {
+            options.slabType = this.get('type', 'bottom');
+            options.waterlogged = this.is('waterlogged');
+        }
+
+        if (isTrapdoor(this.name)) {
+            options.trapdoorState = {
+                facing: this.get('facing'),
+                half: this.get('half'),
+                open: this.is('open')
+            };
+            options.material = this.name.endsWith('_trapdoor') ? this.name.slice(0, -'_trapdoor'.length) : null;
+        }
+
+        const connections = {};
+        CONNECTION_KEYS.forEach(key => {
+            if (key in this.properties) connections[key] = this.properties[key];
+        });
+        if (Object.keys(connections).length > 0) {
+            options.connections = connections;
+        }
+
+        if ('hanging' in this.properties) {
+            options.hanging = this.is('hanging');
+        }
+
+        const color = this.getColor();
+        if (color) {
+            options.color = color;
+        }
+
+        return options;
+    }
+
+    equals(other) {
+        return other instanceof BlockState && other.key === this.key;
+    }
+
+    toString() {
+        return this.key;
+    }
+}
+
+function isStairs(name) {
+    return name.includes('_stairs') || name === 'stairs';
+}
+
+function isSlab(name) {
+    return name.includes('_slab') || name === 'slab';
+}
+
+function isTrapdoor(name) {
+    return name.includes('_trapdoor') || name === 'trapdoor';
+}
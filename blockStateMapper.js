@@ -0,0 +1,189 @@
+/**
+ * Block State Mapper
+ * Converts namespaced Minecraft block states (name + properties, as stored in
+ * region files and schematics) into the block objects the rendering pipeline reads
+ */
+
+// Blocks that are never rendered
+const AIR_BLOCKS = new Set(['air', 'cave_air', 'void_air', 'structure_void']);
+
+// Double plants are stored as two halves; the pipeline only wants the lower half
+const DOUBLE_PLANT_TYPES = {
+    'tall_grass': 'double_plant_grass',
+    'large_fern': 'double_plant_fern',
+    'sunflower': 'double_plant_sunflower',
+    'lilac': 'double_plant_syringa',
+    'rose_bush': 'double_plant_rose',
+    'peony': 'double_plant_paeonia'
+};
+
+// Blocks renamed since the textures and factories were written
+const RENAMED_BLOCKS = {
+    'short_grass': 'grass'
+};
+
+export const COLORS = [
+    'white', 'orange', 'magenta', 'light_blue', 'yellow', 'lime', 'pink', 'gray',
+    'light_gray', 'cyan', 'purple', 'blue', 'brown', 'green', 'red', 'black'
+];
+
+export const CONNECTION_KEYS = ['north', 'east', 'south', 'west', 'up'];
+
+/**
+ * Strip the namespace from a block name
+ * @param {string} name - The block name, e.g. 'minecraft:spruce_stairs'
+ * @returns {string} - The bare block name, e.g. 'spruce_stairs'
+ */
+export function stripNamespace(name) {
+    const colon = name.indexOf(':');
+    return colon === -1 ? name : name.slice(colon + 1);
+}
+
+/**
+ * Check if a block name is one of the air variants
+ * @param {string} name - The block name, with or without namespace
+ * @returns {boolean} - True if the block is air
+ */
+export function isAirBlock(name) {
+    return AIR_BLOCKS.has(stripNamespace(name));
+}
+
+/**
+ * Parse a block state string such as 'minecraft:oak_stairs[facing=east,half=bottom]'
+ * @param {string} state - The block state string
+ * @returns {Object} - The block { name, properties }
+ */
+export function parseBlockStateString(state) {
+    const bracket = state.indexOf('[');
+    if (bracket === -1) {
+        return { name: state, properties: {} };
+    }
+
+    const properties = {};
+    state.slice(bracket + 1, state.lastIndexOf(']')).split(',').forEach(pair => {
+        const [key, value] = pair.split('=');
+        if (key && value !== undefined) {
+            properties[key.trim()] = value.trim();
+        }
+    });
+
+    return { name: state.slice(0, bracket), properties };
+}
+
+/**
+ * Map a block state onto the fields the rendering pipeline reads
+ * @param {string} name - The block name, with or without namespace
+ * @param {Object} properties - The block state properties (string values)
+ * @returns {Object|null} - The block fields without a position, or null if nothing should be rendered
+ */
+export function mapBlockState(name, properties = {}) {
+    let type = stripNamespace(name);
+
+    if (AIR_BLOCKS.has(type)) {
+        return null;
+    }
+
+    type = RENAMED_BLOCKS[type] || type;
+
+    // Double plants: keep the lower half, processBlocks adds the top
+    if (DOUBLE_PLANT_TYPES[type]) {
+        if (properties.half === 'upper') return null;
+        return { type: DOUBLE_PLANT_TYPES[type] };
+    }
+
+    const block = { type };
+
+    // Keep every property so nothing is lost; the fields below are what the pipeline reads
+    if (Object.keys(properties).length > 0) {
+        block.properties = { ...properties };
+    }
+
+    if (type.endsWith('_leaves')) {
+        block.is_leaf = true;
+    }
+
+    if (type.endsWith('_stairs')) {
+        // Shape is derived from the neighbours when the source leaves it out (see neighborResolver.js)
+        block.stairData = {
+            facing: properties.facing || 'north',
+            half: properties.half || 'bottom'
+        };
+        if (properties.shape) {
+            block.stairData.shape = properties.shape;
+        }
+    } else if (type.endsWith('_slab')) {
+        block.isUpperSlab = properties.type === 'top';
+    } else if (type.endsWith('_trapdoor')) {
+        block.trapdoorState = {
+            facing: properties.facing || 'north',
+            half: properties.half || 'bottom',
+            open: properties.open === 'true'
+        };
+        block.material = type.slice(0, -'_trapdoor'.length);
+    } else if (type.endsWith('_wall') || type.endsWith('_fence') || type.endsWith('_pane') || type === 'iron_bars') {
+        const connections = {};
+        CONNECTION_KEYS.forEach(key => {
+            if (properties[key] !== undefined) {
+                connections[key] = properties[key];
+            }
+        });
+        block.connections = connections;
+    } else if (type === 'lantern' || type === 'soul_lantern') {
+        block.hanging = properties.hanging === 'true';
+    } else if (type.endsWith('_concrete') || type.endsWith('_concrete_powder') || type.endsWith('_wool')) {
+        const color = COLORS.find(c => type.startsWith(`${c}_`));
+        if (color) {
+            block.color = color;
+        }
+    }
+
+    return block;
+}
+
+/**
+ * Copy a mapped block state so blocks don't share nested objects
+ * @param {Object} state - The fields from mapBlockState
+ * @returns {Object} - A copy safe to mutate
+ */
+export function cloneBlockState(state) {
+    const copy = { ...state };
+    if (state.properties) copy.properties = { ...state.properties };
+    if (state.stairData) copy.stairData = { ...state.stairData };
+    if (state.trapdoorState) copy.trapdoorState = { ...state.trapdoorState };
+    if (state.connections) copy.connections = { ...state.connections };
+    return copy;
+}
+
+/**
+ * Build the stats object the loaders report for a list of blocks
+ * @param {Array} blocks - The blocks (with chunk_x/chunk_z set)
+ * @param {Object} extra - Additional stats to merge in
+ * @returns {Object} - The block statistics
+ */
+export function buildBlockStats(blocks, extra = {}) {
+    const blockCounts = {};
+    const chunks = new Map();
+    let leafBlocks = 0;
+    const min = { x: Infinity, y: Infinity, z: Infinity };
+    const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+
+    for (const block of blocks) {
+        blockCounts[block.type] = (blockCounts[block.type] || 0) + 1;
+        if (block.is_leaf) leafBlocks++;
+        ['x', 'y', 'z'].forEach(axis => {
+            if (block[axis] < min[axis]) min[axis] = block[axis];
+            if (block[axis] > max[axis]) max[axis] = block[axis];
+        });
+        chunks.set(`${block.chunk_x},${block.chunk_z}`, [block.chunk_x, block.chunk_z]);
+    }
+
+    return {
+        total_blocks: blocks.length,
+        leaf_blocks: leafBlocks,
+        block_counts: blockCounts,
+        loaded_chunks: [...chunks.values()],
+        height_range: blocks.length > 0 ? { min: min.y, max: max.y } : undefined,
+        bounds: blocks.length > 0 ? { min, max } : undefined,
+        ...extra
+    };
+}
@@ -0,0 +1,236 @@
+/**
+ * Chunk Manager
+ * Streams chunks in around a position: requests and builds nearby chunks,
+ * and unloads (and disposes) chunks that fall outside the view distance.
+ * Chunks that fail to load are retried with a growing delay
+ */
+
+// Delay before a chunk that failed to load is requested again, doubled on every failure
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 30000;
+
+export class ChunkManager {
+    /**
+     * @param {Object} options - Manager options
+     * @param {WorldLoader|WorldWorkerClient} options.worldLoader - Source of chunk data (see loadChunk)
+     * @param {Function} options.buildChunk - async (chunkData, chunkX, chunkZ) => Object3D holding the chunk meshes,
+     * where chunkData is the non-empty array the loader's loadChunk resolved with
+     * @param {Function} options.disposeChunk - (object) => void, removes a chunk object and frees its GPU resources
+     * @param {Object3D} options.parent - The object chunk meshes are added to
+     * @param {number} options.viewDistance - Chunks to keep loaded in each direction (defaults to 4)
+     */
+    constructor(options) {
+        this.worldLoader = options.worldLoader;
+        this.buildChunk = options.buildChunk;
+        this.disposeChunk = options.disposeChunk;
+        this.parent = options.parent;
+        this.chunkSize = this.worldLoader.chunkSize;
+        this.viewDistance = options.viewDistance ?? 4;
+
+        this.loadedChunks = new Map(); // "x,z" -> Object3D
+        this.queue = []; // Chunks waiting to be loaded, as { key, chunkX, chunkZ }
+        this.failedChunks = new Map(); // "x,z" -> { attempts, timer } of chunks waiting to be retried
+        this.centerChunk = null;
+        this.isProcessing = false;
+        this.generation = 0; // Bumped by clear() so in-flight builds are discarded
+    }
+
+    /**
+     * Set how many chunks to keep loaded in each direction
+     * @param {number} distance - The view distance in chunks
+     */
+    setViewDistance(distance) {
+        this.viewDistance = Math.max(0, Math.floor(distance));
+        console.log(`Set chunk view distance to ${this.viewDistance}`);
+
+        // Force the wanted set to be recomputed on the next update
+        if (this.centerChunk) {
+            const { x, z } = this.centerChunk;
+            this.centerChunk = null;
+            this.updateChunk(x, z);
+        }
+    }
+
+    /**
+     * Update the loaded chunks for a position; cheap when the position stays in the same chunk
+     * @param {number} x - World X in blocks
+     * @param {number} z - World Z in blocks
+     */
+    update(x, z) {
+        this.updateChunk(Math.floor(x / this.chunkSize), Math.floor(z / this.chunkSize));
+    }
+
+    /**
+     * Update the loaded chunks around a chunk
+     * @param {number} chunkX - The center chunk X
+     * @param {number} chunkZ - The center chunk Z
+     */
+    updateChunk(chunkX, chunkZ) {
+        if (this.centerChunk && this.centerChunk.x === chunkX && this.centerChunk.z === chunkZ) {
+            return;
+        }
+
+        this.centerChunk = { x: chunkX, z: chunkZ };
+
+        // Unload chunks one step beyond the view distance so crossing a border doesn't thrash
+        for (const key of [...this.loadedChunks.keys()]) {
+            const [cx, cz] = key.split(',').map(Number);
+            if (this.getDistance(cx, cz) > this.viewDistance + 1) {
+                this.unloadChunk(key);
+            }
+        }
+
+        // Queue missing chunks, nearest first
+        this.queue = [];
+        for (let dx = -this.viewDistance; dx <= this.viewDistance; dx++) {
+            for (let dz = -this.viewDistance; dz <= this.viewDistance; dz++) {
+                const key = `${chunkX + dx},${chunkZ + dz}`;
+                if (!this.loadedChunks.has(key) && !this.failedChunks.get(key)?.timer) {
+                    this.queue.push({ key, chunkX: chunkX + dx, chunkZ: chunkZ + dz });
+                }
+            }
+        }
+        this.queue.sort((a, b) =>
+            this.getDistance(a.chunkX, a.chunkZ) - this.getDistance(b.chunkX, b.chunkZ)
+        );
+
+        this.processQueue();
+    }
+
+    /**
+     * Chebyshev distance from the current center chunk
+     * @param {number} chunkX - The chunk X
+     * @param {number} chunkZ - The chunk Z
+     * @returns {number} - The distance in chunks
+     */
+    getDistance(chunkX, chunkZ) {
+        if (!this.centerChunk) return 0;
+        return Math.max(Math.abs(chunkX - this.centerChunk.x), Math.abs(chunkZ - this.centerChunk.z));
+    }
+
+    /**
+     * Load and build queued chunks one at a time
+     */
+    async processQueue() {
+        if (this.isProcessing) return;
+        this.isProcessing = true;
+
+        while (this.queue.length > 0) {
+            const { key, chunkX, chunkZ } = this.queue.shift();
+            if (this.loadedChunks.has(key) || this.failedChunks.get(key)?.timer) continue;
+
+            const generation = this.generation;
+            let object = null;
+            let failed = false;
+
+            try {
+                const chunkData = await this.worldLoader.loadChunk(chunkX, chunkZ);
+                if (chunkData.length > 0) {
+                    object = await this.buildChunk(chunkData, chunkX, chunkZ);
+                }
+            } catch (error) {
+                console.error(`Error building chunk (${chunkX}, ${chunkZ}):`, error);
+                failed = true;
+            }
+
+            // Drop the result if the world was cleared or we moved away while building
+            if (generation !== this.generation || this.getDistance(chunkX, chunkZ) > this.viewDistance + 1) {
+                if (object) this.disposeChunk(object);
+                continue;
+            }
+
+            if (failed) {
+                this.scheduleRetry(key, chunkX, chunkZ);
+                continue;
+            }
+
+            if (object) {
+                object.name = `chunk_${chunkX}_${chunkZ}`;
+                this.parent.add(object);
+            }
+
+            // Empty chunks are tracked too so they aren't requested again
+            this.failedChunks.delete(key);
+            this.loadedChunks.set(key, object);
+        }
+
+        this.isProcessing = false;
+    }
+
+    /**
+     * Queue a chunk that failed to load again after a delay that doubles with every failure
+     * @param {string} key - The chunk key "x,z"
+     * @param {number} chunkX - The chunk X
+     * @param {number} chunkZ - The chunk Z
+     */
+    scheduleRetry(key, chunkX, chunkZ) {
+        const attempts = (this.failedChunks.get(key)?.attempts ?? 0) + 1;
+        const delay = Math.min(RETRY_BASE_DELAY * 2 ** (attempts - 1), RETRY_MAX_DELAY);
+        console.log(`Retrying chunk (${chunkX}, ${chunkZ}) in ${delay / 1000}s`);
+
+        const timer = setTimeout(() => {
+            this.failedChunks.set(key, { attempts, timer: null });
+            if (this.loadedChunks.has(key) || this.getDistance(chunkX, chunkZ) > this.viewDistance) return;
+
+            this.queue.push({ key, chunkX, chunkZ });
+            this.processQueue();
+        }, delay);
+        this.failedChunks.set(key, { attempts, timer });
+    }
+
+    /**
+     * Unload a chunk and free its resources
+     * @param {string} key - The chunk key "x,z"
+     */
+    unloadChunk(key) {
+        const object = this.loadedChunks.get(key);
+        this.loadedChunks.delete(key);
+
+        if (object) {
+            this.disposeChunk(object);
+        }
+    }
+
+    /**
+     * Unload every chunk, e.g. before switching to a different world
+     */
+    clear() {
+        this.generation++;
+        this.queue = [];
+        for (const { timer } of this.failedChunks.values()) {
+            clearTimeout(timer);
+        }
+        this.failedChunks.clear();
+        for (const key of [...this.loadedChunks.keys()]) {
+            this.unloadChunk(key);
+        }
+        this.centerChunk = null;
+    }
+
+    /**
+     * Get the object of a loaded chunk, e.g. to add blocks to it
+     * @param {number} chunkX - The chunk X
+     * @param {number} chunkZ - The chunk Z
+     * @param {Function} create - () => Object3D, makes the object of a loaded chunk that has none
+     * (an empty chunk)
+     * @returns {Object3D|null} - The chunk object, or null if the chunk isn't loaded
+     */
+    getChunkObject(chunkX, chunkZ, create) {
+        const key = `${chunkX},${chunkZ}`;
+        if (!this.loadedChunks.has(key)) return null;
+
+        let object = this.loadedChunks.get(key);
+        if (!object && create) {
+            object = create();
+            object.name = `chunk_${chunkX}_${chunkZ}`;
+            this.parent.add(object);
+            this.loadedChunks.set(key, object);
+        }
+
+        return object;
+    }
+
+    getLoadedChunkCount() {
+        return this.loadedChunks.size;
+    }
+}
@@ -0,0 +1,384 @@
+/**
+ * Chunk Mesher
+ * Builds a single mesh for the opaque full-cube blocks of a chunk, emitting only the faces
+ * that aren't hidden by a neighboring cube. Faces use the materials of the block's template
+ * (uniform, top/bottom/sides or directional, see createBlock in blockFactory.js), and with
+ * greedy meshing, touching coplanar faces that look the same are merged into larger quads.
+ * Face corners can be darkened by the cubes around them (smooth ambient occlusion)
+ */
+
+import * as THREE from 'three';
+import { isTintedMaterial, applyVertexBlockLight, applyAtlasTiling } from './materialFactory.js';
+import { animateMaterial } from './textureAnimation.js';
+
+// Faces in BoxGeometry's material order (+x, -x, +y, -y, +z, -z). axis is the face normal's
+// axis, u and v the axes of the face's plane
+const FACES = [
+    { axis: 0, sign: 1, u: 2, v: 1 },
+    { axis: 0, sign: -1, u: 2, v: 1 },
+    { axis: 1, sign: 1, u: 0, v: 2 },
+    { axis: 1, sign: -1, u: 0, v: 2 },
+    { axis: 2, sign: 1, u: 0, v: 1 },
+    { axis: 2, sign: -1, u: 0, v: 1 }
+];
+
+const AXIS_INDEX = { x: 0, y: 1, z: 2 };
+
+// Face corners in the face's u, v order
+const CORNERS = [[0, 0], [1, 0], [1, 1], [0, 1]];
+
+// Brightness of a face corner by how open it is, from 0 (boxed in by three cubes) to 3
+const AO_BRIGHTNESS = [0.45, 0.6, 0.8, 1.0];
+
+// Chunk mesh copies of template materials, see getMeshMaterial
+const meshMaterials = new WeakMap();
+
+/**
+ * Check if a block template can be drawn by the chunk mesher: a plain cube whose faces
+ * are all opaque, so it hides the faces of the cubes next to it
+ * @param {THREE.Object3D} template - The block template from the texture loader
+ * @returns {boolean} - True for opaque cubes
+ */
+export function isMeshableTemplate(template) {
+    if (!template?.isMesh || !template.geometry?.userData.fullCube) return false;
+
+    const materials = Array.isArray(template.material) ? template.material : [template.material];
+    return materials.every(material =>
+        material && !material.transparent && !material.wireframe && !(material.alphaTest > 0));
+}
+
+/**
+ * Get the copy of a template material that chunk meshes use: light and tint come from
+ * vertex attributes, and the texture repeats so merged quads tile it once per block
+ * (atlas materials repeat their face's rectangle of the atlas instead, see textureAtlas.js)
+ * @param {THREE.Material} material - The template's material
+ * @returns {THREE.Material} - The chunk mesh material
+ */
+function getMeshMaterial(material) {
+    if (!meshMaterials.has(material)) {
+        const copy = material.clone();
+        copy.vertexColors = true;
+
+        // The vertex color carries the tint (the material's color is the default one)
+        copy.userData.tinted = isTintedMaterial(material);
+        copy.userData.defaultTint = material.color ? material.color.getHex() : 0xffffff;
+        if (copy.userData.tinted) copy.color.set(0xffffff);
+
+        if (material.userData.atlas) {
+            applyAtlasTiling(copy);
+        } else if (copy.map) {
+            copy.map = material.map.clone();
+            copy.map.wrapS = THREE.RepeatWrapping;
+            copy.map.wrapT = THREE.RepeatWrapping;
+        }
+
+        applyVertexBlockLight(copy);
+        animateMaterial(copy);
+        meshMaterials.set(material, copy);
+    }
+
+    return meshMaterials.get(material);
+}
+
+/**
+ * Get the material a template uses for one of its material slots, and the slot's atlas
+ * region if the template was moved onto the texture atlas (its regrouped geometry keeps
+ * the slots as atlasFaces, see textureAtlas.js)
+ * @param {THREE.Mesh} template - The block template
+ * @param {number} materialIndex - The slot, in BoxGeometry's face order
+ * @returns {Object} - { material, region }, region being null off the atlas
+ */
+function getTemplateFace(template, materialIndex) {
+    const atlasFaces = template.geometry.userData.atlasFaces;
+    if (atlasFaces) {
+        return atlasFaces[atlasFaces.length === 1 ? 0 : materialIndex];
+    }
+
+    const material = Array.isArray(template.material) ? template.material[materialIndex] : template.material;
+    return { material, region: null };
+}
+
+/**
+ * Work out how a face of a block is textured. Blocks with an axis (logs, pillars, hay)
+ * turn their top and bottom textures to the ends of that axis and run the side
+ * texture along it
+ * @param {Object} block - The block
+ * @param {number} faceIndex - The face, in FACES order
+ * @returns {Object} - { materialIndex, u, v }, the template material and the axes the
+ * texture's u and v follow
+ */
+function getFaceLayout(block, faceIndex) {
+    const face = FACES[faceIndex];
+    const axis = AXIS_INDEX[block.state.get('axis', 'y')] ?? 1;
+    if (axis === 1) {
+        return { materialIndex: faceIndex, u: face.u, v: face.v };
+    }
+
+    if (face.axis === axis) {
+        // An end: the top texture on the positive side, the bottom one on the negative
+        return { materialIndex: face.sign > 0 ? 2 : 3, u: face.axis === 0 ? 2 : 0, v: 1 };
+    }
+
+    // A side: the texture runs along the axis
+    const u = face.u === axis ? face.v : face.u;
+    return { materialIndex: 0, u, v: axis };
+}
+
+/**
+ * Sign of the cross product of two unit axes along the third
+ * @returns {number} - 1 if (a, b, third) is right-handed, -1 otherwise
+ */
+function crossSign(a, b) {
+    return (b - a + 3) % 3 === 1 ? 1 : -1;
+}
+
+/**
+ * Work out how open each corner of a face is, the way Minecraft's smooth lighting does:
+ * a corner is darkened by the cubes beside it and diagonally across from it in the layer
+ * in front of the face, and is fully shut in when both sides are taken
+ * @param {Array} position - The block position
+ * @param {Object} face - The face, from FACES
+ * @param {Function} isOccupied - (position) => whether a cube is there
+ * @returns {Array} - The levels of the four corners, 0 to 3 (see AO_BRIGHTNESS)
+ */
+function getCornerOcclusion(position, face, isOccupied) {
+    const front = [...position];
+    front[face.axis] += face.sign;
+
+    return CORNERS.map(([cu, cv]) => {
+        const side1 = [...front];
+        side1[face.u] += cu ? 1 : -1;
+        const side2 = [...front];
+        side2[face.v] += cv ? 1 : -1;
+        const corner = [...side1];
+        corner[face.v] += cv ? 1 : -1;
+
+        const s1 = isOccupied(side1) ? 1 : 0;
+        const s2 = isOccupied(side2) ? 1 : 0;
+        if (s1 && s2) return 0;
+        return 3 - (s1 + s2 + (isOccupied(corner) ? 1 : 0));
+    });
+}
+
+function getTriangleCount(geometry) {
+    return (geometry.index ? geometry.index.count : geometry.attributes.position.count) / 3;
+}
+
+/**
+ * Merge the faces of one plane into rectangles: each is grown along u as far as the faces
+ * match, then along v as long as the whole row matches
+ * @param {Array} faces - The plane's faces as { u, v, key }
+ * @param {boolean} greedy - Merge faces, or emit each one on its own
+ * @returns {Array} - Rectangles as { u, v, width, height, key }
+ */
+function mergeFaces(faces, greedy) {
+    if (!greedy) {
+        return faces.map(face => ({ u: face.u, v: face.v, width: 1, height: 1, key: face.key }));
+    }
+
+    let minU = Infinity, minV = Infinity, maxU = -Infinity, maxV = -Infinity;
+    for (const face of faces) {
+        minU = Math.min(minU, face.u); maxU = Math.max(maxU, face.u);
+        minV = Math.min(minV, face.v); maxV = Math.max(maxV, face.v);
+    }
+
+    const width = maxU - minU + 1;
+    const height = maxV - minV + 1;
+    const mask = new Int32Array(width * height).fill(-1);
+    for (const face of faces) {
+        mask[(face.v - minV) * width + (face.u - minU)] = face.key;
+    }
+
+    const rectangles = [];
+    for (let v = 0; v < height; v++) {
+        for (let u = 0; u < width; u++) {
+            const key = mask[v * width + u];
+            if (key === -1) continue;
+
+            let w = 1;
+            while (u + w < width && mask[v * width + u + w] === key) w++;
+
+            let h = 1;
+            grow: while (v + h < height) {
+                for (let i = 0; i < w; i++) {
+                    if (mask[(v + h) * width + u + i] !== key) break grow;
+                }
+                h++;
+            }
+
+            for (let dv = 0; dv < h; dv++) {
+                mask.fill(-1, (v + dv) * width + u, (v + dv) * width + u + w);
+            }
+            rectangles.push({ u: u + minU, v: v + minV, width: w, height: h, key });
+        }
+    }
+
+    return rectangles;
+}
+
+/**
+ * Build the mesh of a chunk's opaque cubes
+ * @param {Array} blocks - Cubes as { x, y, z, state, template, tint, light }, with centered
+ * positions, the block template (see isMeshableTemplate), the biome tint (or undefined)
+ * and the packed light (see lightEngine.js)
+ * @param {Object} options - Mesher options
+ * @param {boolean} options.greedy - Merge matching coplanar faces into larger quads (defaults to true)
+ * @param {boolean} options.ambientOcclusion - Darken face corners next to other cubes (defaults to true)
+ * @returns {THREE.Mesh|null} - The mesh, or null if no face is visible
+ */
+export function buildChunkMesh(blocks, options = {}) {
+    const greedy = options.greedy ?? true;
+    const ambientOcclusion = options.ambientOcclusion ?? true;
+
+    const occupied = new Set(blocks.map(block => `${block.x},${block.y},${block.z}`));
+    const isOccupied = position => occupied.has(position.join(','));
+    const openCorners = [3, 3, 3, 3];
+
+    // Faces that look alike share a key, and merged faces must share it
+    const faceKeys = new Map(); // "material|region|u|v|color|light|occlusion" -> key
+    const faceLooks = []; // key -> { material, region, u, v, color, light, occlusion }
+    const planes = new Map(); // "face|coordinate" -> faces of that plane
+
+    for (const block of blocks) {
+        const position = [block.x, block.y, block.z];
+
+        FACES.forEach((face, faceIndex) => {
+            const neighbor = [...position];
+            neighbor[face.axis] += face.sign;
+            if (isOccupied(neighbor)) return;
+
+            const layout = getFaceLayout(block, faceIndex);
+            const templateFace = getTemplateFace(block.template, layout.materialIndex);
+            const material = getMeshMaterial(templateFace.material);
+            const region = templateFace.region;
+            const color = material.userData.tinted ? (block.tint ?? material.userData.defaultTint) : 0xffffff;
+            // Faces only merge when their corners are equally shaded, so a merged quad
+            // shades the same as the faces it replaces
+            const occlusion = ambientOcclusion ? getCornerOcclusion(position, face, isOccupied) : openCorners;
+            const look = `${material.uuid}|${region?.id}|${layout.u}|${layout.v}|${color}|${block.light}|${occlusion.join('')}`;
+
+            if (!faceKeys.has(look)) {
+                faceKeys.set(look, faceLooks.length);
+                faceLooks.push({ material, region, u: layout.u, v: layout.v, color, light: block.light, occlusion });
+            }
+
+            const planeKey = `${faceIndex}|${position[face.axis]}`;
+            if (!planes.has(planeKey)) {
+                planes.set(planeKey, []);
+            }
+            planes.get(planeKey).push({ u: position[face.u], v: position[face.v], key: faceKeys.get(look) });
+        });
+    }
+
+    // Quads by material, so each material is one draw group
+    const quadsByMaterial = new Map();
+    for (const [planeKey, faces] of planes) {
+        const [faceIndex, coordinate] = planeKey.split('|').map(Number);
+        for (const rectangle of mergeFaces(faces, greedy)) {
+            const look = faceLooks[rectangle.key];
+            if (!quadsByMaterial.has(look.material)) {
+                quadsByMaterial.set(look.material, []);
+            }
+            quadsByMaterial.get(look.material).push({ faceIndex, coordinate, rectangle, look });
+        }
+    }
+
+    if (quadsByMaterial.size === 0) return null;
+
+    const positions = [];
+    const normals = [];
+    const uvs = [];
+    const colors = [];
+    const lights = [];
+    const atlasRects = [];
+    const indices = [];
+    const geometry = new THREE.BufferGeometry();
+    const materials = [];
+    const color = new THREE.Color();
+    let quadCount = 0;
+
+    for (const [material, quads] of quadsByMaterial) {
+        const start = indices.length;
+
+        for (const { faceIndex, coordinate, rectangle, look } of quads) {
+            const face = FACES[faceIndex];
+            const normal = [0, 0, 0];
+            normal[face.axis] = face.sign;
+
+            // Corners in the face's u, v order; blocks are centered on their position
+            const min = [0, 0, 0];
+            min[face.axis] = coordinate + face.sign * 0.5;
+            min[face.u] = rectangle.u - 0.5;
+            min[face.v] = rectangle.v - 0.5;
+            const size = [0, 0, 0];
+            size[face.u] = rectangle.width;
+            size[face.v] = rectangle.height;
+
+            const corners = CORNERS.map(([cu, cv]) => {
+                const corner = [...min];
+                corner[face.u] += cu * size[face.u];
+                corner[face.v] += cv * size[face.v];
+                return corner;
+            });
+
+            // Texture coordinates count blocks along the look's axes, mirrored where needed
+            // so the texture reads the right way round from outside
+            const mirrored = crossSign(look.u, look.v) * face.sign < 0;
+            color.setHex(look.color);
+            const base = positions.length / 3;
+            corners.forEach((corner, i) => {
+                const tu = corner[look.u] - min[look.u];
+                const brightness = AO_BRIGHTNESS[look.occlusion[i]];
+                positions.push(corner[0], corner[1], corner[2]);
+                normals.push(normal[0], normal[1], normal[2]);
+                uvs.push(mirrored ? size[look.u] - tu : tu, corner[look.v] - min[look.v]);
+                colors.push(color.r * brightness, color.g * brightness, color.b * brightness);
+                lights.push(look.light);
+                if (look.region) {
+                    atlasRects.push(look.region.u, look.region.v, look.region.width, look.region.height);
+                } else {
+                    atlasRects.push(0, 0, 1, 1);
+                }
+            });
+
+            // Split the quad along the diagonal whose corners are closest in shade, or the
+            // occlusion is interpolated unevenly across the two triangles
+            const [a0, a1, a2, a3] = look.occlusion;
+            const [q0, q1, q2, q3] = a0 + a2 < a1 + a3
+                ? [base + 1, base + 2, base + 3, base]
+                : [base, base + 1, base + 2, base + 3];
+
+            // Counter-clockwise as seen from outside
+            if (crossSign(face.u, face.v) * face.sign > 0) {
+                indices.push(q0, q1, q2, q0, q2, q3);
+            } else {
+                indices.push(q0, q2, q1, q0, q3, q2);
+            }
+            quadCount++;
+        }
+
+        geometry.addGroup(start, indices.length - start, materials.length);
+        materials.push(material);
+    }
+
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    geometry.setAttribute('blockLight', new THREE.Float32BufferAttribute(lights, 1));
+    geometry.setAttribute('atlasRect', new THREE.Float32BufferAttribute(atlasRects, 4));
+    geometry.setIndex(indices);
+    geometry.computeBoundingSphere();
+
+    const mesh = new THREE.Mesh(geometry, materials);
+    mesh.name = 'chunk_mesh';
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    // The materials are shared by every chunk mesh, only the geometry belongs to this one
+    mesh.userData.sharedTemplate = true;
+
+    const cubeTriangles = blocks.reduce((sum, block) => sum + getTriangleCount(block.template.geometry), 0);
+    console.log(`🧊 Meshed ${blocks.length} cubes into ${quadCount} quads (${quadCount * 2} triangles instead of ${cubeTriangles})`);
+
+    return mesh;
+}
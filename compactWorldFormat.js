@@ -0,0 +1,541 @@
+/**
+ * Compact World Format
+ * Palette-based binary encoding of world data, decoded back into the same
+ * block objects that world_data.json provides
+ *
+ * Layout (all numbers little-endian):
+ *
+ *   Header
+ *     magic       4 bytes   'MCWC'
+ *     version     u8        FORMAT_VERSION
+ *     reserved    3 bytes
+ *     statsLength u32       byte length of the UTF-8 JSON stats (0 = none)
+ *     stats       bytes
+ *     chunkCount  u32
+ *
+ *   Chunk (repeated chunkCount times)
+ *     chunkX      i32
+ *     chunkZ      i32
+ *     minY        i32       lowest stored layer
+ *     height      u16       number of stored layers
+ *     paletteSize u16
+ *     palette     paletteSize x (u16 length + UTF-8 JSON block state)
+ *     bodyLength  u32
+ *     body        entries covering 16 x height x 16 cells, ordered y, z, x
+ *
+ * Palette entry 0 is always air. A block state is the block object without
+ * its position (x, y, z, chunk_x, chunk_z), so type, is_leaf, stairData,
+ * trapdoorState, connections, etc. round-trip unchanged.
+ *
+ * Each body entry starts with a varint header h:
+ *   h & 1 === 1  run: palette index (h >>> 1) repeated for the varint count that follows
+ *                (only emitted for air and stone)
+ *   h & 1 === 0  literal: (h >>> 1) palette indices follow, bit-packed LSB-first
+ *                at ceil(log2(paletteSize)) bits each, padded to a whole byte
+ */
+
+const MAGIC = 'MCWC';
+const FORMAT_VERSION = 1;
+const CHUNK_SIZE = 16;
+const HEADER_SIZE = 12;
+
+// Keys that describe where a block is rather than what it is
+const POSITION_KEYS = ['x', 'y', 'z', 'chunk_x', 'chunk_z'];
+
+// Block types that get run-length encoded
+const RUN_TYPES = ['air', 'stone'];
+
+// Shortest run worth encoding as a run instead of literals
+const MIN_RUN_LENGTH = 4;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Check whether a buffer holds a compact world
+ * @param {ArrayBuffer|Uint8Array} buffer - The raw data
+ * @returns {boolean} - Whether the buffer starts with the compact world magic
+ */
+export function isCompactWorld(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    if (bytes.length < HEADER_SIZE) {
+        return false;
+    }
+
+    for (let i = 0; i < MAGIC.length; i++) {
+        if (bytes[i] !== MAGIC.charCodeAt(i)) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Decode a compact world into the same shape as world_data.json
+ * @param {ArrayBuffer|Uint8Array} buffer - The encoded world
+ * @returns {{blocks: Array<Object>, stats: Object|undefined}} - The decoded world data
+ */
+export function decodeCompactWorld(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+
+    if (!isCompactWorld(bytes)) {
+        throw new Error('Not a compact world file (missing MCWC header)');
+    }
+
+    const reader = new ByteReader(bytes);
+    reader.skip(MAGIC.length);
+
+    const version = reader.u8();
+    if (version !== FORMAT_VERSION) {
+        throw new Error(`Unsupported compact world version ${version}`);
+    }
+    reader.skip(3);
+
+    const statsLength = reader.u32();
+    const stats = statsLength > 0 ? JSON.parse(reader.string(statsLength)) : undefined;
+
+    const chunkCount = reader.u32();
+    const blocks = [];
+
+    for (let c = 0; c < chunkCount; c++) {
+        decodeChunk(reader, blocks);
+    }
+
+    return stats ? { blocks, stats } : { blocks };
+}
+
+/**
+ * Decode a single chunk and append its blocks
+ * @param {ByteReader} reader - Reader positioned at the start of the chunk
+ * @param {Array<Object>} blocks - Array to append decoded blocks to
+ */
+function decodeChunk(reader, blocks) {
+    const chunkX = reader.i32();
+    const chunkZ = reader.i32();
+    const minY = reader.i32();
+    const height = reader.u16();
+    const paletteSize = reader.u16();
+
+    const palette = [];
+    for (let i = 0; i < paletteSize; i++) {
+        palette.push(JSON.parse(reader.string(reader.u16())));
+    }
+
+    const bodyLength = reader.u32();
+    const bodyEnd = reader.offset + bodyLength;
+    const bitsPerIndex = getBitsPerIndex(paletteSize);
+    const cellCount = CHUNK_SIZE * CHUNK_SIZE * height;
+
+    let cell = 0;
+
+    const emit = (paletteIndex) => {
+        const state = palette[paletteIndex];
+        if (state === undefined) {
+            throw new Error(`Palette index ${paletteIndex} out of range in chunk (${chunkX}, ${chunkZ})`);
+        }
+
+        if (state.type !== 'air') {
+            const lx = cell % CHUNK_SIZE;
+            const lz = Math.floor(cell / CHUNK_SIZE) % CHUNK_SIZE;
+            const ly = Math.floor(cell / (CHUNK_SIZE * CHUNK_SIZE));
+
+            blocks.push({
+                chunk_x: chunkX,
+                chunk_z: chunkZ,
+                ...state,
+                x: chunkX * CHUNK_SIZE + lx,
+                y: minY + ly,
+                z: chunkZ * CHUNK_SIZE + lz
+            });
+        }
+
+        cell++;
+    };
+
+    while (reader.offset < bodyEnd) {
+        const header = reader.varint();
+        const value = Math.floor(header / 2);
+
+        if (header % 2 === 1) {
+            // Run of a single palette entry
+            const length = reader.varint();
+            for (let i = 0; i < length; i++) {
+                emit(value);
+            }
+        } else {
+            // Literal group of bit-packed indices
+            const packed = reader.bytes(Math.ceil(value * bitsPerIndex / 8));
+            for (let i = 0; i < value; i++) {
+                emit(readPackedIndex(packed, i, bitsPerIndex));
+            }
+        }
+    }
+
+    if (cell !== cellCount) {
+        throw new Error(`Chunk (${chunkX}, ${chunkZ}) decoded ${cell} cells, expected ${cellCount}`);
+    }
+}
+
+/**
+ * Encode world data (the world_data.json shape) into the compact format
+ * @param {{blocks: Array<Object>, stats: Object}} data - The world data
+ * @returns {Uint8Array} - The encoded world
+ */
+export function encodeCompactWorld(data) {
+    const chunks = new Map();
+
+    // Group blocks by chunk, deriving the chunk from the position if it's missing
+    for (const block of data.blocks || []) {
+        const chunkX = block.chunk_x ?? Math.floor(block.x / CHUNK_SIZE);
+        const chunkZ = block.chunk_z ?? Math.floor(block.z / CHUNK_SIZE);
+        const key = `${chunkX},${chunkZ}`;
+
+        if (!chunks.has(key)) {
+            chunks.set(key, { chunkX, chunkZ, blocks: [] });
+        }
+        chunks.get(key).blocks.push(block);
+    }
+
+    const writer = new ByteWriter();
+
+    for (let i = 0; i < MAGIC.length; i++) {
+        writer.u8(MAGIC.charCodeAt(i));
+    }
+    writer.u8(FORMAT_VERSION);
+    writer.u8(0);
+    writer.u16(0);
+
+    const statsBytes = data.stats ? textEncoder.encode(JSON.stringify(data.stats)) : new Uint8Array(0);
+    writer.u32(statsBytes.length);
+    writer.bytes(statsBytes);
+
+    writer.u32(chunks.size);
+    for (const chunk of chunks.values()) {
+        encodeChunk(writer, chunk);
+    }
+
+    return writer.toUint8Array();
+}
+
+/**
+ * Encode a single chunk
+ * @param {ByteWriter} writer - Writer to append to
+ * @param {{chunkX: number, chunkZ: number, blocks: Array<Object>}} chunk - The chunk to encode
+ */
+function encodeChunk(writer, chunk) {
+    const { chunkX, chunkZ, blocks } = chunk;
+
+    let minY = Infinity;
+    let maxY = -Infinity;
+    for (const block of blocks) {
+        minY = Math.min(minY, block.y);
+        maxY = Math.max(maxY, block.y);
+    }
+    const height = maxY - minY + 1;
+
+    if (height > 0xFFFF) {
+        throw new Error(`Chunk (${chunkX}, ${chunkZ}) is too tall to encode (${height} layers)`);
+    }
+
+    // Build the palette, keyed by the serialized block state
+    const paletteKeys = [JSON.stringify({ type: 'air' })];
+    const paletteIndex = new Map([[paletteKeys[0], 0]]);
+    const cells = new Uint32Array(CHUNK_SIZE * CHUNK_SIZE * height);
+
+    for (const block of blocks) {
+        const key = JSON.stringify(getBlockState(block));
+
+        if (!paletteIndex.has(key)) {
+            paletteIndex.set(key, paletteKeys.length);
+            paletteKeys.push(key);
+        }
+
+        const lx = block.x - chunkX * CHUNK_SIZE;
+        const lz = block.z - chunkZ * CHUNK_SIZE;
+        if (lx < 0 || lx >= CHUNK_SIZE || lz < 0 || lz >= CHUNK_SIZE) {
+            throw new Error(`Block at (${block.x}, ${block.y}, ${block.z}) lies outside chunk (${chunkX}, ${chunkZ})`);
+        }
+
+        // Later blocks at the same position replace earlier ones
+        cells[((block.y - minY) * CHUNK_SIZE + lz) * CHUNK_SIZE + lx] = paletteIndex.get(key);
+    }
+
+    if (paletteKeys.length > 0xFFFF) {
+        throw new Error(`Chunk (${chunkX}, ${chunkZ}) has too many block states (${paletteKeys.length})`);
+    }
+
+    const runIndices = new Set();
+    paletteKeys.forEach((key, index) => {
+        if (RUN_TYPES.includes(JSON.parse(key).type)) {
+            runIndices.add(index);
+        }
+    });
+
+    writer.i32(chunkX);
+    writer.i32(chunkZ);
+    writer.i32(minY);
+    writer.u16(height);
+    writer.u16(paletteKeys.length);
+    for (const key of paletteKeys) {
+        const bytes = textEncoder.encode(key);
+        writer.u16(bytes.length);
+        writer.bytes(bytes);
+    }
+
+    const body = encodeBody(cells, runIndices, getBitsPerIndex(paletteKeys.length));
+    writer.u32(body.length);
+    writer.bytes(body);
+}
+
+/**
+ * Encode the palette indices of a chunk into runs and literal groups
+ * @param {Uint32Array} cells - Palette index of every cell
+ * @param {Set<number>} runIndices - Palette indices that may be run-length encoded
+ * @param {number} bitsPerIndex - Bits used for each packed index
+ * @returns {Uint8Array} - The encoded body
+ */
+function encodeBody(cells, runIndices, bitsPerIndex) {
+    const writer = new ByteWriter();
+    let literals = [];
+
+    const flushLiterals = () => {
+        if (literals.length === 0) return;
+        writer.varint(literals.length * 2);
+        writer.bytes(packIndices(literals, bitsPerIndex));
+        literals = [];
+    };
+
+    let i = 0;
+    while (i < cells.length) {
+        const value = cells[i];
+
+        if (runIndices.has(value)) {
+            let end = i + 1;
+            while (end < cells.length && cells[end] === value) {
+                end++;
+            }
+
+            if (end - i >= MIN_RUN_LENGTH) {
+                flushLiterals();
+                writer.varint(value * 2 + 1);
+                writer.varint(end - i);
+                i = end;
+                continue;
+            }
+        }
+
+        literals.push(value);
+        i++;
+    }
+
+    flushLiterals();
+    return writer.toUint8Array();
+}
+
+/**
+ * Get the block state of a block (everything except its position)
+ * @param {Object} block - The block
+ * @returns {Object} - The block state
+ */
+function getBlockState(block) {
+    const state = {};
+    for (const [key, value] of Object.entries(block)) {
+        if (!POSITION_KEYS.includes(key)) {
+            state[key] = value;
+        }
+    }
+    return state;
+}
+
+/**
+ * Get the number of bits needed to store an index into a palette
+ * @param {number} paletteSize - Number of palette entries
+ * @returns {number} - Bits per index (at least 1)
+ */
+function getBitsPerIndex(paletteSize) {
+    return Math.max(1, Math.ceil(Math.log2(paletteSize)));
+}
+
+/**
+ * Pack indices LSB-first into a byte array
+ * @param {Array<number>} indices - The indices to pack
+ * @param {number} bitsPerIndex - Bits used for each index
+ * @returns {Uint8Array} - The packed bytes
+ */
+function packIndices(indices, bitsPerIndex) {
+    const packed = new Uint8Array(Math.ceil(indices.length * bitsPerIndex / 8));
+
+    indices.forEach((value, i) => {
+        const bitOffset = i * bitsPerIndex;
+        for (let bit = 0; bit < bitsPerIndex; bit++) {
+            if ((value >>> bit) & 1) {
+                const position = bitOffset + bit;
+                packed[position >>> 3] |= 1 << (position & 7);
+            }
+        }
+    });
+
+    return packed;
+}
+
+/**
+ * Read a single index from LSB-first packed bytes
+ * @param {Uint8Array} packed - The packed bytes
+ * @param {number} i - Index position
+ * @param {number} bitsPerIndex - Bits used for each index
+ * @returns {number} - The unpacked index
+ */
+function readPackedIndex(packed, i, bitsPerIndex) {
+    const bitOffset = i * bitsPerIndex;
+    let value = 0;
+
+    for (let bit = 0; bit < bitsPerIndex; bit++) {
+        const position = bitOffset + bit;
+        if ((packed[position >>> 3] >>> (position & 7)) & 1) {
+            value |= 1 << bit;
+        }
+    }
+
+    return value;
+}
+
+/**
+ * Sequential little-endian reader over a byte array
+ */
+class ByteReader {
+    constructor(bytes) {
+        this.bytesArray = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.offset = 0;
+    }
+
+    ensure(length) {
+        if (this.offset + length > this.bytesArray.length) {
+            throw new Error('Unexpected end of compact world data');
+        }
+    }
+
+    skip(length) {
+        this.ensure(length);
+        this.offset += length;
+    }
+
+    u8() {
+        this.ensure(1);
+        return this.view.getUint8(this.offset++);
+    }
+
+    u16() {
+        this.ensure(2);
+        const value = this.view.getUint16(this.offset, true);
+        this.offset += 2;
+        return value;
+    }
+
+    u32() {
+        this.ensure(4);
+        const value = this.view.getUint32(this.offset, true);
+        this.offset += 4;
+        return value;
+    }
+
+    i32() {
+        this.ensure(4);
+        const value = this.view.getInt32(this.offset, true);
+        this.offset += 4;
+        return value;
+    }
+
+    varint() {
+        let value = 0;
+        let scale = 1;
+        let byte;
+
+        do {
+            byte = this.u8();
+            value += (byte & 0x7F) * scale;
+            scale *= 128;
+        } while (byte & 0x80);
+
+        return value;
+    }
+
+    bytes(length) {
+        this.ensure(length);
+        const slice = this.bytesArray.subarray(this.offset, this.offset + length);
+        this.offset += length;
+        return slice;
+    }
+
+    string(length) {
+        return textDecoder.decode(this.bytes(length));
+    }
+}
+
+/**
+ * Growable little-endian writer
+ */
+class ByteWriter {
+    constructor() {
+        this.buffer = new Uint8Array(1024);
+        this.view = new DataView(this.buffer.buffer);
+        this.length = 0;
+    }
+
+    reserve(length) {
+        if (this.length + length <= this.buffer.length) return;
+
+        let capacity = this.buffer.length * 2;
+        while (capacity < this.length + length) {
+            capacity *= 2;
+        }
+
+        const grown = new Uint8Array(capacity);
+        grown.set(this.buffer.subarray(0, this.length));
+        this.buffer = grown;
+        this.view = new DataView(grown.buffer);
+    }
+
+    u8(value) {
+        this.reserve(1);
+        this.view.setUint8(this.length++, value);
+    }
+
+    u16(value) {
+        this.reserve(2);
+        this.view.setUint16(this.length, value, true);
+        this.length += 2;
+    }
+
+    u32(value) {
+        this.reserve(4);
+        this.view.setUint32(this.length, value, true);
+        this.length += 4;
+    }
+
+    i32(value) {
+        this.reserve(4);
+        this.view.setInt32(this.length, value, true);
+        this.length += 4;
+    }
+
+    varint(value) {
+        do {
+            let byte = value % 128;
+            value = Math.floor(value / 128);
+            if (value > 0) byte |= 0x80;
+            this.u8(byte);
+        } while (value > 0);
+    }
+
+    bytes(bytes) {
+        this.reserve(bytes.length);
+        this.buffer.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    toUint8Array() {
+        return this.buffer.slice(0, this.length);
+    }
+}
@@ -0,0 +1,266 @@
+/**
+ * Day/Night Cycle
+ * Keeps the time of day in Minecraft ticks (24000 to a day, 0 at sunrise, 6000 at noon)
+ * and lights the scene for it: the sun and moon circle overhead as directional lights,
+ * a sky dome fades between day, sunset and night colors, the fog takes the color of the
+ * horizon, and sky light dims so blocks lit by lanterns, torches and campfires stand
+ * out at night. The clock can be paused, sped up or set to any time
+ */
+
+import * as THREE from 'three';
+import { daylightUniform } from './materialFactory.js';
+
+export const TICKS_PER_DAY = 24000;
+
+// Seconds per day at normal speed, as in Minecraft
+const SECONDS_PER_DAY = 20 * 60;
+
+// Named times, as accepted by /time set, plus sunrise and sunset
+export const TIMES_OF_DAY = {
+    sunrise: 0,
+    day: 1000,
+    noon: 6000,
+    sunset: 12000,
+    night: 13000,
+    midnight: 18000
+};
+
+// Share of the sky light left at night, moonlight
+const MIN_DAYLIGHT = 0.3;
+
+// Distance of the sun and moon lights from the point they shine at
+const LIGHT_DISTANCE = 100;
+
+// Sky colors by the sun's height (the sine of its angle above the horizon); dawn and dusk
+// use the same colors. Between two stops the colors blend
+const SKY_STOPS = [
+    { height: -0.3, top: 0x0a0f26, horizon: 0x161d3a },
+    { height: -0.05, top: 0x24305e, horizon: 0x4a3a5e },
+    { height: 0.05, top: 0x4f6fb0, horizon: 0xff9a4d },
+    { height: 0.3, top: 0x5aa0e6, horizon: 0x87ceeb }
+];
+
+const skyVertexShader = `
+varying vec3 vDirection;
+void main() {
+    vDirection = normalize(position);
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}`;
+
+// The gradient from the horizon up, brighter on the sun's side near the horizon, with
+// the sun and moon drawn as discs
+const skyFragmentShader = `
+uniform vec3 topColor;
+uniform vec3 horizonColor;
+uniform vec3 sunColor;
+uniform vec3 sunDirection;
+varying vec3 vDirection;
+void main() {
+    vec3 direction = normalize(vDirection);
+    float toSun = dot(direction, sunDirection);
+    vec3 color = mix(horizonColor, topColor, smoothstep(0.0, 0.5, direction.y));
+    color += sunColor * 0.35 * pow(max(toSun, 0.0), 8.0) * (1.0 - smoothstep(0.0, 0.4, direction.y));
+    color = mix(color, sunColor * 2.0, smoothstep(0.9990, 0.9994, toSun));
+    color = mix(color, vec3(0.85, 0.88, 1.0), smoothstep(0.9993, 0.9996, -toSun));
+    gl_FragColor = vec4(color, 1.0);
+    #include <colorspace_fragment>
+}`;
+
+/**
+ * Parse a time of day given as ticks or a name (e.g. from the URL)
+ * @param {string} value - Ticks ("13000") or a name from TIMES_OF_DAY ("sunset")
+ * @returns {number|null} - The time in ticks, or null if the value isn't a time
+ */
+export function parseTimeOfDay(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const name = String(value).toLowerCase();
+    if (TIMES_OF_DAY[name] !== undefined) return TIMES_OF_DAY[name];
+
+    const ticks = Number(value);
+    return Number.isFinite(ticks) ? ticks : null;
+}
+
+export class DayNightCycle {
+    /**
+     * @param {Object} options - Cycle options
+     * @param {THREE.Scene} options.scene - The scene whose fog and background follow the sky
+     * @param {THREE.DirectionalLight} options.sun - The light moved along the sun's path
+     * @param {THREE.AmbientLight} options.ambient - The light that dims and turns blue at night
+     * @param {number} options.time - Starting time in ticks (defaults to noon)
+     * @param {number} options.speed - How fast the clock runs, 1 for Minecraft's 20 minute day (the default)
+     * @param {number} options.skyRadius - Radius of the sky dome, inside the camera's far plane
+     */
+    constructor(options) {
+        this.scene = options.scene;
+        this.sun = options.sun;
+        this.ambient = options.ambient;
+        this.time = 0;
+        this.speed = options.speed ?? 1;
+        this.paused = false;
+
+        // 1 at full day, MIN_DAYLIGHT at night, and how far into the night it is (0 to 1)
+        this.daylight = 1;
+        this.night = 0;
+
+        this.moon = new THREE.DirectionalLight(0x8fa8ff, 0);
+        this.moon.name = 'moon';
+        this.scene.add(this.moon);
+
+        this.skyColors = {
+            top: new THREE.Color(),
+            horizon: new THREE.Color(),
+            sun: new THREE.Color()
+        };
+        this.sky = this.createSky(options.skyRadius ?? 70);
+        this.scene.add(this.sky);
+
+        this.setTime(options.time ?? TIMES_OF_DAY.noon);
+    }
+
+    /**
+     * Create the sky dome, drawn behind everything else
+     * @param {number} radius - Radius of the dome
+     * @returns {THREE.Mesh} - The dome
+     */
+    createSky(radius) {
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                topColor: { value: this.skyColors.top },
+                horizonColor: { value: this.skyColors.horizon },
+                sunColor: { value: this.skyColors.sun },
+                sunDirection: { value: new THREE.Vector3(0, 1, 0) }
+            },
+            vertexShader: skyVertexShader,
+            fragmentShader: skyFragmentShader,
+            side: THREE.BackSide,
+            depthTest: false,
+            depthWrite: false,
+            fog: false,
+            // Like a background color, the sky isn't tone mapped
+            toneMapped: false
+        });
+
+        const sky = new THREE.Mesh(new THREE.SphereGeometry(radius, 32, 16), material);
+        sky.name = 'sky';
+        sky.renderOrder = -1;
+        sky.frustumCulled = false;
+        return sky;
+    }
+
+    /**
+     * Set the time of day, e.g. when scrubbing
+     * @param {number} ticks - Ticks since sunrise; wraps around the day
+     */
+    setTime(ticks) {
+        this.time = ((ticks % TICKS_PER_DAY) + TICKS_PER_DAY) % TICKS_PER_DAY;
+        this.applyTime();
+    }
+
+    /**
+     * Move the time of day forwards or backwards
+     * @param {number} ticks - Ticks to add, negative to go back
+     */
+    addTime(ticks) {
+        this.setTime(this.time + ticks);
+    }
+
+    /**
+     * Set how fast the clock runs
+     * @param {number} speed - 1 for Minecraft's 20 minute day, 2 for twice as fast, 0 to stop
+     */
+    setSpeed(speed) {
+        this.speed = Math.max(0, speed);
+    }
+
+    /**
+     * Stop or restart the clock
+     * @param {boolean} paused - True to stop it
+     */
+    setPaused(paused) {
+        this.paused = paused;
+    }
+
+    /**
+     * Advance the clock and keep the sky centered on the camera; call once per rendered frame
+     * @param {number} deltaSeconds - Seconds since the last update
+     * @param {THREE.Camera} camera - The camera the sky surrounds
+     */
+    update(deltaSeconds, camera) {
+        if (!this.paused && this.speed > 0) {
+            this.setTime(this.time + deltaSeconds * this.speed * TICKS_PER_DAY / SECONDS_PER_DAY);
+        }
+        this.sky.position.copy(camera.position);
+    }
+
+    /**
+     * Light the scene for the current time
+     */
+    applyTime() {
+        const angle = (this.time / TICKS_PER_DAY) * Math.PI * 2;
+        const sunDirection = new THREE.Vector3(Math.cos(angle), Math.sin(angle), 0.3).normalize();
+        const height = sunDirection.y;
+
+        // Sun and moon on opposite sides of the sky, each fading out below the horizon
+        const sunUp = THREE.MathUtils.smoothstep(height, -0.05, 0.2);
+        const moonUp = THREE.MathUtils.smoothstep(-height, -0.05, 0.2);
+        this.sun.position.copy(this.sun.target.position).addScaledVector(sunDirection, LIGHT_DISTANCE);
+        this.sun.intensity = sunUp;
+        // Reddened near the horizon
+        this.sun.color.setHex(0xffb070).lerp(new THREE.Color(0xffffff), THREE.MathUtils.smoothstep(height, 0.0, 0.4));
+        this.moon.position.copy(this.moon.target.position).addScaledVector(sunDirection, -LIGHT_DISTANCE);
+        this.moon.intensity = 0.25 * moonUp;
+
+        this.daylight = THREE.MathUtils.lerp(MIN_DAYLIGHT, 1, THREE.MathUtils.smoothstep(height, -0.1, 0.25));
+        this.night = 1 - (this.daylight - MIN_DAYLIGHT) / (1 - MIN_DAYLIGHT);
+        daylightUniform.value = this.daylight;
+
+        this.ambient.color.setHex(0xffffff).lerp(new THREE.Color(0x6070a0), this.night);
+        this.ambient.intensity = THREE.MathUtils.lerp(1.0, 0.6, this.night);
+
+        this.setSkyColors(height);
+        this.skyColors.sun.copy(this.sun.color);
+        this.sky.material.uniforms.sunDirection.value.copy(sunDirection);
+
+        // The fog fades distant blocks into the horizon
+        if (this.scene.fog) {
+            this.scene.fog.color.copy(this.skyColors.horizon);
+        }
+        if (this.scene.background?.isColor) {
+            this.scene.background.copy(this.skyColors.horizon);
+        }
+    }
+
+    /**
+     * Blend the sky colors for a height of the sun
+     * @param {number} height - Sine of the sun's angle above the horizon
+     */
+    setSkyColors(height) {
+        const { top, horizon } = this.skyColors;
+        const last = SKY_STOPS.length - 1;
+
+        if (height <= SKY_STOPS[0].height || height >= SKY_STOPS[last].height) {
+            const stop = height <= SKY_STOPS[0].height ? SKY_STOPS[0] : SKY_STOPS[last];
+            top.setHex(stop.top);
+            horizon.setHex(stop.horizon);
+            return;
+        }
+
+        const next = SKY_STOPS.findIndex(stop => stop.height > height);
+        const from = SKY_STOPS[next - 1];
+        const to = SKY_STOPS[next];
+        const blend = (height - from.height) / (to.height - from.height);
+        top.setHex(from.top).lerp(new THREE.Color(to.top), blend);
+        horizon.setHex(from.horizon).lerp(new THREE.Color(to.horizon), blend);
+    }
+
+    /**
+     * Get the time of day as a clock reading, for logging
+     * @returns {string} - e.g. "18:30"
+     */
+    getClockTime() {
+        // Tick 0 is 6:00
+        const minutes = Math.floor(((this.time / TICKS_PER_DAY) * 24 * 60 + 6 * 60) % (24 * 60));
+        return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+}
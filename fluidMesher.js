@@ -0,0 +1,309 @@
+/**
+ * Fluid Mesher
+ * Builds the mesh of a chunk's water and lava the way Minecraft draws fluids: faces
+ * between blocks of the same fluid or against opaque cubes are left out, the surface sits
+ * below the top of the block by the fluid's level (sloping between neighbors of different
+ * levels), and flowing fluid shows its flow texture turned in the direction it runs.
+ * Water is drawn after the other transparent blocks without writing depth, so glass and
+ * leaves behind or in front of it still show
+ */
+
+import * as THREE from 'three';
+import { BLOCK_PROPERTIES } from './blockData.js';
+import { loadTexture, getTexturePath } from './textureManager.js';
+import { applyVertexBlockLight } from './materialFactory.js';
+import { animateMaterial } from './textureAnimation.js';
+
+// Fluid of each fluid block, and the block types its textures come from
+const FLUID_BLOCKS = {
+    water: 'water',
+    flowing_water: 'water',
+    lava: 'lava',
+    flowing_lava: 'lava'
+};
+
+const FLUIDS = {
+    water: { still: 'water', flow: 'flowing_water', transparent: true },
+    lava: { still: 'lava', flow: 'flowing_lava', transparent: false }
+};
+
+// Side faces as the horizontal offset of the neighbor they face
+const SIDES = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+// Flow is shown when the surface drops more than this across the block
+const MIN_FLOW = 1e-3;
+
+// Materials by fluid, see loadFluidMaterials
+const fluidMaterials = new Map();
+let materialsLoading = null;
+
+/**
+ * Check if a block type is drawn by the fluid mesher
+ * @param {string} blockType - The block type
+ * @returns {boolean} - True for water and lava
+ */
+export function isFluidBlock(blockType) {
+    return FLUID_BLOCKS[blockType] !== undefined;
+}
+
+/**
+ * Load the still and flowing materials of every fluid, once. Fluid meshes can only be
+ * built after this resolves
+ * @returns {Promise<void>}
+ */
+export function loadFluidMaterials() {
+    if (!materialsLoading) {
+        materialsLoading = Promise.all(Object.entries(FLUIDS).map(async ([fluid, settings]) => {
+            const properties = BLOCK_PROPERTIES[settings.still] || {};
+            const createMaterial = async blockType => {
+                const material = new THREE.MeshStandardMaterial({
+                    map: await loadTexture(getTexturePath(blockType)),
+                    vertexColors: true,
+                    transparent: settings.transparent,
+                    opacity: settings.transparent ? (properties.opacity ?? 1.0) : 1.0,
+                    depthWrite: !settings.transparent,
+                    // The surface is seen from below when underwater
+                    side: settings.transparent ? THREE.DoubleSide : THREE.FrontSide,
+                    roughness: 1.0,
+                    metalness: 0.0
+                });
+                material.name = `${blockType}_fluid`;
+                applyVertexBlockLight(material);
+                animateMaterial(material);
+                return material;
+            };
+
+            fluidMaterials.set(fluid, {
+                still: await createMaterial(settings.still),
+                flow: await createMaterial(settings.flow),
+                defaultTint: properties.tintColor ?? 0xffffff
+            });
+        })).catch(error => {
+            materialsLoading = null;
+            console.error('Error loading fluid materials:', error);
+            throw error;
+        });
+    }
+
+    return materialsLoading;
+}
+
+/**
+ * Get the height of a fluid block's surface from its state: sources fill 8/9 of the
+ * block and every level of flow takes a ninth off, down to 1/9. Falling fluid (level 8
+ * and up, or falling=true) is as high as a source
+ * @param {Object} state - The block state
+ * @returns {number} - The surface height above the bottom of the block
+ */
+function getFluidHeight(state) {
+    const level = Number(state.get('level', '0')) || 0;
+    if (level >= 8 || state.is('falling')) return 8 / 9;
+    return (8 - level) / 9;
+}
+
+/**
+ * Build the mesh of a chunk's fluid blocks
+ * @param {Array} blocks - Fluid blocks as { x, y, z, state, tint, light }, with centered
+ * positions, the biome tint (or undefined) and the packed light (see lightEngine.js)
+ * @param {Function} getNeighbor - (x, y, z) => the block drawn there by a chunk or fluid
+ * mesh, as { fluid, state }, or undefined; blocks with fluid unset are opaque cubes
+ * @returns {THREE.Mesh|null} - The mesh, or null if there is nothing to draw
+ */
+export function buildFluidMesh(blocks, getNeighbor) {
+    if (blocks.length === 0) return null;
+
+    const fluidAt = (x, y, z, fluid) => {
+        const neighbor = getNeighbor(x, y, z);
+        return neighbor?.fluid && FLUID_BLOCKS[neighbor.state.name] === fluid ? neighbor : null;
+    };
+    const isOpaqueAt = (x, y, z) => {
+        const neighbor = getNeighbor(x, y, z);
+        return Boolean(neighbor) && !neighbor.fluid;
+    };
+
+    // Height of the surface at a corner, averaged over the four blocks around it like
+    // Minecraft does: sources count ten times, open air pulls the surface down and
+    // fluid above any of them raises it to the top of the block
+    const getCornerHeight = (block, fluid, dx, dz) => {
+        let sum = 0;
+        let weight = 0;
+        for (const [cx, cz] of [[0, 0], [dx, 0], [0, dz], [dx, dz]]) {
+            const x = block.x + cx;
+            const z = block.z + cz;
+            if (fluidAt(x, block.y + 1, z, fluid)) return 1;
+
+            const cell = cx === 0 && cz === 0 ? block : fluidAt(x, block.y, z, fluid);
+            if (cell) {
+                const height = getFluidHeight(cell.state);
+                const cellWeight = height >= 0.8 ? 10 : 1;
+                sum += height * cellWeight;
+                weight += cellWeight;
+            } else if (!isOpaqueAt(x, block.y, z)) {
+                weight += 1;
+            }
+        }
+        return weight > 0 ? sum / weight : 0;
+    };
+
+    const quadsByMaterial = new Map();
+    const addQuad = (material, quad) => {
+        if (!quadsByMaterial.has(material)) {
+            quadsByMaterial.set(material, []);
+        }
+        quadsByMaterial.get(material).push(quad);
+    };
+
+    for (const block of blocks) {
+        const fluid = FLUID_BLOCKS[block.state.name];
+        const materials = fluidMaterials.get(fluid);
+        if (!materials) continue;
+
+        const color = fluid === 'water' ? (block.tint ?? materials.defaultTint) : 0xffffff;
+        const { x, y, z } = block;
+        const bottom = y - 0.5;
+
+        // Corner heights, by corner offset
+        const heights = {
+            '-1,-1': getCornerHeight(block, fluid, -1, -1),
+            '1,-1': getCornerHeight(block, fluid, 1, -1),
+            '1,1': getCornerHeight(block, fluid, 1, 1),
+            '-1,1': getCornerHeight(block, fluid, -1, 1)
+        };
+        const corner = (dx, dz) => [x + dx * 0.5, bottom + heights[`${dx},${dz}`], z + dz * 0.5];
+
+        if (!fluidAt(x, y + 1, z, fluid) && !isOpaqueAt(x, y + 1, z)) {
+            // The surface runs downhill, from the higher corners to the lower ones
+            const flowX = (heights['-1,-1'] + heights['-1,1']) - (heights['1,-1'] + heights['1,1']);
+            const flowZ = (heights['-1,-1'] + heights['1,-1']) - (heights['-1,1'] + heights['1,1']);
+            const flowLength = Math.hypot(flowX, flowZ);
+            const flowing = flowLength > MIN_FLOW;
+
+            const offsets = [[-1, -1], [-1, 1], [1, 1], [1, -1]];
+            const uvs = offsets.map(([dx, dz]) => {
+                if (!flowing) return [(dx + 1) / 2, (1 - dz) / 2];
+
+                // The flow texture moves towards its bottom edge (lower V); its middle
+                // half is one block of it
+                const fx = flowX / flowLength;
+                const fz = flowZ / flowLength;
+                const along = (dx * fx + dz * fz) * 0.5;
+                const across = (dx * fz - dz * fx) * 0.5;
+                return [0.5 + across * 0.5, 0.5 - along * 0.5];
+            });
+
+            addQuad(flowing ? materials.flow : materials.still, {
+                vertices: offsets.map(([dx, dz]) => corner(dx, dz)),
+                uvs,
+                outward: [0, 1, 0],
+                color,
+                light: block.light
+            });
+        }
+
+        if (!fluidAt(x, y - 1, z, fluid) && !isOpaqueAt(x, y - 1, z)) {
+            addQuad(materials.still, {
+                vertices: [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([dx, dz]) => [x + dx * 0.5, bottom, z + dz * 0.5]),
+                uvs: [[0, 0], [1, 0], [1, 1], [0, 1]],
+                outward: [0, -1, 0],
+                color,
+                light: block.light
+            });
+        }
+
+        for (const [sx, sz] of SIDES) {
+            if (fluidAt(x + sx, y, z + sz, fluid) || isOpaqueAt(x + sx, y, z + sz)) continue;
+
+            // The side's two corners, each with its surface height
+            const ends = sx !== 0 ? [[sx, -1], [sx, 1]] : [[-1, sz], [1, sz]];
+            const [a, b] = ends.map(([dx, dz]) => ({
+                x: x + dx * 0.5,
+                z: z + dz * 0.5,
+                height: heights[`${dx},${dz}`]
+            }));
+
+            // Sides show the flow texture running down, half of it per block like the top
+            addQuad(materials.flow, {
+                vertices: [
+                    [a.x, bottom, a.z],
+                    [b.x, bottom, b.z],
+                    [b.x, bottom + b.height, b.z],
+                    [a.x, bottom + a.height, a.z]
+                ],
+                uvs: [[0, 0], [0.5, 0], [0.5, b.height * 0.5], [0, a.height * 0.5]],
+                outward: [sx, 0, sz],
+                color,
+                light: block.light
+            });
+        }
+    }
+
+    if (quadsByMaterial.size === 0) return null;
+
+    const positions = [];
+    const normals = [];
+    const uvs = [];
+    const colors = [];
+    const lights = [];
+    const indices = [];
+    const geometry = new THREE.BufferGeometry();
+    const materials = [];
+    const color = new THREE.Color();
+    const edge1 = new THREE.Vector3();
+    const edge2 = new THREE.Vector3();
+    const normal = new THREE.Vector3();
+    let quadCount = 0;
+
+    for (const [material, quads] of quadsByMaterial) {
+        const start = indices.length;
+
+        for (const quad of quads) {
+            const [v0, v1, , v3] = quad.vertices;
+            edge1.fromArray(v1).sub(normal.fromArray(v0));
+            edge2.fromArray(v3).sub(normal.fromArray(v0));
+            normal.crossVectors(edge1, edge2).normalize();
+
+            // Counter-clockwise as seen from outside
+            const flip = normal.dot(edge1.fromArray(quad.outward)) < 0;
+            if (flip) normal.negate();
+
+            color.setHex(quad.color);
+            const base = positions.length / 3;
+            quad.vertices.forEach((vertex, i) => {
+                positions.push(vertex[0], vertex[1], vertex[2]);
+                normals.push(normal.x, normal.y, normal.z);
+                uvs.push(quad.uvs[i][0], quad.uvs[i][1]);
+                colors.push(color.r, color.g, color.b);
+                lights.push(quad.light);
+            });
+
+            if (flip) {
+                indices.push(base, base + 2, base + 1, base, base + 3, base + 2);
+            } else {
+                indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+            }
+            quadCount++;
+        }
+
+        geometry.addGroup(start, indices.length - start, materials.length);
+        materials.push(material);
+    }
+
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    geometry.setAttribute('blockLight', new THREE.Float32BufferAttribute(lights, 1));
+    geometry.setIndex(indices);
+    geometry.computeBoundingSphere();
+
+    const mesh = new THREE.Mesh(geometry, materials);
+    mesh.name = 'fluid_mesh';
+    mesh.receiveShadow = true;
+    // After the other transparent blocks (see the sort in buildBlockMeshes in main.js)
+    mesh.renderOrder = 1;
+    // The materials are shared by every fluid mesh, only the geometry belongs to this one
+    mesh.userData.sharedTemplate = true;
+
+    console.log(`💧 Meshed ${blocks.length} fluid blocks into ${quadCount} quads`);
+    return mesh;
+}
@@ -0,0 +1,435 @@
+/**
+ * Legacy Block Data
+ * Translates pre-1.13 numeric block IDs and data values (metadata) into modern
+ * block states, following the 1.13 "flattening" of block IDs
+ */
+
+import { COLORS, stripNamespace } from './blockStateMapper.js';
+
+// Wood types by data value (planks, saplings, wooden slabs)
+const WOODS = ['oak', 'spruce', 'birch', 'jungle', 'acacia', 'dark_oak'];
+
+// Horizontal facing by data value for the common 2-5 encoding (chests, furnaces, ladders...)
+const FACING_2_TO_5 = { 2: 'north', 3: 'south', 4: 'west', 5: 'east' };
+
+// Stairs: bits 0-1 facing, bit 2 upside down
+const STAIR_FACINGS = ['east', 'west', 'south', 'north'];
+
+// Doors (lower half): bits 0-1 facing
+const DOOR_FACINGS = ['east', 'south', 'west', 'north'];
+
+// Trapdoors: bits 0-1 facing, bit 2 open, bit 3 top half
+const TRAPDOOR_FACINGS = ['north', 'south', 'west', 'east'];
+
+// Fence gates, beds, pumpkins: bits 0-1 facing
+const GATE_FACINGS = ['south', 'west', 'north', 'east'];
+
+// Logs, hay, bone blocks, pillars: bits 2-3 axis
+const AXES = ['y', 'x', 'z'];
+
+// Torches: data value to wall facing (5 is a standing torch)
+const TORCH_FACINGS = { 1: 'east', 2: 'west', 3: 'south', 4: 'north' };
+
+// Stone slab materials by bits 0-2
+const STONE_SLABS = ['stone', 'sandstone', 'petrified_oak', 'cobblestone', 'brick', 'stone_brick', 'nether_brick', 'quartz'];
+
+// Generic names older exporters (and the spawn-chunk backend) send together with a data value
+export const LEGACY_NAME_IDS = {
+    'stone': 1,
+    'dirt': 3,
+    'planks': 5,
+    'sapling': 6,
+    'sand': 12,
+    'log': 17,
+    'leaves': 18,
+    'sponge': 19,
+    'sandstone': 24,
+    'tallgrass': 31,
+    'wool': 35,
+    'red_flower': 38,
+    'double_stone_slab': 43,
+    'slab': 44,
+    'stone_slab': 44,
+    'torch': 50,
+    'door': 64,
+    'wooden_door': 64,
+    'trapdoor': 96,
+    'monster_egg': 97,
+    'stonebrick': 98,
+    'double_wooden_slab': 125,
+    'wooden_slab': 126,
+    'cobblestone_wall': 139,
+    'quartz_block': 155,
+    'stained_hardened_clay': 159,
+    'stained_glass_pane': 160,
+    'leaves2': 161,
+    'log2': 162,
+    'prismarine': 168,
+    'carpet': 171,
+    'double_plant': 175,
+    'red_sandstone': 179,
+    'stained_glass': 95,
+    'concrete': 251,
+    'concrete_powder': 252
+};
+
+/**
+ * Pick a name from a list by data value
+ * @param {Array} names - Names indexed by data value
+ * @param {number} mask - Bits of the data value that select the name
+ * @returns {Function} - Translator for the block ID
+ */
+function variants(names, mask = 0xF) {
+    return data => [names[data & mask] || names[0], {}];
+}
+
+function colored(suffix) {
+    return data => [`${COLORS[data & 0xF]}_${suffix}`, {}];
+}
+
+function stairs(name) {
+    return data => [name, {
+        facing: STAIR_FACINGS[data & 0x3],
+        half: data & 0x4 ? 'top' : 'bottom'
+    }];
+}
+
+function door(name) {
+    return data => {
+        if (data & 0x8) {
+            // The upper half only stores the hinge side; facing and open live in the lower half
+            return [name, { half: 'upper', hinge: data & 0x1 ? 'right' : 'left' }];
+        }
+        return [name, {
+            half: 'lower',
+            facing: DOOR_FACINGS[data & 0x3],
+            open: data & 0x4 ? 'true' : 'false'
+        }];
+    };
+}
+
+function trapdoor(name) {
+    return data => [name, {
+        facing: TRAPDOOR_FACINGS[data & 0x3],
+        open: data & 0x4 ? 'true' : 'false',
+        half: data & 0x8 ? 'top' : 'bottom'
+    }];
+}
+
+function gate(name) {
+    return data => [name, {
+        facing: GATE_FACINGS[data & 0x3],
+        open: data & 0x4 ? 'true' : 'false'
+    }];
+}
+
+function facing(name) {
+    return data => [name, { facing: FACING_2_TO_5[data & 0x7] || 'north' }];
+}
+
+function axis(name) {
+    return data => [name, { axis: AXES[(data >> 2) & 0x3] || 'y' }];
+}
+
+function log(woods) {
+    return data => {
+        const wood = woods[data & 0x3];
+        const axisBits = (data >> 2) & 0x3;
+
+        // Axis value 3 is a log with bark on all six sides
+        if (axisBits === 3) {
+            return [`${wood}_wood`, { axis: 'y' }];
+        }
+        return [`${wood}_log`, { axis: AXES[axisBits] }];
+    };
+}
+
+function leaves(woods) {
+    return data => [`${woods[data & 0x3]}_leaves`, {
+        persistent: data & 0x4 ? 'true' : 'false'
+    }];
+}
+
+function slab(materials, isDouble = false) {
+    return data => [`${materials[data & 0x7] || materials[0]}_slab`, {
+        type: isDouble ? 'double' : (data & 0x8 ? 'top' : 'bottom')
+    }];
+}
+
+// Block IDs to either a fixed modern name or a translator (data) => [name, properties]
+const LEGACY_BLOCKS = {
+    0: 'air',
+    1: variants(['stone', 'granite', 'polished_granite', 'diorite', 'polished_diorite', 'andesite', 'polished_andesite']),
+    2: 'grass_block',
+    3: variants(['dirt', 'coarse_dirt', 'podzol']),
+    4: 'cobblestone',
+    5: variants(WOODS.map(wood => `${wood}_planks`), 0x7),
+    6: variants(WOODS.map(wood => `${wood}_sapling`), 0x7),
+    7: 'bedrock',
+    8: 'water',
+    9: 'water',
+    10: 'lava',
+    11: 'lava',
+    12: variants(['sand', 'red_sand']),
+    13: 'gravel',
+    14: 'gold_ore',
+    15: 'iron_ore',
+    16: 'coal_ore',
+    17: log(['oak', 'spruce', 'birch', 'jungle']),
+    18: leaves(['oak', 'spruce', 'birch', 'jungle']),
+    19: variants(['sponge', 'wet_sponge']),
+    20: 'glass',
+    21: 'lapis_ore',
+    22: 'lapis_block',
+    23: facing('dispenser'),
+    24: variants(['sandstone', 'chiseled_sandstone', 'cut_sandstone']),
+    25: 'note_block',
+    26: data => ['red_bed', { facing: GATE_FACINGS[data & 0x3], part: data & 0x8 ? 'head' : 'foot' }],
+    27: 'powered_rail',
+    28: 'detector_rail',
+    29: 'sticky_piston',
+    30: 'cobweb',
+    31: variants(['dead_bush', 'grass', 'fern']),
+    32: 'dead_bush',
+    33: 'piston',
+    34: 'piston_head',
+    35: colored('wool'),
+    37: 'dandelion',
+    38: variants(['poppy', 'blue_orchid', 'allium', 'azure_bluet', 'red_tulip', 'orange_tulip', 'white_tulip', 'pink_tulip', 'oxeye_daisy']),
+    39: 'brown_mushroom',
+    40: 'red_mushroom',
+    41: 'gold_block',
+    42: 'iron_block',
+    43: data => {
+        // Data values 8 and 9 are the seamless smooth variants
+        if (data === 8) return ['smooth_stone', {}];
+        if (data === 9) return ['smooth_sandstone', {}];
+        return slab(STONE_SLABS, true)(data);
+    },
+    44: slab(STONE_SLABS),
+    45: 'bricks',
+    46: 'tnt',
+    47: 'bookshelf',
+    48: 'mossy_cobblestone',
+    49: 'obsidian',
+    50: data => (TORCH_FACINGS[data] ? ['wall_torch', { facing: TORCH_FACINGS[data] }] : ['torch', {}]),
+    51: 'fire',
+    52: 'spawner',
+    53: stairs('oak_stairs'),
+    54: facing('chest'),
+    55: 'redstone_wire',
+    56: 'diamond_ore',
+    57: 'diamond_block',
+    58: 'crafting_table',
+    59: data => ['wheat', { age: String(data & 0x7) }],
+    60: 'farmland',
+    61: facing('furnace'),
+    62: data => ['furnace', { facing: FACING_2_TO_5[data & 0x7] || 'north', lit: 'true' }],
+    63: 'oak_sign',
+    64: door('oak_door'),
+    65: facing('ladder'),
+    66: 'rail',
+    67: stairs('cobblestone_stairs'),
+    68: facing('oak_wall_sign'),
+    69: 'lever',
+    70: 'stone_pressure_plate',
+    71: door('iron_door'),
+    72: 'oak_pressure_plate',
+    73: 'redstone_ore',
+    74: 'redstone_ore',
+    75: 'redstone_torch',
+    76: 'redstone_torch',
+    77: 'stone_button',
+    78: data => ['snow', { layers: String((data & 0x7) + 1) }],
+    79: 'ice',
+    80: 'snow_block',
+    81: 'cactus',
+    82: 'clay',
+    83: 'sugar_cane',
+    84: 'jukebox',
+    85: 'oak_fence',
+    86: data => ['carved_pumpkin', { facing: GATE_FACINGS[data & 0x3] }],
+    87: 'netherrack',
+    88: 'soul_sand',
+    89: 'glowstone',
+    90: 'nether_portal',
+    91: data => ['jack_o_lantern', { facing: GATE_FACINGS[data & 0x3] }],
+    92: 'cake',
+    93: 'repeater',
+    94: 'repeater',
+    95: colored('stained_glass'),
+    96: trapdoor('oak_trapdoor'),
+    97: variants(['infested_stone', 'infested_cobblestone', 'infested_stone_bricks', 'infested_mossy_stone_bricks', 'infested_cracked_stone_bricks', 'infested_chiseled_stone_bricks']),
+    98: variants(['stone_bricks', 'mossy_stone_bricks', 'cracked_stone_bricks', 'chiseled_stone_bricks']),
+    99: 'brown_mushroom_block',
+    100: 'red_mushroom_block',
+    101: 'iron_bars',
+    102: 'glass_pane',
+    103: 'melon',
+    104: 'pumpkin_stem',
+    105: 'melon_stem',
+    106: data => ['vine', {
+        south: data & 0x1 ? 'true' : 'false',
+        west: data & 0x2 ? 'true' : 'false',
+        north: data & 0x4 ? 'true' : 'false',
+        east: data & 0x8 ? 'true' : 'false'
+    }],
+    107: gate('oak_fence_gate'),
+    108: stairs('brick_stairs'),
+    109: stairs('stone_brick_stairs'),
+    110: 'mycelium',
+    111: 'lily_pad',
+    112: 'nether_bricks',
+    113: 'nether_brick_fence',
+    114: stairs('nether_brick_stairs'),
+    115: data => ['nether_wart', { age: String(data & 0x3) }],
+    116: 'enchanting_table',
+    117: 'brewing_stand',
+    118: 'cauldron',
+    119: 'end_portal',
+    120: 'end_portal_frame',
+    121: 'end_stone',
+    122: 'dragon_egg',
+    123: 'redstone_lamp',
+    124: data => ['redstone_lamp', { lit: 'true' }],
+    125: slab(WOODS, true),
+    126: slab(WOODS),
+    127: 'cocoa',
+    128: stairs('sandstone_stairs'),
+    129: 'emerald_ore',
+    130: facing('ender_chest'),
+    131: 'tripwire_hook',
+    132: 'tripwire',
+    133: 'emerald_block',
+    134: stairs('spruce_stairs'),
+    135: stairs('birch_stairs'),
+    136: stairs('jungle_stairs'),
+    137: 'command_block',
+    138: 'beacon',
+    139: variants(['cobblestone_wall', 'mossy_cobblestone_wall']),
+    140: 'flower_pot',
+    141: 'carrots',
+    142: 'potatoes',
+    143: 'oak_button',
+    144: 'skeleton_skull',
+    145: data => [['anvil', 'chipped_anvil', 'damaged_anvil'][(data >> 2) & 0x3] || 'anvil', {}],
+    146: facing('trapped_chest'),
+    147: 'light_weighted_pressure_plate',
+    148: 'heavy_weighted_pressure_plate',
+    149: 'comparator',
+    150: 'comparator',
+    151: 'daylight_detector',
+    152: 'redstone_block',
+    153: 'nether_quartz_ore',
+    154: 'hopper',
+    155: data => {
+        if (data === 1) return ['chiseled_quartz_block', {}];
+        if (data >= 2 && data <= 4) return ['quartz_pillar', { axis: AXES[data - 2] }];
+        return ['quartz_block', {}];
+    },
+    156: stairs('quartz_stairs'),
+    157: 'activator_rail',
+    158: facing('dropper'),
+    159: colored('terracotta'),
+    160: colored('stained_glass_pane'),
+    161: leaves(['acacia', 'dark_oak']),
+    162: log(['acacia', 'dark_oak']),
+    163: stairs('acacia_stairs'),
+    164: stairs('dark_oak_stairs'),
+    165: 'slime_block',
+    166: 'barrier',
+    167: trapdoor('iron_trapdoor'),
+    168: variants(['prismarine', 'prismarine_bricks', 'dark_prismarine']),
+    169: 'sea_lantern',
+    170: axis('hay_block'),
+    171: colored('carpet'),
+    172: 'terracotta',
+    173: 'coal_block',
+    174: 'packed_ice',
+    175: data => {
+        const plant = ['sunflower', 'lilac', 'tall_grass', 'large_fern', 'rose_bush', 'peony'][data & 0x7] || 'tall_grass';
+        return [plant, { half: data & 0x8 ? 'upper' : 'lower' }];
+    },
+    176: 'white_banner',
+    177: 'white_wall_banner',
+    178: 'daylight_detector',
+    179: variants(['red_sandstone', 'chiseled_red_sandstone', 'cut_red_sandstone']),
+    180: stairs('red_sandstone_stairs'),
+    181: slab(['red_sandstone'], true),
+    182: slab(['red_sandstone']),
+    183: gate('spruce_fence_gate'),
+    184: gate('birch_fence_gate'),
+    185: gate('jungle_fence_gate'),
+    186: gate('dark_oak_fence_gate'),
+    187: gate('acacia_fence_gate'),
+    188: 'spruce_fence',
+    189: 'birch_fence',
+    190: 'jungle_fence',
+    191: 'dark_oak_fence',
+    192: 'acacia_fence',
+    193: door('spruce_door'),
+    194: door('birch_door'),
+    195: door('jungle_door'),
+    196: door('acacia_door'),
+    197: door('dark_oak_door'),
+    198: 'end_rod',
+    199: 'chorus_plant',
+    200: 'chorus_flower',
+    201: 'purpur_block',
+    202: axis('purpur_pillar'),
+    203: stairs('purpur_stairs'),
+    204: slab(['purpur'], true),
+    205: slab(['purpur']),
+    206: 'end_stone_bricks',
+    207: 'beetroots',
+    208: 'dirt_path',
+    209: 'end_gateway',
+    210: 'repeating_command_block',
+    211: 'chain_command_block',
+    212: 'frosted_ice',
+    213: 'magma_block',
+    214: 'nether_wart_block',
+    215: 'red_nether_bricks',
+    216: axis('bone_block'),
+    217: 'structure_void',
+    218: 'observer',
+    251: colored('concrete'),
+    252: colored('concrete_powder'),
+    255: 'structure_block'
+};
+
+// Shulker boxes (219-234) and glazed terracotta (235-250) use one ID per colour
+COLORS.forEach((color, index) => {
+    LEGACY_BLOCKS[219 + index] = `${color}_shulker_box`;
+    LEGACY_BLOCKS[235 + index] = `${color}_glazed_terracotta`;
+});
+
+/**
+ * Translate a legacy block ID and data value into a modern block state
+ * @param {number} id - The numeric block ID
+ * @param {number} data - The 4-bit data value
+ * @returns {Object|null} - The block { name, properties }, or null for unknown IDs
+ */
+export function translateLegacyBlock(id, data = 0) {
+    const entry = LEGACY_BLOCKS[id];
+
+    if (entry === undefined) {
+        return null;
+    }
+
+    if (typeof entry === 'string') {
+        return { name: entry, properties: {} };
+    }
+
+    const [name, properties] = entry(data & 0xF);
+    return { name, properties };
+}
+
+/**
+ * Look up the legacy block ID for a generic block name
+ * @param {string} name - The generic name, e.g. 'planks' or 'minecraft:log'
+ * @returns {number|undefined} - The block ID, if the name is a known legacy name
+ */
+export function getLegacyBlockId(name) {
+    return LEGACY_NAME_IDS[stripNamespace(name)];
+}
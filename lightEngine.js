@@ -0,0 +1,316 @@
+/**
+ * Light Engine
+ * Computes Minecraft-style light levels for a set of blocks: block light flood-fills out
+ * of emitters (lanterns, torches, campfires...) and sky light falls down every column and
+ * spreads sideways, both losing a level per block. The renderer bakes the result into
+ * each block instance, so no scene lights are needed for them.
+ * Runs in the world worker (see worldWorker.js), so it must not depend on three.js or the DOM
+ */
+
+import { BLOCK_PROPERTIES } from './blockData.js';
+import { isFullBlock } from './neighborResolver.js';
+
+export const MAX_LIGHT = 15;
+
+// Light levels of emitting blocks
+const LIGHT_EMISSION = {
+    lantern: 15,
+    soul_lantern: 10,
+    torch: 14,
+    wall_torch: 14,
+    soul_torch: 10,
+    soul_wall_torch: 10,
+    campfire: 15,
+    soul_campfire: 10,
+    glowstone: 15,
+    sea_lantern: 15,
+    jack_o_lantern: 15,
+    lit_pumpkin: 15,
+    shroomlight: 15,
+    beacon: 15,
+    conduit: 15,
+    lava: 15,
+    flowing_lava: 15,
+    fire: 15,
+    soul_fire: 10,
+    end_rod: 14,
+    ochre_froglight: 15,
+    verdant_froglight: 15,
+    pearlescent_froglight: 15,
+    lit_redstone_lamp: 15,
+    crying_obsidian: 10,
+    glow_lichen: 7,
+    magma_block: 3,
+    lit_furnace: 13
+};
+
+// Blocks that only emit while their lit property is true
+const LIT_EMISSION = {
+    redstone_lamp: 15,
+    furnace: 13,
+    smoker: 13,
+    blast_furnace: 13,
+    redstone_torch: 7,
+    redstone_wall_torch: 7,
+    candle: 3
+};
+
+const NEIGHBOR_OFFSETS = [
+    [1, 0, 0], [-1, 0, 0],
+    [0, 1, 0], [0, -1, 0],
+    [0, 0, 1], [0, 0, -1]
+];
+
+/**
+ * Get the light level a block gives off
+ * @param {Object} block - A processed block
+ * @returns {number} - 0 to 15
+ */
+export function getLightEmission(block) {
+    const name = block.state.name;
+
+    if (LIGHT_EMISSION[name] !== undefined) {
+        // Campfires can be put out
+        return block.state.get('lit', 'true') === 'false' ? 0 : LIGHT_EMISSION[name];
+    }
+
+    const litName = name.endsWith('_candle') ? 'candle' : name;
+    if (LIT_EMISSION[litName] !== undefined && block.state.is('lit')) {
+        // Every candle in a block adds 3 levels
+        return litName === 'candle'
+            ? Math.min(MAX_LIGHT, LIT_EMISSION.candle * Number(block.state.get('candles', '1')))
+            : LIT_EMISSION[litName];
+    }
+
+    return 0;
+}
+
+/**
+ * Get how many extra levels light loses passing through a block
+ * @param {Object} block - A processed block
+ * @returns {number} - 0 for blocks light passes freely, 1 for leaves and water, 15 for opaque blocks
+ */
+export function getLightOpacity(block) {
+    const name = block.state.name;
+
+    if (block.is_leaf || name.endsWith('_leaves') || name === 'leaves' ||
+        name === 'water' || name === 'flowing_water' || name === 'ice' || name === 'cobweb' || name === 'web') {
+        return 1;
+    }
+
+    if (BLOCK_PROPERTIES[name]?.transparent || name.includes('glass') || name === 'barrier') {
+        return 0;
+    }
+
+    if (isFullBlock(block)) {
+        return MAX_LIGHT;
+    }
+
+    // Water in a waterlogged block dims light like a water block
+    return block.state.is('waterlogged') ? 1 : 0;
+}
+
+/**
+ * Light levels in a box around a set of blocks. The box reaches one block past the
+ * blocks on every side but the bottom, and everything outside it counts as open sky
+ */
+export class LightField {
+    /**
+     * @param {Array} blocks - Processed blocks in world coordinates
+     */
+    constructor(blocks) {
+        let minX = Infinity, minY = Infinity, minZ = Infinity;
+        let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+        for (const block of blocks) {
+            minX = Math.min(minX, block.x); maxX = Math.max(maxX, block.x);
+            minY = Math.min(minY, block.y); maxY = Math.max(maxY, block.y);
+            minZ = Math.min(minZ, block.z); maxZ = Math.max(maxZ, block.z);
+        }
+        if (blocks.length === 0) {
+            minX = minY = minZ = maxX = maxY = maxZ = 0;
+        }
+
+        this.minX = minX - 1;
+        this.minY = minY;
+        this.minZ = minZ - 1;
+        this.sizeX = maxX - minX + 3;
+        this.sizeY = maxY - minY + 2;
+        this.sizeZ = maxZ - minZ + 3;
+
+        const volume = this.sizeX * this.sizeY * this.sizeZ;
+        this.opacity = new Uint8Array(volume);
+        this.emission = new Uint8Array(volume);
+        this.occupied = new Uint8Array(volume); // 1 where a block is, for finding blocks near a change
+        this.blockLight = new Uint8Array(volume);
+        this.skyLight = new Uint8Array(volume);
+
+        for (const block of blocks) {
+            this.setBlock(block.x, block.y, block.z, block);
+        }
+    }
+
+    /**
+     * Get the index of a position in the field
+     * @returns {number} - The index, or -1 outside the field
+     */
+    indexOf(x, y, z) {
+        const lx = x - this.minX;
+        const ly = y - this.minY;
+        const lz = z - this.minZ;
+        if (lx < 0 || ly < 0 || lz < 0 || lx >= this.sizeX || ly >= this.sizeY || lz >= this.sizeZ) {
+            return -1;
+        }
+        return (ly * this.sizeZ + lz) * this.sizeX + lx;
+    }
+
+    /**
+     * Put a block at a position, or clear it; call propagate() afterwards
+     * @param {number} x - World X
+     * @param {number} y - World Y
+     * @param {number} z - World Z
+     * @param {Object|null} block - The processed block, or null for air
+     * @returns {boolean} - False if the position is outside the field
+     */
+    setBlock(x, y, z, block) {
+        const index = this.indexOf(x, y, z);
+        if (index === -1) return false;
+
+        this.opacity[index] = block ? getLightOpacity(block) : 0;
+        this.emission[index] = block ? getLightEmission(block) : 0;
+        this.occupied[index] = block ? 1 : 0;
+        return true;
+    }
+
+    /**
+     * Recompute every light level from the blocks in the field
+     * @returns {LightField} - This field
+     */
+    propagate() {
+        const { sizeX, sizeY, sizeZ, opacity, emission, blockLight, skyLight } = this;
+        const layer = sizeX * sizeZ;
+        blockLight.fill(0);
+        skyLight.fill(0);
+
+        // Sky light comes straight down each column until something opaque stops it
+        const skyQueue = [];
+        for (let column = 0; column < layer; column++) {
+            let level = MAX_LIGHT;
+            for (let y = sizeY - 1; y >= 0 && level > 0; y--) {
+                const index = y * layer + column;
+                if (opacity[index] >= MAX_LIGHT) break;
+                level = Math.max(0, level - opacity[index]);
+                skyLight[index] = level;
+                if (level > 1) skyQueue.push(index);
+            }
+        }
+        this.spread(skyLight, skyQueue);
+
+        const blockQueue = [];
+        for (let index = 0; index < emission.length; index++) {
+            if (emission[index] > 0) {
+                blockLight[index] = emission[index];
+                blockQueue.push(index);
+            }
+        }
+        this.spread(blockLight, blockQueue);
+
+        return this;
+    }
+
+    /**
+     * Flood-fill light levels outwards from the queued cells, one level less per block
+     * @param {Uint8Array} light - The levels to spread
+     * @param {Array} queue - Indices of the cells to spread from
+     */
+    spread(light, queue) {
+        const { sizeX, sizeY, sizeZ, opacity } = this;
+        const layer = sizeX * sizeZ;
+
+        for (let head = 0; head < queue.length; head++) {
+            const index = queue[head];
+            const level = light[index];
+            if (level <= 1) continue;
+
+            const x = index % sizeX;
+            const z = Math.floor(index / sizeX) % sizeZ;
+            const y = Math.floor(index / layer);
+
+            for (const [dx, dy, dz] of NEIGHBOR_OFFSETS) {
+                const nx = x + dx, ny = y + dy, nz = z + dz;
+                if (nx < 0 || ny < 0 || nz < 0 || nx >= sizeX || ny >= sizeY || nz >= sizeZ) continue;
+
+                const neighbor = (ny * sizeZ + nz) * sizeX + nx;
+                if (opacity[neighbor] >= MAX_LIGHT) continue;
+
+                const next = level - 1 - opacity[neighbor];
+                if (next > light[neighbor]) {
+                    light[neighbor] = next;
+                    queue.push(neighbor);
+                }
+            }
+        }
+    }
+
+    /**
+     * Get the light a block is lit with: the brightest of its own cell and the cells
+     * around it (an opaque block is lit by the air at its faces), packed like Minecraft
+     * packs it, sky light in the high four bits and block light in the low four
+     * @param {number} x - World X
+     * @param {number} y - World Y
+     * @param {number} z - World Z
+     * @returns {number} - The packed light, 0 to 255
+     */
+    getPackedLight(x, y, z) {
+        let block = 0;
+        let sky = 0;
+
+        const sample = (sx, sy, sz) => {
+            const index = this.indexOf(sx, sy, sz);
+            if (index === -1) {
+                // Outside the field is open sky, except below it
+                if (sy >= this.minY) sky = MAX_LIGHT;
+                return;
+            }
+            block = Math.max(block, this.blockLight[index]);
+            sky = Math.max(sky, this.skyLight[index]);
+        };
+
+        sample(x, y, z);
+        for (const [dx, dy, dz] of NEIGHBOR_OFFSETS) {
+            sample(x + dx, y + dy, z + dz);
+        }
+
+        return (sky << 4) | block;
+    }
+
+    /**
+     * Call a function for every block within a distance of a position, e.g. the blocks
+     * whose light a change there can affect
+     * @param {number} x - World X
+     * @param {number} y - World Y
+     * @param {number} z - World Z
+     * @param {number} radius - The distance along each axis
+     * @param {Function} callback - (x, y, z) => void
+     */
+    forEachBlockNear(x, y, z, radius, callback) {
+        for (let by = y - radius; by <= y + radius; by++) {
+            for (let bz = z - radius; bz <= z + radius; bz++) {
+                for (let bx = x - radius; bx <= x + radius; bx++) {
+                    const index = this.indexOf(bx, by, bz);
+                    if (index !== -1 && this.occupied[index]) {
+                        callback(bx, by, bz);
+                    }
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Compute the light of a set of blocks
+ * @param {Array} blocks - Processed blocks in world coordinates
+ * @returns {LightField} - The propagated light
+ */
+export function computeLight(blocks) {
+    return new LightField(blocks).propagate();
+}
@@ -3,36 +3,25 @@ import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
-import { WorldLoader } from './worldLoader.js';
+import { WorldWorkerClient } from './worldWorkerClient.js';
 import { TextureLoader } from './textureLoader.js';
-
-// Helper function for trapdoor rotation
-function getTrapdoorRotation(facing, isOpen) {
-    // Base rotation in radians for each facing direction
-    const baseRotations = {
-        'north': Math.PI,      // Facing north (180 degrees)
-        'south': 0,            // Facing south (0 degrees)
-        'west': Math.PI * 1.5, // Facing west (270 degrees)
-        'east': Math.PI * 0.5  // Facing east (90 degrees)
-    };
-    
-    // Get base rotation from facing direction (default to north if invalid)
-    let rotation = baseRotations[facing] || Math.PI;
-    
-    // If open, rotate 90 degrees around the hinge
-    if (isOpen) {
-        rotation += Math.PI * 0.5;
-    }
-    
-    return rotation;
-}
+import { ChunkManager } from './chunkManager.js';
+import { isSlabBlock } from './slabFactory.js';
+import { isTintedMaterial, ignoreInstanceColor, applyBlockLight } from './materialFactory.js';
+import { WorldUpdateStream } from './worldUpdates.js';
+import { buildChunkMesh, isMeshableTemplate } from './chunkMesher.js';
+import { buildFluidMesh, isFluidBlock, loadFluidMaterials } from './fluidMesher.js';
+import { useAtlasMaterials, getAtlasStats } from './textureAtlas.js';
+import { animateMaterial, updateTextureAnimations } from './textureAnimation.js';
+import { DayNightCycle, parseTimeOfDay } from './dayNightCycle.js';
+import { ResourcePack } from './resourcePack.js';
 
 // Scene setup
 const scene = new THREE.Scene();
-scene.background = new THREE.Color(0x87CEEB); // Sky blue background
+scene.background = new THREE.Color(0x87CEEB); // Sky blue background, set by the day/night cycle
 
 // Add fog to create atmosphere around the edges
-const fogColor = new THREE.Color(0x87CEEB); // Match sky blue color
+const fogColor = new THREE.Color(0x87CEEB); // Follows the horizon color of the sky (see dayNightCycle.js)
 scene.fog = new THREE.FogExp2(fogColor, 0.01); // Reduced fog density from 0.02 to 0.01
 
 // Camera setup
@@ -849,8 +838,9 @@ controls.enablePan = false;
 controls.enableZoom = false;
 
 // Lighting setup
-// Moderate ambient light for better base illumination
-const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
+// Ambient light for base illumination, a little stronger now that it stands in for the
+// point lights that used to fill the scene (the baked light darkens it where no light reaches)
+const ambientLight = new THREE.AmbientLight(0xffffff, 1.0);
 scene.add(ambientLight);
 
 // Add a directional light for better visibility
@@ -867,33 +857,20 @@ directionalLight.shadow.camera.top = 75;
 directionalLight.shadow.camera.bottom = -75;
 scene.add(directionalLight);
 
-// Create a stronger point light at the center of the minecraft world
-const worldLight = new THREE.PointLight(0xffffff, 2.5, 150);
-worldLight.position.set(0, 30, 0);
-worldLight.castShadow = true;
-worldLight.shadow.mapSize.width = 2048;
-worldLight.shadow.mapSize.height = 2048;
-worldLight.shadow.camera.near = 0.5;
-worldLight.shadow.camera.far = 150;
-scene.add(worldLight);
-
-// Add a special light that affects all objects
-const specialLight = new THREE.PointLight(0xffffff, 50, 200);
-specialLight.position.set(0, 30, 0);
-// Set this light to affect all objects
-specialLight.layers.enableAll();
-scene.add(specialLight);
-
-// Add more blindingly bright lights from different angles
-const brightLight1 = new THREE.PointLight(0xffffff, 50, 200);
-brightLight1.position.set(20, 20, 20);
-brightLight1.layers.enableAll();
-scene.add(brightLight1);
-
-const brightLight2 = new THREE.PointLight(0xffffff, 50, 200);
-brightLight2.position.set(-20, 20, -20);
-brightLight2.layers.enableAll();
-scene.add(brightLight2);
+// Move the sun, moon and sky with the time of day (see dayNightCycle.js). ?time= starts at a
+// time in ticks or by name (e.g. ?time=sunset), ?dayspeed= runs the clock faster or slower
+const timeParams = new URLSearchParams(window.location.search);
+const dayNightCycle = new DayNightCycle({
+    scene,
+    sun: directionalLight,
+    ambient: ambientLight,
+    time: parseTimeOfDay(timeParams.get('time')) ?? undefined,
+    speed: Number(timeParams.get('dayspeed') ?? 1) || 0
+});
+const clock = new THREE.Clock();
+
+// Blocks are lit by the light engine (see lightEngine.js): block and sky light are baked
+// into every instance, so lanterns and torches need no point lights of their own
 
 // Create green grass floor
 /* 
@@ -909,26 +886,63 @@ floor.receiveShadow = true;
 scene.add(floor);
 */
 
-// Add some floating colored lights
-const redLight = new THREE.PointLight(0xff0000, 5, 20);
-redLight.position.set(10, 15, 10);
-scene.add(redLight);
-
-const blueLight = new THREE.PointLight(0x0000ff, 5, 20);
-blueLight.position.set(-10, 15, -10);
-scene.add(blueLight);
+// Default render height range
+let minRenderHeight = -1;
+let maxRenderHeight = 189;
 
-const greenLight = new THREE.PointLight(0x00ff00, 5, 20);
-greenLight.position.set(-10, 15, 10);
-scene.add(greenLight);
+// Center point of the build (x 117-139, z 18-36), moved to (0,0) when rendering
+let worldCenter = { x: 128, z: 27 };
 
-// Initialize loaders
+// Initialize loaders; world data is loaded and preprocessed in a worker (see worldWorker.js)
 const textureLoader = new TextureLoader();
-const worldLoader = new WorldLoader();
+const worldLoader = new WorldWorkerClient({
+    getView: () => ({ center: worldCenter, minY: minRenderHeight, maxY: maxRenderHeight }),
+    onBlockChanges: changes => queueBlockChanges(changes)
+});
 
-// Default render height range
-let minRenderHeight = -1;
-let maxRenderHeight = 189;
+// All world meshes live under this group so the world can be swapped out
+const worldRoot = new THREE.Group();
+worldRoot.name = 'world';
+scene.add(worldRoot);
+
+// Stream chunks in around the camera instead of building the whole world up front.
+// ?streaming=off loads the world in one request instead, falling back to a test chunk when that fails
+let useChunkStreaming = new URLSearchParams(window.location.search).get('streaming') !== 'off';
+const chunkManager = new ChunkManager({
+    worldLoader,
+    parent: worldRoot,
+    viewDistance: 4, // Chunks in each direction, enough to reach the camera's far plane
+    buildChunk: buildChunkMeshes,
+    disposeChunk: disposeChunkMeshes
+});
+
+// Live block updates pushed by the backend (see worldUpdates.js); ?live=<url> overrides the stream URL
+const liveUpdatesUrl = new URLSearchParams(window.location.search).get('live');
+const worldUpdates = new WorldUpdateStream(liveUpdatesUrl || '/world-updates', queueWorldDeltas);
+let worldDeltaQueue = Promise.resolve();
+
+// Instance group record of every rendered block, by centered "x,y,z" (see registerInstanceGroup)
+const blockIndex = new Map();
+
+// Draw opaque cubes as one mesh per chunk (or per world when not streaming) with their hidden
+// faces left out, instead of instancing them (see chunkMesher.js). Faces on chunk borders are kept
+let useChunkMeshing = true;
+let useGreedyMeshing = true; // Merge matching neighboring faces into larger quads
+let useAmbientOcclusion = true; // Darken cube corners and crevices next to other cubes (smooth lighting)
+const dirtyChunkMeshes = new Set(); // Objects whose chunk mesh needs rebuilding after live updates
+
+// Draw water and lava with the fluid mesher (lowered, sloped surfaces, inner faces culled)
+// as part of each chunk mesh, instead of as transparent cubes (see fluidMesher.js)
+let useFluidRendering = true;
+
+// Pack block textures into a shared atlas so blocks can share materials (see textureAtlas.js)
+let useTextureAtlas = true;
+
+// Resource packs dropped onto the page (or given with ?pack=<url>), see resourcePack.js;
+// the index of the one in use, or -1 for the bundled textures
+const resourcePacks = [];
+let resourcePackIndex = -1;
+const resourcePackUrl = new URLSearchParams(window.location.search).get('pack');
 
 // Debug flag to toggle post-processing
 let usePostProcessing = true; // Enable post-processing by default
@@ -940,276 +954,127 @@ init().catch(error => {
 
 async function init() {
     try {
-        // Load blocks
-        const allBlocks = await worldLoader.loadSpawnChunk();
-        
-        // Log all slabs we received
-        console.log('🧱 ALL SLABS RECEIVED:', allBlocks.filter(b => b.type.includes('slab')).map(b => ({
-            type: b.type,
-            isUpperSlab: b.isUpperSlab,
-            extra_data: b.extra_data,
-            position: [b.x, b.y, b.z]
-        })));
-        
-        // Calculate center point of the build
-        const centerX = Math.floor((117 + 139) / 2); // center X = 128
-        const centerZ = Math.floor((18 + 36) / 2);   // center Z = 27
-        
-        // Filter blocks and transform wood types to spruce
-        const blocks = allBlocks.filter(block => {
-            // Check height bounds
-            if (block.y < minRenderHeight || block.y > maxRenderHeight) {
-                return false;
+        // Load the pack first so the world's textures come from it straight away
+        if (resourcePackUrl) {
+            try {
+                const response = await fetch(resourcePackUrl);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                await addResourcePack(await response.arrayBuffer(), resourcePackUrl.split('/').pop());
+            } catch (error) {
+                console.error(`Failed to load resource pack ${resourcePackUrl}:`, error);
             }
+        }
+        
+        if (useChunkStreaming) {
+            // Chunks are built as the camera needs them, starting with the first frame
+            updateChunkStreaming();
+        } else {
+            // Load the world and build its meshes
+            await buildWorld();
             
-            // Calculate distance from center
-            const dx = block.x - centerX;
-            const dz = block.z - centerZ;
-            const distanceFromCenter = Math.sqrt(dx * dx + dz * dz);
-            
-            // Filter out blocks more than 75 blocks away
-            if (distanceFromCenter > 75) {
-                return false;
-            }
-            
-            return true;
-        }).map(block => {
-            // Special case for cobwebs
-            if (block.type === 'cobweb' || block.type === 'web') {
-                return {
-                    ...block,
-                    type: 'web',
-                    texture: 'web.png',
-                    renderType: 'cross',  // This will make it render like plants
-                    transparent: true,     // Enable transparency
-                    opacity: 0.8,         // Set opacity level
-                    alphaTest: 0.1,       // Only render pixels above this opacity threshold
-                    doubleSided: true,    // Render both sides of the planes
-                    isCross: true,        // Tells the renderer to use crossed planes geometry
-                    x: block.x - centerX,
-                    z: block.z - centerZ
-                };
-            }
-
-            // Transform wood types to spruce
-            let type = block.type;
-            
-            // Handle prefixed wood types
-            if (type.includes('oak_') || type.includes('birch_') || type.includes('dark_oak_') || 
-                type.includes('acacia_') || type.includes('jungle_') || type.includes('mangrove_') ||
-                type.includes('cherry_') || type.includes('crimson_') || type.includes('warped_')) {
-                type = type.replace(/(oak|birch|dark_oak|acacia|jungle|mangrove|cherry|crimson|warped)_/, 'spruce_');
-            }
+            // Apply environment map to all materials
+            applyEnvironmentMap();
             
-            // Handle plain planks and logs
-            if (type === 'planks') {
-                type = 'spruce_planks';
-            } else if (type === 'log' || type === 'wood') {
-                type = 'stripped_spruce_log';
-            }
+            // Force lighting on all materials
+            forceLightingOnAllMaterials();
             
-            return {
-                ...block,
-                type,
-                x: block.x - centerX,
-                z: block.z - centerZ,
-                material: block.material?.includes('_wood') || block.material === 'wood' ? 'spruce_wood' : block.material
-            };
-        });
+            // Ensure all geometries have normals
+            ensureNormals();
+        }
         
-        console.log(`Rendering ${blocks.length} blocks centered at (0,0)`);
+        // Apply block deltas as the backend pushes them
+        worldUpdates.connect();
         
+        // Create HTML point indicators
+        createPointIndicators();
+        
+        // Initialize camera at the first point
+        initializeCamera();
+        
+        cleanupResources();
+        
+        // Start the animation loop
+        animate();
+        
+    } catch (error) {
+        console.error('Error in initialization:', error);
+        throw error;
+    }
+}
+
+// Load the world's instance groups from the world worker and add their meshes to worldRoot
+async function buildWorld() {
+    try {
+        const groups = await worldLoader.loadSpawnChunk();
+        await buildBlockMeshes(groups, worldRoot);
+    } catch (error) {
+        console.error('Error building world:', error);
+        throw error;
+    }
+}
+
+// Build the meshes of one streamed chunk into their own group
+async function buildChunkMeshes(instanceGroups, chunkX, chunkZ) {
+    const group = new THREE.Group();
+    group.userData.chunk = { x: chunkX, z: chunkZ };
+    
+    await buildBlockMeshes(instanceGroups, group);
+    
+    applyEnvironmentMap(group);
+    forceLightingOnAllMaterials(group);
+    ensureNormals(group);
+    
+    markNeighborChunksDirty(group);
+    return group;
+}
+
+// Remove a streamed chunk and free what it owns; textures and templates stay cached
+function disposeChunkMeshes(group) {
+    unregisterInstanceGroups(group);
+    clearScene([], group, false);
+    group.removeFromParent();
+    markNeighborChunksDirty(group);
+}
+
+// Fluids cull their faces against the blocks in the chunks next to them (see buildFluidMesh),
+// so the chunk meshes of loaded neighbors with fluids are rebuilt when a chunk comes or goes
+function markNeighborChunksDirty(group) {
+    const chunk = group.userData.chunk;
+    if (!chunk) return;
+    
+    for (const [dx, dz] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+        const neighbor = chunkManager.getChunkObject(chunk.x + dx, chunk.z + dz);
+        const blocks = neighbor?.userData.chunkMesh?.blocks;
+        if (blocks && [...blocks.values()].some(block => block.fluid)) {
+            dirtyChunkMeshes.add(neighbor);
+        }
+    }
+}
+
+// Load and unload chunks around the camera's position in world coordinates
+function updateChunkStreaming() {
+    chunkManager.update(camera.position.x + worldCenter.x, camera.position.z + worldCenter.z);
+}
+
+// Build instanced meshes (or cloned groups) for instance groups from the world worker and add them to target
+async function buildBlockMeshes(groups, target) {
+    try {
         // Create instanced meshes
         const instanceGroups = new Map();
         
-        // First pass: count instances of each block type with its properties
-        for (const block of blocks) {
-            // Create a unique key based on block type and properties
-            let key = block.type;
-            
-            // Handle slabs - create separate groups for upper and lower slabs
-            if (block.isUpperSlab !== undefined || (block.extra_data && block.extra_data.isUpperSlab !== undefined)) {
-                const isUpperSlab = block.isUpperSlab ?? block.extra_data?.isUpperSlab ?? false;
-                console.log(` Processing slab in main.js:`, {
-                    type: block.type,
-                    isUpper: isUpperSlab,
-                    position: [block.x, block.y, block.z]
-                });
-                key = `${block.type}_slab_${isUpperSlab ? 'upper' : 'lower'}`;
-                
-                if (!instanceGroups.has(key)) {
-                    console.log(`🎯 Creating new instance group for ${key}`);
-                    instanceGroups.set(key, {
-                        type: block.type,
-                        options: {
-                            isUpperSlab: isUpperSlab
-                        },
-                        positions: [],
-                        count: 0
-                    });
-                }
-                
-                // Add position without y-offset since it's handled in geometry
-                instanceGroups.get(key).positions.push({
-                    x: block.x - centerX,
-                    y: block.y,
-                    z: block.z - centerZ
-                });
-                instanceGroups.get(key).count++;
-            }
-            // Handle colored blocks (concrete, concrete_powder, wool)
-            else if (block.type.includes('concrete') || block.type.includes('wool')) {
-                console.log(`🎨 Processing colored block:`, {
-                    type: block.type,
-                    color: block.color,
-                    position: [block.x, block.y, block.z]
-                });
-                
-                // Use block type as key since color is part of the type now
-                if (!instanceGroups.has(key)) {
-                    console.log(`🎯 Creating new instance group for ${key}`);
-                    instanceGroups.set(key, {
-                        type: block.type,
-                        options: {
-                            color: block.color || 'white' // default to white if no color specified
-                        },
-                        positions: [],
-                        count: 0
-                    });
-                }
-                
-                instanceGroups.get(key).positions.push({
-                    x: block.x - centerX,
-                    y: block.y,
-                    z: block.z - centerZ
-                });
-                instanceGroups.get(key).count++;
-            }
-            // Handle stairs - create groups based on facing direction and half
-            else if (block.type.includes('_stairs') || block.type === 'stairs') {
-                const facing = block.facing || 'east';
-                const half = block.half || 'bottom';
-                const shape = block.shape || 'straight';
-                
-                console.log(`🏗️ Processing stair in main.js:`, {
-                    type: block.type,
-                    facing: facing,
-                    half: half,
-                    position: [block.x, block.y, block.z]
-                });
-                
-                // Create a unique key for each stair configuration
-                key = `${block.type}_facing_${facing}_half_${half}`;
-
-                if (!instanceGroups.has(key)) {
-                    console.log(`🎯 Creating new instance group for ${key}`);
-                    instanceGroups.set(key, {
-                        type: block.type,
-                        options: {
-                            facing: facing,
-                            half: half,
-                            shape: shape
-                        },
-                        positions: [],
-                        count: 0
-                    });
-                }
-
-                // Add position to the instance group
-                instanceGroups.get(key).positions.push({
-                    x: block.x,
-                    y: block.y,
-                    z: block.z
-                });
-                instanceGroups.get(key).count++;
-            }
-            // Handle trapdoors
-            else if (block.type.includes('_trapdoor') || block.type === 'trapdoor') {
-                // Get trapdoor state from block data
-                const trapdoorState = block.trapdoorState || {};
-                const facing = trapdoorState.facing || 'north';
-                const isOpen = trapdoorState.open === true || trapdoorState.open === 'true';
-                const isTop = trapdoorState.half === 'top';
-                
-                console.log('🏗️ CREATING TRAPDOOR:', {
-                    position: [block.x, block.y, block.z],
-                    type: block.type,
-                    rawState: block.trapdoorState,
-                    processedState: {
-                        facing,
-                        isOpen,
-                        isTop
-                    }
-                });
-                
-                // Calculate rotation
-                const rotation = getTrapdoorRotation(facing, isOpen);
-                
-                // Create a unique key for each trapdoor state combination
-                key = `${block.type}_${facing}_${isOpen ? 'open' : 'closed'}_${isTop ? 'top' : 'bottom'}`;
-                
-                // Set up trapdoor options
-                const options = {
-                    ...block,
-                    rotation,
-                    isTop,
-                    isOpen,
-                    key
-                };
-                
-                console.log('🎨 RENDERING TRAPDOOR:', {
-                    position: [block.x, block.y, block.z],
-                    options,
-                    rotation: {
-                        radians: rotation,
-                        degrees: (rotation * 180 / Math.PI)
-                    }
-                });
-                
-                if (!instanceGroups.has(key)) {
-                    instanceGroups.set(key, {
-                        type: block.type,
-                        options: options,
-                        positions: [],
-                        count: 0
-                    });
-                }
-            } else {
-            if (block.connections) {
-                const connectionsKey = Object.entries(block.connections)
-                    .filter(([_, value]) => value === 'true')
-                    .map(([dir, _]) => dir)
-                    .sort()
-                    .join('_');
-                key += `_connections_${connectionsKey || 'none'}`;
-            }
-            
-            if (block.hanging !== undefined) {
-                key += `_${block.hanging ? 'hanging' : 'standing'}`;
-            }
-            
-            if (!instanceGroups.has(key)) {
-                instanceGroups.set(key, {
-                    type: block.type,
-                    options: {
-                        isUpperSlab: block.isUpperSlab,
-                        trapdoorState: block.trapdoorState,
-                        connections: block.connections,
-                        hanging: block.hanging,
-                            material: block.material
-                    },
-                    positions: [],
-                    count: 0
-                });
-                }
-            }
-            
-            instanceGroups.get(key).positions.push({
-                x: block.x,
-                y: block.y,
-                z: block.z
+        // The worker grouped blocks by their normalized state, so every variant
+        // (slab type and water, stair facing, trapdoor state, connections...) has its own group.
+        // Positions are centered x, y, z triples
+        for (const group of groups) {
+            instanceGroups.set(group.key, {
+                type: group.state.name,
+                state: group.state,
+                options: { state: group.state },
+                positions: group.positions,
+                tints: group.tints, // Biome tints per instance, only for tinted blocks
+                lights: group.lights, // Packed block and sky light per instance (see lightEngine.js)
+                count: group.count
             });
-            instanceGroups.get(key).count++;
         }
         
         // Create template cache
@@ -1217,14 +1082,14 @@ async function init() {
         const loadingPromises = [];
         
         for (const [key, group] of instanceGroups.entries()) {
-            // For trapdoors, stairs, and slabs use the full key as the cache key
-            const cacheKey = group.type.includes('trapdoor') || 
-                           group.type.includes('_stairs') || 
-                           group.type === 'stairs' ||
-                           group.type.includes('_slab') || 
-                           group.type === 'slab'
-                ? key 
-                : group.type;
+            // Group keys are block state strings, so they double as template cache keys
+            const cacheKey = key;
+            
+            // Fluids need no template, only the fluid materials
+            if (useFluidRendering && isFluidBlock(group.type)) {
+                loadingPromises.push(loadFluidMaterials());
+                continue;
+            }
             
             if (!templateCache.has(cacheKey)) {
                 const loadPromise = textureLoader.loadBlock(group.type, group.options)
@@ -1240,43 +1105,57 @@ async function init() {
         
         await Promise.all(loadingPromises);
         
+        // Move the templates onto the texture atlas before their materials are prepared
+        if (useTextureAtlas) {
+            let atlasMeshes = 0;
+            templateCache.forEach(template => {
+                atlasMeshes += useAtlasMaterials(template);
+            });
+            const { textures, pages } = getAtlasStats();
+            console.log(`🧩 ${atlasMeshes} template meshes on the texture atlas (${textures} textures in ${pages} pages)`);
+        }
+        
         // Create and add instanced meshes
         const instancedMeshes = [];
         
         for (const [key, group] of instanceGroups.entries()) {
-            // For trapdoors, stairs, and slabs use the full key as the cache key
-            const cacheKey = group.type.includes('trapdoor') || 
-                           group.type.includes('_stairs') || 
-                           group.type === 'stairs' ||
-                           group.type.includes('_slab') || 
-                           group.type === 'slab'
-                ? key 
-                : group.type;
+            // Group keys are block state strings, so they double as template cache keys
+            const cacheKey = key;
             const templateBlock = templateCache.get(cacheKey);
             
+            if (useFluidRendering && isFluidBlock(group.type)) {
+                addMeshedBlocks(target, key, group, null);
+                continue;
+            }
+            
             if (!templateBlock) continue;
             
+            if (useChunkMeshing && isMeshableTemplate(templateBlock)) {
+                addMeshedBlocks(target, key, group, templateBlock);
+                continue;
+            }
+            
                     if (templateBlock instanceof THREE.Group) {
                         const containerGroup = new THREE.Group();
                         containerGroup.name = `container_${key}`;
                         
-                        for (let i = 0; i < group.positions.length; i++) {
-                            const pos = group.positions[i];
+                        for (let i = 0; i < group.count; i++) {
                             const blockGroup = new THREE.Group();
                             blockGroup.name = `${key}_${i}`;
                             
+                            // Materials are shared by the blocks with the same tint and light (see getBlockMaterial)
+                            blockGroup.userData.tint = group.tints?.[i];
+                            blockGroup.userData.light = getGroupLight(group, i);
+                            
                             templateBlock.children.forEach((child, childIndex) => {
                                 if (child.isMesh) {
                                     if (i === 0) {
                                         child.userData.clonedGeometry = child.geometry.clone();
-                                child.userData.clonedMaterial = Array.isArray(child.material) 
-                                    ? child.material.map(m => m.clone())
-                                    : child.material.clone();
-                            }
+                                    }
                             
                                     const mesh = new THREE.Mesh(
                                         child.userData.clonedGeometry,
-                                        child.userData.clonedMaterial
+                                        getBlockMaterial(containerGroup, child, childIndex, blockGroup.userData.tint, blockGroup.userData.light)
                                     );
                                     
                                     mesh.name = `${key}_${i}_part_${childIndex}`;
@@ -1290,78 +1169,56 @@ async function init() {
                                 }
                             });
                             
-                            blockGroup.position.set(pos.x, pos.y, pos.z);
+                            blockGroup.position.fromArray(group.positions, i * 3);
                             containerGroup.add(blockGroup);
                         }
                         
-                        scene.add(containerGroup);
+                        target.add(containerGroup);
+                        registerInstanceGroup(target, key, group, containerGroup);
                     } else if (templateBlock.geometry && templateBlock.material) {
+                        // Ensure normals are computed for the geometry
+                        if (templateBlock.geometry && !templateBlock.geometry.attributes.normal) {
+                            templateBlock.geometry.computeVertexNormals();
+                        }
+                        
+                        prepareBlockLight(templateBlock);
                         const instancedMesh = new THREE.InstancedMesh(
-                            templateBlock.geometry,
+                            createInstanceGeometry(templateBlock.geometry, group.count),
                             templateBlock.material,
-                            group.positions.length
+                            group.count
                         );
                         instancedMesh.name = key;
+                        // The material belongs to the cached template, not this mesh
+                        instancedMesh.userData.sharedTemplate = true;
                         instancedMesh.castShadow = true;
                         instancedMesh.receiveShadow = true;
                         
-                        // Ensure normals are computed for the geometry
-                        if (templateBlock.geometry && !templateBlock.geometry.attributes.normal) {
-                            templateBlock.geometry.computeVertexNormals();
-                        }
-                        
                         const matrix = new THREE.Matrix4();
-                        for (let i = 0; i < group.positions.length; i++) {
-                            const pos = group.positions[i];
-                            
-                            // Reset matrix
-                            matrix.identity();
-                            
-                            // Handle stairs rotation based on facing and half
-                            if (group.type.includes('_stairs') || group.type === 'stairs') {
-                                const facing = group.options.facing || 'east';
-                                const half = group.options.half || 'bottom';
-                                
-                                // First apply rotation based on facing direction
-                                switch (facing) {
-                                    case 'north':
-                                        matrix.makeRotationY(Math.PI);
-                                        break;
-                                    case 'south':
-                                        matrix.makeRotationY(0);
-                                        break;
-                                    case 'west':
-                                        matrix.makeRotationY(Math.PI * 1.5);
-                                        break;
-                                    case 'east':
-                                        matrix.makeRotationY(Math.PI * 0.5);
-                                        break;
-                                }
-                                
-                                // If it's a top half stair, rotate 180 degrees around X axis
-                                if (half === 'top') {
-                                    const rotationMatrix = new THREE.Matrix4();
-                                    rotationMatrix.makeRotationX(Math.PI);
-                                    matrix.multiply(rotationMatrix);
-                                }
-                                
-                                // Apply additional Y rotation
-                                const yRotationMatrix = new THREE.Matrix4();
-                                if (half === 'top') {
-                                    yRotationMatrix.makeRotationY(-Math.PI / 2); // 90 degrees
-                                } else {
-                                    yRotationMatrix.makeRotationY(Math.PI / 2); // -90 degrees
-                                }
-                                matrix.multiply(yRotationMatrix);
-                            }
-                            
-                            // Apply position
-                            matrix.setPosition(pos.x, pos.y, pos.z);
+                        for (let i = 0; i < group.count; i++) {
+                            composeInstanceMatrix(
+                                matrix,
+                                group.positions[i * 3],
+                                group.positions[i * 3 + 1],
+                                group.positions[i * 3 + 2]
+                            );
                             instancedMesh.setMatrixAt(i, matrix);
+                            setInstanceLight(instancedMesh, i, getGroupLight(group, i));
                         }
                         
                         instancedMesh.instanceMatrix.needsUpdate = true;
                         
+                        // Biome tints go through instance colors so one mesh can span several biomes
+                        if (group.tints) {
+                            prepareInstanceTinting(templateBlock);
+                            const color = new THREE.Color();
+                            for (let i = 0; i < group.count; i++) {
+                                instancedMesh.setColorAt(i, color.setHex(group.tints[i]));
+                            }
+                            instancedMesh.instanceColor.needsUpdate = true;
+                        }
+                        
+                        registerInstanceGroup(target, key, group, instancedMesh);
+                        
                         const isTransparent = Array.isArray(templateBlock.material) 
                             ? templateBlock.material.some(m => m && m.transparent) 
                             : (templateBlock.material && templateBlock.material.transparent) || false;
@@ -1370,7 +1227,7 @@ async function init() {
                             mesh: instancedMesh,
                             isTransparent: isTransparent,
                             isLeaf: key.includes('leaves'),
-                            isSlab: key.includes('_slab_')  // Add slab flag for sorting
+                            isSlab: isSlabBlock(group.type)  // Add slab flag for sorting
                         });
             }
         }
@@ -1387,38 +1244,451 @@ async function init() {
         });
         
         for (const { mesh } of instancedMeshes) {
-            scene.add(mesh);
+            target.add(mesh);
         }
         
-        // Apply environment map to all materials
-        applyEnvironmentMap();
-        
-        // Force lighting on all materials
-        forceLightingOnAllMaterials();
-        
-        // Ensure all geometries have normals
-        ensureNormals();
-        
-        // Create HTML point indicators
-        createPointIndicators();
+        remeshChunk(target);
+    } catch (error) {
+        console.error('Error building block meshes:', error);
+        throw error;
+    }
+}
+
+// Let a tinted template take its tint from instance colors: tinted materials turn white
+// (the instance color carries the tint) and the rest ignore instance colors
+function prepareInstanceTinting(templateBlock) {
+    if (templateBlock.userData.instanceTinting) return;
+    templateBlock.userData.instanceTinting = true;
+    
+    const materials = new Set(Array.isArray(templateBlock.material) ? templateBlock.material : [templateBlock.material]);
+    for (const material of materials) {
+        if (isTintedMaterial(material)) {
+            material.color.set(0xffffff);
+        } else {
+            ignoreInstanceColor(material);
+        }
+    }
+}
+
+// Give a template's materials the baked block light, which instanced meshes read per instance,
+// and let animated textures (water, lava, fire...) show their current frame
+function prepareBlockLight(templateBlock) {
+    const materials = Array.isArray(templateBlock.material) ? templateBlock.material : [templateBlock.material];
+    materials.forEach(material => {
+        applyBlockLight(material);
+        animateMaterial(material);
+    });
+}
+
+// Light of a group's instance, or full daylight if the worker sent none
+function getGroupLight(group, i) {
+    return group.lights ? group.lights[i] : 0xF0;
+}
+
+// Copy a template's geometry for one instanced mesh, with room for the light of each instance.
+// The copy is small and belongs to the mesh
+function createInstanceGeometry(templateGeometry, capacity) {
+    const geometry = templateGeometry.clone();
+    geometry.setAttribute('instanceLight', new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1));
+    return geometry;
+}
+
+function setInstanceLight(mesh, slot, light) {
+    const attribute = mesh.geometry.getAttribute('instanceLight');
+    attribute.setX(slot, light);
+    attribute.needsUpdate = true;
+}
+
+// Container blocks have no instance attributes, so each tint and light level gets its own
+// copy of a part's material. part is the template's part or a copy of it
+function getBlockMaterial(container, part, childIndex, tint, light) {
+    if (!container.userData.blockMaterials) {
+        container.userData.blockMaterials = new Map();
+    }
+    
+    const cache = container.userData.blockMaterials;
+    const key = `${childIndex}:${tint}:${light}`;
+    if (!cache.has(key)) {
+        const copies = (Array.isArray(part.material) ? part.material : [part.material]).map(material => {
+            const copy = material.clone();
+            if (tint !== undefined && isTintedMaterial(material)) copy.color.setHex(tint);
+            applyBlockLight(copy, light);
+            animateMaterial(copy);
+            return copy;
+        });
+        cache.set(key, Array.isArray(part.material) ? copies : copies[0]);
+    }
+    
+    return cache.get(key);
+}
+
+// Hand a group of opaque cubes (or of fluid blocks, without a template) to the target's
+// chunk mesh instead of instancing them
+function addMeshedBlocks(target, key, group, templateBlock) {
+    const record = registerInstanceGroup(target, key, group, null);
+    record.template = templateBlock;
+    record.fluid = templateBlock === null;
+    
+    for (let i = 0; i < group.count; i++) {
+        setMeshedBlock(target, record, record.keys[i], group.tints?.[i], getGroupLight(group, i));
+    }
+}
+
+// Put a cube or fluid block into the target's chunk mesh; it is drawn on the next remesh
+function setMeshedBlock(target, record, positionKey, tint, light) {
+    if (!target.userData.chunkMesh) {
+        target.userData.chunkMesh = { blocks: new Map(), mesh: null, fluidMesh: null };
+    }
+    
+    const [x, y, z] = positionKey.split(',').map(Number);
+    target.userData.chunkMesh.blocks.set(positionKey, {
+        x, y, z,
+        state: record.state,
+        template: record.template,
+        fluid: record.fluid,
+        tint,
+        light
+    });
+    dirtyChunkMeshes.add(target);
+}
+
+// Get the block a chunk mesh draws at a centered position, in any chunk
+function getMeshedBlock(x, y, z) {
+    const positionKey = getPositionKey(x, y, z);
+    const record = blockIndex.get(positionKey);
+    return record?.isMeshed ? record.target.userData.chunkMesh.blocks.get(positionKey) : undefined;
+}
+
+// Rebuild the chunk mesh of a target whose cubes or fluids changed
+function remeshChunk(target) {
+    if (!dirtyChunkMeshes.delete(target)) return;
+    
+    const chunkMesh = target.userData.chunkMesh;
+    const cubes = [];
+    const fluids = [];
+    chunkMesh.blocks.forEach(block => (block.fluid ? fluids : cubes).push(block));
+    
+    setChunkMeshPart(target, 'mesh', buildChunkMesh(cubes, {
+        greedy: useGreedyMeshing,
+        ambientOcclusion: useAmbientOcclusion
+    }));
+    setChunkMeshPart(target, 'fluidMesh', buildFluidMesh(fluids, getMeshedBlock));
+}
+
+// Swap one of a chunk mesh's meshes for a rebuilt one (or none)
+function setChunkMeshPart(target, part, mesh) {
+    const chunkMesh = target.userData.chunkMesh;
+    if (chunkMesh[part]) {
+        chunkMesh[part].removeFromParent();
+        chunkMesh[part].geometry.dispose();
+    }
+    
+    chunkMesh[part] = mesh;
+    if (mesh) {
+        target.add(mesh);
+        applyEnvironmentMap(mesh);
+        forceLightingOnAllMaterials(mesh);
+    }
+}
+
+// Set an instance's matrix from its centered position. Templates are built for their block state
+// (stairs included, see stairFactory.js), so instances are never rotated
+function composeInstanceMatrix(matrix, x, y, z) {
+    return matrix.makeTranslation(x, y, z);
+}
+
+function getPositionKey(x, y, z) {
+    return `${x},${y},${z}`;
+}
+
+// Remember which slot every block of a built group occupies, so live updates can change it in place.
+// Records live in target.userData.instanceGroups by state key, blockIndex maps positions to records.
+// object is null for cubes and fluids drawn by the target's chunk mesh
+function registerInstanceGroup(target, key, group, object) {
+    const record = {
+        key,
+        state: group.state,
+        target,
+        object,
+        isInstanced: object?.isInstancedMesh === true,
+        isMeshed: object === null,
+        tinted: Boolean(group.tints),
+        keys: [], // Position keys in slot order
+        slots: new Map() // Position key -> slot
+    };
+    
+    for (let i = 0; i < group.count; i++) {
+        const positionKey = getPositionKey(group.positions[i * 3], group.positions[i * 3 + 1], group.positions[i * 3 + 2]);
+        record.slots.set(positionKey, i);
+        record.keys.push(positionKey);
+        blockIndex.set(positionKey, record);
+    }
+    
+    if (!target.userData.instanceGroups) {
+        target.userData.instanceGroups = new Map();
+    }
+    target.userData.instanceGroups.set(key, record);
+    return record;
+}
+
+// Forget the instance groups built under root, e.g. before it is disposed
+function unregisterInstanceGroups(root) {
+    if (!root.userData.instanceGroups) return;
+    
+    for (const record of root.userData.instanceGroups.values()) {
+        for (const positionKey of record.keys) {
+            if (blockIndex.get(positionKey) === record) {
+                blockIndex.delete(positionKey);
+            }
+        }
+    }
+    root.userData.instanceGroups.clear();
+    
+    // The chunk mesh itself goes with the objects under root
+    root.userData.chunkMesh = null;
+    dirtyChunkMeshes.delete(root);
+}
+
+// Remove the block at a centered position from its instance group
+function removeBlockInstance(positionKey) {
+    const record = blockIndex.get(positionKey);
+    if (!record) return;
+    
+    blockIndex.delete(positionKey);
+    const slot = record.slots.get(positionKey);
+    record.slots.delete(positionKey);
+    
+    if (record.isMeshed) {
+        record.target.userData.chunkMesh.blocks.delete(positionKey);
+        dirtyChunkMeshes.add(record.target);
         
-        // Initialize camera at the first point
-        initializeCamera();
+        const last = record.keys.length - 1;
+        if (slot !== last) {
+            const movedKey = record.keys[last];
+            record.keys[slot] = movedKey;
+            record.slots.set(movedKey, slot);
+        }
+        record.keys.pop();
+        return;
+    }
+    
+    if (record.isInstanced) {
+        const mesh = record.object;
+        const last = record.keys.length - 1;
         
-        cleanupResources();
+        // Move the last instance into the freed slot so the used slots stay contiguous
+        if (slot !== last) {
+            const matrix = new THREE.Matrix4();
+            mesh.getMatrixAt(last, matrix);
+            mesh.setMatrixAt(slot, matrix);
+            if (mesh.instanceColor) {
+                const color = new THREE.Color();
+                mesh.getColorAt(last, color);
+                mesh.setColorAt(slot, color);
+                mesh.instanceColor.needsUpdate = true;
+            }
+            setInstanceLight(mesh, slot, mesh.geometry.getAttribute('instanceLight').getX(last));
+            const movedKey = record.keys[last];
+            record.keys[slot] = movedKey;
+            record.slots.set(movedKey, slot);
+        }
         
-        // Start the animation loop
-        animate();
+        record.keys.pop();
+        mesh.count = record.keys.length;
+        mesh.instanceMatrix.needsUpdate = true;
+        mesh.boundingSphere = null; // Recomputed from the remaining instances
+        return;
+    }
+    
+    // Cloned groups own their geometry and materials, so dispose them with the last block
+    if (record.keys.length === 1) {
+        clearScene([], record.object, false);
+        record.object.removeFromParent();
+        record.target.userData.instanceGroups.delete(record.key);
+        return;
+    }
+    
+    record.object.remove(record.object.children[slot]);
+    record.keys.splice(slot, 1);
+    for (let i = slot; i < record.keys.length; i++) {
+        record.slots.set(record.keys[i], i);
+    }
+}
+
+// Replace an instanced mesh with one of twice the capacity, keeping its place among its
+// siblings (which are sorted for transparency)
+function growInstancedMesh(record) {
+    const oldMesh = record.object;
+    const capacity = oldMesh.instanceMatrix.count * 2;
+    const geometry = createInstanceGeometry(oldMesh.geometry, capacity);
+    geometry.getAttribute('instanceLight').array.set(oldMesh.geometry.getAttribute('instanceLight').array);
+    const mesh = new THREE.InstancedMesh(geometry, oldMesh.material, capacity);
+    mesh.name = oldMesh.name;
+    mesh.userData = oldMesh.userData;
+    mesh.castShadow = oldMesh.castShadow;
+    mesh.receiveShadow = oldMesh.receiveShadow;
+    mesh.instanceMatrix.array.set(oldMesh.instanceMatrix.array);
+    if (oldMesh.instanceColor) {
+        mesh.setColorAt(0, new THREE.Color()); // Creates the instance color buffer
+        mesh.instanceColor.array.set(oldMesh.instanceColor.array);
+    }
+    mesh.count = oldMesh.count;
+    
+    const parent = oldMesh.parent;
+    parent.children[parent.children.indexOf(oldMesh)] = mesh;
+    mesh.parent = parent;
+    oldMesh.parent = null;
+    
+    // The material is the shared template's, only the instance buffers and geometry go
+    oldMesh.dispose();
+    oldMesh.geometry.dispose();
+    record.object = mesh;
+}
+
+// Find the object a live-updated block belongs under, or null if its chunk isn't loaded
+function getUpdateTarget(x, z) {
+    if (!useChunkStreaming) return worldRoot;
+    
+    const chunkX = Math.floor((x + worldCenter.x) / worldLoader.chunkSize);
+    const chunkZ = Math.floor((z + worldCenter.z) / worldLoader.chunkSize);
+    return chunkManager.getChunkObject(chunkX, chunkZ, () => new THREE.Group());
+}
+
+// Put a block at a centered position, replacing what was there
+async function setBlockInstance(change) {
+    const positionKey = getPositionKey(change.x, change.y, change.z);
+    removeBlockInstance(positionKey);
+    
+    // Chunks that aren't loaded pick the change up from the worker when they are
+    const target = getUpdateTarget(change.x, change.z);
+    if (!target) return;
+    
+    const record = target.userData.instanceGroups?.get(change.key);
+    if (!record) {
+        // First block of this state here, build a group for it
+        await buildBlockMeshes([{
+            key: change.key,
+            state: change.state,
+            count: 1,
+            positions: new Float32Array([change.x, change.y, change.z]),
+            tints: change.tint !== undefined ? new Uint32Array([change.tint]) : undefined,
+            lights: new Uint8Array([change.light ?? 0xF0])
+        }], target);
+        applyEnvironmentMap(target);
+        forceLightingOnAllMaterials(target);
+        ensureNormals(target);
+        return;
+    }
+    
+    const slot = record.keys.length;
+    
+    if (record.isInstanced) {
+        if (slot >= record.object.instanceMatrix.count) {
+            growInstancedMesh(record);
+        }
         
-    } catch (error) {
-        console.error('Error in initialization:', error);
-        throw error;
+        const mesh = record.object;
+        mesh.setMatrixAt(slot, composeInstanceMatrix(new THREE.Matrix4(), change.x, change.y, change.z));
+        if (mesh.instanceColor && change.tint !== undefined) {
+            mesh.setColorAt(slot, new THREE.Color().setHex(change.tint));
+            mesh.instanceColor.needsUpdate = true;
+        }
+        setInstanceLight(mesh, slot, change.light ?? 0xF0);
+        mesh.count = slot + 1;
+        mesh.instanceMatrix.needsUpdate = true;
+        mesh.boundingSphere = null;
+    } else if (record.isMeshed) {
+        setMeshedBlock(target, record, positionKey, change.tint, change.light ?? 0xF0);
+    } else {
+        // Clones share the container's geometry and materials
+        const blockGroup = record.object.children[0].clone();
+        blockGroup.name = `${record.key}_${slot}`;
+        blockGroup.position.set(change.x, change.y, change.z);
+        blockGroup.userData.tint = record.tinted ? change.tint : undefined;
+        blockGroup.userData.light = change.light ?? 0xF0;
+        blockGroup.children.forEach((part, childIndex) => {
+            part.material = getBlockMaterial(record.object, part, childIndex, blockGroup.userData.tint, blockGroup.userData.light);
+        });
+        record.object.add(blockGroup);
     }
+    
+    record.keys.push(positionKey);
+    record.slots.set(positionKey, slot);
+    blockIndex.set(positionKey, record);
+}
+
+// Update the baked light of the block at a centered position
+function setBlockLight(change) {
+    const positionKey = getPositionKey(change.x, change.y, change.z);
+    const record = blockIndex.get(positionKey);
+    if (!record) return;
+    
+    if (record.isMeshed) {
+        const block = record.target.userData.chunkMesh.blocks.get(positionKey);
+        if (block.light !== change.light) {
+            block.light = change.light;
+            dirtyChunkMeshes.add(record.target);
+        }
+        return;
+    }
+    
+    const slot = record.slots.get(positionKey);
+    if (record.isInstanced) {
+        if (record.object.geometry.getAttribute('instanceLight').getX(slot) !== change.light) {
+            setInstanceLight(record.object, slot, change.light);
+        }
+        return;
+    }
+    
+    const blockGroup = record.object.children[slot];
+    if (blockGroup.userData.light === change.light) return;
+    blockGroup.userData.light = change.light;
+    blockGroup.children.forEach((part, childIndex) => {
+        part.material = getBlockMaterial(record.object, part, childIndex, blockGroup.userData.tint, change.light);
+    });
+}
+
+// Apply a batch of live block deltas without rebuilding the world
+async function applyWorldDeltas(deltas) {
+    const changes = await worldLoader.applyDeltas(deltas);
+    await applyBlockChanges(changes);
+    console.log(`🔄 Applied ${deltas.length} world updates (${changes.length} block changes)`);
+}
+
+// Apply instance changes from the worker (see WorldWorkerClient.applyDeltas) to the loaded chunks
+async function applyBlockChanges(changes) {
+    for (const change of changes) {
+        if (change.op === 'remove') {
+            removeBlockInstance(getPositionKey(change.x, change.y, change.z));
+        } else if (change.op === 'light') {
+            setBlockLight(change);
+        } else {
+            await setBlockInstance(change);
+        }
+    }
+    
+    for (const target of [...dirtyChunkMeshes]) {
+        remeshChunk(target);
+    }
+}
+
+// Apply deltas one batch at a time, in the order they arrived
+function queueWorldDeltas(deltas) {
+    worldDeltaQueue = worldDeltaQueue
+        .then(() => applyWorldDeltas(deltas))
+        .catch(error => console.error('Error applying world updates:', error));
+}
+
+// Apply changes a streamed chunk made to the chunks around it, in order with the live updates
+function queueBlockChanges(changes) {
+    worldDeltaQueue = worldDeltaQueue
+        .then(() => applyBlockChanges(changes))
+        .catch(error => console.error('Error applying block changes:', error));
 }
 
 // Function to apply environment map to all materials in the scene
-function applyEnvironmentMap() {
-    scene.traverse((object) => {
+function applyEnvironmentMap(root = scene) {
+    root.traverse((object) => {
         if (object.isMesh && object.material) {
             if (Array.isArray(object.material)) {
                 object.material.forEach(material => {
@@ -1446,8 +1716,8 @@ function applyEnvironmentMap() {
 }
 
 // Function to force lighting on all materials
-function forceLightingOnAllMaterials() {
-    scene.traverse((object) => {
+function forceLightingOnAllMaterials(root = scene) {
+    root.traverse((object) => {
         if (object.isMesh || object.isInstancedMesh) {
             // Skip menu items
             if (object.userData && object.userData.isMenuOption) {
@@ -1475,8 +1745,8 @@ function forceLightingOnAllMaterials() {
 }
 
 // Function to ensure all geometries have normals
-function ensureNormals() {
-    scene.traverse((object) => {
+function ensureNormals(root = scene) {
+    root.traverse((object) => {
         if ((object.isMesh || object.isInstancedMesh) && object.geometry) {
             // Check if normals exist
             if (!object.geometry.attributes.normal) {
@@ -1504,18 +1774,21 @@ function animate() {
     // Update controls
     controls.update();
     
-    // Update all lights in the scene
-    const time = Date.now() * 0.001;
-    scene.traverse((object) => {
-        if (object.isLight && object.parent && object.parent.name && object.parent.name.includes('lantern')) {
-            // Add subtle flicker to lantern lights
-            const flicker = Math.sin(time * 10 + Math.random()) * 0.2 + 0.9;
-            object.intensity = object.userData.baseIntensity || (object.intensity * flicker);
-            if (!object.userData.baseIntensity) {
-                object.userData.baseIntensity = object.intensity;
-            }
+    // Stream chunks around the camera, then rebuild the chunk meshes next to the chunks
+    // that came or went. Waiting for the frame lets a cleared world skip them
+    if (useChunkStreaming) {
+        updateChunkStreaming();
+        for (const target of [...dirtyChunkMeshes]) {
+            remeshChunk(target);
         }
-    });
+    }
+    
+    // Move animated block textures to their current frame
+    updateTextureAnimations(performance.now() / 1000);
+    
+    // Advance the time of day; glowing blocks bloom more at night
+    dayNightCycle.update(clock.getDelta(), camera);
+    bloomPass.strength = 0.8 + 0.6 * dayNightCycle.night;
     
     // Render with or without post-processing
     if (usePostProcessing) {
@@ -1557,8 +1830,137 @@ window.addEventListener('keydown', (event) => {
         usePostProcessing = !usePostProcessing;
         console.log(`Post-processing: ${usePostProcessing ? 'ON' : 'OFF'}`);
     }
+    
+    // Toggle ambient occlusion, rebuilding every chunk mesh with or without it
+    if (event.key === 'o' || event.key === 'O') {
+        useAmbientOcclusion = !useAmbientOcclusion;
+        console.log(`Ambient occlusion: ${useAmbientOcclusion ? 'ON' : 'OFF'}`);
+        
+        const targets = [];
+        scene.traverse(object => {
+            if (object.userData.chunkMesh) targets.push(object);
+        });
+        targets.forEach(target => {
+            dirtyChunkMeshes.add(target);
+            remeshChunk(target);
+        });
+    }
+    
+    // Pause or resume the day/night cycle
+    if (event.key === 't' || event.key === 'T') {
+        dayNightCycle.setPaused(!dayNightCycle.paused);
+        console.log(`Time of day: ${dayNightCycle.paused ? 'PAUSED' : 'RUNNING'} at ${dayNightCycle.getClockTime()}`);
+    }
+    
+    // Cycle through the loaded resource packs and the bundled textures
+    if ((event.key === 'r' || event.key === 'R') && resourcePacks.length > 0) {
+        const next = resourcePackIndex + 1 < resourcePacks.length ? resourcePackIndex + 1 : -1;
+        useResourcePack(next).catch(error => console.error('Failed to switch resource pack:', error));
+    }
+    
+    // Scrub the time of day an hour back or forward
+    if (event.key === '[' || event.key === ']') {
+        dayNightCycle.addTime(event.key === ']' ? 1000 : -1000);
+        console.log(`Time of day: ${dayNightCycle.getClockTime()}`);
+    }
 });
 
+// Allow dropping a region file (.mca) or schematic (.schem, .litematic, .nbt) onto the page
+window.addEventListener('dragover', (event) => {
+    event.preventDefault();
+});
+
+window.addEventListener('drop', async (event) => {
+    event.preventDefault();
+    
+    const file = event.dataTransfer?.files?.[0];
+    if (!file) return;
+    
+    const extension = file.name.toLowerCase().split('.').pop();
+    
+    try {
+        let data;
+        if (extension === 'mca') {
+            data = await worldLoader.loadRegionFile(file, {
+                minY: minRenderHeight,
+                maxY: maxRenderHeight
+            });
+        } else if (extension === 'schem' || extension === 'litematic' || extension === 'nbt') {
+            data = await worldLoader.loadSchematicFile(file);
+        } else if (extension === 'zip') {
+            // Resource packs retexture the world in place, it isn't reloaded
+            await addResourcePack(await file.arrayBuffer(), file.name);
+            return;
+        } else {
+            console.warn(`Unsupported file dropped: ${file.name}`);
+            return;
+        }
+        
+        // Center the view on the middle of what was loaded
+        const bounds = data.stats.bounds;
+        if (bounds) {
+            worldCenter = {
+                x: Math.floor((bounds.min.x + bounds.max.x) / 2),
+                z: Math.floor((bounds.min.z + bounds.max.z) / 2)
+            };
+        }
+        
+        // The worker keeps the parsed world as its custom data
+        await reloadWorld();
+        console.log(`🗺️ Loaded ${file.name}`);
+    } catch (error) {
+        console.error(`Failed to load ${file.name}:`, error);
+    }
+});
+
+// Read a resource pack zip and switch to it
+async function addResourcePack(buffer, name) {
+    resourcePacks.push(await ResourcePack.fromZip(buffer, name));
+    await useResourcePack(resourcePacks.length - 1);
+}
+
+// Switch the textures to a loaded resource pack, or the bundled ones for -1, without rebuilding
+// the world: loaded textures get the pack's images in place, and the copies materials made of
+// them (e.g. for chunk meshes) drop their old upload so they pick up the new images
+async function useResourcePack(index) {
+    resourcePackIndex = index;
+    const reloaded = await textureLoader.useResourcePack(index >= 0 ? resourcePacks[index] : null);
+    
+    const textures = new Set();
+    scene.traverse(object => {
+        if (!object.material) return;
+        const materials = Array.isArray(object.material) ? object.material : [object.material];
+        materials.forEach(material => {
+            if (material.map && reloaded.has(material.map.source)) textures.add(material.map);
+        });
+    });
+    textures.forEach(texture => {
+        texture.dispose();
+        texture.needsUpdate = true;
+    });
+    
+    console.log(`🎨 Resource pack: ${index >= 0 ? resourcePacks[index].name : 'bundled textures'} (${textures.size} textures in use updated)`);
+}
+
+// Replace the current world meshes with a fresh build from the world loader
+async function reloadWorld() {
+    if (useChunkStreaming) {
+        chunkManager.clear();
+        updateChunkStreaming();
+        return;
+    }
+    
+    unregisterInstanceGroups(worldRoot);
+    clearScene([], worldRoot);
+    worldRoot.clear();
+    
+    await buildWorld();
+    
+    applyEnvironmentMap();
+    forceLightingOnAllMaterials();
+    ensureNormals();
+}
+
 // Resource cleanup function
 function cleanupResources() {
     if (typeof geometryCache !== 'undefined' && geometryCache instanceof Map) {
@@ -1575,9 +1977,9 @@ function cleanupResources() {
 
 // Scene traversal optimization
 const sceneTraversalArray = [];
-function optimizedSceneTraversal(callback) {
+function optimizedSceneTraversal(callback, root = scene) {
     sceneTraversalArray.length = 0;
-    scene.traverse(object => {
+    root.traverse(object => {
         sceneTraversalArray.push(object);
     });
     
@@ -1587,7 +1989,7 @@ function optimizedSceneTraversal(callback) {
 }
 
 // Scene clearing function
-function clearScene(keepObjects = []) {
+function clearScene(keepObjects = [], root = scene, disposeTextures = true) {
     const meshesToRemove = [];
     const materialsToDispose = new Set();
     const geometriesToDispose = new Set();
@@ -1598,10 +2000,18 @@ function clearScene(keepObjects = []) {
         if (child.isMesh || child.isInstancedMesh) {
             meshesToRemove.push(child);
             
+            if (child.isInstancedMesh) {
+                // Releases the instance matrix and color buffers
+                child.dispose();
+            }
+            
             if (child.geometry) {
                 geometriesToDispose.add(child.geometry);
             }
             
+            // Shared template materials are still used by other meshes
+            if (child.userData.sharedTemplate) return;
+            
             if (child.material) {
                 if (Array.isArray(child.material)) {
                     child.material.forEach(material => {
@@ -1611,16 +2021,11 @@ function clearScene(keepObjects = []) {
                     materialsToDispose.add(child.material);
                 }
             }
-            
-            if (child.isInstancedMesh) {
-                if (child.instanceMatrix) child.instanceMatrix.dispose();
-                if (child.instanceColor) child.instanceColor.dispose();
-            }
         }
-    });
+    }, root);
     
     for (const mesh of meshesToRemove) {
-        scene.remove(mesh);
+        mesh.removeFromParent();
     }
     
     for (const geometry of geometriesToDispose) {
@@ -1628,6 +2033,11 @@ function clearScene(keepObjects = []) {
     }
     
     for (const material of materialsToDispose) {
+        if (!disposeTextures) {
+            material.dispose();
+            continue;
+        }
+        
         if (material.map) material.map.dispose();
         if (material.lightMap) material.lightMap.dispose();
         if (material.bumpMap) material.bumpMap.dispose();
@@ -0,0 +1,105 @@
+// Script to write the grass and foliage biome colormaps (see biomeColors.js)
+// Run with: node makeColormaps.js
+//
+// Vanilla's colormaps are a triangle blended from three corner colors: hot and wet at the
+// top left, hot and dry at the bottom left and cold at the bottom right, with temperature
+// running right to left and downfall (scaled by temperature) bottom to top. This script
+// blends the same corners, which comes within a few steps of the vanilla colors.
+// The colormaps from a client jar or resource pack can be copied over the generated ones.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const SIZE = 256;
+
+// Corner colors as [hot and wet, hot and dry, cold]
+const COLORMAP_CORNERS = {
+    grass: [0x47CD33, 0xBFB755, 0x80B497],
+    foliage: [0x1ABF00, 0xAEA42A, 0x60A17B]
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+// Encode RGBA pixels as a PNG, every row unfiltered
+function encodePng(width, height, pixels) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header.writeUInt8(8, 8); // Bit depth
+    header.writeUInt8(6, 9); // RGBA
+
+    const rows = Buffer.alloc(height * (width * 4 + 1));
+    for (let y = 0; y < height; y++) {
+        pixels.copy(rows, y * (width * 4 + 1) + 1, y * width * 4, (y + 1) * width * 4);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(rows, { level: 9 })),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// Blend the corners for every pixel; the half past the diagonal (downfall above
+// temperature) is never sampled and left transparent, like vanilla's
+function makeColormap([wet, dry, cold]) {
+    const pixels = Buffer.alloc(SIZE * SIZE * 4);
+    const channel = (color, shift) => (color >> shift) & 0xFF;
+
+    for (let y = 0; y < SIZE; y++) {
+        for (let x = 0; x < SIZE; x++) {
+            const coldWeight = x / (SIZE - 1);
+            const wetWeight = 1 - y / (SIZE - 1);
+            const dryWeight = 1 - coldWeight - wetWeight;
+            if (dryWeight < 0) continue;
+
+            const i = (y * SIZE + x) * 4;
+            for (const [offset, shift] of [[0, 16], [1, 8], [2, 0]]) {
+                pixels[i + offset] = Math.round(
+                    wetWeight * channel(wet, shift) + dryWeight * channel(dry, shift) + coldWeight * channel(cold, shift));
+            }
+            pixels[i + 3] = 255;
+        }
+    }
+
+    return encodePng(SIZE, SIZE, pixels);
+}
+
+function makeColormaps() {
+    const dir = path.join(__dirname, 'textures', 'colormap');
+    fs.mkdirSync(dir, { recursive: true });
+
+    for (const [type, corners] of Object.entries(COLORMAP_CORNERS)) {
+        const file = path.join(dir, `${type}.png`);
+        const png = makeColormap(corners);
+        fs.writeFileSync(file, png);
+        console.log(`🎨 Wrote ${png.length} bytes to ${file}`);
+    }
+}
+
+makeColormaps();
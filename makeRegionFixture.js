@@ -0,0 +1,308 @@
+// Script to write a small Anvil region file for trying the region loader (see anvilLoader.js)
+// Run with: node makeRegionFixture.js [output file]   (defaults to r.0.0.mca)
+//
+// The region holds one chunk of each kind the loader has to handle:
+//   (0, 0)  1.18+ chunk, status "minecraft:full": stone floor, a fence run and a stair corner
+//   (1, 0)  1.13 chunk, status "postprocessed", palette indices packed across longs
+//   (0, 1)  1.13 chunk, status "fullchunk"
+//   (1, 1)  pre-1.13 chunk with numeric block IDs and data values
+//   (2, 0)  corrupt chunk whose NBT can't be parsed, which is skipped with a warning
+//   (2, 1)  proto-chunk, status "minecraft:features", which is skipped
+// Drop the file onto the viewer to load it.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const SECTOR_SIZE = 4096;
+const COMPRESSION_ZLIB = 2;
+
+// NBT tag types
+const TAG_END = 0;
+const TAG_BYTE = 1;
+const TAG_INT = 3;
+const TAG_BYTE_ARRAY = 7;
+const TAG_STRING = 8;
+const TAG_LIST = 9;
+const TAG_COMPOUND = 10;
+const TAG_INT_ARRAY = 11;
+const TAG_LONG_ARRAY = 12;
+
+// Tagged values, so the writer knows which NBT type to use
+const byte = value => ({ tag: TAG_BYTE, value });
+const int = value => ({ tag: TAG_INT, value });
+const string = value => ({ tag: TAG_STRING, value });
+const list = (itemTag, items) => ({ tag: TAG_LIST, itemTag, value: items });
+const compound = value => ({ tag: TAG_COMPOUND, value });
+const byteArray = value => ({ tag: TAG_BYTE_ARRAY, value });
+const intArray = value => ({ tag: TAG_INT_ARRAY, value });
+const longArray = value => ({ tag: TAG_LONG_ARRAY, value });
+
+// Collects big-endian NBT bytes
+class NbtWriter {
+    constructor() {
+        this.chunks = [];
+    }
+
+    bytes(buffer) {
+        this.chunks.push(buffer);
+    }
+
+    number(method, size, value) {
+        const buffer = Buffer.alloc(size);
+        buffer[method](value);
+        this.bytes(buffer);
+    }
+
+    string(text) {
+        const encoded = Buffer.from(text, 'utf8');
+        this.number('writeUInt16BE', 2, encoded.length);
+        this.bytes(encoded);
+    }
+
+    payload(tag) {
+        switch (tag.tag) {
+            case TAG_BYTE:
+                this.number('writeInt8', 1, tag.value);
+                break;
+            case TAG_INT:
+                this.number('writeInt32BE', 4, tag.value);
+                break;
+            case TAG_STRING:
+                this.string(tag.value);
+                break;
+            case TAG_BYTE_ARRAY:
+                this.number('writeInt32BE', 4, tag.value.length);
+                this.bytes(Buffer.from(Int8Array.from(tag.value).buffer));
+                break;
+            case TAG_INT_ARRAY:
+                this.number('writeInt32BE', 4, tag.value.length);
+                tag.value.forEach(value => this.number('writeInt32BE', 4, value));
+                break;
+            case TAG_LONG_ARRAY:
+                this.number('writeInt32BE', 4, tag.value.length);
+                tag.value.forEach(value => this.number('writeBigInt64BE', 8, value));
+                break;
+            case TAG_LIST:
+                this.number('writeInt8', 1, tag.value.length > 0 ? tag.itemTag : TAG_END);
+                this.number('writeInt32BE', 4, tag.value.length);
+                tag.value.forEach(item => this.payload(item));
+                break;
+            case TAG_COMPOUND:
+                for (const [name, child] of Object.entries(tag.value)) {
+                    this.number('writeInt8', 1, child.tag);
+                    this.string(name);
+                    this.payload(child);
+                }
+                this.number('writeInt8', 1, TAG_END);
+                break;
+            default:
+                throw new Error(`Unsupported NBT tag ${tag.tag}`);
+        }
+    }
+
+    // A root compound with an empty name, like chunk payloads
+    static write(root) {
+        const writer = new NbtWriter();
+        writer.number('writeInt8', 1, TAG_COMPOUND);
+        writer.string('');
+        writer.payload(root);
+        return Buffer.concat(writer.chunks);
+    }
+}
+
+// Pack palette indices into signed 64-bit longs. Since 1.16 indices never cross a long;
+// before that (spanning) they run on into the next one
+function packIndices(indices, bits, spanning) {
+    const longs = [];
+    const mask = (1n << BigInt(bits)) - 1n;
+
+    if (spanning) {
+        const values = new Array(Math.ceil(indices.length * bits / 64)).fill(0n);
+        indices.forEach((index, i) => {
+            const bit = i * bits;
+            const word = Math.floor(bit / 64);
+            const offset = BigInt(bit % 64);
+            values[word] |= (BigInt(index) << offset) & 0xFFFFFFFFFFFFFFFFn;
+            if (bit % 64 + bits > 64) {
+                values[word + 1] |= BigInt(index) >> (64n - offset);
+            }
+        });
+        return values.map(value => BigInt.asIntN(64, value));
+    }
+
+    const perLong = Math.floor(64 / bits);
+    for (let start = 0; start < indices.length; start += perLong) {
+        let value = 0n;
+        indices.slice(start, start + perLong).forEach((index, i) => {
+            value |= (BigInt(index) & mask) << BigInt(i * bits);
+        });
+        longs.push(BigInt.asIntN(64, value));
+    }
+    return longs;
+}
+
+// Build the 4096 palette indices of a section (YZX order) from (x, y, z) => palette index
+function fillSection(getIndex) {
+    const indices = new Array(4096);
+    for (let i = 0; i < 4096; i++) {
+        indices[i] = getIndex(i & 15, i >> 8, (i >> 4) & 15);
+    }
+    return indices;
+}
+
+const blockState = (name, properties) => compound({
+    Name: string(`minecraft:${name}`),
+    ...(properties ? { Properties: compound(Object.fromEntries(
+        Object.entries(properties).map(([key, value]) => [key, string(value)]))) } : {})
+});
+
+// 1.18+: sections at the root with block_states and biomes, a stone floor at y 64 with
+// a fence run along z = 8 and two stairs that meet in a corner. Connections and stair
+// shapes are left out so the viewer derives them (see neighborResolver.js)
+function modernChunk(xPos, zPos) {
+    const palette = [
+        blockState('air'),
+        blockState('stone'),
+        blockState('oak_fence', { waterlogged: 'false' }),
+        blockState('oak_stairs', { facing: 'east', half: 'bottom', waterlogged: 'false' }),
+        blockState('oak_stairs', { facing: 'north', half: 'bottom', waterlogged: 'false' })
+    ];
+    const indices = fillSection((x, y, z) => {
+        if (y === 0) return 1;
+        if (y === 1 && z === 8 && x >= 2 && x <= 12) return 2;
+        if (y === 1 && z === 3 && x === 4) return 3;
+        if (y === 1 && z === 3 && x === 5) return 4;
+        return 0;
+    });
+
+    return compound({
+        DataVersion: int(2975),
+        xPos: int(xPos),
+        zPos: int(zPos),
+        yPos: int(-4),
+        Status: string('minecraft:full'),
+        sections: list(TAG_COMPOUND, [compound({
+            Y: byte(4),
+            block_states: compound({
+                palette: list(TAG_COMPOUND, palette),
+                data: longArray(packIndices(indices, 4, false))
+            }),
+            biomes: compound({
+                palette: list(TAG_STRING, [string('minecraft:plains')])
+            })
+        })])
+    });
+}
+
+// 1.13: everything under "Level", palette indices packed across longs
+function flatteningChunk(xPos, zPos, status, floor) {
+    const palette = [blockState('air'), blockState(floor), blockState('oak_planks')];
+    const indices = fillSection((x, y, z) => {
+        if (y === 0) return 1;
+        if (y === 1 && x === z) return 2;
+        return 0;
+    });
+
+    return compound({
+        DataVersion: int(1631),
+        Level: compound({
+            xPos: int(xPos),
+            zPos: int(zPos),
+            Status: string(status),
+            Biomes: intArray(new Array(256).fill(4)), // Forest
+            Sections: list(TAG_COMPOUND, [compound({
+                Y: byte(4),
+                Palette: list(TAG_COMPOUND, palette),
+                BlockStates: longArray(packIndices(indices, 4, true))
+            })])
+        })
+    });
+}
+
+// Before 1.13: numeric IDs in "Blocks" and data values in "Data" nibbles
+function legacyChunk(xPos, zPos) {
+    const blocks = new Array(4096).fill(0);
+    const data = new Array(2048).fill(0);
+    for (let i = 0; i < 4096; i++) {
+        const x = i & 15;
+        const y = i >> 8;
+        if (y === 0) blocks[i] = 2; // Grass block
+        if (y === 1 && x === 7) {
+            blocks[i] = 35; // Wool, colored by its data value
+            const color = (i >> 4) & 15;
+            data[i >> 1] |= (i & 1) ? color << 4 : color;
+        }
+    }
+
+    return compound({
+        Level: compound({
+            xPos: int(xPos),
+            zPos: int(zPos),
+            Biomes: byteArray(new Array(256).fill(1)), // Plains
+            Sections: list(TAG_COMPOUND, [compound({
+                Y: byte(4),
+                Blocks: byteArray(blocks.map(id => (id << 24) >> 24)),
+                Data: byteArray(data.map(value => (value << 24) >> 24))
+            })])
+        })
+    });
+}
+
+// A proto-chunk at the edge of generated terrain
+function protoChunk(xPos, zPos) {
+    return compound({
+        DataVersion: int(2975),
+        xPos: int(xPos),
+        zPos: int(zPos),
+        Status: string('minecraft:features'),
+        sections: list(TAG_COMPOUND, [])
+    });
+}
+
+// Lay out compressed chunk payloads in 4KiB sectors behind the location and timestamp tables.
+// Timestamps are left at 0 so every run writes the same file
+function writeRegion(chunks) {
+    const header = Buffer.alloc(SECTOR_SIZE * 2);
+    const sectors = [];
+    let nextSector = 2;
+
+    for (const { localX, localZ, nbt } of chunks) {
+        const compressed = zlib.deflateSync(nbt);
+        const payload = Buffer.alloc(5 + compressed.length);
+        payload.writeUInt32BE(compressed.length + 1, 0);
+        payload.writeUInt8(COMPRESSION_ZLIB, 4);
+        compressed.copy(payload, 5);
+
+        const sectorCount = Math.ceil(payload.length / SECTOR_SIZE);
+        const padded = Buffer.alloc(sectorCount * SECTOR_SIZE);
+        payload.copy(padded);
+
+        const index = localX + localZ * 32;
+        header.writeUInt32BE((nextSector << 8) | sectorCount, index * 4);
+
+        sectors.push(padded);
+        nextSector += sectorCount;
+    }
+
+    return Buffer.concat([header, ...sectors]);
+}
+
+function makeRegionFixture(outFile) {
+    // Valid zlib around bytes that aren't NBT: an unknown tag type right at the start
+    const corrupt = Buffer.from([99, 0, 0, 1, 2, 3]);
+
+    const region = writeRegion([
+        { localX: 0, localZ: 0, nbt: NbtWriter.write(modernChunk(0, 0)) },
+        { localX: 1, localZ: 0, nbt: NbtWriter.write(flatteningChunk(1, 0, 'postprocessed', 'cobblestone')) },
+        { localX: 0, localZ: 1, nbt: NbtWriter.write(flatteningChunk(0, 1, 'fullchunk', 'sandstone')) },
+        { localX: 1, localZ: 1, nbt: NbtWriter.write(legacyChunk(1, 1)) },
+        { localX: 2, localZ: 0, nbt: corrupt },
+        { localX: 2, localZ: 1, nbt: NbtWriter.write(protoChunk(2, 1)) }
+    ]);
+
+    fs.writeFileSync(outFile, region);
+    console.log(`💾 Wrote ${region.length} bytes to ${outFile}`);
+}
+
+makeRegionFixture(process.argv[2] || path.join(__dirname, 'r.0.0.mca'));
@@ -137,6 +137,178 @@ export function createMultiFaceMaterial(topTexture, bottomTexture, sideTexture,
     ];
 }
 
+/**
+ * Check if a material carries a tint (a color other than white)
+ * @param {THREE.Material} material - The material
+ * @returns {boolean} - Whether the material is tinted
+ */
+export function isTintedMaterial(material) {
+    return Boolean(material.color) && material.color.getHex() !== 0xffffff;
+}
+
+// Shader changes by name for each material; a material has a single onBeforeCompile,
+// so they are applied together
+const shaderPatches = new WeakMap();
+
+/**
+ * Add a named change to a material's shaders, once
+ * @param {THREE.Material} material - The material to change
+ * @param {string} name - The name of the change, part of the program cache key
+ * @param {Function} patch - (shader) => void, edits the shader before it compiles
+ */
+function addShaderPatch(material, name, patch) {
+    if (!shaderPatches.has(material)) {
+        shaderPatches.set(material, new Map());
+    }
+    
+    const patches = shaderPatches.get(material);
+    if (patches.has(name)) return;
+    patches.set(name, patch);
+    
+    material.onBeforeCompile = shader => patches.forEach(apply => apply(shader));
+    material.customProgramCacheKey = () => [...patches.keys()].join(',');
+    material.needsUpdate = true;
+}
+
+/**
+ * Make a material ignore InstancedMesh.instanceColor, e.g. the untinted dirt bottom of
+ * a grass block whose other faces take the biome tint per instance
+ * @param {THREE.Material} material - The material to change
+ */
+export function ignoreInstanceColor(material) {
+    addShaderPatch(material, 'ignoreInstanceColor', shader => {
+        shader.vertexShader = shader.vertexShader.replace(
+            '#include <color_vertex>',
+            THREE.ShaderChunk.color_vertex.replace('vColor.xyz *= instanceColor.xyz;', '')
+        );
+    });
+}
+
+/**
+ * How much of the sky light reaches the world, from 1 at noon down to moonlight at night;
+ * shared by every block-lit material and set by the day/night cycle (see dayNightCycle.js)
+ */
+export const daylightUniform = { value: 1.0 };
+
+/**
+ * Add baked block light to a shader: the vertex shader sets packedLight from the given
+ * declarations, and the fragment shader scales the outgoing light by it
+ * @param {Object} shader - The shader from onBeforeCompile
+ * @param {string} declarations - GLSL declaring where the packed light comes from
+ * @param {string} assignment - GLSL setting float packedLight
+ */
+function injectBlockLight(shader, declarations, assignment) {
+    shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', `#include <common>
+${declarations}
+varying vec2 vBlockLight;`)
+        .replace('#include <begin_vertex>', `#include <begin_vertex>
+${assignment}
+vBlockLight = vec2(mod(packedLight, 16.0), floor(packedLight / 16.0));`);
+    
+    // Minecraft's brightness curve, with block light a little warmer than daylight
+    // and a floor so unlit caves aren't pitch black. Sky light fades with the daylight,
+    // and as the scene lights dim at night block light adds its own glow on top
+    shader.uniforms.daylight = daylightUniform;
+    shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', `#include <common>
+varying vec2 vBlockLight;
+uniform float daylight;
+float lightBrightness(float level) {
+    float f = level / 15.0;
+    return f / (4.0 - 3.0 * f);
+}`)
+        .replace('#include <opaque_fragment>', `vec3 blockGlow = vec3(1.0, 0.92, 0.8) * lightBrightness(vBlockLight.x);
+vec3 voxelLight = max(blockGlow, vec3(lightBrightness(vBlockLight.y) * daylight));
+outgoingLight *= mix(vec3(0.05), vec3(1.0), voxelLight);
+outgoingLight += diffuseColor.rgb * blockGlow * (1.0 - daylight) * 0.6;
+#include <opaque_fragment>`);
+}
+
+/**
+ * Light a material with baked block and sky light (see lightEngine.js) on top of the
+ * scene lights. Instanced meshes read each instance's packed light from their
+ * instanceLight attribute, other meshes use the level given here for the whole material
+ * @param {THREE.Material} material - The material to change
+ * @param {number} packedLight - Sky light in the high four bits and block light in the
+ * low four, for meshes that aren't instanced (defaults to full daylight)
+ */
+export function applyBlockLight(material, packedLight = 0xF0) {
+    addShaderPatch(material, 'blockLight', shader => {
+        shader.uniforms.packedBlockLight = { value: packedLight };
+        injectBlockLight(shader, `#ifdef USE_INSTANCING
+attribute float instanceLight;
+#else
+uniform float packedBlockLight;
+#endif`, `#ifdef USE_INSTANCING
+float packedLight = instanceLight;
+#else
+float packedLight = packedBlockLight;
+#endif`);
+    });
+}
+
+/**
+ * Light a material with baked light read per vertex from a blockLight attribute, packed
+ * like applyBlockLight's, e.g. for chunk meshes (see chunkMesher.js)
+ * @param {THREE.Material} material - The material to change
+ */
+export function applyVertexBlockLight(material) {
+    addShaderPatch(material, 'vertexBlockLight', shader => {
+        injectBlockLight(shader, 'attribute float blockLight;', 'float packedLight = blockLight;');
+    });
+}
+
+/**
+ * Make a material sample its map from an atlas rectangle read per vertex from an atlasRect
+ * attribute (u, v, width, height), repeating the rectangle once per unit of UV, so a quad
+ * spanning several blocks tiles one texture of the atlas (see chunkMesher.js)
+ * @param {THREE.Material} material - The material to change
+ */
+export function applyAtlasTiling(material) {
+    addShaderPatch(material, 'atlasTiling', shader => {
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `#include <common>
+attribute vec4 atlasRect;
+varying vec4 vAtlasRect;`)
+            .replace('#include <begin_vertex>', `#include <begin_vertex>
+vAtlasRect = atlasRect;`);
+        
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', `#include <common>
+varying vec4 vAtlasRect;`)
+            .replace('#include <map_fragment>', THREE.ShaderChunk.map_fragment.replace(
+                'texture2D( map, vMapUv )',
+                'texture2D( map, vAtlasRect.xy + fract( vMapUv ) * vAtlasRect.zw )'
+            ));
+    });
+}
+
+/**
+ * Make a material show one frame of an animated texture strip at a time (see
+ * textureAnimation.js). UVs repeat per frame, so quads spanning several blocks tile it
+ * @param {THREE.Material} material - The material to change
+ * @param {Object} frameUniform - Uniform shared by the materials showing the texture,
+ * holding the current frame's V, the next frame's V, the frame height and the blend
+ */
+export function applyAnimatedMap(material, frameUniform) {
+    addShaderPatch(material, 'animatedMap', shader => {
+        shader.uniforms.textureAnimation = frameUniform;
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', `#include <common>
+uniform vec4 textureAnimation;`)
+            .replace('#include <map_fragment>', `#ifdef USE_MAP
+float frameV = fract( vMapUv.y ) * textureAnimation.z;
+vec4 sampledDiffuseColor = mix(
+    texture2D( map, vec2( vMapUv.x, textureAnimation.x + frameV ) ),
+    texture2D( map, vec2( vMapUv.x, textureAnimation.y + frameV ) ),
+    textureAnimation.w
+);
+diffuseColor *= sampledDiffuseColor;
+#endif`);
+    });
+}
+
 /**
  * Create a fallback material for missing textures
  * @returns {THREE.Material} - The fallback material
@@ -1,63 +1,397 @@
 // Mock server to replace the Python backend
-// This intercepts fetch requests to /spawn-chunk and returns data from world_data.json
+// This intercepts fetch requests to /spawn-chunk and answers them from a fixture,
+// sliced to the requested chunks the way the real server does
+//
+// Settings come from the page URL, e.g. index.html?fixture=flat&latency=800&fail=503,
+// and can be overridden by setting window.MOCK_SERVER_CONFIG before this script loads:
+//   mock      - 'off' passes requests through to the real server (logging the response),
+//               'replay' serves the exchanges of a recorded session (see sessionRecorder.js)
+//   bundle    - the URL of the session bundle to replay
+//   fixture   - the name of the fixture to serve (see mockFixtures)
+//   latency   - delay in milliseconds before answering
+//   fail      - an HTTP status to answer with, or 'network' to reject like a dropped connection
+//   failRate  - the chance (0-1) that a request fails when fail is set, defaults to 1
+//   malformed - corrupt the payload: 'truncated', 'html', 'no-blocks' or 'bad-blocks'
+// The settings can also be changed at runtime through window.mockServer.config.
+// Failures while streaming chunks are retried with backoff; add ?streaming=off to load the
+// world in one request instead, which falls back to a generated test chunk when it fails
 
 // Store the original fetch function
 const originalFetch = window.fetch;
 
-// Flag to toggle between mock and real server
-const useMockServer = true;
+// Fixtures by name: { url } loads a JSON file, { data } is served as is, { generate } builds the data
+const mockFixtures = {
+    default: { url: './world_data.json' },
+    empty: { data: { blocks: [], stats: { total_blocks: 0, loaded_chunks: [] } } },
+    flat: { generate: () => generateFlatWorld({ x: 8, z: 1 }, 2) }
+};
+
+const mockConfig = Object.assign({
+    mock: 'on',
+    fixture: 'default',
+    bundle: null,
+    latency: 0,
+    fail: null,
+    failRate: 1,
+    malformed: null
+}, readMockParams(), window.MOCK_SERVER_CONFIG || {});
+
+// Loaded fixture data by name, so each fixture is only fetched or generated once
+const fixtureCache = new Map();
+
+// Session bundle layout this mock server can replay
+const REPLAY_BUNDLE_VERSION = 1;
+
+// The session bundle being replayed, and how many times each request has been served
+let replayBundle = null;
+const replayCounts = new Map();
+
+// Read mock server settings from the page URL
+function readMockParams() {
+    const params = new URLSearchParams(window.location.search);
+    const config = {};
+
+    ['mock', 'fixture', 'bundle', 'fail', 'malformed'].forEach(key => {
+        if (params.has(key)) config[key] = params.get(key);
+    });
+    ['latency', 'failRate'].forEach(key => {
+        if (params.has(key)) config[key] = parseFloat(params.get(key));
+    });
+
+    return config;
+}
+
+// Generate a flat world of stone, dirt and grass covering the chunks within radius of center
+// (the default fixture's center chunk, so it lines up with the default camera)
+function generateFlatWorld(center, radius) {
+    const blocks = [];
+    const layers = ['bedrock', 'stone', 'stone', 'dirt', 'grass_block'];
+
+    for (let chunkX = center.x - radius; chunkX <= center.x + radius; chunkX++) {
+        for (let chunkZ = center.z - radius; chunkZ <= center.z + radius; chunkZ++) {
+            for (let i = 0; i < 256; i++) {
+                const x = chunkX * 16 + (i & 15);
+                const z = chunkZ * 16 + (i >> 4);
+                layers.forEach((type, y) => {
+                    blocks.push({ type, x, y, z, chunk_x: chunkX, chunk_z: chunkZ, is_leaf: false });
+                });
+            }
+        }
+    }
+
+    return { blocks, stats: { center_chunk: center } };
+}
+
+// Load a fixture by name
+async function loadFixture(name) {
+    if (fixtureCache.has(name)) {
+        return fixtureCache.get(name);
+    }
+
+    const fixture = mockFixtures[name];
+    if (!fixture) {
+        throw new Error(`Unknown mock fixture "${name}"`);
+    }
+
+    let data;
+    if (fixture.url) {
+        const response = await originalFetch(fixture.url);
+        if (!response.ok) {
+            throw new Error(`Fixture file ${fixture.url} returned ${response.status}`);
+        }
+        data = await response.json();
+    } else if (fixture.generate) {
+        data = fixture.generate();
+    } else {
+        data = fixture.data;
+    }
+
+    console.log(`📦 Loaded mock fixture "${name}" with ${data.blocks?.length || 0} blocks`);
+    fixtureCache.set(name, data);
+    return data;
+}
+
+// Find the chunk a fixture is centered on when the request doesn't name one
+function getFixtureCenter(stats, blocks) {
+    if (stats.center_chunk) {
+        return stats.center_chunk;
+    }
+
+    if (stats.min_chunk && stats.max_chunk) {
+        return {
+            x: Math.floor((stats.min_chunk.x + stats.max_chunk.x) / 2),
+            z: Math.floor((stats.min_chunk.z + stats.max_chunk.z) / 2)
+        };
+    }
+
+    if (blocks.length === 0) {
+        return { x: 0, z: 0 };
+    }
+
+    const chunkXs = blocks.map(block => block.chunk_x);
+    const chunkZs = blocks.map(block => block.chunk_z);
+    return {
+        x: Math.floor((Math.min(...chunkXs) + Math.max(...chunkXs)) / 2),
+        z: Math.floor((Math.min(...chunkZs) + Math.max(...chunkZs)) / 2)
+    };
+}
+
+// Keep only the chunks within chunk_range of the requested (or fixture) center chunk
+function sliceFixture(data, searchParams) {
+    const stats = data.stats || {};
+    const blocks = data.blocks || [];
+
+    if (!searchParams.has('chunk_range')) {
+        return data;
+    }
+
+    const range = parseInt(searchParams.get('chunk_range'), 10) || 0;
+    const defaultCenter = getFixtureCenter(stats, blocks);
+    const centerX = searchParams.has('chunk_x') ? parseInt(searchParams.get('chunk_x'), 10) : defaultCenter.x;
+    const centerZ = searchParams.has('chunk_z') ? parseInt(searchParams.get('chunk_z'), 10) : defaultCenter.z;
+
+    const sliced = blocks.filter(block =>
+        Math.abs(block.chunk_x - centerX) <= range &&
+        Math.abs(block.chunk_z - centerZ) <= range
+    );
+
+    // Recompute the stats that depend on which chunks were sent
+    const loadedChunks = new Map();
+    const blockCounts = {};
+    sliced.forEach(block => {
+        loadedChunks.set(`${block.chunk_x},${block.chunk_z}`, [block.chunk_x, block.chunk_z]);
+        blockCounts[block.type] = (blockCounts[block.type] || 0) + 1;
+    });
+
+    return {
+        blocks: sliced,
+        stats: {
+            ...stats,
+            total_blocks: sliced.length,
+            leaf_blocks: sliced.filter(block => block.is_leaf).length,
+            block_counts: blockCounts,
+            loaded_chunks: [...loadedChunks.values()],
+            center_chunk: { x: centerX, z: centerZ },
+            chunk_range: range
+        }
+    };
+}
+
+// Corrupt a payload to exercise the loader's error handling
+function createMalformedResponse(kind, data) {
+    const headers = { 'Content-Type': 'application/json' };
+
+    switch (kind) {
+        case 'truncated': {
+            const json = JSON.stringify(data);
+            return new Response(json.slice(0, Math.floor(json.length / 2)), { status: 200, headers });
+        }
+        case 'html':
+            return new Response('<html><body><h1>502 Bad Gateway</h1></body></html>', {
+                status: 200,
+                headers: { 'Content-Type': 'text/html' }
+            });
+        case 'no-blocks':
+            return new Response(JSON.stringify({ stats: data.stats }), { status: 200, headers });
+        case 'bad-blocks': {
+            // Blocks without types or with non-numeric coordinates
+            const blocks = (data.blocks || []).map(block => ({ ...block, type: undefined, y: String(block.y) }));
+            return new Response(JSON.stringify({ ...data, blocks }), { status: 200, headers });
+        }
+        default:
+            console.warn(`Unknown malformed payload kind "${kind}", sending the fixture unchanged`);
+            return new Response(JSON.stringify(data), { status: 200, headers });
+    }
+}
+
+// Load the session bundle to replay, either from the bundle URL or a bundle object in the config
+async function loadReplayBundle() {
+    if (replayBundle) {
+        return replayBundle;
+    }
+
+    let bundle = mockConfig.bundle;
+    if (!bundle) {
+        throw new Error('Replay mode needs a session bundle (?bundle=<url>)');
+    }
+
+    if (typeof bundle === 'string') {
+        const response = await originalFetch(bundle);
+        if (!response.ok) {
+            throw new Error(`Session bundle ${bundle} returned ${response.status}`);
+        }
+        bundle = await response.json();
+    }
+
+    if (bundle.version !== REPLAY_BUNDLE_VERSION || !Array.isArray(bundle.exchanges)) {
+        throw new Error(`Unsupported session bundle version ${bundle.version}`);
+    }
+
+    console.log(`📼 Loaded session bundle with ${bundle.exchanges.length} exchanges, recorded ${bundle.startedAt}`);
+    replayBundle = bundle;
+    return bundle;
+}
+
+// Identify a request by its path and query, ignoring the order of query parameters
+function getRequestKey(path, searchParams) {
+    const query = [...searchParams.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([key, value]) => `${key}=${value}`)
+        .join('&');
+    return `${path}?${query}`;
+}
+
+// Decode a base64 body from a session bundle
+function decodeBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// Answer a request with the matching exchange of the session bundle. A request made
+// several times is answered with its recorded responses in order, repeating the last one
+async function replayExchange(url) {
+    const bundle = await loadReplayBundle();
+    const requestUrl = new URL(url, window.location.href);
+    const key = getRequestKey(requestUrl.pathname, requestUrl.searchParams);
+
+    const matches = bundle.exchanges.filter(exchange =>
+        getRequestKey(exchange.path, new URLSearchParams(exchange.query)) === key
+    );
+
+    if (matches.length === 0) {
+        console.warn(`📼 No recorded exchange for ${key}`);
+        return new Response(JSON.stringify({ error: `No recorded exchange for ${key}` }), {
+            status: 404,
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+    }
+
+    const count = replayCounts.get(key) || 0;
+    replayCounts.set(key, count + 1);
+    const exchange = matches[Math.min(count, matches.length - 1)];
+
+    if (exchange.error) {
+        console.warn(`📼 Replaying failed request ${key}: ${exchange.error}`);
+        throw new TypeError(exchange.error);
+    }
+
+    console.log(`📼 Replaying ${key} (${exchange.status})`);
+    const body = exchange.bodyEncoding === 'base64' ? decodeBase64(exchange.body) : exchange.body;
+    return new Response(body, {
+        status: exchange.status,
+        statusText: exchange.statusText,
+        headers: exchange.headers
+    });
+}
+
+// Answer a /spawn-chunk request from the configured fixture
+async function handleMockRequest(url) {
+    if (mockConfig.latency > 0) {
+        await new Promise(resolve => setTimeout(resolve, mockConfig.latency));
+    }
+
+    if (mockConfig.fail && Math.random() < mockConfig.failRate) {
+        if (mockConfig.fail === 'network') {
+            console.warn('💥 Simulating a network failure');
+            throw new TypeError('Failed to fetch');
+        }
+
+        const status = parseInt(mockConfig.fail, 10) || 500;
+        console.warn(`💥 Simulating HTTP ${status}`);
+        return new Response(JSON.stringify({ error: 'Simulated server error' }), {
+            status,
+            statusText: 'Simulated error',
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+    }
+
+    if (mockConfig.mock === 'replay') {
+        return replayExchange(url);
+    }
+
+    try {
+        const searchParams = new URL(url, window.location.href).searchParams;
+        const worldData = sliceFixture(await loadFixture(mockConfig.fixture), searchParams);
+
+        console.log(`📊 Serving ${worldData.blocks?.length || 0} blocks from fixture "${mockConfig.fixture}"`);
+
+        if (mockConfig.malformed) {
+            console.warn(`💥 Sending a malformed payload (${mockConfig.malformed})`);
+            return createMalformedResponse(mockConfig.malformed, worldData);
+        }
+
+        // Create a Response object that mimics what the server would return
+        return new Response(JSON.stringify(worldData), {
+            status: 200,
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error loading world data:', error);
+        return new Response(JSON.stringify({ error: 'Failed to load world data' }), {
+            status: 500,
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+    }
+}
 
 // Override the fetch function
 window.fetch = async function(url, options) {
     // Check if this is a request to our API endpoint
     if (typeof url === 'string' && url.includes('/spawn-chunk')) {
-        console.log('🔄 Intercepting API request to /spawn-chunk');
-        
-        if (useMockServer) {
-            try {
-                // Load the pre-generated world data
-                const response = await originalFetch('./world_data.json');
-                const worldData = await response.json();
-                
-                console.log('📦 Loaded world data from static file');
-                console.log('📊 Data structure:', Object.keys(worldData));
-                console.log('🧱 First few blocks:', worldData.blocks?.slice(0, 3));
-                
-                // Create a Response object that mimics what the server would return
-                return new Response(JSON.stringify(worldData), {
-                    status: 200,
-                    headers: {
-                        'Content-Type': 'application/json'
-                    }
-                });
-            } catch (error) {
-                console.error('❌ Error loading world data:', error);
-                return new Response(JSON.stringify({ error: 'Failed to load world data' }), {
-                    status: 500,
-                    headers: {
-                        'Content-Type': 'application/json'
-                    }
-                });
-            }
-        } else {
-            // Use the real server but log the response for comparison
-            const response = await originalFetch(url, options);
-            const clonedResponse = response.clone();
-            
-            try {
-                const data = await clonedResponse.json();
-                console.log('🌐 Real server response:', Object.keys(data));
-                console.log('🧱 First few blocks from real server:', data.blocks?.slice(0, 3));
-            } catch (e) {
-                console.error('Error parsing real server response:', e);
-            }
-            
-            return response;
+        console.log(`🔄 Intercepting API request to ${url}`);
+
+        if (mockConfig.mock !== 'off') {
+            return handleMockRequest(url);
+        }
+
+        // Use the real server but log the response for comparison. It answers in JSON
+        // or in the compact binary format (see compactWorldFormat.js)
+        const response = await originalFetch(url, options);
+
+        try {
+            const buffer = await response.clone().arrayBuffer();
+            const { isCompactWorld, decodeCompactWorld } = await import('./compactWorldFormat.js');
+            const isCompact = isCompactWorld(buffer);
+            const data = isCompact ? decodeCompactWorld(buffer) : JSON.parse(new TextDecoder().decode(buffer));
+            console.log(`🌐 Real server response (${isCompact ? 'compact' : 'JSON'}, ${buffer.byteLength} bytes):`, Object.keys(data));
+            console.log(`🧱 ${data.blocks?.length ?? 0} blocks from real server, the first few:`, data.blocks?.slice(0, 3));
+        } catch (e) {
+            console.error('Error parsing real server response:', e);
         }
+
+        return response;
     }
-    
+
     // For all other requests, use the original fetch
     return originalFetch(url, options);
 };
 
-console.log('🚀 Mock server initialized - API requests will be intercepted'); 
\ No newline at end of file
+// Expose the settings and fixtures so they can be changed from the console
+window.mockServer = {
+    config: mockConfig,
+    fixtures: mockFixtures,
+    clearCache: () => {
+        fixtureCache.clear();
+        replayBundle = null;
+        replayCounts.clear();
+    }
+};
+
+const mockModeDescription = {
+    off: 'pass-through',
+    replay: `replaying ${mockConfig.bundle}`
+}[mockConfig.mock] || `fixture "${mockConfig.fixture}"`;
+
+console.log(`🚀 Mock server initialized (${mockModeDescription}) - API requests will be intercepted`);
@@ -0,0 +1,233 @@
+/**
+ * NBT Reader
+ * Decodes Minecraft's Named Binary Tag format (big-endian, optionally gzip/zlib compressed)
+ *
+ * Tags are returned as plain JavaScript values:
+ *   byte/short/int/float/double -> number
+ *   long                        -> BigInt
+ *   string                      -> string
+ *   list                        -> Array
+ *   compound                    -> Object
+ *   byte/int/long arrays        -> Int8Array / Int32Array / BigInt64Array
+ */
+
+const TAG_END = 0;
+const TAG_BYTE = 1;
+const TAG_SHORT = 2;
+const TAG_INT = 3;
+const TAG_LONG = 4;
+const TAG_FLOAT = 5;
+const TAG_DOUBLE = 6;
+const TAG_BYTE_ARRAY = 7;
+const TAG_STRING = 8;
+const TAG_LIST = 9;
+const TAG_COMPOUND = 10;
+const TAG_INT_ARRAY = 11;
+const TAG_LONG_ARRAY = 12;
+
+const textDecoder = new TextDecoder();
+
+/**
+ * Decompress data with the browser's built-in DecompressionStream
+ * @param {Uint8Array} bytes - The compressed data
+ * @param {string} format - 'gzip', 'deflate' (zlib) or 'deflate-raw'
+ * @returns {Promise<Uint8Array>} - The decompressed data
+ */
+export async function decompress(bytes, format) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Detect the compression used by an NBT payload
+ * @param {Uint8Array} bytes - The raw data
+ * @returns {string|null} - 'gzip', 'deflate' or null for uncompressed data
+ */
+export function detectCompression(bytes) {
+    if (bytes.length >= 2 && bytes[0] === 0x1F && bytes[1] === 0x8B) {
+        return 'gzip';
+    }
+
+    // zlib header: CM = 8 and the header checksum is a multiple of 31
+    if (bytes.length >= 2 && (bytes[0] & 0x0F) === 8 && ((bytes[0] << 8) | bytes[1]) % 31 === 0) {
+        return 'deflate';
+    }
+
+    return null;
+}
+
+/**
+ * Read an NBT file, decompressing it first if needed
+ * @param {ArrayBuffer|Uint8Array} buffer - The raw file contents
+ * @returns {Promise<{name: string, value: Object}>} - The root tag name and value
+ */
+export async function readNbt(buffer) {
+    let bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const compression = detectCompression(bytes);
+
+    if (compression) {
+        bytes = await decompress(bytes, compression);
+    }
+
+    return parseNbt(bytes);
+}
+
+/**
+ * Parse uncompressed NBT data
+ * @param {Uint8Array} bytes - The uncompressed NBT data
+ * @returns {{name: string, value: Object}} - The root tag name and value
+ */
+export function parseNbt(bytes) {
+    const reader = new NbtReader(bytes);
+    const type = reader.u8();
+
+    if (type !== TAG_COMPOUND) {
+        throw new Error(`NBT root must be a compound tag, got type ${type}`);
+    }
+
+    const name = reader.string();
+    const value = reader.payload(TAG_COMPOUND);
+
+    return { name, value };
+}
+
+/**
+ * Sequential big-endian reader for NBT payloads
+ */
+class NbtReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.offset = 0;
+    }
+
+    ensure(length) {
+        if (this.offset + length > this.bytes.length) {
+            throw new Error('Unexpected end of NBT data');
+        }
+    }
+
+    u8() {
+        this.ensure(1);
+        return this.view.getUint8(this.offset++);
+    }
+
+    i8() {
+        this.ensure(1);
+        return this.view.getInt8(this.offset++);
+    }
+
+    i16() {
+        this.ensure(2);
+        const value = this.view.getInt16(this.offset);
+        this.offset += 2;
+        return value;
+    }
+
+    u16() {
+        this.ensure(2);
+        const value = this.view.getUint16(this.offset);
+        this.offset += 2;
+        return value;
+    }
+
+    i32() {
+        this.ensure(4);
+        const value = this.view.getInt32(this.offset);
+        this.offset += 4;
+        return value;
+    }
+
+    i64() {
+        this.ensure(8);
+        const value = this.view.getBigInt64(this.offset);
+        this.offset += 8;
+        return value;
+    }
+
+    f32() {
+        this.ensure(4);
+        const value = this.view.getFloat32(this.offset);
+        this.offset += 4;
+        return value;
+    }
+
+    f64() {
+        this.ensure(8);
+        const value = this.view.getFloat64(this.offset);
+        this.offset += 8;
+        return value;
+    }
+
+    string() {
+        const length = this.u16();
+        this.ensure(length);
+        // NBT uses modified UTF-8, which matches UTF-8 for everything block names contain
+        const value = textDecoder.decode(this.bytes.subarray(this.offset, this.offset + length));
+        this.offset += length;
+        return value;
+    }
+
+    payload(type) {
+        switch (type) {
+            case TAG_BYTE:
+                return this.i8();
+            case TAG_SHORT:
+                return this.i16();
+            case TAG_INT:
+                return this.i32();
+            case TAG_LONG:
+                return this.i64();
+            case TAG_FLOAT:
+                return this.f32();
+            case TAG_DOUBLE:
+                return this.f64();
+            case TAG_BYTE_ARRAY: {
+                const length = this.i32();
+                this.ensure(length);
+                const value = new Int8Array(this.bytes.slice(this.offset, this.offset + length).buffer);
+                this.offset += length;
+                return value;
+            }
+            case TAG_STRING:
+                return this.string();
+            case TAG_LIST: {
+                const itemType = this.u8();
+                const length = this.i32();
+                const items = [];
+                for (let i = 0; i < length; i++) {
+                    items.push(this.payload(itemType));
+                }
+                return items;
+            }
+            case TAG_COMPOUND: {
+                const compound = {};
+                for (;;) {
+                    const childType = this.u8();
+                    if (childType === TAG_END) break;
+                    const childName = this.string();
+                    compound[childName] = this.payload(childType);
+                }
+                return compound;
+            }
+            case TAG_INT_ARRAY: {
+                const length = this.i32();
+                const value = new Int32Array(length);
+                for (let i = 0; i < length; i++) {
+                    value[i] = this.i32();
+                }
+                return value;
+            }
+            case TAG_LONG_ARRAY: {
+                const length = this.i32();
+                const value = new BigInt64Array(length);
+                for (let i = 0; i < length; i++) {
+                    value[i] = this.i64();
+                }
+                return value;
+            }
+            default:
+                throw new Error(`Unknown NBT tag type ${type} at offset ${this.offset - 1}`);
+        }
+    }
+}
@@ -0,0 +1,311 @@
+/**
+ * Neighbor Resolver
+ * Derives the block states Minecraft computes from neighboring blocks instead of
+ * storing them: stair corner shapes and fence, wall, glass pane and iron bar
+ * connections (plus the wall post). Region files and schematics usually leave these
+ * out, so they are filled in here; values the source did send are kept
+ */
+
+import { CONNECTION_KEYS } from './blockStateMapper.js';
+
+const HORIZONTAL_DIRECTIONS = {
+    north: { x: 0, z: -1 },
+    east: { x: 1, z: 0 },
+    south: { x: 0, z: 1 },
+    west: { x: -1, z: 0 }
+};
+
+const COUNTER_CLOCKWISE = { north: 'west', west: 'south', south: 'east', east: 'north' };
+const OPPOSITE = { north: 'south', south: 'north', east: 'west', west: 'east' };
+const AXIS = { north: 'z', south: 'z', east: 'x', west: 'x' };
+
+// Blocks that don't fill their whole cube, so connecting blocks don't attach to them
+const PARTIAL_BLOCK_SUFFIXES = [
+    '_stairs', '_slab', '_fence', '_fence_gate', '_wall', '_pane', '_trapdoor', '_door',
+    '_button', '_pressure_plate', '_sign', '_banner', '_carpet', '_bed', '_torch', '_lantern',
+    '_sapling', '_candle', '_leaves', '_campfire', '_head', '_skull'
+];
+const PARTIAL_BLOCKS = new Set([
+    'stairs', 'slab', 'fence', 'wall', 'trapdoor', 'door', 'torch', 'lantern', 'chain', 'iron_bars',
+    'campfire', 'cobweb', 'web', 'water', 'lava', 'ladder', 'rail', 'snow', 'grindstone', 'chest',
+    'bell', 'anvil', 'cake', 'flower_pot', 'lectern', 'scaffolding', 'button', 'leaves', 'plant',
+    'grass', 'tall_grass', 'fern', 'sweet_berry_bush', 'barrier', 'composter', 'enchanting_table'
+]);
+
+// Blocks on top of a wall that always raise its post
+const WALL_POST_OVERRIDES = new Set(['torch', 'soul_torch', 'redstone_torch', 'lantern', 'soul_lantern']);
+
+function isStairs(name) {
+    return name.includes('_stairs') || name === 'stairs';
+}
+
+function isFence(name) {
+    return (name.includes('_fence') || name === 'fence') && !name.includes('gate');
+}
+
+function isFenceGate(name) {
+    return name.includes('fence_gate');
+}
+
+function isWall(name) {
+    return name.endsWith('_wall') || name === 'wall';
+}
+
+function isPane(name) {
+    return name.endsWith('_pane') || name === 'iron_bars';
+}
+
+/**
+ * Check if a block fills its whole cube, so fences, walls and panes attach to its sides
+ * @param {Object|undefined} block - The neighboring block
+ * @returns {boolean} - True for full, solid blocks
+ */
+export function isFullBlock(block) {
+    if (!block) return false;
+
+    const name = block.state.name;
+    if (block.is_leaf || PARTIAL_BLOCKS.has(name) || name.startsWith('double_plant')) {
+        return false;
+    }
+
+    // Double slabs fill the whole cube even though slabs usually don't
+    if (name.endsWith('_slab')) {
+        return block.state.get('type') === 'double';
+    }
+
+    return !PARTIAL_BLOCK_SUFFIXES.some(suffix => name.endsWith(suffix));
+}
+
+/**
+ * Check if a block covers the top of the wall below it, which makes the wall's sides tall:
+ * full blocks, bottom and double slabs, bottom stairs, and walls (on the sides they connect)
+ * @param {Object|undefined} above - The block above the wall
+ * @param {string} direction - The wall side
+ * @returns {boolean} - True if the side grows tall
+ */
+function coversWallSide(above, direction) {
+    if (!above) return false;
+
+    const name = above.state.name;
+    if (isFullBlock(above)) return true;
+    if (isWall(name)) return getWallSide(above.state.get(direction)) !== 'none';
+    if (name.endsWith('_slab')) return above.state.get('type', 'bottom') !== 'top';
+    if (isStairs(name)) return above.state.get('half', 'bottom') === 'bottom';
+    return false;
+}
+
+/**
+ * Read a wall side value; older sources send true/false, which are low and none
+ * @param {string|undefined} value - The side's value
+ * @returns {string} - 'none', 'low' or 'tall'
+ */
+export function getWallSide(value) {
+    if (value === 'low' || value === 'tall') return value;
+    return value === 'true' ? 'low' : 'none';
+}
+
+// Nether brick fences only connect to each other, wooden fences to any wooden fence
+function isSameFenceFamily(a, b) {
+    return (a === 'nether_brick_fence') === (b === 'nether_brick_fence');
+}
+
+// A fence gate connects on the sides its posts are on
+function gateConnects(gate, direction) {
+    const facing = gate.state.get('facing', 'north');
+    return AXIS[facing] !== AXIS[direction];
+}
+
+/**
+ * Check if a fence, wall or pane attaches to its neighbor in a direction
+ * @param {Object} block - The connecting block
+ * @param {Object|undefined} neighbor - The block next to it
+ * @param {string} direction - The direction of the neighbor
+ * @returns {boolean} - True if they connect
+ */
+function connectsTo(block, neighbor, direction) {
+    if (!neighbor) return false;
+
+    const name = block.state.name;
+    const other = neighbor.state.name;
+
+    if (isFullBlock(neighbor)) return true;
+    if (isFenceGate(other)) return !isPane(name) && gateConnects(neighbor, direction);
+
+    if (isFence(name)) return isFence(other) && isSameFenceFamily(name, other);
+    if (isWall(name)) return isWall(other) || isPane(other);
+    return isPane(other) || isWall(other);
+}
+
+/**
+ * Get a block's value for a state property if the source sent it
+ * @param {Object} block - The processed block
+ * @param {string} key - The property name
+ * @returns {string|undefined} - The value from the source
+ */
+function getSourceValue(block, key) {
+    if (block.connections?.[key] !== undefined) return String(block.connections[key]);
+    if (block.stairData?.[key] !== undefined) return String(block.stairData[key]);
+    if (block.properties?.[key] !== undefined) return String(block.properties[key]);
+    return undefined;
+}
+
+/**
+ * Work out a stair's shape the way Minecraft does: a stair turns into an outer corner
+ * when the stair in front of it faces sideways, or an inner corner when the one behind does
+ * @param {Object} block - The stair
+ * @param {Function} getNeighbor - (block, dx, dy, dz) => the block at that offset
+ * @returns {string} - The stair shape
+ */
+function getStairShape(block, getNeighbor) {
+    const facing = block.state.get('facing', 'east');
+    const half = block.state.get('half', 'bottom');
+
+    const stairAt = direction => {
+        const offset = HORIZONTAL_DIRECTIONS[direction];
+        const neighbor = getNeighbor(block, offset.x, 0, offset.z);
+        return neighbor && isStairs(neighbor.state.name) && neighbor.state.get('half', 'bottom') === half
+            ? neighbor
+            : null;
+    };
+
+    // A side already continued by a stair facing the same way stays straight
+    const canTakeShape = direction => {
+        const offset = HORIZONTAL_DIRECTIONS[direction];
+        const neighbor = getNeighbor(block, offset.x, 0, offset.z);
+        return !neighbor || !isStairs(neighbor.state.name) ||
+            neighbor.state.get('facing', 'east') !== facing ||
+            neighbor.state.get('half', 'bottom') !== half;
+    };
+
+    const front = stairAt(facing);
+    if (front) {
+        const frontFacing = front.state.get('facing', 'east');
+        if (AXIS[frontFacing] !== AXIS[facing] && canTakeShape(OPPOSITE[frontFacing])) {
+            return frontFacing === COUNTER_CLOCKWISE[facing] ? 'outer_left' : 'outer_right';
+        }
+    }
+
+    const back = stairAt(OPPOSITE[facing]);
+    if (back) {
+        const backFacing = back.state.get('facing', 'east');
+        if (AXIS[backFacing] !== AXIS[facing] && canTakeShape(backFacing)) {
+            return backFacing === COUNTER_CLOCKWISE[facing] ? 'inner_left' : 'inner_right';
+        }
+    }
+
+    return 'straight';
+}
+
+/**
+ * Work out a wall's sides and post: sides under a block that covers them (see
+ * coversWallSide) are tall, and the post is raised unless the wall runs straight through
+ * @param {Object} block - The wall
+ * @param {Object} connected - Direction -> whether the wall connects that way
+ * @param {Function} getNeighbor - (block, dx, dy, dz) => the block at that offset
+ * @returns {Object} - The wall's north/east/south/west ('none', 'low' or 'tall') and up values
+ */
+function getWallState(block, connected, getNeighbor) {
+    const above = getNeighbor(block, 0, 1, 0);
+    const aboveIsWall = above && isWall(above.state.name);
+    const state = {};
+
+    for (const direction of Object.keys(HORIZONTAL_DIRECTIONS)) {
+        if (!connected[direction]) {
+            state[direction] = 'none';
+        } else if (coversWallSide(above, direction)) {
+            state[direction] = 'tall';
+        } else {
+            state[direction] = 'low';
+        }
+    }
+
+    const { north, east, south, west } = state;
+    let up;
+    if (aboveIsWall && above.state.is('up')) {
+        up = true;
+    } else if ((north === 'none') !== (south === 'none') || (east === 'none') !== (west === 'none') ||
+        (north === 'none' && south === 'none' && east === 'none' && west === 'none')) {
+        // Ends, corners, junctions and lone posts
+        up = true;
+    } else if ((north === 'tall' && south === 'tall') || (east === 'tall' && west === 'tall')) {
+        up = false;
+    } else {
+        up = Boolean(above) && (WALL_POST_OVERRIDES.has(above.state.name) || isFullBlock(above));
+    }
+
+    state.up = up ? 'true' : 'false';
+    return state;
+}
+
+/**
+ * Fill in the neighbor-derived states the source left out. Only the values that are missing
+ * are computed; blocks that change get a new state
+ * @param {Array} blocks - Processed blocks with their block state
+ * @param {Map} blockMap - Blocks by "x,y,z" position, the neighbors to look at
+ * @returns {number} - The number of blocks that changed
+ */
+export function resolveNeighborStates(blocks, blockMap) {
+    // Positions that were skipped (air, legacy blocks that translate to nothing) keep their raw block
+    const getNeighbor = (block, dx, dy, dz) => {
+        const neighbor = blockMap.get(`${block.x + dx},${block.y + dy},${block.z + dz}`);
+        return neighbor?.state ? neighbor : undefined;
+    };
+
+    // Top to bottom, so a wall sees the resolved sides and post of the wall above it
+    const ordered = [...blocks].sort((a, b) => b.y - a.y);
+    let changed = 0;
+
+    for (const block of ordered) {
+        const name = block.state.name;
+        const resolved = {};
+
+        if (isStairs(name)) {
+            if (getSourceValue(block, 'shape') === undefined) {
+                resolved.shape = getStairShape(block, getNeighbor);
+            }
+        } else if (isFence(name) || isWall(name) || isPane(name)) {
+            // Only walls have a post
+            const keys = isWall(name) ? CONNECTION_KEYS : CONNECTION_KEYS.filter(key => key !== 'up');
+            const missing = keys.filter(key => getSourceValue(block, key) === undefined);
+            // Wall sides are always checked: true/false sides become low/none, and low
+            // sides grow tall under a block, which sources often don't account for
+            if (missing.length === 0 && !isWall(name)) continue;
+
+            // Sides the source sent stay connected or not, the rest depend on the neighbors
+            const connected = {};
+            for (const [direction, offset] of Object.entries(HORIZONTAL_DIRECTIONS)) {
+                const sent = getSourceValue(block, direction);
+                connected[direction] = sent !== undefined
+                    ? getWallSide(sent) !== 'none'
+                    : connectsTo(block, getNeighbor(block, offset.x, 0, offset.z), direction);
+            }
+
+            const derived = isWall(name)
+                ? getWallState(block, connected, getNeighbor)
+                : Object.fromEntries(Object.entries(connected).map(([key, value]) => [key, String(value)]));
+
+            missing.forEach(key => {
+                if (derived[key] !== undefined) resolved[key] = derived[key];
+            });
+
+            if (isWall(name)) {
+                Object.keys(HORIZONTAL_DIRECTIONS).forEach(direction => {
+                    const sent = getSourceValue(block, direction);
+                    if (sent !== undefined && getWallSide(sent) !== 'tall') {
+                        resolved[direction] = derived[direction];
+                    }
+                });
+            }
+        }
+
+        if (Object.keys(resolved).length === 0) continue;
+
+        const state = block.state.with(resolved);
+        if (!state.equals(block.state)) {
+            block.state = state;
+            changed++;
+        }
+    }
+
+    return changed;
+}
@@ -0,0 +1,248 @@
+/**
+ * Resource Pack
+ * Reads Minecraft resource pack zips and points texture loads at their block textures.
+ * The pack's pack.mcmeta names it, and its assets/minecraft/textures/block/ folder (with
+ * any .mcmeta animation files) overrides the bundled textures/blocks/ files of the same
+ * texture; the bundled files use some older names (planks_oak, wool_colored_red), which
+ * are looked up under their current names too. Anything the pack doesn't have keeps the
+ * bundled texture
+ */
+
+import { decompress } from './nbtReader.js';
+import { TEXTURE_NAME_MAPPINGS, LEAF_TEXTURE_MAPPINGS } from './blockData.js';
+
+const PACK_TEXTURE_DIR = 'assets/minecraft/textures/block/';
+const BUNDLED_TEXTURE_DIR = 'textures/blocks/';
+
+// Zip record signatures
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// Older bundled texture names and the current names they go by, tried in order
+const RENAMED_TEXTURES = [
+    [/^log_big_oak(_top)?$/, 'dark_oak_log$1'],
+    [/^log_(\w+?)(_top)?$/, '$1_log$2'],
+    [/^planks_big_oak$/, 'dark_oak_planks'],
+    [/^planks_(\w+)$/, '$1_planks'],
+    [/^leaves_big_oak$/, 'dark_oak_leaves'],
+    [/^leaves_(\w+)$/, '$1_leaves'],
+    [/^wool_colored_silver$/, 'light_gray_wool'],
+    [/^wool_colored_(\w+)$/, '$1_wool'],
+    [/^concrete_powder_silver$/, 'light_gray_concrete_powder'],
+    [/^concrete_powder_(\w+)$/, '$1_concrete_powder'],
+    [/^concrete_silver$/, 'light_gray_concrete'],
+    [/^concrete_(\w+)$/, '$1_concrete'],
+    [/^stone_(granite|andesite|diorite)_smooth$/, 'polished_$1'],
+    [/^stone_(granite|andesite|diorite)$/, '$1'],
+    [/^stonebrick$/, 'stone_bricks'],
+    [/^brick$/, 'bricks'],
+    [/^prismarine_dark$/, 'dark_prismarine'],
+    [/^deepslate_cobbled$/, 'cobbled_deepslate']
+];
+
+// Bundled file names by the block they're named after in blockData.js
+const BLOCK_NAMES_BY_FILE = new Map(
+    [...Object.entries(TEXTURE_NAME_MAPPINGS), ...Object.entries(LEAF_TEXTURE_MAPPINGS)]
+        .map(([block, file]) => [file.replace(/\.(png|tga)$/i, ''), block])
+);
+
+const textDecoder = new TextDecoder();
+
+// The pack textures are currently loaded from, or null for the bundled textures
+let activePack = null;
+
+/**
+ * Read the files of a zip archive, stored or deflated
+ * @param {ArrayBuffer} buffer - The zip file
+ * @param {Function} filter - (name) => boolean, which files to read
+ * @returns {Promise<Map>} - File contents as Uint8Array by name
+ */
+async function readZip(buffer, filter) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    // The end of central directory record sits at the end, before an optional comment
+    let end = -1;
+    for (let offset = bytes.length - 22; offset >= Math.max(0, bytes.length - 22 - 0xFFFF); offset--) {
+        if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) {
+            end = offset;
+            break;
+        }
+    }
+    if (end < 0) {
+        throw new Error('Not a zip file');
+    }
+
+    const entryCount = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    const files = new Map();
+
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_HEADER) {
+            throw new Error('Corrupt zip central directory');
+        }
+
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const headerOffset = view.getUint32(offset + 42, true);
+        const name = textDecoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        // Skip folders, encrypted files and files nobody asked for
+        if (name.endsWith('/') || (flags & 1) || !filter(name)) continue;
+
+        if (view.getUint32(headerOffset, true) !== LOCAL_FILE_HEADER) {
+            throw new Error(`Corrupt zip entry ${name}`);
+        }
+        const dataStart = headerOffset + 30 + view.getUint16(headerOffset + 26, true) + view.getUint16(headerOffset + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+        if (method === 0) {
+            files.set(name, data);
+        } else if (method === 8) {
+            files.set(name, await decompress(data, 'deflate-raw'));
+        } else {
+            console.warn(`Skipping ${name}: unsupported zip compression method ${method}`);
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Flatten a pack description, which can be a text component, to plain text
+ * @param {*} description - The description from pack.mcmeta
+ * @returns {string} - The text
+ */
+function getDescriptionText(description) {
+    if (typeof description === 'string') return description;
+    if (Array.isArray(description)) return description.map(getDescriptionText).join('');
+    if (description && typeof description === 'object') {
+        return (description.text ?? '') + (description.extra ?? []).map(getDescriptionText).join('');
+    }
+    return '';
+}
+
+/**
+ * Get the names a bundled texture may have in a resource pack, best match first
+ * @param {string} name - The bundled file name without its extension, e.g. planks_oak
+ * @returns {Array<string>} - Names to look for, e.g. ['planks_oak', 'oak_planks']
+ */
+function getPackTextureNames(name) {
+    const names = [name];
+    const renamed = RENAMED_TEXTURES.find(([pattern]) => pattern.test(name));
+    if (renamed) {
+        names.push(name.replace(renamed[0], renamed[1]));
+    }
+    if (BLOCK_NAMES_BY_FILE.has(name)) {
+        names.push(BLOCK_NAMES_BY_FILE.get(name));
+    }
+    return names;
+}
+
+export class ResourcePack {
+    /**
+     * @param {string} name - The pack's name (its file name)
+     * @param {string} description - The description from pack.mcmeta
+     * @param {Map} textures - Object URLs of the pack's block textures and their .mcmeta
+     * files, by file name within the block texture folder (e.g. oak_planks.png)
+     */
+    constructor(name, description, textures) {
+        this.name = name;
+        this.description = description;
+        this.textures = textures;
+    }
+
+    /**
+     * Read a resource pack zip
+     * @param {ArrayBuffer} buffer - The zip file
+     * @param {string} name - The pack's name
+     * @returns {Promise<ResourcePack>} - The pack
+     */
+    static async fromZip(buffer, name) {
+        const files = await readZip(buffer, file =>
+            file.endsWith('pack.mcmeta') || file.includes(PACK_TEXTURE_DIR));
+
+        // Packs are often zipped with their folder, so everything sits under a prefix
+        const metadataFile = [...files.keys()]
+            .filter(file => file.endsWith('pack.mcmeta') && !file.includes('assets/'))
+            .sort((a, b) => a.length - b.length)[0];
+        if (!metadataFile) {
+            throw new Error(`${name} is not a resource pack: it has no pack.mcmeta`);
+        }
+
+        const prefix = metadataFile.slice(0, -'pack.mcmeta'.length);
+        const metadata = JSON.parse(textDecoder.decode(files.get(metadataFile)));
+        const textureDir = `${prefix}${PACK_TEXTURE_DIR}`;
+
+        const textures = new Map();
+        files.forEach((data, file) => {
+            if (!file.startsWith(textureDir)) return;
+            const type = file.endsWith('.png') ? 'image/png' : 'application/json';
+            textures.set(file.slice(textureDir.length), URL.createObjectURL(new Blob([data], { type })));
+        });
+
+        const pack = new ResourcePack(name, getDescriptionText(metadata.pack?.description), textures);
+        console.log(`🎨 Read resource pack ${name} (format ${metadata.pack?.pack_format ?? '?'}): ${pack.textures.size} block texture files`);
+        return pack;
+    }
+
+    /**
+     * Get the pack's version of a bundled texture file
+     * @param {string} path - The bundled path, e.g. textures/blocks/planks_oak.png or
+     * textures/blocks/water_still.png.mcmeta
+     * @returns {string|null} - The object URL of the pack's file, or null if it has none
+     */
+    getTextureUrl(path) {
+        const match = path.replace(/^\//, '').match(/^textures\/blocks\/(.+)\.(png|tga)(\.mcmeta)?$/i);
+        if (!match) return null;
+
+        const [, name, , metadata] = match;
+        for (const packName of getPackTextureNames(name)) {
+            const url = this.textures.get(`${packName}.png${metadata ?? ''}`);
+            if (url) return url;
+        }
+        return null;
+    }
+
+    /**
+     * Free the pack's files
+     */
+    dispose() {
+        this.textures.forEach(url => URL.revokeObjectURL(url));
+        this.textures.clear();
+    }
+}
+
+/**
+ * Load textures from a resource pack from now on; textures already loaded change when
+ * they are reloaded (see reloadTextures in textureManager.js)
+ * @param {ResourcePack|null} pack - The pack, or null for the bundled textures
+ */
+export function setActiveResourcePack(pack) {
+    activePack = pack;
+    console.log(`🎨 Using ${pack ? `resource pack ${pack.name}` : 'the bundled textures'}`);
+}
+
+/**
+ * Get the pack textures are loaded from
+ * @returns {ResourcePack|null} - The pack, or null for the bundled textures
+ */
+export function getActiveResourcePack() {
+    return activePack;
+}
+
+/**
+ * Get where to load a bundled texture (or its .mcmeta file) from: the active pack's
+ * version if it has one, or the bundled file
+ * @param {string} path - The bundled path
+ * @returns {string} - The URL to load
+ */
+export function resolvePackUrl(path) {
+    return activePack?.getTextureUrl(path) ?? path;
+}
@@ -0,0 +1,189 @@
+/**
+ * Schematic Loader
+ * Imports saved builds as worlds: Sponge schematics (.schem, versions 1-3),
+ * Litematica files (.litematic) and vanilla structure block files (.nbt)
+ */
+
+import { readNbt } from './nbtReader.js';
+import { unpackLongArray } from './anvilLoader.js';
+import { mapBlockState, parseBlockStateString, cloneBlockState, buildBlockStats } from './blockStateMapper.js';
+
+const CHUNK_SIZE = 16;
+
+/**
+ * Detect the schematic format from its root NBT compound
+ * @param {Object} root - The root compound
+ * @returns {string|null} - 'sponge', 'litematic', 'structure' or null
+ */
+export function detectSchematicFormat(root) {
+    if (root.Regions && root.Metadata) return 'litematic';
+    if (root.Schematic || (root.Palette && root.BlockData)) return 'sponge';
+    if (root.size && root.blocks && (root.palette || root.palettes)) return 'structure';
+    return null;
+}
+
+/**
+ * Parse a schematic file into blocks
+ * @param {ArrayBuffer|Uint8Array} buffer - The schematic file contents
+ * @returns {Promise<Object>} - The world data in the { blocks, stats } shape
+ */
+export async function parseSchematic(buffer) {
+    const { value: root } = await readNbt(buffer);
+    const format = detectSchematicFormat(root);
+    let blocks;
+
+    switch (format) {
+        case 'sponge':
+            blocks = readSpongeSchematic(root.Schematic || root);
+            break;
+        case 'litematic':
+            blocks = readLitematic(root);
+            break;
+        case 'structure':
+            blocks = readStructure(root);
+            break;
+        default:
+            throw new Error('Unrecognised schematic format');
+    }
+
+    const stats = buildBlockStats(blocks, { source: format });
+    console.log(`🏗️ Parsed ${format} schematic with ${blocks.length} blocks`);
+
+    return { blocks, stats };
+}
+
+/**
+ * Create a positioned block from a mapped state
+ * @param {Object} state - The fields from mapBlockState
+ * @param {number} x - Block X
+ * @param {number} y - Block Y
+ * @param {number} z - Block Z
+ * @returns {Object} - The block object
+ */
+function placeBlock(state, x, y, z) {
+    const block = { ...cloneBlockState(state), x, y, z };
+    block.chunk_x = Math.floor(x / CHUNK_SIZE);
+    block.chunk_z = Math.floor(z / CHUNK_SIZE);
+    return block;
+}
+
+/**
+ * Read a Sponge schematic (v1/v2 at the root, v3 under "Blocks")
+ * @param {Object} schematic - The schematic compound
+ * @returns {Array} - The blocks
+ */
+function readSpongeSchematic(schematic) {
+    const width = schematic.Width;
+    const height = schematic.Height;
+    const length = schematic.Length;
+    const container = schematic.Version >= 3 ? schematic.Blocks : schematic;
+
+    if (!container || !container.Palette) {
+        throw new Error('Sponge schematic has no block palette');
+    }
+
+    // Palette maps state strings to indices; invert it
+    const mapped = [];
+    for (const [state, index] of Object.entries(container.Palette)) {
+        const { name, properties } = parseBlockStateString(state);
+        mapped[index] = mapBlockState(name, properties);
+    }
+
+    const data = container.Data || container.BlockData;
+    const blocks = [];
+    let offset = 0;
+
+    for (let i = 0; i < width * height * length; i++) {
+        // Indices are unsigned varints
+        let index = 0;
+        let shift = 0;
+        let byte;
+        do {
+            if (offset >= data.length) {
+                throw new Error('Sponge schematic block data ended early');
+            }
+            byte = data[offset++] & 0xFF;
+            index |= (byte & 0x7F) << shift;
+            shift += 7;
+        } while (byte & 0x80);
+
+        const state = mapped[index];
+        if (!state) continue;
+
+        const x = i % width;
+        const z = Math.floor(i / width) % length;
+        const y = Math.floor(i / (width * length));
+        blocks.push(placeBlock(state, x, y, z));
+    }
+
+    return blocks;
+}
+
+/**
+ * Read every region of a Litematica file
+ * @param {Object} root - The root compound
+ * @returns {Array} - The blocks
+ */
+function readLitematic(root) {
+    const blocks = [];
+
+    for (const [name, region] of Object.entries(root.Regions)) {
+        const size = region.Size;
+        const position = region.Position;
+        const sizeX = Math.abs(size.x);
+        const sizeY = Math.abs(size.y);
+        const sizeZ = Math.abs(size.z);
+
+        // Negative sizes extend the region backwards from its position
+        const originX = position.x + (size.x < 0 ? size.x + 1 : 0);
+        const originY = position.y + (size.y < 0 ? size.y + 1 : 0);
+        const originZ = position.z + (size.z < 0 ? size.z + 1 : 0);
+
+        const palette = region.BlockStatePalette || [];
+        const mapped = palette.map(entry => mapBlockState(entry.Name, entry.Properties || {}));
+        const count = sizeX * sizeY * sizeZ;
+
+        if (palette.length <= 1 || !region.BlockStates) {
+            console.log(`Skipping empty litematic region "${name}"`);
+            continue;
+        }
+
+        // Litematica packs indices tightly, letting them cross long boundaries
+        const bits = Math.max(2, Math.ceil(Math.log2(palette.length)));
+        const indices = unpackLongArray(region.BlockStates, bits, count, true, palette.length - 1);
+
+        for (let i = 0; i < count; i++) {
+            const state = mapped[indices[i]];
+            if (!state) continue;
+
+            const x = i % sizeX;
+            const z = Math.floor(i / sizeX) % sizeZ;
+            const y = Math.floor(i / (sizeX * sizeZ));
+            blocks.push(placeBlock(state, originX + x, originY + y, originZ + z));
+        }
+    }
+
+    return blocks;
+}
+
+/**
+ * Read a vanilla structure block file
+ * @param {Object} root - The root compound
+ * @returns {Array} - The blocks
+ */
+function readStructure(root) {
+    // Structures with random variants (e.g. shipwrecks) store several palettes; use the first
+    const palette = root.palette || root.palettes[0];
+    const mapped = palette.map(entry => mapBlockState(entry.Name, entry.Properties || {}));
+    const blocks = [];
+
+    for (const entry of root.blocks) {
+        const state = mapped[entry.state];
+        if (!state) continue;
+
+        const [x, y, z] = entry.pos;
+        blocks.push(placeBlock(state, x, y, z));
+    }
+
+    return blocks;
+}
@@ -0,0 +1,192 @@
+// Session recorder for backend API exchanges
+// Wraps fetch (like mockServer.js does) and records every /spawn-chunk request and
+// response of a session into one bundle that the mock server can replay offline:
+//   index.html?mock=off&record     - record a session against the real server
+//   index.html?mock=replay&bundle=./session.json - replay it
+// Recording starts with the page when the URL has a "record" parameter, or from the
+// console with sessionRecorder.start(); sessionRecorder.download() saves the bundle
+
+// Bump when the bundle layout changes; mockServer.js checks it when replaying
+const SESSION_BUNDLE_VERSION = 1;
+
+// Requests matching this are recorded, everything else passes through untouched
+const RECORDED_PATH = '/spawn-chunk';
+
+const recorderFetch = window.fetch;
+
+const sessionRecorder = {
+    recording: false,
+    exchanges: [],
+    startedAt: null,
+    button: null,
+
+    // Start recording, discarding any earlier exchanges
+    start() {
+        this.recording = true;
+        this.exchanges = [];
+        this.startedAt = new Date().toISOString();
+        this.showButton();
+        console.log('⏺️ Recording API exchanges');
+    },
+
+    // Stop recording, keeping the exchanges recorded so far
+    stop() {
+        this.recording = false;
+        console.log(`⏹️ Stopped recording after ${this.exchanges.length} exchanges`);
+    },
+
+    // Record one exchange; the response is cloned so the caller can still read the body
+    async record(url, options, response, startTime) {
+        const absoluteUrl = new URL(url, window.location.href);
+        const contentType = response.headers.get('Content-Type') || '';
+        const buffer = await response.clone().arrayBuffer();
+
+        // Text bodies are stored as is so bundles stay readable and diffable; binary ones
+        // (e.g. compact worlds) as base64
+        const isText = /json|text/.test(contentType);
+        const body = isText ? new TextDecoder().decode(buffer) : encodeBase64(new Uint8Array(buffer));
+
+        const headers = {};
+        response.headers.forEach((value, key) => {
+            headers[key] = value;
+        });
+
+        this.exchanges.push({
+            url: absoluteUrl.pathname + absoluteUrl.search,
+            path: absoluteUrl.pathname,
+            query: Object.fromEntries(absoluteUrl.searchParams),
+            method: options?.method || 'GET',
+            status: response.status,
+            statusText: response.statusText,
+            headers,
+            body,
+            bodyEncoding: isText ? 'utf8' : 'base64',
+            timestamp: new Date(startTime).toISOString(),
+            duration: Date.now() - startTime
+        });
+
+        console.log(`⏺️ Recorded ${absoluteUrl.pathname}${absoluteUrl.search} (${response.status}, ${buffer.byteLength} bytes)`);
+        this.updateButton();
+    },
+
+    // Record a request that failed without a response
+    recordError(url, options, error, startTime) {
+        const absoluteUrl = new URL(url, window.location.href);
+
+        this.exchanges.push({
+            url: absoluteUrl.pathname + absoluteUrl.search,
+            path: absoluteUrl.pathname,
+            query: Object.fromEntries(absoluteUrl.searchParams),
+            method: options?.method || 'GET',
+            status: 0,
+            error: error.message,
+            timestamp: new Date(startTime).toISOString(),
+            duration: Date.now() - startTime
+        });
+
+        console.log(`⏺️ Recorded failed request ${absoluteUrl.pathname}${absoluteUrl.search}: ${error.message}`);
+        this.updateButton();
+    },
+
+    // Build the session bundle
+    getBundle() {
+        return {
+            version: SESSION_BUNDLE_VERSION,
+            startedAt: this.startedAt,
+            savedAt: new Date().toISOString(),
+            page: window.location.href,
+            userAgent: navigator.userAgent,
+            exchanges: this.exchanges
+        };
+    },
+
+    // Save the session bundle as a JSON file
+    download(filename = `session-${Date.now()}.json`) {
+        const blob = new Blob([JSON.stringify(this.getBundle(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+
+        console.log(`💾 Saved ${this.exchanges.length} exchanges to ${filename}`);
+    },
+
+    // Show a button for saving the session while recording
+    showButton() {
+        if (this.button) return;
+
+        // The body doesn't exist yet if this script is loaded in <head>
+        if (!document.body) {
+            document.addEventListener('DOMContentLoaded', () => this.showButton(), { once: true });
+            return;
+        }
+
+        const button = document.createElement('button');
+        button.style.position = 'fixed';
+        button.style.top = '10px';
+        button.style.left = '10px';
+        button.style.padding = '10px';
+        button.style.backgroundColor = '#f44336';
+        button.style.color = 'white';
+        button.style.border = 'none';
+        button.style.borderRadius = '5px';
+        button.style.zIndex = '9999';
+        button.addEventListener('click', () => this.download());
+
+        document.body.appendChild(button);
+        this.button = button;
+        this.updateButton();
+    },
+
+    updateButton() {
+        if (this.button) {
+            this.button.textContent = `⏺️ Save session (${this.exchanges.length})`;
+        }
+    }
+};
+
+// Encode bytes as base64 in slices, since spreading a large array into fromCharCode overflows the stack
+function encodeBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+// Override the fetch function
+window.fetch = async function(url, options) {
+    const urlString = typeof url === 'string' ? url : url?.url;
+
+    if (!sessionRecorder.recording || !urlString || !urlString.includes(RECORDED_PATH)) {
+        return recorderFetch(url, options);
+    }
+
+    const startTime = Date.now();
+    let response;
+
+    try {
+        response = await recorderFetch(url, options);
+    } catch (error) {
+        // Network failures are part of the session too; replay rejects the same way
+        sessionRecorder.recordError(urlString, options, error, startTime);
+        throw error;
+    }
+
+    try {
+        await sessionRecorder.record(urlString, options, response, startTime);
+    } catch (error) {
+        console.error('❌ Error recording API exchange:', error);
+    }
+
+    return response;
+};
+
+window.sessionRecorder = sessionRecorder;
+
+if (new URLSearchParams(window.location.search).has('record')) {
+    sessionRecorder.start();
+}
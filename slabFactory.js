@@ -5,7 +5,7 @@
 
 import * as THREE from 'three';
 import { BLOCK_PROPERTIES, SPECIAL_TEXTURE_MAPPINGS } from './blockData.js';
-import { loadTexture, getTexturePath, stripWaxedPrefix } from './textureManager.js';
+import { loadTexture, getTexturePath, getBaseBlockType } from './textureManager.js';
 import { 
     createUniformMaterial, 
     createMultiFaceMaterial,
@@ -15,17 +15,30 @@ import {
 // Cache for slab geometries
 const slabGeometryCache = new Map();
 
+// Values of a slab's type property; double slabs are two slabs filling one block
+const SLAB_TYPES = ['bottom', 'top', 'double'];
+
+// Height of the water in a waterlogged slab, as high as a water source (see fluidMesher.js)
+const WATER_HEIGHT = 8 / 9;
+
 /**
  * Create a slab block mesh
  * @param {string} blockType - The type of slab block
- * @param {boolean} isUpperSlab - Whether this is an upper slab (top half) or lower slab (bottom half)
+ * @param {Object} options - The slab's state
+ * @param {string} options.type - 'bottom' (the default), 'top', or 'double' for a full block
+ * @param {boolean} options.waterlogged - Whether water fills the rest of the block
  * @returns {Promise<THREE.Mesh>} - Promise that resolves to the slab mesh
  */
-export async function createSlabBlock(blockType, isUpperSlab = false) {
+export async function createSlabBlock(blockType, options = {}) {
+    const slabType = SLAB_TYPES.includes(options.type) ? options.type : 'bottom';
+    // A double slab fills its block, so it can't hold water
+    const waterlogged = Boolean(options.waterlogged) && slabType !== 'double';
+    
     try {
         console.log(`🎨 Creating slab block:`, {
             type: blockType,
-            isUpper: isUpperSlab
+            slabType,
+            waterlogged
         });
         
         // Extract the base block type from the slab name
@@ -62,8 +75,14 @@ export async function createSlabBlock(blockType, isUpperSlab = false) {
             ];
         }
         
-        // Create geometry
-        const geometry = getSlabGeometry(isUpperSlab);
+        // Create geometry; the water of a waterlogged slab is a seventh material
+        let geometry;
+        if (waterlogged) {
+            geometry = getWaterloggedSlabGeometry(slabType);
+            materials = [...materials, await createWaterMaterial()];
+        } else {
+            geometry = getSlabGeometry(slabType);
+        }
         
         // Create mesh
         const mesh = new THREE.Mesh(geometry, materials);
@@ -71,12 +90,15 @@ export async function createSlabBlock(blockType, isUpperSlab = false) {
         
         // Set custom property to identify as slab
         mesh.userData.isSlab = true;
-        mesh.userData.isUpperSlab = isUpperSlab;
+        mesh.userData.isUpperSlab = slabType === 'top';
+        mesh.userData.isDoubleSlab = slabType === 'double';
+        mesh.userData.waterlogged = waterlogged;
         mesh.userData.slabType = blockType;
         
         console.log(`✨ Created slab mesh:`, {
             name: mesh.name,
-            isUpper: mesh.userData.isUpperSlab,
+            slabType,
+            waterlogged,
             position: mesh.position
         });
         
@@ -89,7 +111,7 @@ export async function createSlabBlock(blockType, isUpperSlab = false) {
         console.error(`💥 Error creating slab ${blockType}:`, error);
         
         // Create fallback mesh
-        const geometry = getSlabGeometry(isUpperSlab);
+        const geometry = getSlabGeometry(slabType);
         const material = createFallbackMaterial();
         const materials = [
             material, material, material,
@@ -101,101 +123,13 @@ export async function createSlabBlock(blockType, isUpperSlab = false) {
         
         console.log(`⚠️ Created fallback slab mesh:`, {
             name: mesh.name,
-            isUpper: isUpperSlab
+            slabType
         });
         
         return mesh;
     }
 }
 
-/**
- * Get the base block type from a slab name
- * @param {string} slabType - The slab block type
- * @returns {string} - The base block type
- */
-function getBaseBlockType(slabType) {
-    console.log(`Getting base block type for slab: ${slabType}`);
-    
-    // Strip 'waxed_' prefix if present
-    slabType = stripWaxedPrefix(slabType);
-    
-    // Remove the "slab" suffix if present
-    if (slabType.endsWith('_slab')) {
-        return slabType.replace('_slab', '');
-    }
-    
-    // Handle special cases
-    const specialCases = {
-        'stone_slab': 'stone',
-        'sandstone_slab': 'sandstone',
-        'cobblestone_slab': 'cobblestone',
-        'brick_slab': 'brick',
-        'stone_brick_slab': 'stone_bricks',
-        'nether_brick_slab': 'nether_bricks',
-        'quartz_slab': 'quartz_block',
-        'red_sandstone_slab': 'red_sandstone',
-        'purpur_slab': 'purpur_block',
-        'prismarine_slab': 'prismarine',
-        'prismarine_brick_slab': 'prismarine_bricks',
-        'dark_prismarine_slab': 'dark_prismarine',
-        'polished_granite_slab': 'polished_granite',
-        'smooth_red_sandstone_slab': 'smooth_red_sandstone',
-        'mossy_stone_brick_slab': 'mossy_stone_bricks',
-        'polished_diorite_slab': 'polished_diorite',
-        'mossy_cobblestone_slab': 'mossy_cobblestone',
-        'end_stone_brick_slab': 'end_stone_bricks',
-        'smooth_sandstone_slab': 'smooth_sandstone',
-        'smooth_quartz_slab': 'smooth_quartz',
-        'granite_slab': 'granite',
-        'andesite_slab': 'andesite',
-        'red_nether_brick_slab': 'red_nether_bricks',
-        'polished_andesite_slab': 'polished_andesite',
-        'diorite_slab': 'diorite',
-        'crimson_slab': 'crimson_planks',
-        'warped_slab': 'warped_planks',
-        'blackstone_slab': 'blackstone',
-        'polished_blackstone_slab': 'polished_blackstone',
-        'polished_blackstone_brick_slab': 'polished_blackstone_bricks',
-        'cut_copper_slab': 'cut_copper',
-        'exposed_cut_copper_slab': 'exposed_cut_copper',
-        'weathered_cut_copper_slab': 'weathered_cut_copper',
-        'oxidized_cut_copper_slab': 'oxidized_cut_copper',
-        'cobbled_deepslate_slab': 'cobbled_deepslate',
-        'polished_deepslate_slab': 'polished_deepslate',
-        'deepslate_brick_slab': 'deepslate_bricks',
-        'deepslate_tile_slab': 'deepslate_tiles',
-        'mangrove_slab': 'mangrove_planks',
-        'mud_brick_slab': 'mud_bricks',
-        'bamboo_slab': 'bamboo_planks',
-        'bamboo_mosaic_slab': 'bamboo_mosaic',
-        'cherry_slab': 'cherry_planks'
-    };
-    
-    if (specialCases[slabType]) {
-        const baseType = specialCases[slabType];
-        console.log(`Found special case for ${slabType}: ${baseType}`);
-        return baseType;
-    }
-    
-    // For wood slabs, convert to planks
-    if (slabType.includes('_slab') && (
-        slabType.includes('oak') || 
-        slabType.includes('spruce') || 
-        slabType.includes('birch') || 
-        slabType.includes('jungle') || 
-        slabType.includes('acacia') || 
-        slabType.includes('dark_oak')
-    )) {
-        const planksType = slabType.replace('_slab', '_planks');
-        console.log(`Converting wood slab ${slabType} to planks: ${planksType}`);
-        return planksType;
-    }
-    
-    // Default fallback
-    console.log(`No special case found for ${slabType}, using as is`);
-    return slabType;
-}
-
 /**
  * Load textures for a slab block
  * @param {string} slabType - The slab block type
@@ -225,60 +159,30 @@ async function loadSlabTextures(slabType, baseBlockType) {
             }
         }
         
-        // Check if there are special texture mappings for the base block
-        if (SPECIAL_TEXTURE_MAPPINGS[baseBlockType]) {
-            const mapping = SPECIAL_TEXTURE_MAPPINGS[baseBlockType];
-            console.log(`Found special mapping for base block ${baseBlockType}:`, JSON.stringify(mapping, null, 2));
+        // Otherwise the slab looks like the block it's cut from
+        try {
+            const topPath = getTexturePath(baseBlockType, 'top');
+            const bottomPath = getTexturePath(baseBlockType, 'bottom');
+            const sidePath = getTexturePath(baseBlockType, 'side');
+            console.log(`Base texture paths: top=${topPath}, bottom=${bottomPath}, side=${sidePath}`);
             
-            // If the base block has specific top/bottom/side textures
-            if (mapping.top && mapping.bottom && mapping.side) {
-                console.log(`Using base block's top/bottom/side textures from mapping`);
-                const topTexture = await loadTexture(`textures/blocks/${mapping.top}`);
-                const bottomTexture = await loadTexture(`textures/blocks/${mapping.bottom}`);
-                const sideTexture = await loadTexture(`textures/blocks/${mapping.side}`);
-                return { topTexture, bottomTexture, sideTexture };
-            } else if (mapping.default) {
-                console.log(`Using base block's default texture from mapping: ${mapping.default}`);
-                const texture = await loadTexture(`textures/blocks/${mapping.default}`);
+            if (topPath === sidePath && bottomPath === sidePath) {
+                const texture = await loadTexture(sidePath);
                 return { texture };
             }
-        }
-        
-        // Try to load specific slab textures
-        try {
-            console.log(`Trying specific slab textures for ${slabType}`);
-            const topPath = getTexturePath(slabType, 'top');
-            const bottomPath = getTexturePath(slabType, 'bottom');
-            const sidePath = getTexturePath(slabType, 'side');
-            console.log(`Texture paths: top=${topPath}, bottom=${bottomPath}, side=${sidePath}`);
             
             const topTexture = await loadTexture(topPath);
             const bottomTexture = await loadTexture(bottomPath);
             const sideTexture = await loadTexture(sidePath);
             return { topTexture, bottomTexture, sideTexture };
         } catch (e) {
-            console.log(`Failed to load specific slab textures: ${e.message}`);
-            console.log(`Trying base block textures for ${baseBlockType}`);
-            // If specific textures fail, try base block textures
-            try {
-                const topPath = getTexturePath(baseBlockType, 'top');
-                const bottomPath = getTexturePath(baseBlockType, 'bottom');
-                const sidePath = getTexturePath(baseBlockType, 'side');
-                console.log(`Base texture paths: top=${topPath}, bottom=${bottomPath}, side=${sidePath}`);
-                
-                const topTexture = await loadTexture(topPath);
-                const bottomTexture = await loadTexture(bottomPath);
-                const sideTexture = await loadTexture(sidePath);
-                return { topTexture, bottomTexture, sideTexture };
-            } catch (e) {
-                console.log(`Failed to load base block textures: ${e.message}`);
-                console.log(`Using uniform texture for ${baseBlockType}`);
-                // If all else fails, use a uniform texture
-                const texturePath = getTexturePath(baseBlockType);
-                console.log(`Uniform texture path: ${texturePath}`);
-                const texture = await loadTexture(texturePath);
-                return { texture };
-            }
+            console.log(`Failed to load base block textures: ${e.message}`);
+            console.log(`Using uniform texture for ${baseBlockType}`);
+            // If the face textures fail, use a uniform texture
+            const texturePath = getTexturePath(baseBlockType);
+            console.log(`Uniform texture path: ${texturePath}`);
+            const texture = await loadTexture(texturePath);
+            return { texture };
         }
     } catch (error) {
         console.error(`Error loading textures for slab ${slabType}:`, error);
@@ -313,20 +217,51 @@ function createFallbackTexture() {
     return texture;
 }
 
+/**
+ * Create the water material of a waterlogged slab. Each slab template gets its own, since
+ * the renderer whitens tinted materials whose tint comes from instance colors
+ * @returns {Promise<THREE.Material>} - The water material
+ */
+async function createWaterMaterial() {
+    const properties = BLOCK_PROPERTIES.water;
+    const texture = await loadTexture(getTexturePath('water'));
+    const material = createUniformMaterial(texture, {
+        transparent: true,
+        opacity: properties.opacity,
+        // The biome tint, like water blocks (see biomeColors.js)
+        color: properties.tintColor
+    });
+    material.depthWrite = false;
+    material.name = 'waterlogged_water';
+    return material;
+}
+
 /**
  * Get a slab geometry (cached)
- * @param {boolean} isUpperSlab - Whether this is an upper slab (top half) or lower slab (bottom half)
+ * @param {string} slabType - 'bottom', 'top' or 'double'
  * @returns {THREE.BoxGeometry} - The slab geometry
  */
-function getSlabGeometry(isUpperSlab) {
-    console.log(`🧱 Creating slab geometry: ${isUpperSlab ? 'upper' : 'lower'}`);
-    const cacheKey = isUpperSlab ? 'upper_slab' : 'lower_slab';
+function getSlabGeometry(slabType) {
+    console.log(`🧱 Creating slab geometry: ${slabType}`);
+    const cacheKey = `${slabType}_slab`;
     
     // Check if geometry is already in cache
     if (slabGeometryCache.has(cacheKey)) {
         return slabGeometryCache.get(cacheKey);
     }
     
+    // A double slab is a whole block, so the chunk mesher can merge it like other cubes
+    if (slabType === 'double') {
+        const geometry = new THREE.BoxGeometry(1, 1, 1);
+        geometry.userData.fullCube = true;
+        slabGeometryCache.set(cacheKey, geometry);
+        
+        console.log(`✨ Created double slab geometry`);
+        return geometry;
+    }
+    
+    const isUpperSlab = slabType === 'top';
+    
     // Create a new geometry - exactly 0.5 blocks tall
     const geometry = new THREE.BoxGeometry(1, 0.5, 1);
     
@@ -364,6 +299,48 @@ function getSlabGeometry(isUpperSlab) {
     return geometry;
 }
 
+/**
+ * Get the geometry of a waterlogged slab (cached): the slab's six faces, then a seventh
+ * group with the water around it. The water is a box as high as a water source; where
+ * it passes through the slab the slab hides it
+ * @param {string} slabType - 'bottom' or 'top'
+ * @returns {THREE.BufferGeometry} - The slab and water geometry
+ */
+function getWaterloggedSlabGeometry(slabType) {
+    const cacheKey = `${slabType}_slab_waterlogged`;
+    if (slabGeometryCache.has(cacheKey)) {
+        return slabGeometryCache.get(cacheKey);
+    }
+    
+    const slab = getSlabGeometry(slabType);
+    const water = new THREE.BoxGeometry(1, WATER_HEIGHT, 1);
+    water.translate(0, (WATER_HEIGHT - 1) / 2, 0);
+    
+    const geometry = new THREE.BufferGeometry();
+    const slabVertices = slab.attributes.position.count;
+    ['position', 'normal', 'uv'].forEach(name => {
+        const a = slab.attributes[name];
+        const b = water.attributes[name];
+        const array = new Float32Array(a.array.length + b.array.length);
+        array.set(a.array);
+        array.set(b.array, a.array.length);
+        geometry.setAttribute(name, new THREE.BufferAttribute(array, a.itemSize));
+    });
+    
+    const slabIndex = Array.from(slab.index.array);
+    const waterIndex = Array.from(water.index.array, index => index + slabVertices);
+    geometry.setIndex([...slabIndex, ...waterIndex]);
+    
+    slab.groups.forEach(group => geometry.addGroup(group.start, group.count, group.materialIndex));
+    geometry.addGroup(slabIndex.length, waterIndex.length, 6);
+    
+    water.dispose();
+    slabGeometryCache.set(cacheKey, geometry);
+    
+    console.log(`✨ Created waterlogged ${slabType} slab geometry`);
+    return geometry;
+}
+
 /**
  * Check if a block type is a slab
  * @param {string} blockType - The type of block
@@ -5,7 +5,7 @@
 
 import * as THREE from 'three';
 import { BLOCK_PROPERTIES, SPECIAL_TEXTURE_MAPPINGS } from './blockData.js';
-import { loadTexture, getTexturePath, stripWaxedPrefix } from './textureManager.js';
+import { loadTexture, getTexturePath } from './textureManager.js';
 import { 
     createUniformMaterial, 
     createMultiFaceMaterial,
@@ -18,20 +18,18 @@ const stairGeometryCache = new Map();
 /**
  * Create a stair block mesh
  * @param {string} blockType - The type of stair block
- * @param {Object} options - Options for stair creation (facing direction, etc.)
+ * @param {Object} options - Options for stair creation (facing, half and shape from the block state)
  * @returns {Promise<THREE.Mesh>} - Promise that resolves to the stair mesh
  */
 export async function createStairBlock(blockType, options = {}) {
     try {
         console.log(`Creating spruce stair: ${blockType}`, options);
         
-        // Get the geometry based on facing direction
+        // The geometry is built for the stair's state, so the mesh needs no rotation
         const facing = options.facing || 'east';
         const half = options.half || 'bottom';
         const shape = options.shape || 'straight';
-        
-        // Get base geometry (always facing east)
-        const geometry = getStairGeometry('east');
+        const geometry = getStairGeometry(facing, half, shape);
         
         // Load the spruce planks texture
         const texture = await loadTexture('textures/blocks/planks_spruce.png');
@@ -41,7 +39,6 @@ export async function createStairBlock(blockType, options = {}) {
         // Create material with the spruce texture
         const material = new THREE.MeshStandardMaterial({ 
             map: texture,
-            side: THREE.DoubleSide,
             roughness: 1.0,
             metalness: 0.0
         });
@@ -54,31 +51,7 @@ export async function createStairBlock(blockType, options = {}) {
         mesh.castShadow = true;
         mesh.receiveShadow = true;
         
-        // Apply rotations based on facing direction
-        switch (facing) {
-            case 'north':
-                mesh.rotation.y = Math.PI;
-                break;
-            case 'south':
-                mesh.rotation.y = 0;
-                break;
-            case 'west':
-                mesh.rotation.y = Math.PI * 1.5;
-                break;
-            case 'east':
-                mesh.rotation.y = Math.PI * 0.5;
-                break;
-        }
-        
-        // If it's a top half stair, rotate it 180 degrees around the X axis
-        if (half === 'top') {
-            mesh.rotation.x = Math.PI;
-        }
-        
-        // TODO: Handle shape (straight, inner_left, inner_right, outer_left, outer_right)
-        // For now we only handle straight stairs
-        
-        console.log(`Created spruce stair: ${blockType} facing ${facing}, half ${half}`);
+        console.log(`Created spruce stair: ${blockType} facing ${facing}, half ${half}, shape ${shape}`);
         return mesh;
     } catch (error) {
         console.error(`Error creating spruce stair ${blockType}:`, error);
@@ -86,367 +59,121 @@ export async function createStairBlock(blockType, options = {}) {
     }
 }
 
-/**
- * Get the base block type from a stair name
- * @param {string} stairType - The stair block type
- * @returns {string} - The base block type
- */
-function getBaseBlockType(stairType) {
-    console.log(`Getting base block type for stair: ${stairType}`);
-    
-    // Strip 'waxed_' prefix if present
-    stairType = stripWaxedPrefix(stairType);
-    
-    // Remove the "stairs" suffix if present
-    if (stairType.endsWith('_stairs')) {
-        return stairType.replace('_stairs', '');
-    }
-    
-    // Handle special cases
-    const specialCases = {
-        'stone_stairs': 'stone',
-        'sandstone_stairs': 'sandstone',
-        'cobblestone_stairs': 'cobblestone',
-        'brick_stairs': 'brick',
-        'stone_brick_stairs': 'stone_bricks',
-        'nether_brick_stairs': 'nether_bricks',
-        'quartz_stairs': 'quartz_block',
-        'red_sandstone_stairs': 'red_sandstone',
-        'purpur_stairs': 'purpur_block',
-        'prismarine_stairs': 'prismarine',
-        'prismarine_brick_stairs': 'prismarine_bricks',
-        'dark_prismarine_stairs': 'dark_prismarine',
-        'polished_granite_stairs': 'polished_granite',
-        'smooth_red_sandstone_stairs': 'smooth_red_sandstone',
-        'mossy_stone_brick_stairs': 'mossy_stone_bricks',
-        'polished_diorite_stairs': 'polished_diorite',
-        'mossy_cobblestone_stairs': 'mossy_cobblestone',
-        'end_stone_brick_stairs': 'end_stone_bricks',
-        'smooth_sandstone_stairs': 'smooth_sandstone',
-        'smooth_quartz_stairs': 'smooth_quartz',
-        'granite_stairs': 'granite',
-        'andesite_stairs': 'andesite',
-        'red_nether_brick_stairs': 'red_nether_bricks',
-        'polished_andesite_stairs': 'polished_andesite',
-        'diorite_stairs': 'diorite',
-        'crimson_stairs': 'crimson_planks',
-        'warped_stairs': 'warped_planks',
-        'blackstone_stairs': 'blackstone',
-        'polished_blackstone_stairs': 'polished_blackstone',
-        'polished_blackstone_brick_stairs': 'polished_blackstone_bricks',
-        'cut_copper_stairs': 'cut_copper',
-        'exposed_cut_copper_stairs': 'exposed_cut_copper',
-        'weathered_cut_copper_stairs': 'weathered_cut_copper',
-        'oxidized_cut_copper_stairs': 'oxidized_cut_copper',
-        'cobbled_deepslate_stairs': 'cobbled_deepslate',
-        'polished_deepslate_stairs': 'polished_deepslate',
-        'deepslate_brick_stairs': 'deepslate_bricks',
-        'deepslate_tile_stairs': 'deepslate_tiles',
-        'mangrove_stairs': 'mangrove_planks',
-        'mud_brick_stairs': 'mud_bricks',
-        'bamboo_stairs': 'bamboo_planks',
-        'bamboo_mosaic_stairs': 'bamboo_mosaic',
-        'cherry_stairs': 'cherry_planks'
-    };
-    
-    if (specialCases[stairType]) {
-        const baseType = specialCases[stairType];
-        console.log(`Found special case for ${stairType}: ${baseType}`);
-        return baseType;
-    }
-    
-    // For wood stairs, convert to planks
-    if (stairType.includes('_stairs') && (
-        stairType.includes('oak') || 
-        stairType.includes('spruce') || 
-        stairType.includes('birch') || 
-        stairType.includes('jungle') || 
-        stairType.includes('acacia') || 
-        stairType.includes('dark_oak')
-    )) {
-        const planksType = stairType.replace('_stairs', '_planks');
-        console.log(`Converting wood stairs ${stairType} to planks: ${planksType}`);
-        return planksType;
-    }
-    
-    // Default fallback
-    console.log(`No special case found for ${stairType}, using as is`);
-    return stairType;
-}
+// Horizontal unit vectors of each facing, and of the direction to its right seen from above
+const FACING_VECTORS = {
+    north: [0, -1],
+    east: [1, 0],
+    south: [0, 1],
+    west: [-1, 0]
+};
+const RIGHT_OF = { north: 'east', east: 'south', south: 'west', west: 'north' };
 
-/**
- * Load textures for a stair block
- * @param {string} stairType - The stair block type
- * @param {string} baseBlockType - The base block type
- * @returns {Promise<Object>} - Promise that resolves to an object containing the loaded textures
- */
-async function loadStairTextures(stairType, baseBlockType) {
-    try {
-        console.log(`TEMPORARY FIX: Forcing all stairs to use spruce textures for testing`);
-        
-        // TEMPORARY: Force all stairs to use spruce planks texture
-        const spruceTexturePath = `textures/blocks/planks_spruce.png`;
-        console.log(`Using temporary spruce texture: ${spruceTexturePath}`);
-        
-        try {
-            const texture = await loadTexture(spruceTexturePath);
-            return { texture };
-        } catch (e) {
-            console.error(`Failed to load spruce texture: ${e.message}`);
-            // Fallback to a simple texture path if planks_spruce.png doesn't exist
-            const fallbackPath = `textures/blocks/planks_spruce.png`;
-            console.log(`Trying fallback texture: ${fallbackPath}`);
-            try {
-                const texture = await loadTexture(fallbackPath);
-                return { texture };
-            } catch (e2) {
-                console.error(`Failed to load fallback texture: ${e2.message}`);
-                // Create a magenta fallback texture to make it obvious
-                const fallbackTexture = createFallbackTexture();
-                return { texture: fallbackTexture };
-            }
-        }
-        
-        // Original code is commented out for now
-        /*
-        // Check if there are special texture mappings for this stair
-        if (SPECIAL_TEXTURE_MAPPINGS[stairType]) {
-            const mapping = SPECIAL_TEXTURE_MAPPINGS[stairType];
-            console.log(`Found special mapping for ${stairType}:`, JSON.stringify(mapping, null, 2));
-            
-            // If the stair has specific top/bottom/side textures
-            if (mapping.top && mapping.bottom && mapping.side) {
-                console.log(`Using specific top/bottom/side textures from mapping`);
-                const topTexture = await loadTexture(`textures/blocks/${mapping.top}`);
-                const bottomTexture = await loadTexture(`textures/blocks/${mapping.bottom}`);
-                const sideTexture = await loadTexture(`textures/blocks/${mapping.side}`);
-                return { topTexture, bottomTexture, sideTexture };
-            } else if (mapping.default) {
-                console.log(`Using default texture from mapping: ${mapping.default}`);
-                const texture = await loadTexture(`textures/blocks/${mapping.default}`);
-                return { texture };
-            }
-        }
-        
-        // Check if there are special texture mappings for the base block
-        if (SPECIAL_TEXTURE_MAPPINGS[baseBlockType]) {
-            const mapping = SPECIAL_TEXTURE_MAPPINGS[baseBlockType];
-            console.log(`Found special mapping for base block ${baseBlockType}:`, JSON.stringify(mapping, null, 2));
-            
-            // If the base block has specific top/bottom/side textures
-            if (mapping.top && mapping.bottom && mapping.side) {
-                console.log(`Using base block's top/bottom/side textures from mapping`);
-                const topTexture = await loadTexture(`textures/blocks/${mapping.top}`);
-                const bottomTexture = await loadTexture(`textures/blocks/${mapping.bottom}`);
-                const sideTexture = await loadTexture(`textures/blocks/${mapping.side}`);
-                return { topTexture, bottomTexture, sideTexture };
-            } else if (mapping.default) {
-                console.log(`Using base block's default texture from mapping: ${mapping.default}`);
-                const texture = await loadTexture(`textures/blocks/${mapping.default}`);
-                return { texture };
-            }
-        }
-        
-        // For stairs, we directly use the base block textures instead of looking for stair-specific textures
-        try {
-            console.log(`Loading base block textures for ${baseBlockType}`);
-            
-            // Try to load top/bottom/side textures for the base block
-            try {
-                const topPath = getTexturePath(baseBlockType, 'top');
-                const bottomPath = getTexturePath(baseBlockType, 'bottom');
-                const sidePath = getTexturePath(baseBlockType, 'side');
-                console.log(`Base texture paths: top=${topPath}, bottom=${bottomPath}, side=${sidePath}`);
-                
-                const topTexture = await loadTexture(topPath);
-                const bottomTexture = await loadTexture(bottomPath);
-                const sideTexture = await loadTexture(sidePath);
-                return { topTexture, bottomTexture, sideTexture };
-            } catch (e) {
-                console.log(`Failed to load base block textures with top/bottom/side: ${e.message}`);
-                console.log(`Using uniform texture for ${baseBlockType}`);
-                // If top/bottom/side textures fail, use a uniform texture
-                const texturePath = getTexturePath(baseBlockType);
-                console.log(`Uniform texture path: ${texturePath}`);
-                const texture = await loadTexture(texturePath);
-                return { texture };
-            }
-        } catch (error) {
-            console.error(`Error loading textures for stair ${stairType}:`, error);
-            
-            // Return a fallback texture
-            const fallbackTexture = createFallbackTexture();
-            return { texture: fallbackTexture };
-        }
-        */
-    } catch (error) {
-        console.error(`Error loading textures for stair ${stairType}:`, error);
-        
-        // Return a fallback texture
-        const fallbackTexture = createFallbackTexture();
-        return { texture: fallbackTexture };
-    }
-}
+// Quarters of the step layer each shape fills, as [forward, right] signs: the step sits on
+// the facing side, inner corners add a quarter behind it and outer corners keep one
+const STEP_QUARTERS = {
+    straight: [[1, 1], [1, -1]],
+    inner_left: [[1, 1], [1, -1], [-1, -1]],
+    inner_right: [[1, 1], [1, -1], [-1, 1]],
+    outer_left: [[1, -1]],
+    outer_right: [[1, 1]]
+};
+
+// Faces of a half-block cell: normal axis, direction, and the two axes spanning the face
+const CELL_FACES = [
+    { axis: 0, sign: 1 }, { axis: 0, sign: -1 },
+    { axis: 1, sign: 1 }, { axis: 1, sign: -1 },
+    { axis: 2, sign: 1 }, { axis: 2, sign: -1 }
+];
 
 /**
- * Create a fallback texture
- * @returns {THREE.Texture} - A fallback texture
+ * Get the UV of a point on a stair face, projected from the block's own axes so textures
+ * stay upright and line up with the neighboring blocks whichever way the stair faces
+ * @param {Array} point - The point, in block space (-0.5 to 0.5)
+ * @param {number} axis - The face's normal axis (0 x, 1 y, 2 z)
+ * @param {number} sign - The direction of the normal along it
+ * @returns {Array} - [u, v]
  */
-function createFallbackTexture() {
-    const canvas = document.createElement('canvas');
-    canvas.width = 16;
-    canvas.height = 16;
-    const ctx = canvas.getContext('2d');
-    
-    // Draw a checkerboard pattern
-    ctx.fillStyle = '#FF00FF'; // Magenta
-    ctx.fillRect(0, 0, 16, 16);
-    ctx.fillStyle = '#000000'; // Black
-    ctx.fillRect(0, 0, 8, 8);
-    ctx.fillRect(8, 8, 8, 8);
-    
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.magFilter = THREE.NearestFilter;
-    texture.minFilter = THREE.NearestFilter;
-    
-    return texture;
+function getStairUV(point, axis, sign) {
+    const [x, y, z] = point;
+    if (axis === 1) return [x + 0.5, sign > 0 ? 0.5 - z : z + 0.5];
+    if (axis === 0) return [sign > 0 ? 0.5 - z : z + 0.5, y + 0.5];
+    return [sign > 0 ? x + 0.5 : 0.5 - x, y + 0.5];
 }
 
 /**
- * Get a stair geometry (cached)
+ * Get a stair geometry (cached). The stair is made of half-block cells: a slab layer at the
+ * bottom (the top for upside-down stairs) and the step's cells in the other layer, and
+ * only the faces between a filled cell and an empty one or the outside are kept
  * @param {string} facing - The direction the stair is facing ('north', 'south', 'east', 'west')
+ * @param {string} half - 'bottom', or 'top' for upside-down stairs
+ * @param {string} shape - 'straight', 'inner_left', 'inner_right', 'outer_left' or 'outer_right'
  * @returns {THREE.BufferGeometry} - The stair geometry
  */
-function getStairGeometry(facing = 'east') {
-    const cacheKey = `stair_${facing}`;
+function getStairGeometry(facing = 'east', half = 'bottom', shape = 'straight') {
+    if (!FACING_VECTORS[facing]) facing = 'east';
+    if (!STEP_QUARTERS[shape]) shape = 'straight';
+    const cacheKey = `stair_${facing}_${half}_${shape}`;
     
     // Check if geometry is already in cache
     if (stairGeometryCache.has(cacheKey)) {
         return stairGeometryCache.get(cacheKey);
     }
     
-    // Create a new geometry for stairs
-    const geometry = new THREE.BufferGeometry();
-    
-    // Define vertices for a stair block
-    const vertices = [
-        // Bottom half (full block)
-        // Front face
-        -0.5, -0.5, -0.5,
-         0.5, -0.5, -0.5,
-         0.5,  0.0, -0.5,
-        -0.5,  0.0, -0.5,
-        
-        // Back face
-        -0.5, -0.5,  0.5,
-         0.5, -0.5,  0.5,
-         0.5,  0.0,  0.5,
-        -0.5,  0.0,  0.5,
-        
-        // Left face
-        -0.5, -0.5, -0.5,
-        -0.5,  0.0, -0.5,
-        -0.5,  0.0,  0.5,
-        -0.5, -0.5,  0.5,
-        
-        // Right face
-         0.5, -0.5, -0.5,
-         0.5,  0.0, -0.5,
-         0.5,  0.0,  0.5,
-         0.5, -0.5,  0.5,
-        
-        // Top face
-        -0.5,  0.0, -0.5,
-         0.5,  0.0, -0.5,
-         0.5,  0.0,  0.5,
-        -0.5,  0.0,  0.5,
-        
-        // Bottom face
-        -0.5, -0.5, -0.5,
-         0.5, -0.5, -0.5,
-         0.5, -0.5,  0.5,
-        -0.5, -0.5,  0.5,
-        
-        // Top half (half block)
-        // Front face
-        -0.5,  0.0, -0.5,
-         0.0,  0.0, -0.5,
-         0.0,  0.5, -0.5,
-        -0.5,  0.5, -0.5,
-        
-        // Back face
-        -0.5,  0.0,  0.5,
-         0.0,  0.0,  0.5,
-         0.0,  0.5,  0.5,
-        -0.5,  0.5,  0.5,
-        
-        // Left face
-        -0.5,  0.0, -0.5,
-        -0.5,  0.5, -0.5,
-        -0.5,  0.5,  0.5,
-        -0.5,  0.0,  0.5,
-        
-        // Right face
-         0.0,  0.0, -0.5,
-         0.0,  0.5, -0.5,
-         0.0,  0.5,  0.5,
-         0.0,  0.0,  0.5,
-        
-        // Top face
-        -0.5,  0.5, -0.5,
-         0.0,  0.5, -0.5,
-         0.0,  0.5,  0.5,
-        -0.5,  0.5,  0.5
-    ];
+    // Filled cells by "x,y,z", each coordinate 0 or 1
+    const slabLayer = half === 'top' ? 1 : 0;
+    const cells = new Set();
+    for (const x of [0, 1]) {
+        for (const z of [0, 1]) {
+            cells.add(`${x},${slabLayer},${z}`);
+        }
+    }
     
-    // Define UVs for texture mapping
-    const uvs = [
-        // Bottom half (full block)
-        // Front face
-        0.0, 1.0,  1.0, 1.0,  1.0, 0.5,  0.0, 0.5,
-        // Back face
-        1.0, 1.0,  0.0, 1.0,  0.0, 0.5,  1.0, 0.5,
-        // Left face
-        0.0, 1.0,  0.0, 0.5,  1.0, 0.5,  1.0, 1.0,
-        // Right face
-        1.0, 1.0,  1.0, 0.5,  0.0, 0.5,  0.0, 1.0,
-        // Top face
-        0.0, 0.0,  1.0, 0.0,  1.0, 1.0,  0.0, 1.0,
-        // Bottom face
-        0.0, 0.0,  1.0, 0.0,  1.0, 1.0,  0.0, 1.0,
-        
-        // Top half (half block)
-        // Front face
-        0.0, 0.5,  0.5, 0.5,  0.5, 0.0,  0.0, 0.0,
-        // Back face
-        0.5, 0.5,  0.0, 0.5,  0.0, 0.0,  0.5, 0.0,
-        // Left face
-        0.0, 0.5,  0.0, 0.0,  1.0, 0.0,  1.0, 0.5,
-        // Right face
-        0.5, 0.5,  0.5, 0.0,  0.0, 0.0,  0.0, 0.5,
-        // Top face
-        0.0, 0.0,  0.5, 0.0,  0.5, 1.0,  0.0, 1.0
-    ];
+    const [fx, fz] = FACING_VECTORS[facing];
+    const [rx, rz] = FACING_VECTORS[RIGHT_OF[facing]];
+    for (const [forward, right] of STEP_QUARTERS[shape]) {
+        const x = forward * fx + right * rx > 0 ? 1 : 0;
+        const z = forward * fz + right * rz > 0 ? 1 : 0;
+        cells.add(`${x},${1 - slabLayer},${z}`);
+    }
     
-    // Create indices for triangles (6 faces for bottom, 5 faces for top)
+    const vertices = [];
+    const normals = [];
+    const uvs = [];
     const indices = [];
     
-    // For each quad (4 vertices), create 2 triangles
-    for (let i = 0; i < vertices.length / 12; i++) {
-        const baseIndex = i * 4;
-        // First triangle
-        indices.push(baseIndex, baseIndex + 1, baseIndex + 2);
-        // Second triangle
-        indices.push(baseIndex, baseIndex + 2, baseIndex + 3);
+    for (const key of cells) {
+        const cell = key.split(',').map(Number);
+        
+        for (const { axis, sign } of CELL_FACES) {
+            const neighbor = [...cell];
+            neighbor[axis] += sign;
+            if (neighbor[axis] >= 0 && neighbor[axis] <= 1 && cells.has(neighbor.join(','))) continue;
+            
+            // The face's corners, counter-clockwise seen from outside
+            const [a, b] = sign > 0 ? [(axis + 1) % 3, (axis + 2) % 3] : [(axis + 2) % 3, (axis + 1) % 3];
+            const base = vertices.length / 3;
+            for (const [da, db] of [[0, 0], [1, 0], [1, 1], [0, 1]]) {
+                const point = cell.map(value => value * 0.5 - 0.5);
+                point[axis] += sign > 0 ? 0.5 : 0;
+                point[a] += da * 0.5;
+                point[b] += db * 0.5;
+                
+                const normal = [0, 0, 0];
+                normal[axis] = sign;
+                vertices.push(...point);
+                normals.push(...normal);
+                uvs.push(...getStairUV(point, axis, sign));
+            }
+            indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+        }
     }
     
-    // Set attributes
+    const geometry = new THREE.BufferGeometry();
     geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
     geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
     geometry.setIndex(indices);
-    
-    // Compute vertex normals
-    geometry.computeVertexNormals();
+    geometry.computeBoundingSphere();
     
     // Cache the geometry
     stairGeometryCache.set(cacheKey, geometry);
@@ -0,0 +1,200 @@
+/**
+ * Texture Animation
+ * Animated block textures (water, lava, fire, sea lanterns...) are vertical strips of
+ * frames. Each is shown one frame at a time by a shader patch that moves the UVs onto the
+ * current frame, with the timing from the texture's .mcmeta file, or vanilla's timing for
+ * the textures that ship without one, and blending into the next frame when the animation
+ * interpolates. Every material showing a texture shares its frame uniform, so they all
+ * move together from a single update in the render loop
+ */
+
+import * as THREE from 'three';
+import { applyAnimatedMap } from './materialFactory.js';
+import { resolvePackUrl } from './resourcePack.js';
+
+const TICKS_PER_SECOND = 20;
+
+// Vanilla's animation settings, for animated textures that have no .mcmeta file
+const DEFAULT_ANIMATIONS = {
+    water_still: { frametime: 2 },
+    water_still_grey: { frametime: 2 },
+    water_flow: { frametime: 2 },
+    water_flow_grey: { frametime: 2 },
+    cauldron_water: { frametime: 2 },
+    lava_still: { frametime: 2 },
+    lava_flow: { frametime: 3 },
+    fire_0: { frametime: 1 },
+    fire_1: { frametime: 1 },
+    soul_fire_0: { frametime: 1 },
+    soul_fire_1: { frametime: 1 },
+    campfire: { frametime: 1 },
+    soul_campfire: { frametime: 1 },
+    campfire_log_lit: { frametime: 2 },
+    soul_campfire_log_lit: { frametime: 2 },
+    sea_lantern: { frametime: 5 },
+    magma: { frametime: 8 },
+    portal: { frametime: 1 },
+    seagrass: { frametime: 2 },
+    prismarine_rough: { frametime: 300, interpolate: true },
+    blast_furnace_front_on: { frametime: 2 },
+    smoker_front_on: { frametime: 2 }
+};
+
+// Animation by texture source, so clones of a texture animate with it
+const animations = new Map();
+
+/**
+ * Read the animation section of a texture's .mcmeta file, from the resource pack in use
+ * if it has one (see resourcePack.js)
+ * @param {string} path - Path to the texture
+ * @returns {Promise<Object|null>} - The animation settings, or null without a file
+ */
+async function loadAnimationMetadata(path) {
+    try {
+        const response = await fetch(resolvePackUrl(`${path}.mcmeta`));
+        if (!response.ok) return null;
+        const metadata = await response.json();
+        return metadata.animation ?? null;
+    } catch (error) {
+        console.warn(`Could not read ${path}.mcmeta:`, error);
+        return null;
+    }
+}
+
+/**
+ * Work out the V coordinate where a frame starts in its strip. Frames run down from the
+ * top of the image, which is at V = 1 for textures flipped on upload
+ * @param {Object} animation - The animation
+ * @param {number} index - The frame's index in the strip
+ * @returns {number} - The frame's lowest V
+ */
+function getFrameV(animation, index) {
+    return animation.flipY
+        ? 1 - (index + 1) * animation.frameSize
+        : index * animation.frameSize;
+}
+
+/**
+ * Point an animation's uniform at one of its frames
+ * @param {Object} animation - The animation
+ * @param {number} ticks - Game ticks since the animation started
+ */
+function setAnimationTime(animation, ticks) {
+    const { frames } = animation;
+    let time = ticks % animation.duration;
+    let current = 0;
+    while (current < frames.length - 1 && time >= frames[current].time) {
+        time -= frames[current].time;
+        current++;
+    }
+
+    const next = (current + 1) % frames.length;
+    animation.uniform.value.set(
+        getFrameV(animation, frames[current].index),
+        getFrameV(animation, frames[next].index),
+        animation.frameSize,
+        animation.interpolate ? time / frames[current].time : 0
+    );
+}
+
+/**
+ * Work out the frames of a texture if it is an animated strip: the .mcmeta file next to
+ * it decides, or vanilla's settings for known animated textures
+ * @param {string} path - Path to the texture
+ * @param {THREE.Texture} texture - The loaded texture
+ * @returns {Promise<Object|null>} - Promise that resolves to the animation (without its
+ * uniform), or null if the texture isn't animated
+ */
+async function readTextureAnimation(path, texture) {
+    const image = texture.image;
+    if (!image?.width || image.height <= image.width) return null;
+
+    const name = path.split('/').pop().replace(/\.(png|tga)$/i, '');
+    const settings = await loadAnimationMetadata(path) ?? DEFAULT_ANIMATIONS[name];
+    if (!settings) return null;
+
+    // Frames are square unless the file says otherwise
+    const frameHeight = settings.height ?? settings.width ?? image.width;
+    const frameCount = Math.floor(image.height / frameHeight);
+    if (frameCount < 2) return null;
+
+    const frametime = Math.max(1, settings.frametime ?? 1);
+    const frames = (settings.frames ?? [...Array(frameCount).keys()])
+        .map(frame => typeof frame === 'number'
+            ? { index: frame, time: frametime }
+            : { index: frame.index, time: Math.max(1, frame.time ?? frametime) })
+        .filter(frame => frame.index >= 0 && frame.index < frameCount);
+    if (frames.length === 0) return null;
+
+    return {
+        name,
+        frames,
+        duration: frames.reduce((sum, frame) => sum + frame.time, 0),
+        frameSize: frameHeight / image.height,
+        interpolate: Boolean(settings.interpolate),
+        flipY: texture.flipY
+    };
+}
+
+/**
+ * Set up the animation of a freshly loaded texture if it is an animated strip. Called again
+ * when the texture's image is replaced (see reloadTextures in textureManager.js), it keeps
+ * the uniform materials already read, and a replacement without frames is shown whole
+ * @param {string} path - Path to the texture
+ * @param {THREE.Texture} texture - The loaded texture
+ * @returns {Promise<Object|null>} - Promise that resolves to the animation, or null if
+ * the texture isn't animated
+ */
+export async function loadTextureAnimation(path, texture) {
+    const previous = animations.get(texture.source);
+    const name = path.split('/').pop().replace(/\.(png|tga)$/i, '');
+    const animation = await readTextureAnimation(path, texture) ?? (previous ? {
+        name,
+        frames: [{ index: 0, time: 1 }],
+        duration: 1,
+        frameSize: 1,
+        interpolate: false,
+        flipY: texture.flipY
+    } : null);
+    if (!animation) return null;
+
+    // Current frame's V, next frame's V, frame height in V, blend towards the next frame
+    animation.uniform = previous?.uniform ?? { value: new THREE.Vector4() };
+    setAnimationTime(animation, 0);
+    animations.set(texture.source, animation);
+
+    console.log(`🎞️ Animating ${name}: ${animation.frames.length} frames`);
+    return animation;
+}
+
+/**
+ * Check if a texture is an animated strip
+ * @param {THREE.Texture} texture - The texture
+ * @returns {boolean} - True if it has an animation
+ */
+export function isAnimatedTexture(texture) {
+    return Boolean(texture?.source) && animations.has(texture.source);
+}
+
+/**
+ * Make a material show its map's current frame, if the map is animated. Shader changes
+ * aren't copied with a material, so call it on each copy that gets rendered
+ * @param {THREE.Material} material - The material
+ * @returns {boolean} - True if the material's map is animated
+ */
+export function animateMaterial(material) {
+    const animation = material?.map ? animations.get(material.map.source) : undefined;
+    if (!animation) return false;
+
+    applyAnimatedMap(material, animation.uniform);
+    return true;
+}
+
+/**
+ * Advance every animated texture; call once per rendered frame
+ * @param {number} time - Seconds since the page loaded
+ */
+export function updateTextureAnimations(time) {
+    const ticks = time * TICKS_PER_SECOND;
+    animations.forEach(animation => setAnimationTime(animation, ticks));
+}
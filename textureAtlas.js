@@ -0,0 +1,442 @@
+/**
+ * Texture Atlas
+ * Packs the block textures the loaded world uses into a few large atlas pages at runtime,
+ * so materials that only differ by their texture can be replaced by one shared material
+ * and a block's faces drawn in a single draw call. Tiles keep nearest filtering and are
+ * framed by copies of their edge pixels, so sampling near a tile's edge never picks up
+ * its neighbor
+ */
+
+import * as THREE from 'three';
+import { isTintedMaterial } from './materialFactory.js';
+import { isAnimatedTexture } from './textureAnimation.js';
+
+export const ATLAS_PAGE_SIZE = 2048;
+const TILE_PADDING = 2; // Edge pixels repeated around each tile
+const MAX_TILE_SIZE = 256; // Bigger images keep their own texture
+const UV_EPSILON = 1e-4;
+
+// Material properties that must match for materials to share an atlas material
+const SHARED_PROPERTIES = [
+    'transparent', 'opacity', 'alphaTest', 'side', 'visible', 'depthWrite',
+    'roughness', 'metalness', 'wireframe', 'flatShading', 'vertexColors'
+];
+
+// Maps a material may not have to be replaced, the atlas only stands in for its color map
+const OTHER_MAPS = [
+    'alphaMap', 'aoMap', 'bumpMap', 'displacementMap', 'emissiveMap', 'lightMap',
+    'metalnessMap', 'normalMap', 'roughnessMap'
+];
+
+const pages = [];
+const regions = new WeakMap(); // Texture source -> its region, or null if it can't be packed
+const sharedMaterials = new Map(); // "page|properties" -> the shared material
+const tintedMaterials = new WeakMap(); // Tinted material -> its copy on the atlas
+const convertedMeshes = new WeakMap(); // Geometry -> "material uuids" -> { geometry, material }
+let regionCount = 0;
+
+/**
+ * One atlas texture, filled shelf by shelf from the top left
+ */
+class AtlasPage {
+    constructor(index) {
+        this.index = index;
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = ATLAS_PAGE_SIZE;
+        this.canvas.height = ATLAS_PAGE_SIZE;
+        this.context = this.canvas.getContext('2d');
+        this.context.imageSmoothingEnabled = false;
+
+        this.texture = new THREE.CanvasTexture(this.canvas);
+        this.texture.name = `block_atlas_${index}`;
+        this.texture.magFilter = THREE.NearestFilter;
+        this.texture.minFilter = THREE.NearestFilter;
+        this.texture.generateMipmaps = false;
+
+        this.shelfX = 0;
+        this.shelfY = 0;
+        this.shelfHeight = 0;
+    }
+
+    /**
+     * Find room for a padded tile
+     * @param {number} width - The tile's width with its padding
+     * @param {number} height - The tile's height with its padding
+     * @returns {Object|null} - The tile's { x, y } in the page, or null if the page is full
+     */
+    allocate(width, height) {
+        if (this.shelfX + width > ATLAS_PAGE_SIZE) {
+            this.shelfX = 0;
+            this.shelfY += this.shelfHeight;
+            this.shelfHeight = 0;
+        }
+        if (this.shelfY + height > ATLAS_PAGE_SIZE) return null;
+
+        const position = { x: this.shelfX, y: this.shelfY };
+        this.shelfX += width;
+        this.shelfHeight = Math.max(this.shelfHeight, height);
+        return position;
+    }
+
+    /**
+     * Draw an image into the page with its edges extruded into the padding
+     * @param {CanvasImageSource} image - The image
+     * @param {number} x - Left of the padded tile
+     * @param {number} y - Top of the padded tile
+     */
+    draw(image, x, y) {
+        const { context } = this;
+        const { width, height } = image;
+        const p = TILE_PADDING;
+        const left = x + p;
+        const top = y + p;
+
+        // Redrawn tiles (see redrawAtlasTexture) mustn't show through transparent pixels
+        context.clearRect(x, y, width + p * 2, height + p * 2);
+        context.drawImage(image, left, top);
+
+        // Edges
+        context.drawImage(image, 0, 0, width, 1, left, y, width, p);
+        context.drawImage(image, 0, height - 1, width, 1, left, top + height, width, p);
+        context.drawImage(image, 0, 0, 1, height, x, top, p, height);
+        context.drawImage(image, width - 1, 0, 1, height, left + width, top, p, height);
+
+        // Corners
+        context.drawImage(image, 0, 0, 1, 1, x, y, p, p);
+        context.drawImage(image, width - 1, 0, 1, 1, left + width, y, p, p);
+        context.drawImage(image, 0, height - 1, 1, 1, x, top + height, p, p);
+        context.drawImage(image, width - 1, height - 1, 1, 1, left + width, top + height, p, p);
+
+        this.texture.needsUpdate = true;
+    }
+}
+
+/**
+ * Get something drawable onto a canvas from a texture's image, the right way up for the
+ * atlas (whose texture is flipped on upload like image textures are). Data textures (TGA)
+ * have raw pixels, which go through a canvas of their own
+ * @param {THREE.Texture} texture - The texture
+ * @returns {CanvasImageSource|null} - The drawable image, or null if there is none yet
+ */
+function getDrawableImage(texture) {
+    const image = texture.image;
+    if (!image || !image.width || !image.height) return null;
+    if (!image.data && texture.flipY) return image;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const context = canvas.getContext('2d');
+
+    if (image.data) {
+        const pixels = new Uint8ClampedArray(image.data.buffer, image.data.byteOffset, image.width * image.height * 4);
+        context.putImageData(new ImageData(pixels, image.width, image.height), 0, 0);
+    } else {
+        context.drawImage(image, 0, 0);
+    }
+
+    if (!texture.flipY) {
+        // Unflipped textures show their first row at v = 0, so it goes at the tile's bottom
+        const flipped = document.createElement('canvas');
+        flipped.width = image.width;
+        flipped.height = image.height;
+        const flippedContext = flipped.getContext('2d');
+        flippedContext.scale(1, -1);
+        flippedContext.drawImage(canvas, 0, -image.height);
+        return flipped;
+    }
+
+    return canvas;
+}
+
+/**
+ * Get the atlas rectangle of a texture, packing it the first time it's asked for.
+ * Clones of a texture share their source, and so their rectangle
+ * @param {THREE.Texture} texture - A loaded block texture
+ * @returns {Object|null} - { id, page, u, v, width, height } with the rectangle in atlas
+ * UV space (v up, like the texture's own), or null if the texture can't be packed or is
+ * animated
+ */
+export function getAtlasRegion(texture) {
+    const source = texture?.source;
+    if (!source) return null;
+
+    // Animated strips show one frame at a time through their own texture
+    if (isAnimatedTexture(texture)) return null;
+    if (regions.has(source)) return regions.get(source);
+
+    const image = getDrawableImage(texture);
+    if (!image) return null; // Not loaded yet, try again later
+
+    if (image.width > MAX_TILE_SIZE || image.height > MAX_TILE_SIZE) {
+        regions.set(source, null);
+        return null;
+    }
+
+    const paddedWidth = image.width + TILE_PADDING * 2;
+    const paddedHeight = image.height + TILE_PADDING * 2;
+
+    let page = pages[pages.length - 1];
+    let position = page?.allocate(paddedWidth, paddedHeight);
+    if (!position) {
+        page = new AtlasPage(pages.length);
+        pages.push(page);
+        position = page.allocate(paddedWidth, paddedHeight);
+        console.log(`🧩 Started texture atlas page ${page.index}`);
+    }
+
+    page.draw(image, position.x, position.y);
+
+    const region = {
+        id: regionCount++,
+        page: page.index,
+        u: (position.x + TILE_PADDING) / ATLAS_PAGE_SIZE,
+        v: 1 - (position.y + TILE_PADDING + image.height) / ATLAS_PAGE_SIZE,
+        width: image.width / ATLAS_PAGE_SIZE,
+        height: image.height / ATLAS_PAGE_SIZE
+    };
+    regions.set(source, region);
+    return region;
+}
+
+/**
+ * Draw a packed texture's tile again after its image was replaced, e.g. by a resource pack
+ * (see reloadTextures in textureManager.js). The tile keeps its place and size, so an
+ * image of another resolution is scaled to fit
+ * @param {THREE.Texture} texture - The texture
+ * @returns {boolean} - True if the texture is on the atlas and was redrawn
+ */
+export function redrawAtlasTexture(texture) {
+    const region = texture?.source ? regions.get(texture.source) : null;
+    if (!region) return false;
+
+    let image = getDrawableImage(texture);
+    if (!image) return false;
+
+    const width = Math.round(region.width * ATLAS_PAGE_SIZE);
+    const height = Math.round(region.height * ATLAS_PAGE_SIZE);
+    if (image.width !== width || image.height !== height) {
+        const scaled = document.createElement('canvas');
+        scaled.width = width;
+        scaled.height = height;
+        const context = scaled.getContext('2d');
+        context.imageSmoothingEnabled = false;
+        context.drawImage(image, 0, 0, width, height);
+        image = scaled;
+    }
+
+    const x = Math.round(region.u * ATLAS_PAGE_SIZE) - TILE_PADDING;
+    const y = Math.round((1 - region.v) * ATLAS_PAGE_SIZE) - height - TILE_PADDING;
+    pages[region.page].draw(image, x, y);
+    return true;
+}
+
+/**
+ * Get the atlas texture of a page
+ * @param {number} index - The page, from a region
+ * @returns {THREE.Texture} - The page's texture
+ */
+export function getAtlasTexture(index) {
+    return pages[index].texture;
+}
+
+/**
+ * Get the material that stands in for a material on the atlas. Untinted materials that
+ * only differ by their texture share one material per page; tinted ones (grass, leaves)
+ * keep their own color, since instance tinting turns it white (see main.js), and so get a copy
+ * @param {THREE.Material} material - The block's material
+ * @param {Object} region - The atlas region of its texture
+ * @returns {THREE.Material} - The atlas material
+ */
+function getAtlasMaterial(material, region) {
+    if (isTintedMaterial(material)) {
+        if (!tintedMaterials.has(material)) {
+            const copy = material.clone();
+            copy.map = getAtlasTexture(region.page);
+            copy.userData.atlas = true;
+            tintedMaterials.set(material, copy);
+        }
+        return tintedMaterials.get(material);
+    }
+
+    const key = [region.page, material.emissive?.getHex(), ...SHARED_PROPERTIES.map(name => material[name])].join('|');
+    if (!sharedMaterials.has(key)) {
+        const shared = material.clone();
+        shared.name = `block_atlas_${region.page}`;
+        shared.map = getAtlasTexture(region.page);
+        shared.userData.atlas = true;
+        sharedMaterials.set(key, shared);
+    }
+    return sharedMaterials.get(key);
+}
+
+/**
+ * Get the region a material's texture has in the atlas
+ * @param {THREE.Material} material - The material
+ * @returns {Object|null} - The region, or null if the material has to keep its own texture
+ */
+function getMaterialRegion(material) {
+    if (!material?.isMeshStandardMaterial || !material.map) return null;
+    if (OTHER_MAPS.some(name => material[name])) return null;
+    return getAtlasRegion(material.map);
+}
+
+/**
+ * Move a geometry's UVs into the atlas rectangles of its groups' materials
+ * @param {THREE.BufferGeometry} geometry - The template's geometry
+ * @param {Array} ranges - Index ranges as { start, count, materialIndex }
+ * @param {Array} faceRegions - Region (or null) by material index
+ * @param {Array} materials - The original materials, for their texture transforms
+ * @returns {THREE.BufferGeometry|null} - The remapped copy, or null if the UVs leave the
+ * texture (repeating textures) or a vertex is shared by faces with different textures
+ */
+function remapUVs(geometry, ranges, faceRegions, materials) {
+    const uv = geometry.attributes.uv;
+    if (!uv) return null;
+
+    const copy = geometry.clone();
+    const target = copy.attributes.uv;
+    const index = geometry.index;
+    const assigned = new Map(); // Vertex -> region id it was moved into (-1 for none)
+    const point = new THREE.Vector2();
+
+    for (const range of ranges) {
+        const region = faceRegions[range.materialIndex];
+        const map = materials[range.materialIndex]?.map;
+        if (region && map.matrixAutoUpdate) map.updateMatrix();
+
+        for (let i = range.start; i < range.start + range.count; i++) {
+            const vertex = index ? index.getX(i) : i;
+            const id = region ? region.id : -1;
+            if (assigned.has(vertex)) {
+                if (assigned.get(vertex) !== id) return null;
+                continue;
+            }
+            assigned.set(vertex, id);
+            if (!region) continue;
+
+            point.fromBufferAttribute(uv, vertex).applyMatrix3(map.matrix);
+            if (point.x < -UV_EPSILON || point.y < -UV_EPSILON || point.x > 1 + UV_EPSILON || point.y > 1 + UV_EPSILON) {
+                return null;
+            }
+            target.setXY(vertex, region.u + point.x * region.width, region.v + point.y * region.height);
+        }
+    }
+
+    return copy;
+}
+
+/**
+ * Reorder a geometry's index so the ranges with the same material are contiguous, and
+ * give each material a single group
+ * @param {THREE.BufferGeometry} geometry - The geometry, changed in place
+ * @param {Array} ranges - Index ranges as { start, count, materialIndex }
+ * @param {Array} materials - Material by materialIndex
+ * @returns {THREE.Material|Array} - The materials of the regrouped geometry
+ */
+function groupByMaterial(geometry, ranges, materials) {
+    const index = geometry.index;
+    const unique = [...new Set(ranges.map(range => materials[range.materialIndex]))];
+    const indices = [];
+
+    geometry.clearGroups();
+    unique.forEach((material, materialIndex) => {
+        const start = indices.length;
+        for (const range of ranges) {
+            if (materials[range.materialIndex] !== material) continue;
+            for (let i = range.start; i < range.start + range.count; i++) {
+                indices.push(index ? index.getX(i) : i);
+            }
+        }
+        geometry.addGroup(start, indices.length - start, materialIndex);
+    });
+    geometry.setIndex(indices);
+
+    if (unique.length === 1) {
+        geometry.clearGroups();
+        return unique[0];
+    }
+    return unique;
+}
+
+/**
+ * Put a mesh's textures on the atlas: its UVs move into the atlas rectangles and its
+ * materials are swapped for atlas materials, one group per material
+ * @param {THREE.Mesh} mesh - The mesh, changed in place
+ * @returns {boolean} - Whether the mesh now uses the atlas
+ */
+function useAtlasForMesh(mesh) {
+    const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+    const key = materials.map(material => material?.uuid).join(',');
+
+    if (!convertedMeshes.has(mesh.geometry)) {
+        convertedMeshes.set(mesh.geometry, new Map());
+    }
+    const converted = convertedMeshes.get(mesh.geometry);
+
+    if (!converted.has(key)) {
+        const geometry = mesh.geometry;
+        const faceRegions = materials.map(getMaterialRegion);
+        let result = null;
+
+        if (faceRegions.some(Boolean)) {
+            const count = geometry.index ? geometry.index.count : geometry.attributes.position.count;
+            const ranges = Array.isArray(mesh.material) && geometry.groups.length > 0
+                ? geometry.groups.map(group => ({
+                    start: group.start,
+                    count: Math.min(group.count, count - group.start),
+                    materialIndex: group.materialIndex
+                }))
+                : [{ start: 0, count, materialIndex: 0 }];
+
+            const remapped = remapUVs(geometry, ranges, faceRegions, materials);
+            if (remapped) {
+                const atlasMaterials = materials.map((material, i) =>
+                    faceRegions[i] ? getAtlasMaterial(material, faceRegions[i]) : material);
+
+                // Per face material and atlas region in the template's material order, for
+                // the chunk mesher (see chunkMesher.js); the copy's userData must not be shared
+                remapped.userData = {
+                    ...geometry.userData,
+                    atlasFaces: atlasMaterials.map((material, i) => ({ material, region: faceRegions[i] }))
+                };
+                result = { geometry: remapped, material: groupByMaterial(remapped, ranges, atlasMaterials) };
+            }
+        }
+
+        // Results are kept even when the mesh can't use the atlas, so it isn't tried again
+        converted.set(key, result);
+    }
+
+    const result = converted.get(key);
+    if (!result) return false;
+
+    mesh.geometry = result.geometry;
+    mesh.material = result.material;
+    return true;
+}
+
+/**
+ * Move a block template onto the texture atlas: every mesh in it whose textures can be
+ * packed gets atlas UVs and shared atlas materials. Call it before the template's
+ * materials are prepared for rendering (light, tints)
+ * @param {THREE.Object3D} template - The block template, a mesh or a group of meshes
+ * @returns {number} - The number of meshes that now use the atlas
+ */
+export function useAtlasMaterials(template) {
+    let count = 0;
+    template.traverse(object => {
+        if (object.isMesh && !object.isInstancedMesh && object.geometry && object.material) {
+            if (useAtlasForMesh(object)) count++;
+        }
+    });
+    return count;
+}
+
+/**
+ * Get the number of textures packed so far and the pages they fill
+ * @returns {Object} - { textures, pages }
+ */
+export function getAtlasStats() {
+    return { textures: regionCount, pages: pages.length };
+}
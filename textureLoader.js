@@ -6,9 +6,12 @@
 
 import * as THREE from 'three';
 import { createBlock } from './blockFactory.js';
-import { loadTexture, clearTextureCache } from './textureManager.js';
+import { loadTexture, clearTextureCache, reloadTextures } from './textureManager.js';
 import { BLOCK_PROPERTIES } from './blockData.js';
 import { isSlabBlock } from './slabFactory.js';
+import { BlockState } from './blockState.js';
+import { hasBlockModel } from './blockModelLoader.js';
+import { setActiveResourcePack } from './resourcePack.js';
 
 // Add a debug flag to control logging
 const DEBUG_LOGGING = false;
@@ -29,10 +32,23 @@ export class TextureLoader {
     /**
      * Load a block mesh
      * @param {string} blockType - The type of block
-     * @param {Object} options - Additional options for block creation
+     * @param {Object} options - Additional options for block creation; options.state (a BlockState) sets the variant
      * @returns {Promise<THREE.Mesh>} - Promise that resolves to the block mesh
      */
     async loadBlock(blockType, options = {}) {
+        // Every template is cached under its block state, e.g. spruce_slab[type=top]
+        const state = options.state || BlockState.fromBlock({ ...options, type: blockType });
+        const cacheKey = state.toString();
+        const blockOptions = state.toBlockOptions();
+        
+        // Blocks with model files skip the special cases below (see blockModelLoader.js)
+        if (await hasBlockModel(blockType)) {
+            if (!this.blockCache.has(cacheKey)) {
+                this.blockCache.set(cacheKey, await createBlock(blockType, { ...blockOptions, state }));
+            }
+            return this.blockCache.get(cacheKey).clone();
+        }
+        
         // Special case for cobwebs and other cross-pattern blocks
         if (blockType === 'cobweb' || blockType === 'web' || 
             BLOCK_PROPERTIES[blockType]?.category === 'cross') {
@@ -115,12 +131,11 @@ export class TextureLoader {
             return button;
         }
         
-        // For slabs, we need to consider the isUpperSlab property
+        // For slabs, we need to consider the slab type (bottom, top or double) and water
         if (isSlabBlock(blockType)) {
             console.log(`🧊 Loading slab block: ${blockType}`);
-            const isUpperSlab = options.isUpperSlab || false;
-            console.log(`📏 Slab position: ${isUpperSlab ? 'UPPER' : 'LOWER'}`);
-            const cacheKey = `${blockType}_slab_${isUpperSlab ? 'upper' : 'lower'}`;
+            const { slabType, waterlogged } = blockOptions;
+            console.log(`📏 Slab type: ${slabType}${waterlogged ? ', waterlogged' : ''}`);
             
             // Check if this specific slab configuration is in cache
             if (this.blockCache.has(cacheKey)) {
@@ -130,8 +145,8 @@ export class TextureLoader {
             
             try {
                 // Create the slab with the appropriate configuration
-                console.log(`🏗️ Creating new slab: ${blockType}, isUpper: ${isUpperSlab}`);
-                const block = await createBlock(blockType, { isUpperSlab });
+                console.log(`🏗️ Creating new slab: ${blockType}, type: ${slabType}`);
+                const block = await createBlock(blockType, { slabType, waterlogged });
                 
                 // Cache the slab with its specific configuration
                 console.log(`💾 Caching slab: ${cacheKey}`);
@@ -147,12 +162,8 @@ export class TextureLoader {
         
         // For trapdoors, we need to consider the state (open/closed, facing, half) and material
         if (blockType.includes('_trapdoor') || blockType === 'trapdoor') {
-            const trapdoorState = options.trapdoorState || { open: false, half: 'bottom', facing: 'north' };
-            const material = options.material || null;
-            
-            // Create a unique cache key that includes material
-            const materialKey = material ? `_material_${material}` : '';
-            const cacheKey = `${blockType}_${trapdoorState.open ? 'open' : 'closed'}_${trapdoorState.half}_${trapdoorState.facing}${materialKey}`;
+            const trapdoorState = blockOptions.trapdoorState;
+            const material = blockOptions.material || null;
             
             // Check if this specific trapdoor configuration is in cache
             if (this.blockCache.has(cacheKey)) {
@@ -178,37 +189,11 @@ export class TextureLoader {
         
         // For lanterns, we need to consider if they're hanging
         if (blockType.includes('lantern')) {
-            const hanging = options.hanging || false;
-            const cacheKey = `${blockType}_${hanging ? 'hanging' : 'standing'}`;
+            const hanging = blockOptions.hanging || false;
             
             // Check if this specific lantern configuration is in cache
             if (this.blockCache.has(cacheKey)) {
-                const originalLantern = this.blockCache.get(cacheKey);
-                const clonedLantern = originalLantern.clone();
-                
-                // Ensure lights are properly cloned
-                originalLantern.traverse((originalChild) => {
-                    if (originalChild.isLight) {
-                        const lightIndex = originalChild.parent.children.indexOf(originalChild);
-                        if (lightIndex !== -1) {
-                            // Find the corresponding parent in the clone
-                            clonedLantern.traverse((clonedParent) => {
-                                if (clonedParent.uuid === originalChild.parent.uuid) {
-                                    // Create a new light with the same properties
-                                    const newLight = originalChild.clone();
-                                    // Replace any existing light at this position
-                                    if (clonedParent.children[lightIndex] && clonedParent.children[lightIndex].isLight) {
-                                        clonedParent.children[lightIndex] = newLight;
-                                    } else {
-                                        clonedParent.add(newLight);
-                                    }
-                                }
-                            });
-                        }
-                    }
-                });
-                
-                return Promise.resolve(clonedLantern);
+                return Promise.resolve(this.blockCache.get(cacheKey).clone());
             }
             
             try {
@@ -218,32 +203,8 @@ export class TextureLoader {
                 // Cache the lantern with its specific configuration
                 this.blockCache.set(cacheKey, block);
                 
-                // Return a clone with lights properly preserved
-                const clonedBlock = block.clone();
-                
-                // Ensure lights are properly cloned
-                block.traverse((originalChild) => {
-                    if (originalChild.isLight) {
-                        const lightIndex = originalChild.parent.children.indexOf(originalChild);
-                        if (lightIndex !== -1) {
-                            // Find the corresponding parent in the clone
-                            clonedBlock.traverse((clonedParent) => {
-                                if (clonedParent.uuid === originalChild.parent.uuid) {
-                                    // Create a new light with the same properties
-                                    const newLight = originalChild.clone();
-                                    // Replace any existing light at this position
-                                    if (clonedParent.children[lightIndex] && clonedParent.children[lightIndex].isLight) {
-                                        clonedParent.children[lightIndex] = newLight;
-                                    } else {
-                                        clonedParent.add(newLight);
-                                    }
-                                }
-                            });
-                        }
-                    }
-                });
-                
-                return clonedBlock;
+                // Return a clone of the block
+                return block.clone();
             } catch (error) {
                 console.error(`Error loading lantern ${blockType}:`, error);
                 throw error;
@@ -253,16 +214,7 @@ export class TextureLoader {
         // For walls and fences, we need to consider the connections
         if ((blockType.includes('_wall') || blockType === 'wall' || 
              blockType.includes('_fence') && !blockType.includes('gate')) && 
-            options.connections) {
-            
-            // Create a unique cache key based on connections
-            const connectionsKey = Object.entries(options.connections)
-                .filter(([_, value]) => value === 'true')
-                .map(([dir, _]) => dir)
-                .sort()
-                .join('_');
-            
-            const cacheKey = `${blockType}_${connectionsKey || 'no_connections'}`;
+            blockOptions.connections) {
             
             // Check if this specific configuration is in cache
             if (this.blockCache.has(cacheKey)) {
@@ -271,7 +223,7 @@ export class TextureLoader {
             
             try {
                 // Create the block with the appropriate connections
-                const block = await createBlock(blockType, { connections: options.connections });
+                const block = await createBlock(blockType, { connections: blockOptions.connections });
                 
                 // Cache the block with its specific configuration
                 this.blockCache.set(cacheKey, block);
@@ -309,9 +261,9 @@ export class TextureLoader {
         }
         
         // For non-special blocks, use the standard caching approach
-        if (this.blockCache.has(blockType)) {
-            const cachedBlock = this.blockCache.get(blockType);
-            if (DEBUG_LOGGING) console.log(`Using cached block for ${blockType}`);
+        if (this.blockCache.has(cacheKey)) {
+            const cachedBlock = this.blockCache.get(cacheKey);
+            if (DEBUG_LOGGING) console.log(`Using cached block for ${cacheKey}`);
             return Promise.resolve(cachedBlock.clone());
         }
         
@@ -319,14 +271,7 @@ export class TextureLoader {
             // Handle colored blocks (concrete, concrete_powder, wool)
             if (blockType.includes('concrete') || blockType.includes('wool')) {
                 console.log(`🎨 Loading colored block: ${blockType}`);
-                const color = options.color || 'white'; // default to white if no color specified
-                const cacheKey = `${blockType}_${color}`;
-                
-                // Check if this specific color configuration is in cache
-                if (this.blockCache.has(cacheKey)) {
-                    console.log(`💫 Using cached colored block: ${cacheKey}`);
-                    return Promise.resolve(this.blockCache.get(cacheKey).clone());
-                }
+                const color = blockOptions.color || options.color || 'white'; // default to white if no color specified
                 
                 // Determine the correct texture path based on block type
                 let texturePath;
@@ -361,7 +306,7 @@ export class TextureLoader {
             
             // Create the block
             if (DEBUG_LOGGING) console.log(`Creating new block for ${blockType}`);
-            const block = await createBlock(blockType, options);
+            const block = await createBlock(blockType, { ...options, ...blockOptions });
             
             // Ensure the block has proper geometry and materials for instancing
             if (block instanceof THREE.Group) {
@@ -380,7 +325,7 @@ export class TextureLoader {
             }
             
             // Cache the block
-            this.blockCache.set(blockType, block);
+            this.blockCache.set(cacheKey, block);
             
             // Return a clone of the block
             return block.clone();
@@ -399,6 +344,17 @@ export class TextureLoader {
         return loadTexture(path);
     }
     
+    /**
+     * Switch the textures to a resource pack, or back to the bundled ones, replacing the
+     * images of every loaded texture in place (see reloadTextures in textureManager.js)
+     * @param {ResourcePack|null} pack - The pack, or null for the bundled textures
+     * @returns {Promise<Set>} - The sources of the reloaded textures, whose clones need disposing
+     */
+    async useResourcePack(pack) {
+        setActiveResourcePack(pack);
+        return reloadTextures();
+    }
+    
     /**
      * Clear all caches
      */
@@ -10,8 +10,12 @@ import {
     SPECIAL_TEXTURE_MAPPINGS, 
     BLOCK_CATEGORIES_FALLBACKS,
     LEAF_TEXTURE_MAPPINGS,
-    BLOCK_CATEGORIES
+    BLOCK_CATEGORIES,
+    BASE_BLOCK_TYPES
 } from './blockData.js';
+import { getAtlasRegion, redrawAtlasTexture } from './textureAtlas.js';
+import { loadTextureAnimation, isAnimatedTexture } from './textureAnimation.js';
+import { resolvePackUrl } from './resourcePack.js';
 
 // Cache for loaded textures
 const textureCache = new Map();
@@ -31,7 +35,18 @@ export function stripWaxedPrefix(blockType) {
 }
 
 /**
- * Load a texture from the given path
+ * Get the full block a slab, stair or wall is cut from, whose textures it shares
+ * @param {string} blockType - The block type, e.g. waxed_cut_copper_slab or oak_stairs
+ * @returns {string} - The base block type, e.g. cut_copper or oak_planks
+ */
+export function getBaseBlockType(blockType) {
+    const family = stripWaxedPrefix(blockType).replace(/_(slab|stairs|wall)$/, '');
+    return BASE_BLOCK_TYPES[family] || family;
+}
+
+/**
+ * Load a texture from the given path, or the active resource pack's version of it
+ * (see resourcePack.js); textures are cached under the bundled path either way
  * @param {string} path - Path to the texture
  * @returns {Promise<THREE.Texture>} - Promise that resolves to the loaded texture
  */
@@ -41,14 +56,16 @@ export function loadTexture(path) {
         return Promise.resolve(textureCache.get(path));
     }
     
-    // Determine if this is a TGA file
-    const isTGA = typeof path === 'string' && path.toLowerCase().endsWith('.tga');
+    const url = typeof path === 'string' ? resolvePackUrl(path) : path;
+    
+    // Determine if this is a TGA file (pack textures are always PNG)
+    const isTGA = typeof url === 'string' && url.toLowerCase().endsWith('.tga');
     
     return new Promise((resolve, reject) => {
         if (isTGA) {
             // Use TGA loader for TGA files
             tgaLoader.load(
-                path,
+                url,
                 (texture) => {
                     // Configure texture
                     texture.magFilter = THREE.NearestFilter;
@@ -61,11 +78,14 @@ export function loadTexture(path) {
                         texture.alphaTest = 0.1;
                     }
                     
-                    // Cache the texture
-                    textureCache.set(path, texture);
-                    
-                    // Resolve the promise
-                    resolve(texture);
+                    // Animated strips get their frames set up before anyone uses them
+                    loadTextureAnimation(path, texture).then(() => {
+                        // Cache the texture
+                        textureCache.set(path, texture);
+                        
+                        // Resolve the promise
+                        resolve(texture);
+                    });
                 },
                 undefined,
                 (error) => {
@@ -78,7 +98,7 @@ export function loadTexture(path) {
             const loader = new THREE.TextureLoader();
             
             loader.load(
-                path,
+                url,
                 (texture) => {
                     // Configure texture
                     texture.magFilter = THREE.NearestFilter;
@@ -91,11 +111,14 @@ export function loadTexture(path) {
                         texture.alphaTest = 0.5;
                     }
                     
-                    // Cache the texture
-                    textureCache.set(path, texture);
-                    
-                    // Resolve the promise
-                    resolve(texture);
+                    // Animated strips get their frames set up before anyone uses them
+                    loadTextureAnimation(path, texture).then(() => {
+                        // Cache the texture
+                        textureCache.set(path, texture);
+                        
+                        // Resolve the promise
+                        resolve(texture);
+                    });
                 },
                 undefined,
                 (error) => {
@@ -174,55 +197,10 @@ export function getTexturePath(blockType, face = 'side') {
             }
         }
         
-        // For wooden slabs, convert to planks texture
-        if (blockType.includes('oak_slab') || 
-            blockType.includes('spruce_slab') || 
-            blockType.includes('birch_slab') || 
-            blockType.includes('jungle_slab') || 
-            blockType.includes('acacia_slab') || 
-            blockType.includes('dark_oak_slab') ||
-            blockType.includes('crimson_slab') ||
-            blockType.includes('warped_slab') ||
-            blockType.includes('mangrove_slab') ||
-            blockType.includes('bamboo_slab') ||
-            blockType.includes('cherry_slab')) {
-            
-            // Convert slab to planks
-            const planksType = blockType.replace('_slab', '_planks');
-            
-            // Check if there's a special mapping for the planks
-            if (SPECIAL_TEXTURE_MAPPINGS[planksType] && SPECIAL_TEXTURE_MAPPINGS[planksType]['default']) {
-                const texturePath = `textures/blocks/${SPECIAL_TEXTURE_MAPPINGS[planksType]['default']}`;
-                console.log(`Using planks texture for wooden slab: ${texturePath}`);
-                return texturePath;
-            }
-            
-            // Try standard planks naming
-            const texturePath = `textures/blocks/${planksType}.png`;
-            console.log(`Using standard planks texture for wooden slab: ${texturePath}`);
-            return texturePath;
-        }
-        
-        // For stone-type slabs, try to find the base block texture
-        const baseBlockType = blockType.replace('_slab', '');
-        console.log(`Looking for base block texture for ${blockType}, base type: ${baseBlockType}`);
-        
-        // Check if there's a special mapping for the base block
-        if (SPECIAL_TEXTURE_MAPPINGS[baseBlockType]) {
-            if (SPECIAL_TEXTURE_MAPPINGS[baseBlockType][face]) {
-                const texturePath = `textures/blocks/${SPECIAL_TEXTURE_MAPPINGS[baseBlockType][face]}`;
-                console.log(`Using base block special mapping for slab: ${texturePath}`);
-                return texturePath;
-            } else if (SPECIAL_TEXTURE_MAPPINGS[baseBlockType]['default']) {
-                const texturePath = `textures/blocks/${SPECIAL_TEXTURE_MAPPINGS[baseBlockType]['default']}`;
-                console.log(`Using base block default special mapping for slab: ${texturePath}`);
-                return texturePath;
-            }
-        }
-        
-        // Try direct base block texture
-        console.log(`Trying direct base block texture: textures/blocks/${baseBlockType}.png`);
-        return `textures/blocks/${baseBlockType}.png`;
+        // Otherwise slabs look like the block they're cut from
+        const baseBlockType = getBaseBlockType(blockType);
+        console.log(`Using base block texture for ${blockType}, base type: ${baseBlockType}`);
+        return getTexturePath(baseBlockType, face);
     }
     
     // Handle wall blocks specifically
@@ -249,26 +227,14 @@ export function getTexturePath(blockType, face = 'side') {
             }
         }
         
-        // For walls, try to find the base block texture
-        const baseBlockType = blockType.replace('_wall', '');
-        console.log(`Looking for base block texture for ${blockType}, base type: ${baseBlockType}`);
-        
-        // Check if there's a special mapping for the base block
-        if (SPECIAL_TEXTURE_MAPPINGS[baseBlockType]) {
-            if (SPECIAL_TEXTURE_MAPPINGS[baseBlockType][face]) {
-                const texturePath = `textures/blocks/${SPECIAL_TEXTURE_MAPPINGS[baseBlockType][face]}`;
-                console.log(`Using base block special mapping for wall: ${texturePath}`);
-                return texturePath;
-            } else if (SPECIAL_TEXTURE_MAPPINGS[baseBlockType]['default']) {
-                const texturePath = `textures/blocks/${SPECIAL_TEXTURE_MAPPINGS[baseBlockType]['default']}`;
-                console.log(`Using base block default special mapping for wall: ${texturePath}`);
-                return texturePath;
-            }
+        // Otherwise walls look like the block they're cut from
+        const baseBlockType = getBaseBlockType(blockType);
+        if (baseBlockType.includes('_wall')) {
+            // Not a wall but named after one, e.g. oak_wall_sign
+            return `textures/blocks/${blockType.replace('_wall', '')}.png`;
         }
-        
-        // Try direct base block texture
-        console.log(`Trying direct base block texture: textures/blocks/${baseBlockType}.png`);
-        return `textures/blocks/${baseBlockType}.png`;
+        console.log(`Using base block texture for ${blockType}, base type: ${baseBlockType}`);
+        return getTexturePath(baseBlockType, face);
     }
     
     // Handle fence blocks specifically
@@ -389,6 +355,19 @@ export function getTexturePath(blockType, face = 'side') {
     return `textures/blocks/${blockType}.png`;
 }
 
+/**
+ * Get where a block face's texture is in the texture atlas (see textureAtlas.js),
+ * loading and packing the texture if needed
+ * @param {string} blockType - The type of block
+ * @param {string} face - The face of the block (top, bottom, side)
+ * @returns {Promise<Object|null>} - Promise that resolves to the atlas region
+ * ({ page, u, v, width, height }), or null if the texture can't be packed
+ */
+export async function getTextureRegion(blockType, face = 'side') {
+    const texture = await loadTexture(getTexturePath(blockType, face));
+    return getAtlasRegion(texture);
+}
+
 /**
  * Load textures for a block
  * @param {string} blockType - The type of block
@@ -483,6 +462,78 @@ function createFallbackTexture() {
     return texture;
 }
 
+/**
+ * Load the image of a texture file
+ * @param {string} url - The file's URL
+ * @returns {Promise<Object>} - An image element, or the { data, width, height } pixels of a TGA
+ */
+async function loadTextureImage(url) {
+    if (url.toLowerCase().endsWith('.tga')) {
+        return (await tgaLoader.loadAsync(url)).image;
+    }
+    return new THREE.ImageLoader().loadAsync(url);
+}
+
+/**
+ * Convert a replacement image to the kind a texture was created with: data textures (TGA)
+ * take raw pixels and the others something drawable. Both hold their rows top first
+ * @param {THREE.Texture} texture - The texture
+ * @param {Object} image - An image element or { data, width, height } pixels
+ * @returns {Object} - The image to give the texture
+ */
+function toTextureImage(texture, image) {
+    const isPixels = Boolean(image.data);
+    if (isPixels === Boolean(texture.isDataTexture)) return image;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const context = canvas.getContext('2d');
+
+    if (isPixels) {
+        const pixels = new Uint8ClampedArray(image.data.buffer, image.data.byteOffset, image.width * image.height * 4);
+        context.putImageData(new ImageData(pixels, image.width, image.height), 0, 0);
+        return canvas;
+    }
+
+    context.drawImage(image, 0, 0);
+    const pixels = context.getImageData(0, 0, image.width, image.height).data;
+    return { data: new Uint8Array(pixels.buffer), width: image.width, height: image.height };
+}
+
+/**
+ * Reload every cached texture from the active resource pack, or the bundled files, in
+ * place: materials keep their textures and the textures get the new pixels, frames and
+ * atlas tiles. Copies made with clone() share a texture's pixels but upload them on their
+ * own, so the caller disposes the ones in use too (and they upload again when next drawn)
+ * @returns {Promise<Set>} - The sources (see THREE.Source) of the reloaded textures
+ */
+export async function reloadTextures() {
+    const reloaded = new Set();
+    
+    await Promise.all([...textureCache].map(async ([path, texture]) => {
+        try {
+            texture.image = toTextureImage(texture, await loadTextureImage(resolvePackUrl(path)));
+            
+            // Only textures that were animated have materials that show one frame at a time
+            if (isAnimatedTexture(texture)) {
+                await loadTextureAnimation(path, texture);
+            }
+            redrawAtlasTexture(texture);
+            
+            // The new image may not be the old one's size, so it gets fresh GPU memory
+            texture.dispose();
+            texture.needsUpdate = true;
+            reloaded.add(texture.source);
+        } catch (error) {
+            console.warn(`Could not reload texture ${path}:`, error);
+        }
+    }));
+    
+    console.log(`🎨 Reloaded ${reloaded.size} of ${textureCache.size} textures`);
+    return reloaded;
+}
+
 /**
  * Clear the texture cache
  */
@@ -0,0 +1,204 @@
+// Local stand-in for the backend's live world updates, for testing the viewer without it
+// Run with: node updateServer.js [--port 8080] [--simulate]
+//
+// Serves the viewer's files and a Server-Sent Events stream of block deltas at /world-updates
+// (see worldUpdates.js for the message format). Deltas can be pushed to every connected
+// viewer by POSTing them:
+//   curl -X POST localhost:8080/world-updates \
+//        -d '{"deltas":[{"op":"add","block":{"type":"stone","x":128,"y":25,"z":27}}]}'
+// With --simulate, blocks are also added, changed and removed above the build every few seconds.
+// /spawn-chunk isn't served, so use the mock server (it is on by default) for the world itself.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const UPDATES_PATH = '/world-updates';
+const HEARTBEAT_INTERVAL = 15000; // Comment lines keep proxies from closing idle streams
+const SIMULATE_INTERVAL = 2000;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.mca': 'application/octet-stream',
+    '.schem': 'application/octet-stream',
+    '.schematic': 'application/octet-stream'
+};
+
+// Connected event stream responses
+const clients = new Set();
+
+function getOption(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    if (index === -1) return fallback;
+    const value = process.argv[index + 1];
+    return value !== undefined && !value.startsWith('--') ? value : true;
+}
+
+// Send a batch of deltas to every connected viewer
+function broadcast(message) {
+    const event = `event: delta\ndata: ${JSON.stringify(message)}\n\n`;
+    for (const client of clients) {
+        client.write(event);
+    }
+    console.log(`📡 Sent ${message.deltas.length} deltas to ${clients.size} viewers`);
+}
+
+function openEventStream(req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.write(': connected\n\n');
+    clients.add(res);
+    console.log(`🔌 Viewer connected (${clients.size} connected)`);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        clients.delete(res);
+        console.log(`🔌 Viewer disconnected (${clients.size} connected)`);
+    });
+}
+
+function receiveDeltas(req, res) {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+        body += chunk;
+    });
+    req.on('end', () => {
+        let message;
+        try {
+            message = JSON.parse(body);
+        } catch (error) {
+            res.writeHead(400, { 'Content-Type': 'text/plain' });
+            res.end(`Invalid JSON: ${error.message}\n`);
+            return;
+        }
+
+        if (!message || !Array.isArray(message.deltas)) {
+            res.writeHead(400, { 'Content-Type': 'text/plain' });
+            res.end('Expected { "deltas": [...] }\n');
+            return;
+        }
+
+        broadcast(message);
+        res.writeHead(202, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ viewers: clients.size }));
+    });
+}
+
+function serveFile(pathname, res) {
+    const root = __dirname;
+
+    // A malformed escape (e.g. /%E0%A4%A) is the client's mistake, not a reason to exit
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+    } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end('Bad request\n');
+        return;
+    }
+
+    const file = path.resolve(root, `.${path.sep}${decoded}`);
+
+    // Don't serve anything outside the repository (.. segments, encoded or not, or NUL bytes)
+    if (!file.startsWith(root + path.sep) || file.includes('\0')) {
+        res.writeHead(403, { 'Content-Type': 'text/plain' });
+        res.end('Forbidden\n');
+        return;
+    }
+
+    fs.readFile(file, (error, data) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found\n');
+            return;
+        }
+
+        const type = MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+        res.writeHead(200, { 'Content-Type': type });
+        res.end(data);
+    });
+}
+
+// Add, change and remove blocks in the air above the build (x 117-139, z 18-36)
+function startSimulation() {
+    const types = ['stone', 'glass', 'white_wool', 'spruce_planks', 'lantern'];
+    const placed = new Map(); // "x,y,z" -> block
+
+    const randomInt = (min, max) => min + Math.floor(Math.random() * (max - min + 1));
+    const randomType = () => types[randomInt(0, types.length - 1)];
+
+    setInterval(() => {
+        if (clients.size === 0) return;
+
+        const keys = [...placed.keys()];
+        const roll = Math.random();
+        let delta;
+
+        if (keys.length > 0 && roll < 0.25) {
+            const key = keys[randomInt(0, keys.length - 1)];
+            const { x, y, z } = placed.get(key);
+            placed.delete(key);
+            delta = { op: 'remove', x, y, z };
+        } else if (keys.length > 0 && roll < 0.5) {
+            const block = { ...placed.get(keys[randomInt(0, keys.length - 1)]), type: randomType() };
+            placed.set(`${block.x},${block.y},${block.z}`, block);
+            delta = { op: 'change', block };
+        } else {
+            const x = randomInt(117, 139);
+            const z = randomInt(18, 36);
+            const block = {
+                type: randomType(),
+                x,
+                y: randomInt(20, 26),
+                z,
+                chunk_x: Math.floor(x / 16),
+                chunk_z: Math.floor(z / 16)
+            };
+            placed.set(`${block.x},${block.y},${block.z}`, block);
+            delta = { op: 'add', block };
+        }
+
+        broadcast({ deltas: [delta] });
+    }, SIMULATE_INTERVAL);
+
+    console.log('🎲 Simulating block updates above the build');
+}
+
+function main() {
+    const port = Number(getOption('port', 8080));
+
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        if (pathname === UPDATES_PATH && req.method === 'GET') {
+            openEventStream(req, res);
+        } else if (pathname === UPDATES_PATH && req.method === 'POST') {
+            receiveDeltas(req, res);
+        } else if (req.method === 'GET') {
+            serveFile(pathname, res);
+        } else {
+            res.writeHead(405, { 'Content-Type': 'text/plain' });
+            res.end('Method not allowed\n');
+        }
+    });
+
+    server.listen(port, () => {
+        console.log(`🚀 Viewer and world updates at http://localhost:${port}/`);
+        if (getOption('simulate', false)) {
+            startSimulation();
+        }
+    });
+}
+
+main();
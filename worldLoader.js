@@ -1,19 +1,40 @@
 // For now, we'll use a simplified chunk format
+import { isCompactWorld, decodeCompactWorld } from './compactWorldFormat.js';
+import { parseRegionFile } from './anvilLoader.js';
+import { parseSchematic } from './schematicLoader.js';
+import { BlockState } from './blockState.js';
+import { translateLegacyBlock, getLegacyBlockId } from './legacyBlockData.js';
+import { mapBlockState, cloneBlockState } from './blockStateMapper.js';
+import { resolveNeighborStates } from './neighborResolver.js';
+import { assignColumnBiomes } from './biomeColors.js';
+
 export class WorldLoader {
-    constructor() {
+    /**
+     * @param {Object} options - Loader options
+     * @param {Function} options.fetch - Used instead of the global fetch, e.g. to route
+     * requests from the world worker through the main thread
+     */
+    constructor(options = {}) {
+        this.fetch = options.fetch || ((url, init) => fetch(url, init));
         this.chunkSize = 16;
         this.apiUrl = '/spawn-chunk';
         this.blockStats = {};
         this.chunkRange = 1; // Default to loading a 3x3 grid (range=1 means 1 chunk in each direction)
         this.customData = null; // Store custom data from direct fetch
+        this.chunkCache = new Map(); // Processed blocks per chunk, keyed by "x,z"
+        this.chunkRequests = new Map(); // In-flight chunk fetches, keyed by "x,z"
+        this.chunkSourceComplete = false; // True once every chunk the source has is cached
+        this.chunkCacheGeneration = 0; // Bumped on clear so stale fetches are dropped
     }
 
     /**
      * Set custom data from a direct fetch
-     * @param {Object} data - The data from the server
+     * @param {Object|ArrayBuffer} data - The data from the server, either parsed JSON or a compact world buffer
      */
     setCustomData(data) {
+        data = this.parseWorldData(data);
         this.customData = data;
+        this.clearChunkCache();
         
         // Update block statistics
         if (data.stats) {
@@ -72,35 +93,30 @@ export class WorldLoader {
                     return this.generateTestChunk(); // Fallback to test chunk
                 }
                 
-                // Process blocks to handle double plants and slabs
-                const processedBlocks = this.processBlocks(data.blocks);
-                
-                // Validate blocks
-                const validBlocks = processedBlocks.filter(block => {
-                    return block && typeof block.type === 'string' && 
-                           typeof block.x === 'number' && 
-                           typeof block.y === 'number' && 
-                           typeof block.z === 'number';
-                });
+                // Validate blocks before processing reads them
+                const validBlocks = this.filterValidBlocks(data.blocks);
                 
                 if (validBlocks.length === 0) {
                     console.error('No valid blocks in server response');
                     return this.generateTestChunk(); // Fallback to test chunk
                 }
                 
-                console.log(`Loaded ${validBlocks.length} blocks from server`);
-                return validBlocks;
+                // Process blocks to handle double plants and slabs
+                const processedBlocks = this.processBlocks(validBlocks);
+                
+                console.log(`Loaded ${processedBlocks.length} blocks from server`);
+                return processedBlocks;
             }
             
             // Otherwise, fetch from server as usual
             console.log(`Loading chunks with range ${this.chunkRange} from server...`);
-            const response = await fetch(`${this.apiUrl}?chunk_range=${this.chunkRange}`);
+            const response = await this.fetch(`${this.apiUrl}?chunk_range=${this.chunkRange}`);
             
             if (!response.ok) {
                 throw new Error(`Server returned ${response.status}: ${response.statusText}`);
             }
             
-            const data = await response.json();
+            const data = this.parseWorldData(await response.arrayBuffer());
             console.log('🔍 RECEIVED DATA FROM SERVER:', data);
             console.log('🔍 DATA STRUCTURE:', Object.keys(data));
             console.log('🔍 BLOCKS ARRAY TYPE:', Array.isArray(data.blocks) ? 'Array' : typeof data.blocks);
@@ -144,30 +160,314 @@ export class WorldLoader {
                 return this.generateTestChunk(); // Fallback to test chunk
             }
             
-            // Process blocks to handle double plants and slabs
-            const processedBlocks = this.processBlocks(data.blocks);
-            
-            // Validate blocks
-            const validBlocks = processedBlocks.filter(block => {
-                return block && typeof block.type === 'string' && 
-                       typeof block.x === 'number' && 
-                       typeof block.y === 'number' && 
-                       typeof block.z === 'number';
-            });
+            // Validate blocks before processing reads them
+            const validBlocks = this.filterValidBlocks(data.blocks);
             
             if (validBlocks.length === 0) {
                 console.error('No valid blocks in server response');
                 return this.generateTestChunk(); // Fallback to test chunk
             }
             
-            console.log(`Loaded ${validBlocks.length} blocks from server`);
-            return validBlocks;
+            // Process blocks to handle double plants and slabs
+            const processedBlocks = this.processBlocks(validBlocks);
+            
+            console.log(`Loaded ${processedBlocks.length} blocks from server`);
+            return processedBlocks;
         } catch (error) {
             console.error('Error loading chunks:', error);
             return this.generateTestChunk(); // Fallback to test chunk
         }
     }
     
+    /**
+     * Load the blocks of a single chunk
+     * Uses custom data when it has been set, otherwise asks the server for just that chunk
+     * @param {number} chunkX - The chunk X coordinate
+     * @param {number} chunkZ - The chunk Z coordinate
+     * @returns {Promise<Array>} - The processed blocks of the chunk (empty if it has none)
+     * @throws {Error} - If the chunk couldn't be fetched; nothing is cached, so it can be retried
+     */
+    async loadChunk(chunkX, chunkZ) {
+        const key = `${chunkX},${chunkZ}`;
+        
+        if (this.customData) {
+            const data = this.customData;
+            this.customData = null;
+            if (data.stats) this.blockStats = data.stats;
+            this.cacheChunkBlocks(data.blocks || []);
+            this.chunkSourceComplete = true;
+        }
+        
+        if (!this.chunkCache.has(key) && !this.chunkSourceComplete) {
+            if (!this.chunkRequests.has(key)) {
+                const request = this.fetchChunk(chunkX, chunkZ)
+                    .finally(() => this.chunkRequests.delete(key));
+                this.chunkRequests.set(key, request);
+            }
+            await this.chunkRequests.get(key);
+        }
+        
+        return this.chunkCache.get(key) || [];
+    }
+    
+    /**
+     * Fetch a single chunk from the server and cache every chunk in the response
+     * @param {number} chunkX - The chunk X coordinate
+     * @param {number} chunkZ - The chunk Z coordinate
+     * @throws {Error} - If the request fails or the response has no blocks
+     */
+    async fetchChunk(chunkX, chunkZ) {
+        const key = `${chunkX},${chunkZ}`;
+        const generation = this.chunkCacheGeneration;
+        
+        // Failures are thrown without caching anything, so a later request tries again
+        const response = await this.fetch(`${this.apiUrl}?chunk_range=0&chunk_x=${chunkX}&chunk_z=${chunkZ}`);
+        
+        if (!response.ok) {
+            throw new Error(`Server returned ${response.status}: ${response.statusText}`);
+        }
+        
+        const data = this.parseWorldData(await response.arrayBuffer());
+        if (!data.blocks || !Array.isArray(data.blocks)) {
+            throw new Error('No blocks array in server response');
+        }
+        
+        // The world was switched while this request was in flight
+        if (generation !== this.chunkCacheGeneration) return;
+        
+        if (data.stats) this.blockStats = data.stats;
+        const chunkKeys = this.cacheChunkBlocks(data.blocks);
+        
+        // Servers that ignore the chunk parameters send the whole world at once
+        if ([...chunkKeys].some(k => k !== key)) {
+            console.log(`📦 Server returned ${chunkKeys.size} chunks for one request, caching the whole world`);
+            this.chunkSourceComplete = true;
+        }
+        
+        // Remember empty chunks so they aren't requested again
+        if (!this.chunkCache.has(key)) {
+            this.chunkCache.set(key, []);
+        }
+    }
+    
+    /**
+     * Process blocks and store them in the chunk cache by their chunk coordinates
+     * @param {Array} blocks - The raw blocks
+     * @returns {Set} - The keys of the chunks that received blocks
+     */
+    cacheChunkBlocks(blocks) {
+        const chunkKeys = new Set();
+        
+        for (const block of this.processBlocks(this.filterValidBlocks(blocks))) {
+            const chunkX = block.chunk_x ?? Math.floor(block.x / this.chunkSize);
+            const chunkZ = block.chunk_z ?? Math.floor(block.z / this.chunkSize);
+            const key = `${chunkX},${chunkZ}`;
+            
+            if (!this.chunkCache.has(key)) {
+                this.chunkCache.set(key, []);
+            }
+            this.chunkCache.get(key).push(block);
+            chunkKeys.add(key);
+        }
+        
+        return chunkKeys;
+    }
+    
+    /**
+     * Drop blocks processing can't handle: blocks without a type (or legacy ID) and
+     * blocks whose coordinates aren't numbers
+     * @param {Array} blocks - The raw blocks
+     * @returns {Array} - The valid blocks
+     */
+    filterValidBlocks(blocks) {
+        const validBlocks = blocks.filter(block => {
+            return block && (typeof block.type === 'string' || typeof block.id === 'number') &&
+                   Number.isFinite(block.x) &&
+                   Number.isFinite(block.y) &&
+                   Number.isFinite(block.z);
+        });
+        
+        if (validBlocks.length < blocks.length) {
+            console.warn(`Skipped ${blocks.length - validBlocks.length} invalid blocks (missing type or coordinates)`);
+        }
+        return validBlocks;
+    }
+    
+    /**
+     * Apply a block change to the chunk cache, so chunks loaded later include it
+     * Chunks that aren't cached yet are left alone; the source already has the change
+     * @param {number} x - Block X
+     * @param {number} y - Block Y
+     * @param {number} z - Block Z
+     * @param {Object|null} block - The processed block now at the position, or null if it was removed
+     */
+    updateCachedBlock(x, y, z, block) {
+        const key = `${Math.floor(x / this.chunkSize)},${Math.floor(z / this.chunkSize)}`;
+        const blocks = this.chunkCache.get(key);
+        if (!blocks) return;
+        
+        const index = blocks.findIndex(b => b.x === x && b.y === y && b.z === z);
+        if (index !== -1) {
+            blocks.splice(index, 1);
+        }
+        if (block) {
+            blocks.push(block);
+        }
+    }
+    
+    /**
+     * Get the cached blocks of a chunk and the chunks around it
+     * @param {number} chunkX - The chunk X coordinate
+     * @param {number} chunkZ - The chunk Z coordinate
+     * @param {number} range - Chunks to include in each direction
+     * @returns {Array} - The processed blocks (chunks that aren't cached have none)
+     */
+    getCachedBlocks(chunkX, chunkZ, range = 0) {
+        const blocks = [];
+        for (let dx = -range; dx <= range; dx++) {
+            for (let dz = -range; dz <= range; dz++) {
+                for (const block of this.chunkCache.get(`${chunkX + dx},${chunkZ + dz}`) || []) {
+                    blocks.push(block);
+                }
+            }
+        }
+        return blocks;
+    }
+    
+    /**
+     * Resolve the stair shapes and connections of the blocks at positions and next to them
+     * again, for blocks placed, removed or loaded after their neighbors were processed
+     * @param {Array} positions - The changed { x, y, z }
+     * @param {Map} blockMap - The blocks to look at by "x,y,z", defaults to the cached chunks around the positions
+     * @returns {Array} - The blocks whose state changed
+     */
+    resolveNeighborsAt(positions, blockMap = null) {
+        if (!blockMap) {
+            const chunkKeys = new Set();
+            for (const { x, z } of positions) {
+                const chunkX = Math.floor(x / this.chunkSize);
+                const chunkZ = Math.floor(z / this.chunkSize);
+                for (let dx = -1; dx <= 1; dx++) {
+                    for (let dz = -1; dz <= 1; dz++) {
+                        chunkKeys.add(`${chunkX + dx},${chunkZ + dz}`);
+                    }
+                }
+            }
+            
+            blockMap = new Map();
+            for (const key of chunkKeys) {
+                for (const block of this.chunkCache.get(key) || []) {
+                    blockMap.set(`${block.x},${block.y},${block.z}`, block);
+                }
+            }
+        }
+        
+        const targets = new Set();
+        const offsets = [[0, 0, 0], [1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+        for (const { x, y, z } of positions) {
+            for (const [dx, dy, dz] of offsets) {
+                const block = blockMap.get(`${x + dx},${y + dy},${z + dz}`);
+                if (block?.state) targets.add(block);
+            }
+        }
+        
+        const previous = new Map([...targets].map(block => [block, block.state]));
+        resolveNeighborStates([...targets], blockMap);
+        return [...targets].filter(block => !block.state.equals(previous.get(block)));
+    }
+    
+    /**
+     * Forget all cached chunks, e.g. when switching to a different world
+     */
+    clearChunkCache() {
+        this.chunkCache.clear();
+        this.chunkRequests.clear();
+        this.chunkSourceComplete = false;
+        this.chunkCacheGeneration++;
+    }
+    
+    /**
+     * Parse raw world data into the { blocks, stats } shape
+     * Accepts the JSON format and the compact palette format (see compactWorldFormat.js)
+     * @param {Object|string|ArrayBuffer|Uint8Array} raw - The raw world data
+     * @returns {Object} - The parsed world data
+     */
+    parseWorldData(raw) {
+        let data = raw;
+        
+        if (raw instanceof ArrayBuffer || ArrayBuffer.isView(raw)) {
+            const bytes = raw instanceof ArrayBuffer
+                ? new Uint8Array(raw)
+                : new Uint8Array(raw.buffer, raw.byteOffset, raw.byteLength);
+            
+            if (isCompactWorld(bytes)) {
+                data = decodeCompactWorld(bytes);
+                console.log(`📦 Decoded compact world: ${data.blocks.length} blocks`);
+            } else {
+                data = JSON.parse(new TextDecoder().decode(bytes));
+            }
+        } else if (typeof raw === 'string') {
+            data = JSON.parse(raw);
+        }
+        
+        // Per-column biomes ({ "x,z": biome }) apply to the blocks that don't name their own
+        if (data && data.biomes && Array.isArray(data.blocks)) {
+            assignColumnBiomes(data.blocks, data.biomes);
+        }
+        
+        return data;
+    }
+    
+    /**
+     * Read an Anvil region file (.mca) into the { blocks, stats } shape
+     * Pass the result to setCustomData() to render it through loadSpawnChunk()
+     * @param {File|Blob|ArrayBuffer|Uint8Array|string} source - The region file, its contents or a URL
+     * @param {Object} options - Parse options (centerChunk, chunkRange, minY, maxY), see anvilLoader.js
+     * @returns {Promise<Object>} - The world data
+     */
+    async loadRegionFile(source, options = {}) {
+        const buffer = await this.readSource(source);
+        console.log(`🗺️ Reading region file (${buffer.byteLength} bytes)`);
+        return parseRegionFile(buffer, { chunkRange: this.chunkRange, ...options });
+    }
+    
+    /**
+     * Read a schematic (.schem, .litematic or structure .nbt) into the { blocks, stats } shape
+     * The format is detected from the file contents; pass the result to setCustomData()
+     * @param {File|Blob|ArrayBuffer|Uint8Array|string} source - The schematic file, its contents or a URL
+     * @returns {Promise<Object>} - The world data
+     */
+    async loadSchematicFile(source) {
+        const buffer = await this.readSource(source);
+        console.log(`🏗️ Reading schematic (${buffer.byteLength} bytes)`);
+        return parseSchematic(buffer);
+    }
+    
+    /**
+     * Read a file, blob, URL or buffer into an ArrayBuffer
+     * @param {File|Blob|ArrayBuffer|Uint8Array|string} source - The data source
+     * @returns {Promise<ArrayBuffer|Uint8Array>} - The raw bytes
+     */
+    async readSource(source) {
+        if (typeof source === 'string') {
+            const response = await this.fetch(source);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch ${source}: ${response.status} ${response.statusText}`);
+            }
+            return response.arrayBuffer();
+        }
+        
+        if (typeof Blob !== 'undefined' && source instanceof Blob) {
+            return source.arrayBuffer();
+        }
+        
+        if (source instanceof ArrayBuffer || ArrayBuffer.isView(source)) {
+            return source;
+        }
+        
+        throw new Error('Unsupported world source');
+    }
+    
     /**
      * Process blocks to identify and mark special blocks like double plants and slabs
      * @param {Array} blocks - The blocks to process
@@ -184,11 +484,15 @@ export class WorldLoader {
         // Process blocks
         const processedBlocks = [];
         
-        for (const block of blocks) {
+        for (const sourceBlock of blocks) {
             // Skip blocks we've already processed
-            const key = `${block.x},${block.y},${block.z}`;
+            const key = `${sourceBlock.x},${sourceBlock.y},${sourceBlock.z}`;
             if (blockMap.get(key) === null) continue;
             
+            // Translate pre-1.13 IDs and data values into modern block states
+            const block = this.resolveLegacyBlock(sourceBlock);
+            if (!block) continue;
+            
             // Check if this is a double plant
             if (block.type.includes('double_plant')) {
                 // Extract the plant type (grass, fern, etc.)
@@ -211,7 +515,11 @@ export class WorldLoader {
                     x: block.x,
                     y: block.y + 1,
                     z: block.z,
-                    is_double_plant_top: true
+                    is_double_plant_top: true,
+                    // Both halves are tinted by the same biome
+                    biome: block.biome,
+                    temperature: block.temperature,
+                    downfall: block.downfall
                 });
                 
                 // Mark the original block at y+1 as processed (if it exists)
@@ -220,54 +528,18 @@ export class WorldLoader {
             } 
             // Check if this is a slab
             else if (block.type.includes('_slab') || block.type === 'slab') {
-                console.log(`🎯 Found slab at (${block.x}, ${block.y}, ${block.z})`);
-                console.log('📦 Raw block data:', JSON.stringify(block, null, 2));
-                
                 // Check for isUpperSlab in both root and extra_data
                 const isUpperSlab = block.isUpperSlab === true || block.extra_data?.isUpperSlab === true;
-                console.log(`⬆️ isUpperSlab found in:`, {
-                    root: block.isUpperSlab,
-                    extra_data: block.extra_data?.isUpperSlab,
-                    final: isUpperSlab
-                });
                 
-                // If it's a generic 'slab', try to determine the specific type
+                // A generic 'slab' without legacy data has no material, default to stone
                 if (block.type === 'slab') {
-                    console.log(`🔍 Processing generic slab with data:`, block.data);
-                    
-                    // Try to determine slab type from data value
-                    let slabType = 'stone_slab'; // Default to stone slab
-                    
-                    if (block.data !== undefined) {
-                        const materialBits = block.data & 0x7; // Extract material bits
-                        console.log(`🧮 Material bits: ${materialBits}`);
-                        
-                        // Map material bits to slab types
-                        switch (materialBits) {
-                            case 0: slabType = 'stone_slab'; break;
-                            case 1: slabType = 'sandstone_slab'; break;
-                            case 2: slabType = 'oak_slab'; break;
-                            case 3: slabType = 'cobblestone_slab'; break;
-                            case 4: slabType = 'brick_slab'; break;
-                            case 5: slabType = 'stone_brick_slab'; break;
-                            case 6: slabType = 'nether_brick_slab'; break;
-                            case 7: slabType = 'quartz_slab'; break;
-                            default: slabType = 'stone_slab'; break;
-                        }
-                        
-                        console.log(`🎨 Determined slab type: ${slabType}`);
-                    }
-                    
-                    // Add the slab with the determined type
                     const processedBlock = {
                         ...block,
-                        type: slabType,
+                        type: 'stone_slab',
                         isUpperSlab: isUpperSlab,
-                        originalData: block.data,
                         originalType: 'slab'
                     };
                     
-                    console.log(`✅ Processed generic slab:`, processedBlock);
                     processedBlocks.push(processedBlock);
                 } else {
                     // Already has a specific slab type
@@ -277,68 +549,36 @@ export class WorldLoader {
                         originalData: block.data
                     };
                     
-                    console.log(`✨ Processed specific slab: ${processedBlock.type}, isUpper: ${isUpperSlab}`);
                     processedBlocks.push(processedBlock);
                 }
             } 
             // Check if this is a stair
             else if (block.type.includes('_stairs') || block.type === 'stairs') {
-                console.log(`========== STAIR PROCESSING DETAILS ==========`);
-                console.log(`Found stair at (${block.x}, ${block.y}, ${block.z})`);
-                console.log('Raw block data:', JSON.stringify(block, null, 2));
-                
-                // Get stair data from the server's metadata
-                const stairData = block.stairData || {};
-                console.log('Stair metadata from server:', stairData);
-                
                 // If it's a generic 'stairs', we'll use spruce
                 if (block.type === 'stairs') {
-                    console.log(`Found generic stairs at (${block.x}, ${block.y}, ${block.z})`);
-                    
                     // Add the stair with the metadata from server
                     const processedBlock = {
                         ...block,
                         type: 'spruce_stairs',
-                        facing: stairData.facing,
-                        half: stairData.half,
-                        shape: stairData.shape,
                         originalType: 'stairs'
                     };
                     
-                    console.log(`Processed stair:`, JSON.stringify(processedBlock, null, 2));
                     processedBlocks.push(processedBlock);
                 } else {
-                    // Already has a specific stair type, just add the metadata
-                    const processedBlock = {
-                        ...block,
-                        facing: stairData.facing,
-                        half: stairData.half,
-                        shape: stairData.shape
-                    };
+                    // Already has a specific stair type, the metadata is read from stairData
+                    const processedBlock = { ...block };
                     
-                    console.log(`Processed specific stair:`, JSON.stringify(processedBlock, null, 2));
                     processedBlocks.push(processedBlock);
                 }
-                
-                console.log(`=========================================`);
             } 
             // Check if this is a trapdoor
             else if (block.type.includes('_trapdoor') || block.type === 'trapdoor') {
-                console.log('========== RAW TRAPDOOR DATA FROM WORLD ==========');
-                console.log('Block type:', block.type);
-                console.log('Raw block data:', JSON.stringify(block, null, 2));
-                console.log('Properties:', block.properties);
-                console.log('Extra data:', block.extra_data);
-                console.log('Position:', `(${block.x}, ${block.y}, ${block.z})`);
-                console.log('===============================================');
-
                 // Pass along the trapdoor state information
                 if (block.trapdoorState) {
                     processedBlocks.push({
                         ...block,
                         trapdoorState: block.trapdoorState
                     });
-                    console.log(`Processed trapdoor: ${block.type} with state:`, block.trapdoorState);
                 } else {
                     // If no state information is available, use defaults
                     processedBlocks.push({
@@ -349,17 +589,10 @@ export class WorldLoader {
                             facing: 'north'
                         }
                     });
-                    console.log(`Processed trapdoor: ${block.type} with default state`);
                 }
             }
             // Check if this is a colored block (concrete, concrete_powder, wool)
             else if (block.type.includes('concrete') || block.type.includes('wool')) {
-                console.log(`🎨 Processing colored block:`, {
-                    type: block.type,
-                    color: block.color,
-                    position: [block.x, block.y, block.z]
-                });
-
                 // Get color from block data
                 let color = block.color || 'white'; // default to white if no color specified
                 
@@ -370,7 +603,6 @@ export class WorldLoader {
                     color: color
                 };
                 
-                console.log(`✨ Processed colored block:`, processedBlock);
                 processedBlocks.push(processedBlock);
             }
             else {
@@ -379,9 +611,60 @@ export class WorldLoader {
             }
         }
         
+        // Normalize every block's state once, everything downstream reads block.state
+        for (const block of processedBlocks) {
+            block.state = BlockState.fromBlock(block);
+            blockMap.set(`${block.x},${block.y},${block.z}`, block);
+        }
+        
+        // Derive stair shapes and connections the source left out from the neighbors.
+        // Only blocks processed together see each other; blocks across chunk borders and
+        // next to live changes are resolved again against the cache (see resolveNeighborsAt)
+        const resolved = resolveNeighborStates(processedBlocks, blockMap);
+        if (resolved > 0) {
+            console.log(`🧩 Resolved ${resolved} stair shapes and connections from neighbors`);
+        }
+        
         return processedBlocks;
     }
 
+    /**
+     * Translate a block exported from a pre-1.13 world, either with a numeric `id` or a
+     * generic legacy name such as 'planks' plus a `data` value, into its modern block state
+     * @param {Object} block - The block from the server
+     * @returns {Object|null} - The translated block, the block unchanged if it isn't legacy,
+     * or null if it translates to nothing to render (air, the upper half of a double plant)
+     */
+    resolveLegacyBlock(block) {
+        let id = typeof block.id === 'number' ? block.id : undefined;
+        if (id === undefined && typeof block.data === 'number' && block.type) {
+            id = getLegacyBlockId(block.type);
+        }
+
+        if (id === undefined) {
+            return block;
+        }
+
+        const legacy = translateLegacyBlock(id, block.data || 0);
+        if (!legacy) {
+            console.warn(`Unknown legacy block ID ${id}:${block.data || 0} at (${block.x}, ${block.y}, ${block.z})`);
+            return block.type ? block : null;
+        }
+
+        const mapped = mapBlockState(legacy.name, legacy.properties);
+        if (!mapped) {
+            return null;
+        }
+
+        return {
+            ...block,
+            ...cloneBlockState(mapped),
+            originalType: block.type,
+            originalData: block.data,
+            legacyId: id
+        };
+    }
+
     // Temporary function to generate a test chunk
     generateTestChunk() {
         console.log('Generating test chunk...');
@@ -544,7 +827,7 @@ export class WorldLoader {
         }
         
         console.log(`Generated ${blocks.length} blocks for test chunk`);
-        return blocks;
+        return this.processBlocks(blocks);
     }
 
     getBlockStats() {
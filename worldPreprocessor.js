@@ -0,0 +1,142 @@
+/**
+ * World Preprocessor
+ * Turns processed blocks into what the renderer needs: filters them to the render
+ * area, centers them and groups them into instance groups with typed position arrays.
+ * Runs in the world worker (see worldWorker.js), so it must not depend on three.js or the DOM
+ */
+
+/**
+ * Filter blocks to the render area, move them so the build is centered at (0,0)
+ * and transform generic or guessed wood types to spruce
+ * @param {Array} allBlocks - Processed blocks (with a block state)
+ * @param {Object} view - The render area
+ * @param {Object} view.center - The world {x, z} that ends up at (0,0)
+ * @param {number} view.minY - The lowest Y to render
+ * @param {number} view.maxY - The highest Y to render
+ * @param {number} view.maxDistance - Horizontal distance from the center to render (defaults to 75)
+ * @returns {Array} - The prepared blocks
+ */
+export function prepareBlocks(allBlocks, view) {
+    // Calculate center point of the build
+    const centerX = view.center.x;
+    const centerZ = view.center.z;
+    const maxDistance = view.maxDistance ?? 75;
+
+    // Filter blocks and transform wood types to spruce
+    const blocks = allBlocks.filter(block => {
+        // Check height bounds
+        if (block.y < view.minY || block.y > view.maxY) {
+            return false;
+        }
+
+        // Calculate distance from center
+        const dx = block.x - centerX;
+        const dz = block.z - centerZ;
+        const distanceFromCenter = Math.sqrt(dx * dx + dz * dz);
+
+        // Filter out blocks more than maxDistance blocks away
+        if (distanceFromCenter > maxDistance) {
+            return false;
+        }
+
+        return true;
+    }).map(block => {
+        // Cobwebs use the 'web' texture and render as crossed planes like plants
+        if (block.type === 'cobweb' || block.type === 'web') {
+            return {
+                ...block,
+                type: 'web',
+                state: block.state.withName('web'),
+                x: block.x - centerX,
+                z: block.z - centerZ
+            };
+        }
+
+        // Blocks translated from legacy IDs already carry their real material
+        if (block.legacyId !== undefined) {
+            return {
+                ...block,
+                x: block.x - centerX,
+                z: block.z - centerZ
+            };
+        }
+
+        // Transform wood types to spruce
+        let type = block.type;
+
+        // Handle prefixed wood types
+        if (type.includes('oak_') || type.includes('birch_') || type.includes('dark_oak_') ||
+            type.includes('acacia_') || type.includes('jungle_') || type.includes('mangrove_') ||
+            type.includes('cherry_') || type.includes('crimson_') || type.includes('warped_')) {
+            type = type.replace(/(oak|birch|dark_oak|acacia|jungle|mangrove|cherry|crimson|warped)_/, 'spruce_');
+        }
+
+        // Handle plain planks and logs
+        if (type === 'planks') {
+            type = 'spruce_planks';
+        } else if (type === 'log' || type === 'wood') {
+            type = 'stripped_spruce_log';
+        }
+
+        return {
+            ...block,
+            type,
+            state: block.state.withName(type),
+            x: block.x - centerX,
+            z: block.z - centerZ
+        };
+    });
+
+    console.log(`Rendering ${blocks.length} blocks centered at (0,0)`);
+
+    return blocks;
+}
+
+/**
+ * Group prepared blocks by their normalized state, so every variant (slab half,
+ * stair facing, trapdoor state, connections...) gets its own instance group
+ * @param {Array} blocks - Prepared blocks
+ * @param {Function} getTint - (block) => 0xRRGGBB or undefined, the block's biome tint (see biomeColors.js)
+ * @param {Function} getLight - (block) => the block's packed light (see lightEngine.js), or null to leave it out
+ * @returns {Array} - Groups of { key, name, properties, count, positions, tints, lights }, where
+ * positions is a Float32Array of x, y, z triples, tints (only for tinted blocks) a
+ * Uint32Array of colors per instance and lights a Uint8Array of packed light per instance,
+ * all transferable between threads
+ */
+export function buildInstanceGroups(blocks, getTint = () => undefined, getLight = null) {
+    const groupBlocks = new Map();
+
+    for (const block of blocks) {
+        const key = block.state.toString();
+        if (!groupBlocks.has(key)) {
+            groupBlocks.set(key, []);
+        }
+        groupBlocks.get(key).push(block);
+    }
+
+    const groups = [];
+    for (const [key, members] of groupBlocks) {
+        const positions = new Float32Array(members.length * 3);
+        members.forEach((block, i) => {
+            positions[i * 3] = block.x;
+            positions[i * 3 + 1] = block.y;
+            positions[i * 3 + 2] = block.z;
+        });
+
+        const { name, properties } = members[0].state;
+        const group = { key, name, properties: { ...properties }, count: members.length, positions };
+
+        // Blocks of one state are tinted alike or not at all, so the first decides
+        if (getTint(members[0]) !== undefined) {
+            group.tints = new Uint32Array(members.map(block => getTint(block)));
+        }
+
+        if (getLight) {
+            group.lights = new Uint8Array(members.map(block => getLight(block)));
+        }
+
+        groups.push(group);
+    }
+
+    return groups;
+}
@@ -0,0 +1,438 @@
+// Command line tool for inspecting and editing captured world files (world_data.json)
+// Run with: node worldTool.js <command> [options]
+//
+// Commands:
+//   stats <world>                          Recompute the stats from the blocks and check them
+//                                          against the embedded stats
+//   diff <old> <new> [--limit n]           Compare two captures block by block
+//   crop <world> --out <file>              Keep only the blocks inside a box and/or chunks:
+//        [--box x1,y1,z1,x2,y2,z2] [--chunk x,z ...]
+//   recenter <world> --out <file>          Move the build so the center of its bounds is at
+//        [--to x,z] [--min-y y]            (x, z) (default 0,0), optionally moving its lowest block to y
+//
+// World files are the JSON captured from the server ({ blocks, stats }); compact binary
+// worlds can be converted in the viewer first.
+
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const readFileAsync = promisify(fs.readFile);
+const writeFileAsync = promisify(fs.writeFile);
+
+const CHUNK_SIZE = 16;
+
+// Block fields that locate a block rather than describe it
+const POSITION_FIELDS = ['x', 'y', 'z', 'chunk_x', 'chunk_z'];
+
+// Read a world file and check it has a blocks array
+async function readWorld(file) {
+    const raw = await readFileAsync(file, 'utf8');
+    const world = JSON.parse(raw);
+
+    if (!world.blocks || !Array.isArray(world.blocks)) {
+        throw new Error(`${file} has no blocks array`);
+    }
+
+    return world;
+}
+
+async function writeWorld(file, world) {
+    await writeFileAsync(file, JSON.stringify(world, null, 2));
+    console.log(`💾 Wrote ${world.blocks.length} blocks to ${file}`);
+}
+
+// Split arguments into positional arguments and --options (repeated options become arrays)
+function parseArgs(args) {
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+
+        const name = arg.slice(2);
+        const value = args[i + 1] !== undefined && !args[i + 1].startsWith('--') ? args[++i] : true;
+
+        if (options[name] === undefined) {
+            options[name] = value;
+        } else {
+            options[name] = [].concat(options[name], value);
+        }
+    }
+
+    return { positional, options };
+}
+
+// Parse a comma separated list of numbers, e.g. "7,1"
+function parseNumbers(value, count, optionName) {
+    const numbers = String(value).split(',').map(Number);
+
+    if (numbers.length !== count || numbers.some(n => !Number.isFinite(n))) {
+        throw new Error(`--${optionName} expects ${count} comma separated numbers, got "${value}"`);
+    }
+
+    return numbers;
+}
+
+function getBlockKey(block) {
+    return `${block.x},${block.y},${block.z}`;
+}
+
+// Get the bounding box of a list of blocks
+function getBounds(blocks) {
+    const min = { x: Infinity, y: Infinity, z: Infinity };
+    const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+
+    blocks.forEach(block => {
+        ['x', 'y', 'z'].forEach(axis => {
+            min[axis] = Math.min(min[axis], block[axis]);
+            max[axis] = Math.max(max[axis], block[axis]);
+        });
+    });
+
+    return { min, max };
+}
+
+// The block's description without its position, with keys sorted so equal blocks compare equal
+function describeBlock(block) {
+    const description = {};
+    Object.keys(block).sort().forEach(key => {
+        if (!POSITION_FIELDS.includes(key)) {
+            description[key] = block[key];
+        }
+    });
+    return JSON.stringify(description);
+}
+
+// Get the key a block type is counted under. The server counts some blocks under their
+// generic name (e.g. oak_fence as "fence", gray_wool as "wool"), so a type that isn't
+// one of the known keys is folded into a known key it ends with
+function getCountKey(type, knownKeys) {
+    if (!knownKeys || knownKeys.has(type)) {
+        return type;
+    }
+
+    const genericKey = [...knownKeys]
+        .filter(key => type.endsWith(`_${key}`))
+        .sort((a, b) => b.length - a.length)[0];
+
+    return genericKey || type;
+}
+
+// Recompute the stats of a list of blocks
+// knownStats are the embedded stats, whose block_counts keys and *_blocks categories are followed
+function computeStats(blocks, knownStats = {}) {
+    const knownKeys = knownStats.block_counts ? new Set(Object.keys(knownStats.block_counts)) : null;
+    const blockCounts = {};
+    const chunks = new Map();
+    let leafBlocks = 0;
+    let minY = Infinity;
+    let maxY = -Infinity;
+
+    blocks.forEach(block => {
+        const key = getCountKey(block.type, knownKeys);
+        blockCounts[key] = (blockCounts[key] || 0) + 1;
+
+        if (block.is_leaf) leafBlocks++;
+        minY = Math.min(minY, block.y);
+        maxY = Math.max(maxY, block.y);
+
+        const chunkX = block.chunk_x ?? Math.floor(block.x / CHUNK_SIZE);
+        const chunkZ = block.chunk_z ?? Math.floor(block.z / CHUNK_SIZE);
+        chunks.set(`${chunkX},${chunkZ}`, [chunkX, chunkZ]);
+    });
+
+    const loadedChunks = [...chunks.values()].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+    const stats = {
+        total_blocks: blocks.length,
+        leaf_blocks: leafBlocks,
+        block_counts: blockCounts,
+        height_range: blocks.length > 0 ? { min: minY, max: maxY } : null,
+        loaded_chunks: loadedChunks
+    };
+
+    if (loadedChunks.length > 0) {
+        stats.min_chunk = {
+            x: Math.min(...loadedChunks.map(c => c[0])),
+            z: Math.min(...loadedChunks.map(c => c[1]))
+        };
+        stats.max_chunk = {
+            x: Math.max(...loadedChunks.map(c => c[0])),
+            z: Math.max(...loadedChunks.map(c => c[1]))
+        };
+    }
+
+    // Category counts such as fence_blocks count every type containing the category name
+    Object.keys(knownStats)
+        .filter(key => key.endsWith('_blocks') && !(key in stats))
+        .forEach(key => {
+            const category = key.slice(0, -'_blocks'.length);
+            stats[key] = blocks.filter(block => block.type.includes(category)).length;
+        });
+
+    return stats;
+}
+
+// Compare recomputed stats with embedded ones, returning a list of problems
+function compareStats(computed, embedded) {
+    const problems = [];
+
+    Object.keys(computed).forEach(key => {
+        if (!(key in embedded)) {
+            console.log(`ℹ️ ${key} is not in the embedded stats`);
+            return;
+        }
+
+        if (key === 'block_counts') {
+            const types = new Set([...Object.keys(computed.block_counts), ...Object.keys(embedded.block_counts)]);
+            types.forEach(type => {
+                const actual = computed.block_counts[type] || 0;
+                const expected = embedded.block_counts[type] || 0;
+                if (actual !== expected) {
+                    problems.push(`block_counts.${type}: embedded ${expected}, actual ${actual}`);
+                }
+            });
+            return;
+        }
+
+        if (key === 'loaded_chunks') {
+            const actual = new Set(computed.loaded_chunks.map(c => c.join(',')));
+            const expected = new Set(embedded.loaded_chunks.map(c => c.join(',')));
+            const missing = [...expected].filter(c => !actual.has(c));
+            const extra = [...actual].filter(c => !expected.has(c));
+            if (missing.length > 0) problems.push(`loaded_chunks without blocks: ${missing.join(' ')}`);
+            if (extra.length > 0) problems.push(`chunks with blocks not in loaded_chunks: ${extra.join(' ')}`);
+            return;
+        }
+
+        if (JSON.stringify(computed[key]) !== JSON.stringify(embedded[key])) {
+            problems.push(`${key}: embedded ${JSON.stringify(embedded[key])}, actual ${JSON.stringify(computed[key])}`);
+        }
+    });
+
+    return problems;
+}
+
+// Merge recomputed stats into the stats of a world that was edited
+function updateStats(world, blocks) {
+    return { ...world.stats, ...computeStats(blocks, world.stats) };
+}
+
+async function statsCommand(positional) {
+    const [file] = positional;
+    if (!file) throw new Error('Usage: node worldTool.js stats <world>');
+
+    const world = await readWorld(file);
+    const embedded = world.stats || {};
+    const computed = computeStats(world.blocks, embedded);
+
+    console.log(`📊 ${path.basename(file)}: ${computed.total_blocks} blocks in ${computed.loaded_chunks.length} chunks`);
+    if (computed.height_range) {
+        console.log(`📏 Height range: ${computed.height_range.min} to ${computed.height_range.max}`);
+    }
+    console.log(`🍃 Leaf blocks: ${computed.leaf_blocks}`);
+
+    console.log('🧱 Most common blocks:');
+    Object.entries(computed.block_counts)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 10)
+        .forEach(([type, count], index) => console.log(`  ${index + 1}. ${type}: ${count}`));
+
+    if (!world.stats) {
+        console.log('ℹ️ No embedded stats to check');
+        return true;
+    }
+
+    const problems = compareStats(computed, embedded);
+    if (problems.length === 0) {
+        console.log('✅ Embedded stats match the blocks');
+        return true;
+    }
+
+    console.log(`❌ ${problems.length} embedded stats don't match the blocks:`);
+    problems.forEach(problem => console.log(`  - ${problem}`));
+    return false;
+}
+
+async function diffCommand(positional, options) {
+    const [oldFile, newFile] = positional;
+    if (!oldFile || !newFile) throw new Error('Usage: node worldTool.js diff <old> <new> [--limit n]');
+
+    const limit = options.limit !== undefined ? parseInt(options.limit, 10) : 20;
+    const [oldWorld, newWorld] = await Promise.all([readWorld(oldFile), readWorld(newFile)]);
+
+    const oldBlocks = new Map(oldWorld.blocks.map(block => [getBlockKey(block), block]));
+    const newBlocks = new Map(newWorld.blocks.map(block => [getBlockKey(block), block]));
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    newBlocks.forEach((block, key) => {
+        const oldBlock = oldBlocks.get(key);
+        if (!oldBlock) {
+            added.push(block);
+        } else if (describeBlock(oldBlock) !== describeBlock(block)) {
+            changed.push({ from: oldBlock, to: block });
+        }
+    });
+    oldBlocks.forEach((block, key) => {
+        if (!newBlocks.has(key)) removed.push(block);
+    });
+
+    console.log(`🔍 ${path.basename(oldFile)} (${oldBlocks.size} blocks) -> ${path.basename(newFile)} (${newBlocks.size} blocks)`);
+    console.log(`➕ Added: ${added.length}  ➖ Removed: ${removed.length}  ✏️ Changed: ${changed.length}`);
+
+    if (added.length + removed.length + changed.length === 0) {
+        console.log('✅ The captures are identical');
+        return true;
+    }
+
+    // Net change per block type
+    const typeChanges = {};
+    const count = (type, delta) => { typeChanges[type] = (typeChanges[type] || 0) + delta; };
+    added.forEach(block => count(block.type, 1));
+    removed.forEach(block => count(block.type, -1));
+    changed.forEach(({ from, to }) => {
+        count(from.type, -1);
+        count(to.type, 1);
+    });
+
+    const netChanges = Object.entries(typeChanges).filter(([, delta]) => delta !== 0);
+    if (netChanges.length > 0) {
+        console.log('📊 Net change per block type:');
+        netChanges
+            .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
+            .forEach(([type, delta]) => console.log(`  ${delta > 0 ? '+' : ''}${delta} ${type}`));
+    }
+
+    const lines = [
+        ...added.map(block => `  + (${getBlockKey(block)}) ${describeBlock(block)}`),
+        ...removed.map(block => `  - (${getBlockKey(block)}) ${describeBlock(block)}`),
+        ...changed.map(({ from, to }) => `  ~ (${getBlockKey(to)}) ${describeBlock(from)} -> ${describeBlock(to)}`)
+    ];
+
+    console.log('📋 Differences:');
+    lines.slice(0, limit).forEach(line => console.log(line));
+    if (lines.length > limit) {
+        console.log(`  ... and ${lines.length - limit} more (use --limit to show more)`);
+    }
+
+    return false;
+}
+
+async function cropCommand(positional, options) {
+    const [file] = positional;
+    if (!file || !options.out || (!options.box && !options.chunk)) {
+        throw new Error('Usage: node worldTool.js crop <world> --out <file> [--box x1,y1,z1,x2,y2,z2] [--chunk x,z ...]');
+    }
+
+    const world = await readWorld(file);
+    let blocks = world.blocks;
+
+    if (options.box) {
+        const [x1, y1, z1, x2, y2, z2] = parseNumbers(options.box, 6, 'box');
+        const min = { x: Math.min(x1, x2), y: Math.min(y1, y2), z: Math.min(z1, z2) };
+        const max = { x: Math.max(x1, x2), y: Math.max(y1, y2), z: Math.max(z1, z2) };
+
+        blocks = blocks.filter(block =>
+            block.x >= min.x && block.x <= max.x &&
+            block.y >= min.y && block.y <= max.y &&
+            block.z >= min.z && block.z <= max.z
+        );
+        console.log(`✂️ Box (${min.x}, ${min.y}, ${min.z}) to (${max.x}, ${max.y}, ${max.z}) keeps ${blocks.length} blocks`);
+    }
+
+    if (options.chunk) {
+        const chunks = new Set([].concat(options.chunk).map(value => parseNumbers(value, 2, 'chunk').join(',')));
+
+        blocks = blocks.filter(block => {
+            const chunkX = block.chunk_x ?? Math.floor(block.x / CHUNK_SIZE);
+            const chunkZ = block.chunk_z ?? Math.floor(block.z / CHUNK_SIZE);
+            return chunks.has(`${chunkX},${chunkZ}`);
+        });
+        console.log(`✂️ Chunks ${[...chunks].join(' ')} keep ${blocks.length} blocks`);
+    }
+
+    await writeWorld(options.out, { ...world, blocks, stats: updateStats(world, blocks) });
+    return true;
+}
+
+async function recenterCommand(positional, options) {
+    const [file] = positional;
+    if (!file || !options.out) {
+        throw new Error('Usage: node worldTool.js recenter <world> --out <file> [--to x,z] [--min-y y]');
+    }
+
+    const world = await readWorld(file);
+    if (world.blocks.length === 0) {
+        throw new Error(`${file} has no blocks to recenter`);
+    }
+
+    const [targetX, targetZ] = options.to ? parseNumbers(options.to, 2, 'to') : [0, 0];
+    const { min, max } = getBounds(world.blocks);
+
+    const dx = targetX - Math.floor((min.x + max.x) / 2);
+    const dz = targetZ - Math.floor((min.z + max.z) / 2);
+    const dy = options['min-y'] !== undefined ? parseInt(options['min-y'], 10) - min.y : 0;
+
+    const blocks = world.blocks.map(block => {
+        const x = block.x + dx;
+        const z = block.z + dz;
+        return {
+            ...block,
+            x,
+            y: block.y + dy,
+            z,
+            chunk_x: Math.floor(x / CHUNK_SIZE),
+            chunk_z: Math.floor(z / CHUNK_SIZE)
+        };
+    });
+
+    const stats = updateStats(world, blocks);
+    if (world.stats?.center_chunk) {
+        stats.center_chunk = {
+            x: Math.floor((world.stats.center_chunk.x * CHUNK_SIZE + dx) / CHUNK_SIZE),
+            z: Math.floor((world.stats.center_chunk.z * CHUNK_SIZE + dz) / CHUNK_SIZE)
+        };
+    }
+
+    console.log(`🎯 Moved the build by (${dx}, ${dy}, ${dz})`);
+    await writeWorld(options.out, { ...world, blocks, stats });
+    return true;
+}
+
+const commands = {
+    stats: statsCommand,
+    diff: diffCommand,
+    crop: cropCommand,
+    recenter: recenterCommand
+};
+
+async function main() {
+    const [commandName, ...args] = process.argv.slice(2);
+    const command = commands[commandName];
+
+    if (!command) {
+        console.log('Usage: node worldTool.js <stats|diff|crop|recenter> [options]');
+        console.log('See the top of worldTool.js for the options of each command');
+        process.exitCode = commandName ? 2 : 0;
+        return;
+    }
+
+    const { positional, options } = parseArgs(args);
+
+    try {
+        // Checks that find problems or differences exit with 1, like diff(1)
+        const ok = await command(positional, options);
+        if (!ok) process.exitCode = 1;
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 2;
+    }
+}
+
+main();
@@ -0,0 +1,68 @@
+/**
+ * World Updates
+ * Subscribes to live block deltas pushed by the backend over Server-Sent Events.
+ * Each "delta" event carries JSON of the form
+ *   { "deltas": [
+ *       { "op": "add", "block": { "type": "stone", "x": 1, "y": 2, "z": 3, ... } },
+ *       { "op": "change", "block": { ... } },
+ *       { "op": "remove", "x": 1, "y": 2, "z": 3 }
+ *   ] }
+ * where blocks use the same fields as the /spawn-chunk response and positions are
+ * world coordinates. See updateServer.js for a local stand-in backend
+ */
+
+export class WorldUpdateStream {
+    /**
+     * @param {string} url - The event stream URL
+     * @param {Function} onDeltas - (deltas) => void, called with each batch of deltas
+     */
+    constructor(url, onDeltas) {
+        this.url = url;
+        this.onDeltas = onDeltas;
+        this.source = null;
+        this.hasConnected = false;
+    }
+
+    connect() {
+        if (this.source) return;
+
+        console.log(`📡 Subscribing to world updates at ${this.url}`);
+        this.source = new EventSource(this.url);
+
+        this.source.onopen = () => {
+            this.hasConnected = true;
+            console.log('📡 Connected to world updates');
+        };
+
+        this.source.addEventListener('delta', event => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                console.error('Error parsing world update:', error);
+                return;
+            }
+
+            const deltas = Array.isArray(message.deltas) ? message.deltas : [message];
+            this.onDeltas(deltas);
+        });
+
+        this.source.onerror = () => {
+            // EventSource reconnects by itself after a dropped connection, but a stream that
+            // never opened (e.g. no update server) would keep retrying forever
+            if (!this.hasConnected) {
+                console.warn(`World updates are not available at ${this.url}`);
+                this.close();
+            } else {
+                console.warn('World update stream interrupted, reconnecting...');
+            }
+        };
+    }
+
+    close() {
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+    }
+}
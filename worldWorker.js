@@ -0,0 +1,344 @@
+/**
+ * World Worker
+ * Loads, parses and preprocesses world data off the main thread: server responses,
+ * region files and schematics are parsed and normalized here and handed back as
+ * instance groups with transferable position arrays, so the main thread only builds meshes.
+ * Light is computed here too and handed over as a packed level per instance (see lightEngine.js).
+ * Driven by WorldWorkerClient (see worldWorkerClient.js)
+ */
+
+import { WorldLoader } from './worldLoader.js';
+import { prepareBlocks, buildInstanceGroups } from './worldPreprocessor.js';
+import { isAirBlock } from './blockStateMapper.js';
+import { COLORMAP_PATHS, getBlockTint } from './biomeColors.js';
+import { computeLight, MAX_LIGHT } from './lightEngine.js';
+
+// Requests are fetched by the main thread so they go through its fetch, which the
+// mock server and session recorder wrap
+const pendingFetches = new Map(); // fetchId -> { resolve, reject }
+let nextFetchId = 0;
+
+function fetchOnMainThread(url, init) {
+    return new Promise((resolve, reject) => {
+        const fetchId = nextFetchId++;
+        pendingFetches.set(fetchId, { resolve, reject });
+        self.postMessage({ type: 'fetch', fetchId, url: String(url), init });
+    });
+}
+
+function handleFetchResult(message) {
+    const pending = pendingFetches.get(message.fetchId);
+    if (!pending) return;
+    pendingFetches.delete(message.fetchId);
+
+    if (message.error) {
+        pending.reject(new TypeError(message.error));
+        return;
+    }
+
+    pending.resolve(new Response(message.buffer, {
+        status: message.status,
+        statusText: message.statusText,
+        headers: message.headers
+    }));
+}
+
+const worldLoader = new WorldLoader({ fetch: fetchOnMainThread });
+
+// Biome colormaps by tint type, loaded on first use; missing ones keep the default tints
+const colormaps = {};
+let colormapsPromise = null;
+
+/**
+ * Read a colormap image into its RGBA pixels
+ * @param {string} path - The image URL
+ * @returns {Promise<Object|null>} - { width, height, data }, or null if it isn't available
+ */
+async function loadColormap(path) {
+    try {
+        const response = await fetchOnMainThread(path);
+        if (!response.ok) return null;
+
+        const bitmap = await createImageBitmap(await response.blob());
+        const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        const context = canvas.getContext('2d');
+        context.drawImage(bitmap, 0, 0);
+        const { data } = context.getImageData(0, 0, bitmap.width, bitmap.height);
+        bitmap.close();
+
+        return { width: canvas.width, height: canvas.height, data };
+    } catch (error) {
+        console.warn(`Could not read colormap ${path}:`, error.message);
+        return null;
+    }
+}
+
+function loadColormaps() {
+    if (!colormapsPromise) {
+        colormapsPromise = Promise.all(Object.entries(COLORMAP_PATHS).map(async ([type, path]) => {
+            const colormap = await loadColormap(path);
+            if (colormap) colormaps[type] = colormap;
+        })).then(() => {
+            const loaded = Object.keys(colormaps);
+            console.log(loaded.length > 0
+                ? `🎨 Loaded biome colormaps: ${loaded.join(', ')}`
+                : '🎨 No biome colormaps found, using the default tints');
+        });
+    }
+    return colormapsPromise;
+}
+
+const getTint = block => getBlockTint(block, colormaps);
+
+// Light and blocks (by "x,y,z") of the spawn area, kept so live updates can relight it and
+// resolve the blocks around them; streamed chunks use the chunk cache instead
+let worldLight = null;
+let worldBlocks = null;
+
+/**
+ * Prepare and group blocks for the renderer
+ * @param {Array} blocks - Processed blocks
+ * @param {Object} view - The render area (see prepareBlocks)
+ * @param {LightField} light - The light of the blocks, in world coordinates
+ * @returns {Promise<Object>} - { groups, blockCount }
+ */
+async function toInstanceGroups(blocks, view, light) {
+    await loadColormaps();
+    const prepared = prepareBlocks(blocks, view);
+    const getLight = block => light.getPackedLight(block.x + view.center.x, block.y, block.z + view.center.z);
+    return { groups: buildInstanceGroups(prepared, getTint, getLight), blockCount: prepared.length };
+}
+
+/**
+ * Describe a block as a 'set' instance change in view space, without its light
+ * @param {Object} block - The processed block, in world coordinates
+ * @param {Object} view - The render area (see prepareBlocks)
+ * @returns {Object|null} - The change, or null if the block is outside the rendered height range
+ */
+function toSetChange(block, view) {
+    const [prepared] = prepareBlocks([block], view);
+    if (!prepared) return null;
+
+    const { name, properties } = prepared.state;
+    return {
+        op: 'set',
+        key: prepared.state.toString(),
+        name,
+        properties: { ...properties },
+        x: prepared.x,
+        y: prepared.y,
+        z: prepared.z,
+        tint: getTint(prepared)
+    };
+}
+
+/**
+ * Relight the world around changed blocks
+ * @param {Array} positions - The changed { x, y, z, block } in world coordinates, block null for removals
+ * @returns {LightField} - The updated light
+ */
+function relight(positions) {
+    if (worldLight) {
+        for (const { x, y, z, block } of positions) {
+            worldLight.setBlock(x, y, z, block);
+        }
+        return worldLight.propagate();
+    }
+
+    // The chunk cache already has the changes; light the changed chunks with their neighbors
+    const chunkKeys = new Set();
+    for (const { x, z } of positions) {
+        const chunkX = Math.floor(x / worldLoader.chunkSize);
+        const chunkZ = Math.floor(z / worldLoader.chunkSize);
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dz = -1; dz <= 1; dz++) {
+                chunkKeys.add(`${chunkX + dx},${chunkZ + dz}`);
+            }
+        }
+    }
+
+    const blocks = [];
+    for (const key of chunkKeys) {
+        const [chunkX, chunkZ] = key.split(',').map(Number);
+        for (const block of worldLoader.getCachedBlocks(chunkX, chunkZ)) {
+            blocks.push(block);
+        }
+    }
+    return computeLight(blocks);
+}
+
+const handlers = {
+    async loadSpawnChunk({ view }) {
+        const blocks = await worldLoader.loadSpawnChunk();
+        worldLight = computeLight(blocks);
+        worldBlocks = new Map(blocks.map(block => [`${block.x},${block.y},${block.z}`, block]));
+        return { ...(await toInstanceGroups(blocks, view, worldLight)), stats: worldLoader.blockStats };
+    },
+
+    async loadChunk({ chunkX, chunkZ, view }) {
+        worldLight = null;
+        worldBlocks = null;
+        const blocks = await worldLoader.loadChunk(chunkX, chunkZ);
+        if (blocks.length === 0) return { groups: [], blockCount: 0 };
+
+        // Light crosses chunk borders, so the cached chunks around it are lit with it.
+        // Chunks that load later don't relight this one
+        const light = computeLight(worldLoader.getCachedBlocks(chunkX, chunkZ, 1));
+
+        // The chunk was resolved on its own, so stairs and connections along its borders
+        // are resolved again with the cached chunks around it. Blocks across the border
+        // that change are sent along for the chunks already built
+        const size = worldLoader.chunkSize;
+        const isOutside = block => Math.floor(block.x / size) !== chunkX || Math.floor(block.z / size) !== chunkZ;
+        const border = blocks.filter(block => {
+            const localX = block.x - chunkX * size;
+            const localZ = block.z - chunkZ * size;
+            return localX === 0 || localX === size - 1 || localZ === 0 || localZ === size - 1;
+        });
+        const reshaped = worldLoader.resolveNeighborsAt(border);
+
+        const result = await toInstanceGroups(blocks, view, light);
+        result.changes = [];
+        for (const block of reshaped) {
+            const change = isOutside(block) ? toSetChange(block, view) : null;
+            if (!change) continue;
+            change.light = light.getPackedLight(block.x, block.y, block.z);
+            result.changes.push(change);
+        }
+        return result;
+    },
+
+    // Translate block deltas (see worldUpdates.js) into instance changes in view space,
+    // including the stairs and connecting blocks around them that change shape,
+    // followed by the new light of the blocks around them
+    async applyDeltas({ deltas, view }) {
+        await loadColormaps();
+        const changed = []; // { x, y, z, block } in world coordinates, block null for removals
+        const placeAt = (x, y, z, block) => {
+            worldLoader.updateCachedBlock(x, y, z, block);
+            if (worldBlocks) {
+                if (block) worldBlocks.set(`${x},${y},${z}`, block);
+                else worldBlocks.delete(`${x},${y},${z}`);
+            }
+            changed.push({ x, y, z, block });
+        };
+
+        for (const delta of deltas) {
+            if (delta.op === 'remove') {
+                placeAt(delta.x, delta.y, delta.z, null);
+                continue;
+            }
+
+            if (delta.op !== 'add' && delta.op !== 'change') {
+                console.warn(`Ignoring unknown block delta "${delta.op}"`);
+                continue;
+            }
+
+            // A changed block replaces whatever was there; a double plant also fills the block above
+            const processed = isAirBlock(delta.block.type) ? [] : worldLoader.processBlocks([delta.block]);
+            if (processed.length === 0) {
+                // Air, or a block that translated to nothing (e.g. legacy air)
+                placeAt(delta.block.x, delta.block.y, delta.block.z, null);
+                continue;
+            }
+
+            for (const block of processed) {
+                placeAt(block.x, block.y, block.z, block);
+            }
+        }
+
+        // The changed blocks were processed alone, so their shapes and connections (and
+        // those of the blocks next to them) are resolved against the rest of the world
+        const reshaped = worldLoader.resolveNeighborsAt(changed, worldBlocks);
+
+        const changes = [];
+        const changedKeys = new Set(changed.map(({ x, y, z }) => `${x},${y},${z}`));
+        for (const { x, y, z, block } of changed) {
+            // Blocks outside the rendered height range still replace what was there
+            changes.push((block && toSetChange(block, view)) ||
+                { op: 'remove', x: x - view.center.x, y, z: z - view.center.z });
+        }
+        for (const block of reshaped) {
+            const change = changedKeys.has(`${block.x},${block.y},${block.z}`) ? null : toSetChange(block, view);
+            if (change) changes.push(change);
+        }
+
+        if (changed.length === 0) return { changes };
+
+        const light = relight(changed);
+        const worldX = x => x + view.center.x;
+        const worldZ = z => z + view.center.z;
+        for (const change of changes) {
+            if (change.op === 'set') {
+                change.light = light.getPackedLight(worldX(change.x), change.y, worldZ(change.z));
+            }
+        }
+
+        // A change can darken or brighten blocks as far away as the brightest light travels
+        const relit = new Set(changes.map(change => `${worldX(change.x)},${change.y},${worldZ(change.z)}`));
+        for (const { x, y, z } of changed) {
+            light.forEachBlockNear(x, y, z, MAX_LIGHT, (bx, by, bz) => {
+                const key = `${bx},${by},${bz}`;
+                if (relit.has(key)) return;
+                relit.add(key);
+                changes.push({
+                    op: 'light',
+                    x: bx - view.center.x,
+                    y: by,
+                    z: bz - view.center.z,
+                    light: light.getPackedLight(bx, by, bz)
+                });
+            });
+        }
+
+        return { changes };
+    },
+
+    async setCustomData({ data }) {
+        worldLight = null;
+        worldBlocks = null;
+        worldLoader.setCustomData(data);
+        return { stats: worldLoader.blockStats };
+    },
+
+    async loadRegionFile({ source, options }) {
+        worldLight = null;
+        worldBlocks = null;
+        const data = await worldLoader.loadRegionFile(source, options);
+        worldLoader.setCustomData(data);
+        return { stats: data.stats };
+    },
+
+    async loadSchematicFile({ source }) {
+        worldLight = null;
+        worldBlocks = null;
+        const data = await worldLoader.loadSchematicFile(source);
+        worldLoader.setCustomData(data);
+        return { stats: data.stats };
+    }
+};
+
+self.onmessage = async (event) => {
+    const message = event.data;
+
+    if (message.type === 'fetchResult') {
+        handleFetchResult(message);
+        return;
+    }
+
+    const handler = handlers[message.type];
+    if (!handler) {
+        self.postMessage({ id: message.id, error: `Unknown world worker request "${message.type}"` });
+        return;
+    }
+
+    try {
+        const result = await handler(message.payload || {});
+        const transfer = (result.groups || []).flatMap(group =>
+            [group.positions, group.tints, group.lights].filter(Boolean).map(array => array.buffer));
+        self.postMessage({ id: message.id, result }, transfer);
+    } catch (error) {
+        console.error(`Error handling ${message.type} in world worker:`, error);
+        self.postMessage({ id: message.id, error: error.message });
+    }
+};
@@ -0,0 +1,194 @@
+/**
+ * World Worker Client
+ * Main-thread side of the world worker (see worldWorker.js). Has the loading methods
+ * the viewer and ChunkManager use, but resolves them with instance groups ready for
+ * mesh creation instead of block lists
+ */
+
+import { BlockState } from './blockState.js';
+
+export class WorldWorkerClient {
+    /**
+     * @param {Object} options - Client options
+     * @param {Function} options.getView - () => { center, minY, maxY }, the current render area
+     * @param {Function} options.onBlockChanges - (changes) => void, gets the changes (see applyDeltas)
+     * a loaded chunk makes to the chunks around it, e.g. fences that now connect across its border
+     */
+    constructor(options) {
+        this.getView = options.getView;
+        this.onBlockChanges = options.onBlockChanges || null;
+        this.chunkSize = 16;
+        this.blockStats = {};
+
+        this.requests = new Map(); // Request id -> { resolve, reject }
+        this.nextRequestId = 0;
+
+        this.worker = new Worker(new URL('./worldWorker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = event => this.handleMessage(event.data);
+        this.worker.onerror = event => {
+            console.error('World worker error:', event.message);
+            this.rejectAll(new Error(`World worker failed: ${event.message}`));
+        };
+    }
+
+    /**
+     * Send a request to the worker
+     * @param {string} type - The request type
+     * @param {Object} payload - The request data
+     * @param {Array} transfer - Objects to transfer rather than copy
+     * @returns {Promise<Object>} - The worker's result
+     */
+    request(type, payload = {}, transfer = []) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextRequestId++;
+            this.requests.set(id, { resolve, reject });
+            this.worker.postMessage({ id, type, payload }, transfer);
+        });
+    }
+
+    handleMessage(message) {
+        if (message.type === 'fetch') {
+            this.fetchForWorker(message);
+            return;
+        }
+
+        const request = this.requests.get(message.id);
+        if (!request) return;
+        this.requests.delete(message.id);
+
+        if (message.error) {
+            request.reject(new Error(message.error));
+        } else {
+            request.resolve(message.result);
+        }
+    }
+
+    rejectAll(error) {
+        for (const request of this.requests.values()) {
+            request.reject(error);
+        }
+        this.requests.clear();
+    }
+
+    /**
+     * Run a fetch for the worker on the main thread and send back the response
+     * @param {Object} message - The worker's { fetchId, url, init }
+     */
+    async fetchForWorker({ fetchId, url, init }) {
+        try {
+            const response = await fetch(url, init);
+            const buffer = await response.arrayBuffer();
+            const headers = {};
+            response.headers.forEach((value, key) => {
+                headers[key] = value;
+            });
+
+            this.worker.postMessage({
+                type: 'fetchResult',
+                fetchId,
+                status: response.status,
+                statusText: response.statusText,
+                headers,
+                buffer
+            }, [buffer]);
+        } catch (error) {
+            this.worker.postMessage({ type: 'fetchResult', fetchId, error: error.message });
+        }
+    }
+
+    /**
+     * Rebuild the block states of instance groups sent by the worker
+     * @param {Array} groups - Groups of { key, name, properties, count, positions, tints, lights }
+     * @returns {Array} - The groups with a BlockState in `state`
+     */
+    restoreGroups(groups) {
+        return groups.map(group => ({
+            ...group,
+            state: new BlockState(group.name, group.properties)
+        }));
+    }
+
+    /**
+     * Load the spawn area (or custom data) as instance groups
+     * @returns {Promise<Array>} - The instance groups
+     */
+    async loadSpawnChunk() {
+        const result = await this.request('loadSpawnChunk', { view: this.getView() });
+        this.blockStats = result.stats || {};
+        console.log(`Loaded ${result.blockCount} blocks in ${result.groups.length} instance groups`);
+        return this.restoreGroups(result.groups);
+    }
+
+    /**
+     * Load one chunk as instance groups (see WorldLoader.loadChunk)
+     * @param {number} chunkX - The chunk X coordinate
+     * @param {number} chunkZ - The chunk Z coordinate
+     * @returns {Promise<Array>} - The instance groups (empty if the chunk has no blocks)
+     */
+    async loadChunk(chunkX, chunkZ) {
+        // The view distance limits streamed chunks, so don't filter by distance here
+        const view = { ...this.getView(), maxDistance: Infinity };
+        const result = await this.request('loadChunk', { chunkX, chunkZ, view });
+        if (result.changes?.length > 0 && this.onBlockChanges) {
+            this.onBlockChanges(this.restoreChanges(result.changes));
+        }
+        return this.restoreGroups(result.groups);
+    }
+
+    /**
+     * Translate block deltas into instance changes in view space
+     * @param {Array} deltas - The deltas (see worldUpdates.js)
+     * @returns {Promise<Array>} - Changes of { op: 'remove', x, y, z }, { op: 'set', key, state, x, y, z, tint, light }
+     * (also for blocks around them that change shape) or { op: 'light', x, y, z, light } for blocks
+     * around them whose light may have changed
+     */
+    async applyDeltas(deltas) {
+        const view = { ...this.getView(), maxDistance: Infinity };
+        const { changes } = await this.request('applyDeltas', { deltas, view });
+        return this.restoreChanges(changes);
+    }
+
+    /**
+     * Rebuild the block states of instance changes sent by the worker
+     * @param {Array} changes - The changes (see applyDeltas)
+     * @returns {Array} - The changes, 'set' changes with a BlockState in `state`
+     */
+    restoreChanges(changes) {
+        return changes.map(change => change.op === 'set'
+            ? { ...change, state: new BlockState(change.name, change.properties) }
+            : change);
+    }
+
+    /**
+     * Use world data instead of the server (see WorldLoader.setCustomData)
+     * @param {Object|ArrayBuffer} data - Parsed JSON or a compact world buffer
+     */
+    async setCustomData(data) {
+        const transfer = data instanceof ArrayBuffer ? [data] : [];
+        const result = await this.request('setCustomData', { data }, transfer);
+        this.blockStats = result.stats || {};
+    }
+
+    /**
+     * Parse a region file in the worker and make it the current world
+     * @param {File|Blob|ArrayBuffer|string} source - The region file
+     * @param {Object} options - Parse options (see WorldLoader.loadRegionFile)
+     * @returns {Promise<Object>} - { stats } of the parsed world
+     */
+    async loadRegionFile(source, options = {}) {
+        const result = await this.request('loadRegionFile', { source, options });
+        this.blockStats = result.stats || {};
+        return result;
+    }
+
+    /**
+     * Parse a schematic in the worker and make it the current world
+     * @param {File|Blob|ArrayBuffer|string} source - The schematic file
+     * @returns {Promise<Object>} - { stats } of the parsed world
+     */
+    async loadSchematicFile(source) {
+        const result = await this.request('loadSchematicFile', { source });
+        this.blockStats = result.stats || {};
+        return result;
+    }
+}